@@ -32,7 +32,7 @@ OPTIONS:
   --dev                       Launch in development mode with debug features
   --headless                 Launch without showing window (background mode)
   --reset-permissions        Reset macOS screen recording permissions
-  --config <path>            Use custom config file
+  --config <path>            Load a settings profile (exported from Settings)
   --data-dir <path>          Use custom data directory
   
 EXAMPLES:
@@ -40,6 +40,7 @@ EXAMPLES:
   npm install -g hintify      # Install globally
   hintify --dev               # Development mode
   hintify --reset-permissions # Fix macOS permissions
+  hintify --config class.json # Start with a shared settings profile
 
 FEATURES:
   📸 Screenshot capture with AI hints
@@ -120,10 +121,15 @@ if (headless) {
   console.log('👻 Running in headless mode');
 }
 
-// Add custom config path
-if (configIndex !== -1 && args[configIndex + 1]) {
-  process.env.HINTIFY_CONFIG_PATH = args[configIndex + 1];
-  console.log(`⚙️  Using config: ${args[configIndex + 1]}`);
+// Add settings profile; the app runs from appRoot, so pass an absolute path
+if (configIndex !== -1) {
+  const configPath = args[configIndex + 1] ? path.resolve(args[configIndex + 1]) : null;
+  if (!configPath || !fs.existsSync(configPath)) {
+    console.error(`❌ Error: Settings profile not found: ${args[configIndex + 1] || '(no path given)'}`);
+    process.exit(1);
+  }
+  electronArgs.push('--config', configPath);
+  console.log(`⚙️  Using settings profile: ${configPath}`);
 }
 
 // Add custom data directory
@@ -0,0 +1,73 @@
+// Bundle src/preload.js and the services it requires into one file.
+//
+// Windows run sandboxed, and a sandboxed preload can only require
+// Electron's own modules, so the shared services are inlined. Only relative
+// requires are bundled; anything else (electron) is left to the sandbox.
+//
+// Runs before `npm start` / `npm run dev` and as electron-builder's beforePack hook.
+
+const fs = require('fs');
+const path = require('path');
+
+const SRC = path.join(__dirname, '..', 'src');
+const ENTRY = 'preload.js';
+const OUTPUT = path.join(SRC, 'preload.bundle.js');
+const RELATIVE_REQUIRE = /\brequire\(\s*'(\.{1,2}\/[^']+)'\s*\)/g;
+
+// Path of a relative require, relative to src/
+function resolve(from, request) {
+  const name = path.posix.join(path.posix.dirname(from), request);
+  return name.endsWith('.js') ? name : `${name}.js`;
+}
+
+// Module sources by path relative to src/, with their relative requires
+// rewritten to those paths
+function collect(name, modules = new Map()) {
+  if (modules.has(name)) return modules;
+  const source = fs.readFileSync(path.join(SRC, name), 'utf8');
+  const requests = [];
+  modules.set(name, source.replace(RELATIVE_REQUIRE, (_match, request) => {
+    requests.push(resolve(name, request));
+    return `require(${JSON.stringify(requests[requests.length - 1])})`;
+  }));
+  for (const request of requests) collect(request, modules);
+  return modules;
+}
+
+/**
+ * @param {string} [output]
+ * @returns {string} The file written
+ */
+function build(output = OUTPUT) {
+  const definitions = [...collect(ENTRY)].map(([name, source]) =>
+    `  ${JSON.stringify(name)}: function (module, exports, require) {\n${source}\n  }`
+  );
+  const bundle = `// Generated by scripts/build-preload.js from src/${ENTRY}; do not edit.
+(function (nativeRequire) {
+  const modules = {
+${definitions.join(',\n')}
+  };
+  const cache = {};
+  function load(name) {
+    if (!cache[name]) {
+      cache[name] = { exports: {} };
+      modules[name](cache[name], cache[name].exports, request => (modules[request] ? load(request) : nativeRequire(request)));
+    }
+    return cache[name].exports;
+  }
+  load(${JSON.stringify(ENTRY)});
+})(require);
+`;
+  fs.writeFileSync(output, bundle);
+  return output;
+}
+
+if (require.main === module) {
+  console.log(`[preload] Wrote ${path.relative(process.cwd(), build())}`);
+}
+
+exports.build = build;
+// electron-builder hook
+exports.default = async function buildPreloadHook() {
+  build();
+};
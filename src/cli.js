@@ -3,6 +3,7 @@
 const { program } = require('commander');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const { spawn } = require('child_process');
 
 // Import your existing services
@@ -20,29 +21,35 @@ program
   .description('Capture screenshot and get hints')
   .option('-o, --output <path>', 'Output file path')
   .action(async (options) => {
+    // The app's capture overlay runs in Electron; main.js has a capture-only mode for this
+    const tempFile = path.join(os.tmpdir(), `hintify-capture-${Date.now()}.png`);
     try {
-      console.log('📸 Capturing screenshot...');
-      
-      if (process.platform === 'darwin') {
-        // Use screencapture on macOS
-        const tempFile = '/tmp/hintify-capture.png';
-        const capture = spawn('screencapture', ['-i', tempFile]);
-        
-        capture.on('close', async (code) => {
-          if (code === 0 && fs.existsSync(tempFile)) {
-            const imageBuffer = fs.readFileSync(tempFile);
-            await processImageCLI(imageBuffer, options.output);
-            fs.unlinkSync(tempFile);
-          } else {
-            console.log('❌ Capture cancelled or failed');
-          }
-        });
+      console.log('📸 Drag to select the area to capture (Esc to cancel)...');
+
+      const electronPath = require('electron');
+      const capture = spawn(electronPath, [path.join(__dirname, 'main.js'), '--capture-to', tempFile], {
+        stdio: ['ignore', 'ignore', 'pipe']
+      });
+      // Electron's output only matters when the capture fails
+      let stderr = '';
+      capture.stderr.on('data', (chunk) => { stderr += chunk; });
+      const code = await new Promise((resolve, reject) => {
+        capture.on('close', resolve);
+        capture.on('error', reject);
+      });
+
+      if (code === 0 && fs.existsSync(tempFile)) {
+        await processImageCLI(fs.readFileSync(tempFile), options.output);
+      } else if (code === 1) {
+        console.log('❌ Capture cancelled');
       } else {
-        console.log('❌ CLI capture not yet supported on this platform');
-        console.log('💡 Use the GUI app for cross-platform screenshot capture');
+        console.error(`❌ Capture failed (exit code ${code})`);
+        if (stderr.trim()) console.error(stderr.trim());
       }
     } catch (error) {
       console.error('❌ Capture failed:', error.message);
+    } finally {
+      fs.rmSync(tempFile, { force: true });
     }
   });
 
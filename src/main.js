@@ -1,7 +1,9 @@
 const electron = require('electron');
-const { app, BrowserWindow, Menu, dialog, globalShortcut, clipboard, nativeImage, shell, ipcMain, session, protocol, screen, systemPreferences } = electron;
+const { app, BrowserWindow, Menu, Notification, dialog, globalShortcut, clipboard, nativeImage, shell, ipcMain, session, protocol, screen, systemPreferences, net } = electron;
 const path = require('path');
 const fs = require('fs');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
 const Store = require('electron-store');
 
 // Load environment variables first
@@ -15,10 +17,77 @@ const DatabaseService = require('./services/DatabaseService');
 const PortalDataTransferService = require('./services/PortalDataTransferService');
 const SupabaseService = require('./services/SupabaseService');
 const ClerkAuthService = require('./services/ClerkAuthService');
+const CaptureOverlay = require('./services/CaptureOverlay');
+const LocalHistoryStore = require('./services/LocalHistoryStore');
+const SyncEngine = require('./services/SyncEngine');
+const AiService = require('./services/AiService');
+const OcrService = require('./services/OcrService');
+const CaptureHistory = require('./services/CaptureHistory');
+const NanoBananaService = require('./services/NanoBananaService');
+const IpcRouter = require('./services/IpcRouter');
+const SecretVault = require('./services/SecretVault');
+const Migrator = require('./services/Migrator');
+const MigrationSteps = require('./services/MigrationSteps');
+const ConfigSchema = require('./services/ConfigSchema');
 
 // Initialize electron-store for persistent settings
 const store = new Store();
 
+// API keys and sign-in tokens are kept encrypted in the vault, never in the
+// store. Pages never read sign-in tokens; API keys only through the
+// settings window, which shows them for editing.
+const secretVault = new SecretVault(path.join(app.getPath('userData'), 'secrets.json'));
+const TOKEN_KEYS = ['supabase_access_token', 'supabase_refresh_token'];
+
+// AI providers, OCR and diagrams run here for the pages (see preload.js)
+const aiService = new AiService(readSetting);
+const ocrService = new OcrService();
+const nanoBananaService = new NanoBananaService();
+
+// Settings of the app and its providers (shared with the pages)
+const configSchema = new ConfigSchema(aiService.describe());
+
+const API_KEY_KEYS = aiService.secretKeys();
+const VAULT_KEYS = [...API_KEY_KEYS, ...TOKEN_KEYS];
+const URL_KEYS = aiService.urlKeys();
+
+// Store keys pages write through store:set and store:delete: accessibility
+// options, screen permission state and the sign-in session. Add a key here
+// when a page starts writing it.
+const PAGE_STORE_KEYS = [
+  'a11y_font_scale',
+  'a11y_tts_enabled',
+  'a11y_high_contrast',
+  'screen_permission_granted',
+  'screen_permission_primed',
+  'screen_permission_restart_required',
+  'user_authenticated',
+  'user_info',
+  'last_auth_time',
+  'auth_choice_made',
+  'guest_mode_enabled'
+];
+
+// Data migrations (see MigrationSteps.js), with backups in userData/backups.
+// `files` lists what steps can back up; add an entry with the first step
+// that changes another file.
+const migrator = new Migrator(MigrationSteps, {
+  store,
+  backupDir: path.join(app.getPath('userData'), 'backups'),
+  files: {
+    config: store.path,
+    secrets: secretVault.file
+  },
+  services: { secretVault, vaultKeys: VAULT_KEYS },
+  secretKeys: VAULT_KEYS
+});
+
+// IPC with the pages, checked against the contract in IpcContract.js
+const ipc = new IpcRouter(ipcMain);
+
+// Region capture overlay (works on every platform)
+const captureOverlay = new CaptureOverlay(ipc);
+
 // Optional auto-updater (loaded only if dependency is installed)
 let autoUpdater = null;
 try {
@@ -47,9 +116,11 @@ try {
     processAuthentication: async () => ({ user: null, session: null }),
     logActivity: async () => { },
     saveQuestionAnswer: async () => ({ questionId: null, answerId: null }),
+    saveQuestionThread: async () => { },
     transferDataToPortal: async () => ({ success: false, error: 'Database not available' }),
     exportUserData: async () => ({ success: false, error: 'Database not available' }),
     getUserHistory: async () => [],
+    getUserTopics: async () => [],
     signOut: async () => { },
     requestPasswordReset: async () => ({ success: false, error: 'Service unavailable' }),
     resetPassword: async () => ({ success: false, error: 'Service unavailable' }),
@@ -76,6 +147,13 @@ try {
   };
 }
 
+// Question history on this device and its sync to Neon, set up in initHistory
+let historyStore, historySession, historySync;
+
+// Screenshots kept on this device for re-runs, set up in initHistory
+let captureHistory;
+const CAPTURE_THUMBNAIL_WIDTH = 320;
+
 // Global variables
 let mainWindow;
 let settingsWindow;
@@ -84,6 +162,17 @@ let isDevelopment = process.argv.includes('--development') || process.env.NODE_E
 // Deep linking variables
 let deeplinkingUrl = null;
 
+// `--capture-to <file>`: only run the capture overlay, save the PNG and quit.
+// Used by `hintify capture`; no window or lock of the full app is involved.
+const captureToIndex = process.argv.indexOf('--capture-to');
+const captureToPath = captureToIndex !== -1 ? process.argv[captureToIndex + 1] : null;
+
+// `--config <file>`: load a settings profile at startup (`hintify --config`)
+function configArgument(argv) {
+  const index = argv.indexOf('--config');
+  return index !== -1 ? argv[index + 1] || null : null;
+}
+
 // Log development mode
 console.log('Development mode:', isDevelopment);
 
@@ -135,27 +224,9 @@ async function clearDevCachesIfDev() {
   }
 }
 
-// Default configuration
-const defaultConfig = {
-  provider: 'gemini',
-  ollama_model: 'granite3.2-vision:2b',
-  gemini_model: 'gemini-2.0-flash',
-  theme: 'dark',
-  // Enable Advanced Mode by default: direct vision (skip OCR)
-  advanced_mode: true,
-  windowBounds: { width: 750, height: 600, x: 100, y: 100 }
-};
-
-// Load configuration with defaults
+// Load configuration with defaults (see ConfigSchema)
 function loadConfig() {
-  const config = { ...defaultConfig };
-  Object.keys(defaultConfig).forEach(key => {
-    const stored = store.get(key);
-    if (stored !== undefined) {
-      config[key] = stored;
-    }
-  });
-  return config;
+  return configSchema.load(key => store.get(key));
 }
 
 // Save configuration
@@ -168,7 +239,7 @@ function saveConfig(config) {
 // Function to register all IPC handlers
 function registerIpcHandlers() {
   // macOS Screen Recording permission helpers with comprehensive error handling
-  ipcMain.handle('get-screen-permission-status', () => {
+  ipc.handle('get-screen-permission-status', () => {
     try {
       if (process.platform !== 'darwin') {
         console.log('[Permission] Non-macOS platform, returning granted');
@@ -220,7 +291,7 @@ function registerIpcHandlers() {
     }
   });
 
-  ipcMain.handle('open-screen-preferences', async () => {
+  ipc.handle('open-screen-preferences', async () => {
     try {
       if (process.platform !== 'darwin') return false;
 
@@ -258,12 +329,12 @@ function registerIpcHandlers() {
     }
   });
 
-  ipcMain.handle('is-packaged-app', () => {
+  ipc.handle('is-packaged-app', () => {
     try { return app.isPackaged; } catch { return false; }
   });
 
   // Debug diagnostics for permission troubleshooting
-  ipcMain.handle('get-permission-diagnostics', () => {
+  ipc.handle('get-permission-diagnostics', () => {
     try {
       const diagnostics = {
         platform: process.platform,
@@ -303,35 +374,38 @@ function registerIpcHandlers() {
     }
   });
 
-  ipcMain.handle('get-app-name', () => {
+  ipc.handle('get-app-name', () => {
     try { return app.getName(); } catch { return 'Hintify'; }
   });
 
-  ipcMain.handle('get-app-version', () => {
+  // Renderer-side stores (e.g. the capture history) live next to the config
+  ipc.handle('get-user-data-path', () => app.getPath('userData'));
+
+  ipc.handle('get-app-version', () => {
     try { return app.getVersion(); } catch { return '1.0.0'; }
   });
 
   // Renderer logging handler (for debugging)
-  ipcMain.on('renderer-log', (event, message) => {
+  ipc.on('renderer-log', (event, message) => {
     console.log('[Renderer]', message);
   });
 
   // Settings and configuration handlers
-  ipcMain.on('open-settings', (event, data) => {
+  ipc.on('open-settings', (event, data) => {
     const theme = data?.theme || 'theme-dark';
     console.log('[Main] Opening settings with theme:', theme);
     createSettingsWindow(theme);
   });
 
   // Close settings window
-  ipcMain.on('close-settings', () => {
+  ipc.on('close-settings', () => {
     if (settingsWindow && !settingsWindow.isDestroyed()) {
       settingsWindow.close();
     }
   });
 
   // Focus settings window
-  ipcMain.handle('focus-settings-window', () => {
+  ipc.handle('focus-settings-window', () => {
     if (settingsWindow && !settingsWindow.isDestroyed()) {
       if (settingsWindow.isMinimized()) {
         settingsWindow.restore();
@@ -343,20 +417,19 @@ function registerIpcHandlers() {
     return false;
   });
 
-  ipcMain.on('config-updated', (event, newConfig) => {
-    saveConfig(newConfig);
-    // Notify both main window and settings window
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('config-updated', newConfig);
-    }
-    if (settingsWindow && !settingsWindow.isDestroyed()) {
-      settingsWindow.webContents.send('config-updated', newConfig);
-    }
+  // Server URLs decide where API keys are sent, so only the settings window changes them
+  ipc.handle('config:set', (event, change) => {
+    if (isSettingsWindow(event.sender)) return updateConfig(change, event.sender);
+    const refused = Object.keys(change).filter(key => URL_KEYS.includes(key));
+    const allowed = Object.fromEntries(Object.entries(change).filter(([key]) => !URL_KEYS.includes(key)));
+    const result = updateConfig(allowed, event.sender);
+    const errors = [...refused.map(key => `"${key}" can only be changed in Settings`), ...result.errors];
+    return { ...result, success: !errors.length, errors };
   });
 
 
   // Auth-related IPC handlers with enhanced error handling and validation
-  ipcMain.on('auth-completed', async (event, userInfo) => {
+  ipc.on('auth-completed', async (event, userInfo) => {
     try {
       console.log('🔐 Processing Supabase authentication in main process...');
       console.log('📊 User info received:', {
@@ -380,6 +453,8 @@ function registerIpcHandlers() {
           sessionId: authResult.session.id
         });
 
+        historySync.schedule(0);
+
         // Merge normalized user info back to store
         const finalUserInfo = { ...userInfo, id: authResult.user.id };
         store.set('user_authenticated', true);
@@ -406,7 +481,7 @@ function registerIpcHandlers() {
         const finalUserInfo = store.get('user_info');
         console.log('📡 Notifying main window of authentication success...');
 
-        mainWindow.webContents.send('auth-status-updated', {
+        ipc.send(mainWindow.webContents, 'auth-status-updated', {
           authenticated: true,
           user: finalUserInfo,
           timestamp: new Date().toISOString()
@@ -427,7 +502,7 @@ function registerIpcHandlers() {
 
       // Send error notification to main window
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('auth-status-updated', {
+        ipc.send(mainWindow.webContents, 'auth-status-updated', {
           authenticated: false,
           error: error.message,
           timestamp: new Date().toISOString()
@@ -444,7 +519,7 @@ function registerIpcHandlers() {
   // Auth window handler removed - now using direct browser authentication
 
   // Handle sign-up request
-  ipcMain.on('show-signup-window', () => {
+  ipc.on('show-signup-window', () => {
     console.log('📝 Sign-up window requested from main app - opening browser directly');
     // Open browser for sign-up (same as sign-in page with tabs)
     const authUrl = 'https://hintify.nexus-v.tech/sign-in?source=app';
@@ -453,7 +528,7 @@ function registerIpcHandlers() {
   });
 
   // Handle browser authentication request
-  ipcMain.handle('open-browser-auth', async () => {
+  ipc.handle('open-browser-auth', async () => {
     try {
       console.log('🌐 Opening browser for Supabase authentication...');
 
@@ -471,7 +546,7 @@ function registerIpcHandlers() {
   });
 
   // Handle password reset request
-  ipcMain.handle('request-password-reset', async (event, email) => {
+  ipc.handle('request-password-reset', async (event, email) => {
     try {
       const result = await authService.requestPasswordReset(email);
       return result;
@@ -482,7 +557,7 @@ function registerIpcHandlers() {
   });
 
   // Handle password reset
-  ipcMain.handle('reset-password', async (event, email, code, newPassword) => {
+  ipc.handle('reset-password', async (event, email, code, newPassword) => {
     try {
       const result = await authService.resetPassword(email, code, newPassword);
       return result;
@@ -493,7 +568,7 @@ function registerIpcHandlers() {
   });
 
   // Handle MFA enable request
-  ipcMain.handle('enable-mfa', async () => {
+  ipc.handle('enable-mfa', async () => {
     try {
       const result = await authService.enableMFA();
       return result;
@@ -504,7 +579,7 @@ function registerIpcHandlers() {
   });
 
   // Handle MFA verification
-  ipcMain.handle('verify-mfa-setup', async (event, code) => {
+  ipc.handle('verify-mfa-setup', async (event, code) => {
     try {
       const result = await authService.verifyMFASetup(code);
       return result;
@@ -515,7 +590,7 @@ function registerIpcHandlers() {
   });
 
   // Handle MFA disable request
-  ipcMain.handle('disable-mfa', async () => {
+  ipc.handle('disable-mfa', async () => {
     try {
       const result = await authService.disableMFA();
       return result;
@@ -525,12 +600,13 @@ function registerIpcHandlers() {
     }
   });
 
-  ipcMain.on('user-logged-out', async () => {
+  ipc.on('user-logged-out', async () => {
     console.log('🚪 User logged out');
 
     try {
       // Sign out through AuthService
       await authService.signOut();
+      historySync.schedule(0);
 
       // Clear stored auth data
       store.set('user_authenticated', false);
@@ -544,7 +620,7 @@ function registerIpcHandlers() {
   });
 
   // Get authentication status
-  ipcMain.handle('get-auth-status', async () => {
+  ipc.handle('get-auth-status', async () => {
     try {
       const authStatus = authService.getAuthStatus();
       const storedAuth = store.get('user_authenticated', false);
@@ -583,7 +659,7 @@ function registerIpcHandlers() {
    * Security: The state parameter prevents CSRF attacks by ensuring the callback
    * matches the original request. It's validated when the deep link callback is received.
    */
-  ipcMain.handle('auth:start-clerk-login', async () => {
+  ipc.handle('auth:start-clerk-login', async () => {
     try {
       console.log('🔐 Starting Clerk OAuth login flow...');
 
@@ -639,7 +715,7 @@ function registerIpcHandlers() {
    * - User information
    * - Session validity
    */
-  ipcMain.handle('auth:get-clerk-status', async () => {
+  ipc.handle('auth:get-clerk-status', async () => {
     try {
       const authStatus = clerkAuthService.getAuthStatus();
 
@@ -668,7 +744,7 @@ function registerIpcHandlers() {
    * 2. Clears session state
    * 3. Notifies renderer of logout
    */
-  ipcMain.handle('auth:clerk-logout', async () => {
+  ipc.handle('auth:clerk-logout', async () => {
     try {
       console.log('🚪 Signing out from Clerk...');
 
@@ -676,7 +752,7 @@ function registerIpcHandlers() {
 
       // Notify renderer of logout
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('auth:clerk-status-changed', {
+        ipc.send(mainWindow.webContents, 'auth:clerk-status-changed', {
           authenticated: false,
           user: null
         });
@@ -696,7 +772,7 @@ function registerIpcHandlers() {
   });
 
   // Validate current session
-  ipcMain.handle('validate-session', async () => {
+  ipc.handle('validate-session', async () => {
     try {
       const isValid = await authService.validateSession();
       return {
@@ -713,12 +789,12 @@ function registerIpcHandlers() {
     }
   });
 
-  ipcMain.on('close-app', () => {
+  ipc.on('close-app', () => {
     app.quit();
   });
 
   // Relaunch app on request (useful after granting macOS permissions)
-  ipcMain.handle('relaunch-app', async () => {
+  ipc.handle('relaunch-app', async () => {
     try {
       app.relaunch();
       app.exit(0);
@@ -730,7 +806,7 @@ function registerIpcHandlers() {
   });
 
   // Handle window focus request
-  ipcMain.handle('focus-main-window', () => {
+  ipc.handle('focus-main-window', () => {
     if (mainWindow && !mainWindow.isDestroyed()) {
       if (mainWindow.isMinimized()) {
         mainWindow.restore();
@@ -742,29 +818,63 @@ function registerIpcHandlers() {
     return false;
   });
 
-  // Question and Answer handling
-  ipcMain.handle('save-question-answer', async (event, data) => {
+  // Question and Answer handling. Everything is saved to the local history
+  // first (guests and offline included); the sync engine pushes it to Neon.
+  // `questionId` is the local id.
+  ipc.handle('save-question-answer', async (event, data) => {
     try {
-      const result = await authService.saveQuestionAnswer(
-        data.questionText,
-        data.answerText,
-        data.questionType || 'text',
-        data.aiProvider || 'gemini',
-        data.aiModel || 'gemini-2.0-flash',
-        data.imageData,
-        data.metadata,
-        data.processingTime
-      );
+      const record = historyStore.addQuestion({
+        userId: authService.getCurrentUser()?.id || null,
+        sessionId: historySession?.id || null,
+        questionText: data.questionText,
+        questionType: data.questionType || 'text',
+        imageData: data.imageData,
+        metadata: data.metadata,
+        answerText: data.answerText,
+        aiProvider: data.aiProvider || 'gemini',
+        aiModel: data.aiModel || 'gemini-2.0-flash',
+        processingTime: data.processingTime
+      });
+      historySync.schedule();
 
-      return { success: true, ...result };
+      return { success: true, questionId: record.id };
     } catch (error) {
       console.error('Failed to save question/answer:', error);
       return { success: false, error: error.message };
     }
   });
 
+  ipc.handle('save-question-thread', async (event, { questionId, thread }) => {
+    try {
+      if (!historyStore.saveThread(questionId, thread)) throw new Error('Question not found');
+      historySync.schedule();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to save follow-up thread:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipc.handle('rate-question', async (event, { questionId, rating }) => {
+    try {
+      if (!historyStore.rateQuestion(questionId, rating)) throw new Error('Question not found');
+      historySync.schedule();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to save rating:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipc.handle('get-history-sync-status', () => historySync.status());
+
+  ipc.handle('sync-history-now', async () => {
+    await historySync.sync();
+    return historySync.status();
+  });
+
   // Data transfer to Portal
-  ipcMain.handle('transfer-data-to-portal', async () => {
+  ipc.handle('transfer-data-to-portal', async () => {
     try {
       const result = await authService.transferDataToPortal();
       return result;
@@ -775,7 +885,7 @@ function registerIpcHandlers() {
   });
 
   // Export user data
-  ipcMain.handle('export-user-data', async (event, format = 'json') => {
+  ipc.handle('export-user-data', async (event, format = 'json') => {
     try {
       const result = await authService.exportUserData(format);
       return result;
@@ -785,10 +895,24 @@ function registerIpcHandlers() {
     }
   });
 
-  // Get user history
-  ipcMain.handle('get-user-history', async (event, limit = 50) => {
+  // Get user history: the local history, plus questions from other devices
+  // when signed in and online
+  ipc.handle('get-user-history', async (event, limit = 50, filters = {}) => {
     try {
-      const history = await authService.getUserHistory(limit);
+      const userId = authService.getCurrentUser()?.id || null;
+      let history = historyStore.history(userId, limit, filters);
+
+      if (userId && net.isOnline()) {
+        try {
+          const known = historyStore.remoteIds(userId);
+          const remote = (await authService.getUserHistory(limit, filters)).filter(row => !known.has(row.question_id));
+          history = [...history, ...remote]
+            .sort((a, b) => new Date(b.question_created_at) - new Date(a.question_created_at))
+            .slice(0, limit);
+        } catch (error) {
+          console.warn('Remote history unavailable, showing local history:', error?.message || error);
+        }
+      }
       return { success: true, history };
     } catch (error) {
       console.error('Failed to get user history:', error);
@@ -796,8 +920,28 @@ function registerIpcHandlers() {
     }
   });
 
+  ipc.handle('get-user-topics', async () => {
+    try {
+      const userId = authService.getCurrentUser()?.id || null;
+      let topics = historyStore.topics(userId);
+
+      if (userId && net.isOnline()) {
+        try {
+          // Neon has everything synced; add what is still only on this device
+          topics = mergeTopics(await authService.getUserTopics(), historyStore.topics(userId, { unsyncedOnly: true }));
+        } catch (error) {
+          console.warn('Remote topics unavailable, showing local topics:', error?.message || error);
+        }
+      }
+      return { success: true, topics };
+    } catch (error) {
+      console.error('Failed to get user topics:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Sync account data
-  ipcMain.handle('sync-account-data', async () => {
+  ipc.handle('sync-account-data', async () => {
     try {
       const result = await authService.syncAccountData();
       return { success: true, result };
@@ -807,10 +951,8 @@ function registerIpcHandlers() {
     }
   });
 
-  // Log activity
-
   // Auto-update IPC handlers
-  ipcMain.handle('check-for-updates', async () => {
+  ipc.handle('check-for-updates', async () => {
     // Disable in development mode
     if (isDevelopment || !app.isPackaged) {
       console.log('🚫 Update check: Disabled in development mode');
@@ -851,7 +993,7 @@ function registerIpcHandlers() {
     }
   });
 
-  ipcMain.on('download-update', () => {
+  ipc.on('download-update', () => {
     // Disable in development mode
     if (isDevelopment || !app.isPackaged) {
       console.log('🚫 Download update: Disabled in development mode');
@@ -861,12 +1003,12 @@ function registerIpcHandlers() {
     if (!autoUpdater) return;
     try { autoUpdater.downloadUpdate(); } catch (e) {
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('update-error', { message: e?.message || String(e) });
+        ipc.send(mainWindow.webContents, 'update-error', { message: e?.message || String(e) });
       }
     }
   });
 
-  ipcMain.on('install-update', () => {
+  ipc.on('install-update', () => {
     // Disable in development mode
     if (isDevelopment || !app.isPackaged) {
       console.log('🚫 Install update: Disabled in development mode');
@@ -876,18 +1018,18 @@ function registerIpcHandlers() {
     if (!autoUpdater) return;
     try { autoUpdater.quitAndInstall(false, true); } catch (e) {
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('update-error', { message: e?.message || String(e) });
+        ipc.send(mainWindow.webContents, 'update-error', { message: e?.message || String(e) });
       }
     }
   });
 
   // Allow renderer to temporarily dismiss update prompts
-  ipcMain.on('dismiss-update', (_e, ms) => {
+  ipc.on('dismiss-update', (_e, ms) => {
     try { store.set('update_dismissed_until', Date.now() + (Number(ms) || 0)); } catch { }
   });
 
 
-  ipcMain.handle('log-activity', async (event, featureName, action, details) => {
+  ipc.handle('log-activity', async (event, featureName, action, details) => {
     try {
       await authService.logActivity(featureName, action, details);
       return { success: true };
@@ -898,27 +1040,391 @@ function registerIpcHandlers() {
   });
 
   // Clipboard read (for secure paste in renderer)
-  ipcMain.handle('get-clipboard-text', async () => {
+  ipc.handle('get-clipboard-text', async () => {
     try {
       return clipboard.readText();
     } catch (e) {
       return '';
     }
   });
+
+  // Region capture with the overlay; resolves to a PNG, or null when cancelled
+  ipc.handle('capture-region', () => captureRegion());
+
+  // macOS interactive capture to the clipboard; resolves to the exit code
+  ipc.handle('capture-system', () => new Promise((resolve, reject) => {
+    if (process.platform !== 'darwin') {
+      reject(new Error('System capture is only available on macOS'));
+      return;
+    }
+    const capture = spawn('screencapture', ['-i', '-c', '-x']);
+    capture.on('close', resolve);
+    capture.on('error', reject);
+  }));
+
+  // Clipboard image as PNG, null when there is none
+  ipc.handle('clipboard:read-image', () => {
+    try {
+      const image = clipboard.readImage();
+      return image.isEmpty() ? null : image.toPNG();
+    } catch (error) {
+      console.error('Error reading clipboard:', error);
+      return null;
+    }
+  });
+
+  ipc.handle('open-external-url', (event, url) => openExternalUrl(url));
+
+  ipc.handle('show-notification', (event, { title, body = '' }) => {
+    if (!Notification.isSupported()) return false;
+    new Notification({ title, body }).show();
+    return true;
+  });
+
+  // Store access for pages, which have no Node.js. Synchronous like electron-store.
+  // Secrets are not in the store; see the secrets: channels. Settings are
+  // only changed through config:set, which validates them and tells the
+  // other windows. Pages only write the keys in PAGE_STORE_KEYS.
+  ipc.on('store:get', (event, key, defaultValue) => {
+    event.returnValue = VAULT_KEYS.includes(key) ? defaultValue : store.get(key, defaultValue);
+  });
+  ipc.on('store:set', (event, key, value) => {
+    const allowed = PAGE_STORE_KEYS.includes(key);
+    if (allowed) store.set(key, value);
+    event.returnValue = allowed;
+  });
+  ipc.on('store:delete', (event, key) => {
+    const allowed = PAGE_STORE_KEYS.includes(key);
+    if (allowed) store.delete(key);
+    event.returnValue = allowed;
+  });
+
+  // API keys for the settings window (see SecretVault). Failures resolve to
+  // { success: false, error } like the other settings calls.
+  ipc.handle('secrets:status', (event) => {
+    if (!isSettingsWindow(event.sender)) return { success: false, error: 'Not available to this window' };
+    const status = secretVault.status();
+    return { success: true, ...status, keys: status.keys.filter(key => API_KEY_KEYS.includes(key)) };
+  });
+  ipc.handle('secrets:get', (event, key) => {
+    if (!isSettingsWindow(event.sender) || !API_KEY_KEYS.includes(key)) return null;
+    return readSetting(key) || null;
+  });
+  ipc.handle('secrets:set', (event, key, value) => {
+    if (!isSettingsWindow(event.sender) || !API_KEY_KEYS.includes(key)) {
+      return { success: false, error: 'Not available to this window' };
+    }
+    try {
+      secretVault.set(key, value);
+      store.delete(key);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+  ipc.handle('secrets:unlock', (event, passphrase) => {
+    if (!isSettingsWindow(event.sender)) return { success: false, error: 'Not available to this window' };
+    if (!secretVault.unlock(passphrase)) return { success: false, error: 'Wrong passphrase' };
+    // Secrets the migration had to leave in the store while the vault was locked
+    performMigrations();
+    return { success: true };
+  });
+
+  ipc.on('app:assets-url', (event) => {
+    event.returnValue = pathToFileURL(resolveAsset('') + path.sep).href;
+  });
+
+  // AI providers (see AiService)
+  ipc.on('ai:providers', (event) => {
+    event.returnValue = aiService.describe();
+  });
+  ipc.on('ai:validate', (event, providerId, settings) => {
+    event.returnValue = aiService.validate(providerId, settings);
+  });
+  // The settings window tests the server URLs in its form before they are saved
+  ipc.handle('ai:call', (event, request) => aiService.call(
+    (channel, payload) => ipc.send(event.sender, channel, payload),
+    request,
+    { trustUrls: isSettingsWindow(event.sender) }
+  ));
+  ipc.on('ai:cancel', (event, requestId) => aiService.cancel(requestId));
+
+  // OCR; progress goes to the page as 'ocr:progress'. Failures resolve to
+  // { error } so the page can show the message as it is.
+  ipc.handle('ocr:recognize', async (event, png, options) => {
+    try {
+      return await ocrService.recognize(Buffer.from(png), options, (text) => {
+        ipc.send(event.sender, 'ocr:progress', text);
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+  ipc.handle('ocr:status', () => ocrService.status());
+
+  // Image helpers for crops of screenshots (Math OCR, split questions)
+  ipc.handle('image:size', (event, png) => nativeImage.createFromBuffer(Buffer.from(png)).getSize());
+  ipc.handle('image:crop', (event, png, rect) => nativeImage.createFromBuffer(Buffer.from(png)).crop(rect).toPNG());
+
+  // Capture history (see CaptureHistory). List entries carry a file URL of their thumbnail.
+  ipc.handle('capture-history:list', () => captureHistory.list().map(entry => ({
+    ...entry,
+    thumbnailUrl: pathToFileURL(captureHistory.thumbnailPath(entry.id)).href
+  })));
+  ipc.handle('capture-history:get', (event, id) => captureHistory.get(id));
+  ipc.handle('capture-history:add', (event, png) => {
+    const buffer = Buffer.from(png);
+    const image = nativeImage.createFromBuffer(buffer);
+    const thumbnail = image.getSize().width > CAPTURE_THUMBNAIL_WIDTH
+      ? image.resize({ width: CAPTURE_THUMBNAIL_WIDTH, quality: 'good' })
+      : image;
+    return captureHistory.add(buffer, thumbnail.toPNG());
+  });
+  ipc.handle('capture-history:add-run', (event, id, run) => captureHistory.addRun(id, run));
+  ipc.handle('capture-history:read-image', (event, id) => captureHistory.readImage(id));
+  ipc.handle('capture-history:remove', (event, id) => captureHistory.remove(id));
+  ipc.handle('capture-history:clear', () => captureHistory.clear());
+  ipc.handle('capture-history:set-limits', (event, limits) => {
+    captureHistory.setLimits(limits);
+    return captureHistory.prune();
+  });
+
+  // Educational diagrams with the Gemini image model
+  ipc.handle('generate-diagram', async (event, prompt) => {
+    const apiKey = readSetting('gemini_api_key') || process.env.GEMINI_API_KEY;
+    if (apiKey) nanoBananaService.setApiKey(apiKey);
+    return nanoBananaService.generateImage(prompt, loadConfig().gemini_image_model);
+  });
+}
+
+// Save the valid part of a settings change and send it to the windows other
+// than the one it came from. API keys are not settings and are left out.
+// @returns {{success: boolean, errors: string[], config: Object}} config holds what was saved
+function updateConfig(change, sender = null) {
+  const { values, errors } = configSchema.clean(change);
+  if (errors.length) console.warn('[Config] Ignored invalid settings:', errors.join('; '));
+  if (!Object.keys(values).length) return { success: !errors.length, errors, config: values };
+
+  saveConfig(values);
+  for (const window of [mainWindow, settingsWindow]) {
+    if (window && !window.isDestroyed() && window.webContents !== sender) {
+      ipc.send(window.webContents, 'config-updated', values);
+    }
+  }
+  return { success: !errors.length, errors, config: values };
+}
+
+// Apply a settings profile file (`hintify --config <file>`)
+function loadConfigProfile(file) {
+  try {
+    const { settings, errors } = configSchema.parseImport(fs.readFileSync(file, 'utf8'));
+    if (!settings) throw new Error(errors[0]);
+    if (errors.length) console.warn(`⚠️ Skipped settings in ${file}:`, errors.join('; '));
+    updateConfig(settings);
+    console.log(`⚙️ Loaded ${Object.keys(settings).length} setting(s) from ${file}`);
+  } catch (error) {
+    console.error(`❌ Could not load settings from ${file}:`, error.message);
+    dialog.showErrorBox('Settings not loaded', `${file}: ${error.message}`);
+  }
+}
+
+function isSettingsWindow(sender) {
+  return !!settingsWindow && !settingsWindow.isDestroyed() && sender.id === settingsWindow.webContents.id;
+}
+
+// A setting for the main process: secrets from the vault, the rest from the
+// store. A secret is still in the store when the migration could not move it
+// (a passphrase vault that has not been unlocked yet).
+function readSetting(key) {
+  if (!VAULT_KEYS.includes(key)) return store.get(key);
+  return secretVault.get(key) ?? store.get(key);
+}
+
+// Keep a secret in the vault. Sign-in works without it being kept, so a
+// locked vault only costs the saved session.
+function saveSecret(key, value) {
+  try {
+    secretVault.set(key, value);
+    store.delete(key);
+  } catch (error) {
+    console.warn(`⚠️ Could not save ${key}:`, error.message);
+  }
+}
+
+// Open a link from a page in the system browser. Only web and mail links;
+// anything else (file:, custom schemes) could run local programs.
+function openExternalUrl(url) {
+  try {
+    const { protocol } = new URL(String(url));
+    if (!['http:', 'https:', 'mailto:'].includes(protocol)) {
+      console.warn('[Main] Refusing to open external URL with protocol', protocol);
+      return false;
+    }
+    shell.openExternal(String(url));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Links in app pages open in the browser; the pages themselves never navigate away
+function restrictNavigation(window) {
+  window.webContents.setWindowOpenHandler(({ url }) => {
+    openExternalUrl(url);
+    return { action: 'deny' };
+  });
+  window.webContents.on('will-navigate', (event, url) => {
+    if (url === window.webContents.getURL()) return;
+    event.preventDefault();
+    openExternalUrl(url);
+  });
+}
+
+// Open the local history, start this run's session in it and start syncing
+function initHistory() {
+  captureHistory = new CaptureHistory(path.join(app.getPath('userData'), 'capture-history'), {
+    maxBytes: (Number(store.get('capture_history_max_mb')) || 200) * 1024 * 1024,
+    maxAgeDays: Number(store.get('capture_history_max_days')) || 30
+  });
+  historyStore = new LocalHistoryStore(path.join(app.getPath('userData'), 'history'));
+  historySession = historyStore.startSession({
+    deviceInfo: authService.getDeviceInfo?.() || null,
+    appVersion: app.getVersion()
+  });
+  historySync = new SyncEngine(historyStore, authService, {
+    isOnline: () => net.isOnline(),
+    currentSessionId: historySession.id,
+    confirmClaim: confirmGuestClaim
+  });
+  historySync.on('status', (status) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      ipc.send(mainWindow.webContents, 'history-sync-status', status);
+    }
+  });
+  historySync.start();
+}
+
+// Ask before questions asked as a guest on this device are added to the
+// signed-in account. A refusal holds until more guest questions are asked.
+async function confirmGuestClaim(user, count) {
+  const declined = store.get('history_guest_claim_declined', {});
+  if (declined[user.id] >= count) return false;
+
+  const options = {
+    type: 'question',
+    title: 'Questions Asked as a Guest',
+    message: `Add ${count} question${count === 1 ? '' : 's'} asked as a guest to your account?`,
+    detail: `They were asked on this device while nobody was signed in. Added questions are synced to ${user.email || 'your account'}; kept ones stay in this device's history only.`,
+    buttons: ['Add to My Account', 'Keep on This Device'],
+    defaultId: 0,
+    cancelId: 1
+  };
+  const { response } = mainWindow && !mainWindow.isDestroyed()
+    ? await dialog.showMessageBox(mainWindow, options)
+    : await dialog.showMessageBox(options);
+  if (response === 0) return true;
+  store.set('history_guest_claim_declined', { ...declined, [user.id]: count });
+  return false;
+}
+
+// Sum topic counts of two getUserTopics-shaped lists
+function mergeTopics(a, b) {
+  const merged = new Map();
+  for (const { subject, topic, count } of [...a, ...b]) {
+    const key = JSON.stringify([subject, topic || null]);
+    const entry = merged.get(key) || { subject, topic: topic || null, count: 0 };
+    entry.count += count;
+    merged.set(key, entry);
+  }
+  return [...merged.values()].sort((x, y) => x.subject.localeCompare(y.subject) || y.count - x.count);
+}
+
+// Hide the main window so it is not in the screenshot, run the capture
+// overlay and bring the window back
+async function captureRegion() {
+  const wasVisible = mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible();
+  if (wasVisible) {
+    mainWindow.hide();
+    // Give the compositor time to remove the window from the screen
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  try {
+    return await captureOverlay.capture();
+  } finally {
+    if (wasVisible && mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.show();
+    }
+  }
 }
 
-// Perform data/schema migrations between versions
+// Capture-only mode (`--capture-to`). Exit code 0 when a region was saved,
+// 1 when cancelled, 2 on failure.
+async function runCaptureOnly(outputPath) {
+  if (process.platform === 'darwin' && app.dock) app.dock.hide();
+  try {
+    const png = await captureOverlay.capture();
+    if (png) fs.writeFileSync(outputPath, png);
+    app.exit(png ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Capture failed:', error.message);
+    app.exit(2);
+  }
+}
+
+// Open the secret vault and tell the user when it could not be read or was
+// damaged and replaced by a new one
+function checkSecretVault() {
+  try {
+    secretVault.load();
+  } catch (error) {
+    console.error('❌ Secret vault:', error.message);
+    dialog.showErrorBox('Saved API keys unavailable', `${error.message}\n\nAPI keys and sign-in tokens cannot be read or saved until this is fixed.`);
+    return;
+  }
+  const { recovered } = secretVault;
+  if (recovered) {
+    dialog.showErrorBox('Saved API keys were reset', `${recovered.error}. The file was moved to ${recovered.backup} and a new, empty vault was started; enter your API keys again in Settings.`);
+  }
+}
+
+// Run the pending data migrations. Runs on every start and when the secret
+// vault is unlocked; steps that are blocked (a locked vault) or failed are
+// tried again next time.
 function performMigrations(fromVersion, toVersion) {
   try {
-    console.log(`🔄 Performing migrations from ${fromVersion} to ${toVersion}...`);
-    // Add data/schema migrations here as needed in future versions
-    // Currently no-op
-    console.log('✅ Migrations complete');
+    if (fromVersion !== toVersion) console.log(`🔄 Performing migrations from ${fromVersion} to ${toVersion}...`);
+    for (const { id, status, changes, backup, reason } of migrator.run()) {
+      if (status === 'migrated') {
+        console.log(`✅ Migration ${id}: ${changes.join('; ')} (backup in ${backup})`);
+      } else if (status === 'blocked') {
+        console.log(`⏸️ Migration ${id} postponed: ${reason}`);
+      } else if (status === 'failed') {
+        console.warn(`⚠️ Migration ${id} failed: ${reason}`);
+      }
+    }
   } catch (e) {
     console.warn('⚠️ Migration error:', e?.message || e);
   }
 }
 
+// Developer menu: what the pending migrations would change, without running them
+function showMigrationReport() {
+  const report = Migrator.formatReport(migrator.dryRun());
+  console.log(`[Migrations] Dry run:\n${report}`);
+  const options = {
+    type: 'info',
+    title: 'Migration Dry Run',
+    message: 'Pending data migrations',
+    detail: report || 'No migrations are defined.',
+    buttons: ['OK']
+  };
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    dialog.showMessageBox(mainWindow, options);
+  } else {
+    dialog.showMessageBox(options);
+  }
+}
+
 function createMainWindow() {
   const config = loadConfig();
 
@@ -934,10 +1440,11 @@ function createMainWindow() {
     alwaysOnTop: true,
     fullscreenable: true,
     webPreferences: {
-      nodeIntegration: true,
-      nodeIntegrationInSubFrames: true,
-      contextIsolation: false,
-      enableRemoteModule: true,
+      // Built by scripts/build-preload.js
+      preload: path.join(__dirname, 'preload.bundle.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
       webSecurity: true
     },
     icon: resolveAsset('logo_m.png'),
@@ -987,10 +1494,7 @@ function createMainWindow() {
   mainWindow.on('resized', saveWindowBounds);
 
   // Handle external links
-  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
-    shell.openExternal(url);
-    return { action: 'deny' };
-  });
+  restrictNavigation(mainWindow);
 
   return mainWindow;
 }
@@ -1021,11 +1525,12 @@ function createSettingsWindow(theme = 'theme-dark') {
     modal: false, // Allow interaction with main window
     show: false, // Don't show until ready
     webPreferences: {
-      nodeIntegration: true,
-      nodeIntegrationInSubFrames: true,
-      contextIsolation: false,
-      enableRemoteModule: true,
-      webSecurity: false  // Disabled for proper CSS loading and button visibility
+      // Built by scripts/build-preload.js
+      preload: path.join(__dirname, 'preload.bundle.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      webSecurity: true
     },
     icon: resolveAsset('logo_m.png'),
     title: 'Hintify Settings',
@@ -1040,7 +1545,7 @@ function createSettingsWindow(theme = 'theme-dark') {
   settingsWindow.once('ready-to-show', () => {
     // Send theme to settings window after it's ready
     console.log('[Main] Settings window ready, sending theme:', theme);
-    settingsWindow.webContents.send('apply-theme', theme);
+    ipc.send(settingsWindow.webContents, 'apply-theme', theme);
 
     settingsWindow.show();
     settingsWindow.focus();
@@ -1056,10 +1561,7 @@ function createSettingsWindow(theme = 'theme-dark') {
   });
 
   // Handle external links
-  settingsWindow.webContents.setWindowOpenHandler(({ url }) => {
-    shell.openExternal(url);
-    return { action: 'deny' };
-  });
+  restrictNavigation(settingsWindow);
 
   return settingsWindow;
 }
@@ -1115,7 +1617,7 @@ function createMenuTemplate() {
 
             // Notify main window
             if (mainWindow && !mainWindow.isDestroyed()) {
-              mainWindow.webContents.send('auth-status-updated', {
+              ipc.send(mainWindow.webContents, 'auth-status-updated', {
                 authenticated: false
               });
             }
@@ -1124,7 +1626,7 @@ function createMenuTemplate() {
           label: 'Sign In...',
           click: () => {
             if (mainWindow && !mainWindow.isDestroyed()) {
-              mainWindow.webContents.send('show-sign-in');
+              ipc.send(mainWindow.webContents, 'show-sign-in');
             } else {
               // Open browser directly for authentication
               const authUrl = 'https://hintify.nexus-v.tech/sign-in?source=app';
@@ -1164,7 +1666,7 @@ function createMenuTemplate() {
           accelerator: 'CmdOrCtrl+Shift+S',
           click: () => {
             if (mainWindow) {
-              mainWindow.webContents.send('trigger-capture');
+              ipc.send(mainWindow.webContents, 'trigger-capture');
             }
           }
         },
@@ -1173,7 +1675,7 @@ function createMenuTemplate() {
           accelerator: 'CmdOrCtrl+Shift+V',
           click: () => {
             if (mainWindow) {
-              mainWindow.webContents.send('process-clipboard');
+              ipc.send(mainWindow.webContents, 'process-clipboard');
             }
           }
         }
@@ -1197,6 +1699,10 @@ function createMenuTemplate() {
           accelerator: 'F12',
           role: 'toggleDevTools'
         },
+        {
+          label: 'Migration Dry Run…',
+          click: () => showMigrationReport()
+        },
         { type: 'separator' },
         {
           label: 'Actual Size',
@@ -1247,22 +1753,22 @@ function createMenuTemplate() {
               if (isDevelopment || !app.isPackaged) {
                 console.log('🚫 Check for updates (menu): Disabled in development mode');
                 if (mainWindow && !mainWindow.isDestroyed()) {
-                  mainWindow.webContents.send('update-status', { status: 'unsupported' });
+                  ipc.send(mainWindow.webContents, 'update-status', { status: 'unsupported' });
                 }
                 return;
               }
 
               if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.send('update-status', { status: 'checking' });
+                ipc.send(mainWindow.webContents, 'update-status', { status: 'checking' });
               }
               if (autoUpdater) {
                 autoUpdater.checkForUpdates();
               } else if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.send('update-status', { status: 'unsupported' });
+                ipc.send(mainWindow.webContents, 'update-status', { status: 'unsupported' });
               }
             } catch (e) {
               if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.send('update-error', { message: e?.message || String(e) });
+                ipc.send(mainWindow.webContents, 'update-error', { message: e?.message || String(e) });
               }
             }
           }
@@ -1289,7 +1795,7 @@ function registerGlobalShortcuts() {
 
   globalShortcut.register(captureShortcut, () => {
     if (mainWindow) {
-      mainWindow.webContents.send('trigger-capture');
+      ipc.send(mainWindow.webContents, 'trigger-capture');
     }
   });
 
@@ -1383,7 +1889,7 @@ async function handleDeepLink(url) {
 
           // Notify renderer of successful authentication
           if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('auth:clerk-success', {
+            ipc.send(mainWindow.webContents, 'auth:clerk-success', {
               user: result.user,
               timestamp: new Date().toISOString()
             });
@@ -1410,7 +1916,7 @@ async function handleDeepLink(url) {
 
           // Notify renderer of error
           if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('auth:clerk-error', {
+            ipc.send(mainWindow.webContents, 'auth:clerk-error', {
               error: result.error,
               timestamp: new Date().toISOString()
             });
@@ -1444,7 +1950,7 @@ async function handleDeepLink(url) {
 
           // Notify renderer of successful authentication
           if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('auth:clerk-success', {
+            ipc.send(mainWindow.webContents, 'auth:clerk-success', {
               user: result.user,
               timestamp: new Date().toISOString()
             });
@@ -1471,7 +1977,7 @@ async function handleDeepLink(url) {
 
           // Notify renderer of error
           if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('auth:clerk-error', {
+            ipc.send(mainWindow.webContents, 'auth:clerk-error', {
               error: result.error,
               timestamp: new Date().toISOString()
             });
@@ -1608,13 +2114,14 @@ async function processDeepLinkAuth(tokens) {
     }
 
     // Store tokens securely
-    store.set('supabase_access_token', tokens.access_token);
-    store.set('supabase_refresh_token', tokens.refresh_token);
+    saveSecret('supabase_access_token', tokens.access_token);
+    saveSecret('supabase_refresh_token', tokens.refresh_token);
     store.set('supabase_token_expires_at', Date.now() + (tokens.expires_in * 1000));
 
     // Process authentication through existing auth service
     if (authService) {
       await authService.processAuthentication(userData);
+      historySync?.schedule(0);
     }
 
     // Update local storage
@@ -1624,7 +2131,7 @@ async function processDeepLinkAuth(tokens) {
 
     // Notify main window of successful authentication
     if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('auth-status-updated', {
+      ipc.send(mainWindow.webContents, 'auth-status-updated', {
         authenticated: true,
         user: userData,
         timestamp: new Date().toISOString(),
@@ -1665,13 +2172,13 @@ function setupAutoUpdater() {
     // Forward updater events to renderer
     autoUpdater.on('checking-for-update', () => {
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('update-status', { status: 'checking' });
+        ipc.send(mainWindow.webContents, 'update-status', { status: 'checking' });
       }
     });
 
     autoUpdater.on('update-available', (info) => {
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('update-available', {
+        ipc.send(mainWindow.webContents, 'update-available', {
           version: info?.version,
           releaseName: info?.releaseName,
           releaseNotes: info?.releaseNotes
@@ -1681,20 +2188,20 @@ function setupAutoUpdater() {
 
     autoUpdater.on('update-not-available', () => {
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('update-not-available', { currentVersion: app.getVersion() });
+        ipc.send(mainWindow.webContents, 'update-not-available', { currentVersion: app.getVersion() });
       }
     });
 
     autoUpdater.on('error', (err) => {
       console.error('AutoUpdater error:', err);
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('update-error', { message: err?.message || String(err) });
+        ipc.send(mainWindow.webContents, 'update-error', { message: err?.message || String(err) });
       }
     });
 
     autoUpdater.on('download-progress', (progress) => {
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('update-download-progress', {
+        ipc.send(mainWindow.webContents, 'update-download-progress', {
           percent: progress?.percent || 0,
           transferred: progress?.transferred,
           total: progress?.total,
@@ -1706,7 +2213,7 @@ function setupAutoUpdater() {
     autoUpdater.on('update-downloaded', (info) => {
       console.log('✅ Update downloaded:', info?.version);
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('update-downloaded', { version: info?.version });
+        ipc.send(mainWindow.webContents, 'update-downloaded', { version: info?.version });
       }
       // Small delay to allow UI to update, then install
       setTimeout(() => {
@@ -1740,6 +2247,7 @@ function setupApp() {
   authService.initializeFromStorage(store).then(authInitialized => {
     if (authInitialized) {
       console.log('🔄 Supabase authentication restored from storage');
+      historySync.schedule(0);
     }
   }).catch(error => {
     console.error('❌ Failed to initialize Supabase authentication:', error);
@@ -1752,7 +2260,7 @@ function setupApp() {
 
       // Notify renderer if main window exists
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('auth:clerk-status-changed', {
+        ipc.send(mainWindow.webContents, 'auth:clerk-status-changed', {
           authenticated: true,
           user: userData
         });
@@ -1803,13 +2311,14 @@ function setupApp() {
 // This is critical for deep link handling - when a deep link is triggered:
 // - If app is not running: App launches and receives URL via process.argv
 // - If app is already running: 'second-instance' event fires with the URL
-const gotTheLock = app.requestSingleInstanceLock();
+// A capture-only run works next to the running app, so it takes no lock
+const gotTheLock = captureToPath ? true : app.requestSingleInstanceLock();
 
 if (!gotTheLock) {
   // Another instance is already running, quit this one
   console.log('⚠️ Another instance is already running, quitting...');
   app.quit();
-} else {
+} else if (!captureToPath) {
   // Register protocols for deep linking
   if (process.defaultApp) {
     // Development mode - register with electron executable path
@@ -1856,6 +2365,10 @@ app.on('second-instance', (event, commandLine) => {
     console.log('🔗 Deep link URL from second instance:', url);
     handleDeepLink(url);
   }
+
+  // `hintify --config <file>` while the app is running
+  const configProfile = configArgument(commandLine);
+  if (configProfile) loadConfigProfile(configProfile);
 });
 
 /**
@@ -1876,6 +2389,11 @@ app.on('open-url', (event, url) => {
 
 // App event handlers
 app.whenReady().then(async () => {
+  if (captureToPath) {
+    await runCaptureOnly(captureToPath);
+    return;
+  }
+
   // Clear caches in development before any initialization
   await clearDevCachesIfDev();
 
@@ -1889,9 +2407,19 @@ app.whenReady().then(async () => {
       copyright: '© 2025 AryanVBW — demo@hintify.app'
     });
   }
+  initHistory();
   // Register IPC handlers after app is ready
   registerIpcHandlers();
 
+  // A channel pages can call but nothing answers is a bug; refuse to start
+  const missingHandlers = ipc.missingHandlers();
+  if (missingHandlers.length) {
+    console.error('❌ IPC channels without a handler:', missingHandlers.join(', '));
+    dialog.showErrorBox('Hintify could not start', `These IPC channels have no handler: ${missingHandlers.join(', ')}`);
+    app.exit(1);
+    return;
+  }
+
   // Handle deep link from command line arguments (Windows/Linux)
   // Support both hintify:// and myapp:// protocols
   const url = process.argv.find(arg => arg.startsWith('hintify://') || arg.startsWith('myapp://'));
@@ -1900,6 +2428,18 @@ app.whenReady().then(async () => {
     deeplinkingUrl = url;
   }
 
+  checkSecretVault();
+
+  // Run migrations before any window reads the settings
+  try {
+    const currentVersion = app.getVersion();
+    performMigrations(store.get('last_run_version') || null, currentVersion);
+    store.set('last_run_version', currentVersion);
+  } catch { }
+
+  const configProfile = configArgument(process.argv);
+  if (configProfile) loadConfigProfile(configProfile);
+
   setupApp();
 
   // Initial update check for public repository (no token needed)
@@ -1922,16 +2462,6 @@ app.whenReady().then(async () => {
     console.log('🚫 Initial update check: Skipped (development mode)');
   }
 
-  // Run migrations on version change
-  try {
-    const currentVersion = app.getVersion();
-    const lastVersion = store.get('last_run_version');
-    if (lastVersion && lastVersion !== currentVersion) {
-      performMigrations(lastVersion, currentVersion);
-    }
-    store.set('last_run_version', currentVersion);
-  } catch { }
-
   // Initialize auto-updater and perform an initial check (if not dismissed recently)
   // Only in production mode
   setupAutoUpdater();
@@ -1956,8 +2486,9 @@ app.whenReady().then(async () => {
 });
 
 app.on('window-all-closed', () => {
-  // On macOS, keep app running even when all windows are closed
-  if (process.platform !== 'darwin') {
+  // On macOS, keep app running even when all windows are closed.
+  // Capture-only runs exit by themselves once the PNG is written.
+  if (process.platform !== 'darwin' && !captureToPath) {
     app.quit();
   }
 });
@@ -1965,6 +2496,11 @@ app.on('window-all-closed', () => {
 app.on('will-quit', () => {
   // Unregister all shortcuts
   globalShortcut.unregisterAll();
+
+  if (historySync) {
+    historySync.stop();
+    historyStore.endSession(historySession.id);
+  }
 });
 
 app.on('activate', () => {
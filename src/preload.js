@@ -1,9 +1,15 @@
 /**
- * Preload Script - Secure IPC Bridge for Clerk Authentication
+ * Preload Script - Secure IPC Bridge
  * 
- * This script runs in a privileged context with access to both Node.js APIs
- * and the renderer's DOM. It uses Electron's contextBridge to expose a secure
- * API to the renderer process.
+ * Loaded into every app window (main, settings, capture overlay). Pages run
+ * with context isolation and without Node.js; everything that needs Node or
+ * Electron goes through `window.hintify` below or the auth APIs.
+ * 
+ * Windows are sandboxed, so this script can only require Electron itself.
+ * The services it requires are inlined by scripts/build-preload.js, which
+ * writes the preload.bundle.js the windows load; they must not require
+ * Node.js modules. It uses Electron's contextBridge to expose a secure API
+ * to the renderer process.
  * 
  * Security Features:
  * - Context isolation enabled: Renderer cannot directly access Node.js APIs
@@ -19,6 +25,147 @@
  */
 
 const { contextBridge, ipcRenderer } = require('electron');
+const HintSchema = require('./services/HintSchema');
+const AttemptCheckSchema = require('./services/AttemptCheckSchema');
+const AnswerLeakGuard = require('./services/AnswerLeakGuard');
+const PromptTemplates = require('./services/PromptTemplates');
+const QuestionClassifier = require('./services/QuestionClassifier');
+const Languages = require('./services/Languages');
+const MathOcr = require('./services/MathOcr');
+const QuestionSplitter = require('./services/QuestionSplitter');
+const ProviderHealth = require('./services/providers/ProviderHealth');
+const IpcContract = require('./services/IpcContract');
+const ConfigSchema = require('./services/ConfigSchema');
+
+// Page client for the IPC contract: one method per channel, e.g.
+// `api.captureHistoryAddRun(id, run)` for 'capture-history:add-run'.
+// Arguments are checked here too, so a bad call fails in the page that
+// made it; the main process checks them again.
+function createApiClient() {
+  const api = {};
+  for (const [channel, { kind, internal }] of Object.entries(IpcContract.CHANNELS)) {
+    if (internal) continue;
+    api[IpcContract.methodName(channel)] = (...args) => {
+      const errors = IpcContract.validate(channel, args);
+      if (errors.length) {
+        const error = new Error(IpcContract.describeErrors(channel, errors));
+        if (kind === 'invoke') return Promise.reject(error);
+        throw error;
+      }
+      if (kind === 'invoke') return ipcRenderer.invoke(channel, ...args);
+      if (kind === 'sync') return ipcRenderer.sendSync(channel, ...args);
+      ipcRenderer.send(channel, ...args);
+    };
+  }
+  return api;
+}
+
+const api = createApiClient();
+
+function checkEvent(channel) {
+  if (!IpcContract.EVENTS[channel]) {
+    throw new Error(`[IPC] Event "${channel}" is not in the IPC contract`);
+  }
+}
+
+// contextBridge copies objects without their prototype, so class instances
+// cross it as plain objects of bound methods
+function toFacade(instance) {
+  const facade = {};
+  for (let proto = Object.getPrototypeOf(instance); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (name !== 'constructor' && !(name in facade) && typeof proto[name] === 'function') {
+        facade[name] = proto[name].bind(instance);
+      }
+    }
+  }
+  return facade;
+}
+
+/**
+ * Expose the app bridge
+ *
+ * - `api`: calls to the main process, generated from the IPC contract.
+ * - `ipc`: listeners for the contract's events. Listeners get an empty
+ *   object in place of the event, which would give pages the unrestricted
+ *   ipcRenderer through `event.sender`.
+ * - `store`: electron-store in the main process. API keys and sign-in
+ *   tokens are not in it; the settings window reaches API keys through the
+ *   `secrets*` API methods. Settings are read-only here; they are saved
+ *   with `api.configSet`. Pages can only write the keys main.js lists in
+ *   PAGE_STORE_KEYS.
+ * - `lib`: the pure services the pages share with the main process. Classes
+ *   are created with `X.create(...)`.
+ */
+contextBridge.exposeInMainWorld('hintify', {
+  platform: process.platform,
+
+  /**
+   * file:// URL of the assets directory, with a trailing slash
+   */
+  assetsUrl: ipcRenderer.sendSync('app:assets-url'),
+
+  api,
+
+  ipc: {
+    /**
+     * @returns {Function} Cleanup function to remove the listener
+     */
+    on: (channel, callback) => {
+      checkEvent(channel);
+      const listener = (_event, ...args) => callback({}, ...args);
+      ipcRenderer.on(channel, listener);
+      return () => ipcRenderer.removeListener(channel, listener);
+    },
+    removeAllListeners: (channel) => {
+      checkEvent(channel);
+      ipcRenderer.removeAllListeners(channel);
+    }
+  },
+
+  store: {
+    get: (key, defaultValue) => ipcRenderer.sendSync('store:get', key, defaultValue),
+    set: (key, value) => ipcRenderer.sendSync('store:set', key, value),
+    delete: (key) => ipcRenderer.sendSync('store:delete', key)
+  },
+
+  lib: {
+    HintSchema,
+    AttemptCheckSchema,
+    Languages,
+    MathOcr,
+    QuestionSplitter,
+    AnswerLeakGuard: {
+      create: () => toFacade(new AnswerLeakGuard()),
+      GRADE_SCHEMA: AnswerLeakGuard.GRADE_SCHEMA,
+      REDACTED: AnswerLeakGuard.REDACTED
+    },
+    PromptTemplates: {
+      create: (custom) => toFacade(new PromptTemplates(custom)),
+      KINDS: PromptTemplates.KINDS,
+      KIND_LABELS: PromptTemplates.KIND_LABELS,
+      VARIABLES: PromptTemplates.VARIABLES,
+      DEFAULT_TEMPLATE: PromptTemplates.DEFAULT_TEMPLATE
+    },
+    QuestionClassifier: {
+      create: () => toFacade(new QuestionClassifier()),
+      CLASSIFICATION_SCHEMA: QuestionClassifier.CLASSIFICATION_SCHEMA,
+      FORMAT_LABELS: QuestionClassifier.FORMAT_LABELS,
+      SUBJECT_IDS: QuestionClassifier.SUBJECT_IDS,
+      DIFFICULTIES: QuestionClassifier.DIFFICULTIES
+    },
+    ProviderHealth: {
+      create: (options) => toFacade(new ProviderHealth(options))
+    },
+    // With the fields of the providers the main process runs
+    ConfigSchema: {
+      create: () => toFacade(new ConfigSchema(api.aiProviders())),
+      FIELDS: ConfigSchema.FIELDS,
+      THEMES: ConfigSchema.THEMES,
+      IMAGE_MODELS: ConfigSchema.IMAGE_MODELS
+    }
+  }
+});
 
 /**
  * Expose secure Clerk authentication API to renderer
@@ -53,14 +200,14 @@ contextBridge.exposeInMainWorld('clerkAuth', {
    * 
    * @returns {Promise<{success: boolean, message?: string, error?: string}>}
    */
-  startLogin: () => ipcRenderer.invoke('auth:start-clerk-login'),
+  startLogin: () => api.authStartClerkLogin(),
 
   /**
    * Get current Clerk authentication status
    * 
    * @returns {Promise<{success: boolean, authenticated: boolean, user?: object, sessionValid?: boolean}>}
    */
-  getAuthStatus: () => ipcRenderer.invoke('auth:get-clerk-status'),
+  getAuthStatus: () => api.authGetClerkStatus(),
 
   /**
    * Sign out from Clerk
@@ -72,7 +219,7 @@ contextBridge.exposeInMainWorld('clerkAuth', {
    * 
    * @returns {Promise<{success: boolean, error?: string}>}
    */
-  logout: () => ipcRenderer.invoke('auth:clerk-logout'),
+  logout: () => api.authClerkLogout(),
 
   /**
    * Listen for successful authentication
@@ -132,18 +279,18 @@ contextBridge.exposeInMainWorld('supabaseAuth', {
   /**
    * Start Supabase OAuth login flow (legacy)
    */
-  startLogin: () => ipcRenderer.invoke('open-browser-auth'),
+  startLogin: () => api.openBrowserAuth(),
 
   /**
    * Get Supabase authentication status (legacy)
    */
-  getAuthStatus: () => ipcRenderer.invoke('get-auth-status'),
+  getAuthStatus: () => api.getAuthStatus(),
 
   /**
    * Sign out from Supabase (legacy)
    */
   logout: () => {
-    ipcRenderer.send('user-logged-out');
+    api.userLoggedOut();
     return Promise.resolve({ success: true });
   },
 
@@ -170,17 +317,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
   /**
    * Get app version
    */
-  getAppVersion: () => ipcRenderer.invoke('get-app-version'),
+  getAppVersion: () => api.getAppVersion(),
 
   /**
    * Open external URL in system browser
    */
-  openExternal: (url) => ipcRenderer.invoke('open-external-url', url),
+  openExternal: (url) => api.openExternalUrl(url),
 
   /**
    * Show notification
    */
-  showNotification: (title, body) => ipcRenderer.invoke('show-notification', { title, body }),
+  showNotification: (title, body) => api.showNotification({ title, body }),
 
   /**
    * Get platform information
@@ -190,7 +337,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   /**
    * Check if app is packaged
    */
-  isPackaged: () => ipcRenderer.invoke('is-packaged-app')
+  isPackaged: () => api.isPackagedApp()
 });
 
 console.log('✅ Preload script loaded - Secure IPC bridge established');
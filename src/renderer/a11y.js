@@ -1,10 +1,9 @@
 // Accessibility helper module
 // Provides: TTS for hints, keyboard navigation, font scaling, high-contrast toggle
 
-const Store = require('electron-store');
-const store = new Store();
-
 const A11y = (function() {
+  // electron-store through the preload bridge
+  const { store } = window.hintify;
   const state = {
     ttsEnabled: store.get('a11y_tts_enabled', false),
     highContrast: store.get('a11y_high_contrast', false),
@@ -187,5 +186,3 @@ const A11y = (function() {
 
   return { init, state };
 })();
-
-module.exports = A11y;
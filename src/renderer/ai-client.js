@@ -0,0 +1,141 @@
+/**
+ * AI providers for the app's pages.
+ *
+ * The providers themselves run in the main process (see AiService). This
+ * script gives the pages a registry with the same surface as
+ * `services/providers`: descriptors come from the main process once, and
+ * every generation call is forwarded over IPC. Streamed tokens arrive as
+ * `ai:token` events; aborting a call's `signal` cancels it in the main
+ * process, which then resolves it to the usual "[Cancelled]" string.
+ *
+ * Secrets are never read here. Settings sent with a call hold what the page
+ * knows; the main process fills in API keys, environment values and defaults.
+ */
+const RemoteProviders = (function () {
+  const { ipc, api } = window.hintify;
+  const streams = new Map();
+  let nextRequest = 0;
+
+  ipc.on('ai:token', (_event, { requestId, chunk, text }) => {
+    const onToken = streams.get(requestId);
+    if (onToken) onToken(chunk, text);
+  });
+
+  function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  class RemoteProvider {
+    constructor({ id, label, capabilities, modelKey, configDefaults, configSchema }) {
+      this.id = id;
+      this.label = label;
+      this.capabilities = capabilities;
+      this.modelKey = modelKey;
+      this.configDefaults = configDefaults;
+      this.configSchema = configSchema.map(field => ({
+        ...field,
+        pattern: field.pattern ? new RegExp(field.pattern.source, field.pattern.flags) : undefined
+      }));
+    }
+
+    /**
+     * Settings keyed by schema field. Fields left empty here are resolved in
+     * the main process, so secrets and environment overrides stay there.
+     */
+    resolveSettings(getValue) {
+      const settings = {};
+      for (const field of this.configSchema) {
+        let value = getValue(field.key);
+        if (isEmpty(value) && !field.env && field.type !== 'secret') value = field.default;
+        settings[field.key] = value;
+      }
+      return settings;
+    }
+
+    getConfigDefaults() {
+      return { ...this.configDefaults };
+    }
+
+    getModel(settings = {}) {
+      return settings[this.modelKey] || '';
+    }
+
+    validate(settings = {}) {
+      return api.aiValidate(this.id, settings);
+    }
+
+    /**
+     * Forward a provider call to the main process
+     * @param {string} method - Provider method name
+     * @param {Array} args - Arguments before `settings`
+     * @param {Object} settings
+     * @param {Object} [options] - onToken, signal and responseSchema, as for the providers
+     */
+    async request(method, args, settings, { onToken, signal, responseSchema } = {}) {
+      const requestId = `${Date.now()}-${++nextRequest}`;
+      const onAbort = () => api.aiCancel(requestId);
+      if (onToken) streams.set(requestId, onToken);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      try {
+        return await api.aiCall({ requestId, providerId: this.id, method, args, settings, responseSchema, stream: !!onToken });
+      } catch (error) {
+        return `[LLM Error] ${error.message}`;
+      } finally {
+        streams.delete(requestId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    }
+
+    generateText(prompt, settings, options) {
+      return this.request('generateText', [prompt], settings, options);
+    }
+
+    generateFromImage(prompt, imageBuffer, settings, options) {
+      return this.request('generateFromImage', [prompt, imageBuffer], settings, options);
+    }
+
+    streamText(prompt, settings, options) {
+      return this.request('streamText', [prompt], settings, options);
+    }
+
+    streamFromImage(prompt, imageBuffer, settings, options) {
+      return this.request('streamFromImage', [prompt, imageBuffer], settings, options);
+    }
+
+    chat(messages, settings, options) {
+      return this.request('chat', [messages], settings, options);
+    }
+
+    testConnection(settings) {
+      return api.aiCall({ providerId: this.id, method: 'testConnection', args: [], settings });
+    }
+
+    checkStatus(settings) {
+      return api.aiCall({ providerId: this.id, method: 'checkStatus', args: [], settings });
+    }
+
+    /**
+     * Models the provider's server offers. Rejects when the server cannot be
+     * reached. Server URLs in `settings` are only used for the settings window.
+     * @returns {Promise<Array>}
+     */
+    listModels(settings) {
+      return api.aiCall({ providerId: this.id, method: 'listModels', args: [], settings });
+    }
+  }
+
+  // Same lookups as ProviderRegistry, in the order settings offers them
+  const providers = new Map(api.aiProviders().map(descriptor => [descriptor.id, new RemoteProvider(descriptor)]));
+  const registry = {
+    get: id => providers.get(id) || null,
+    has: id => providers.has(id),
+    list: () => Array.from(providers.values()),
+    getConfigDefaults: () => registry.list().reduce((defaults, provider) => ({ ...defaults, ...provider.getConfigDefaults() }), {}),
+    getChain(config = {}) {
+      const ids = [config.provider, ...(Array.isArray(config.provider_fallback_chain) ? config.provider_fallback_chain : [])];
+      return [...new Set(ids)].map(id => registry.get(id)).filter(Boolean);
+    }
+  };
+
+  return { RemoteProvider, registry };
+})();
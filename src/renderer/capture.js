@@ -0,0 +1,162 @@
+/**
+ * Region capture overlay page. Shows the frozen screenshot of this window's
+ * display, dimmed outside the selection, with a magnifier at the cursor.
+ * Selections are reported in CSS pixels of the window, which equal the
+ * display's DIPs; the main process maps them to screenshot pixels.
+ */
+
+const { ipc, api } = window.hintify;
+
+const MAGNIFIER_SIZE = 128;
+const MAGNIFIER_ZOOM = 8;
+const MAGNIFIER_OFFSET = 24;
+// A press and release closer than this is a click, not a selection
+const MIN_DRAG = 4;
+
+const canvas = document.getElementById('capture-canvas');
+const ctx = canvas.getContext('2d');
+const magnifier = document.getElementById('capture-magnifier');
+const magnifierCtx = magnifier.getContext('2d');
+const sizeLabel = document.getElementById('capture-size');
+
+const screenImage = new Image();
+// Screenshot pixels per CSS pixel; above 1 on HiDPI displays
+let scale = 1;
+let start = null;
+let selection = null;
+
+function normalize(a, b) {
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y)
+  };
+}
+
+function resizeCanvas() {
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(window.innerWidth * ratio);
+  canvas.height = Math.round(window.innerHeight * ratio);
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  draw();
+}
+
+function draw() {
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  ctx.clearRect(0, 0, width, height);
+  if (!screenImage.complete || !screenImage.naturalWidth) return;
+
+  ctx.drawImage(screenImage, 0, 0, width, height);
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+  ctx.fillRect(0, 0, width, height);
+  if (!selection || !selection.width || !selection.height) return;
+
+  // The selection is shown undimmed
+  const { x, y, width: w, height: h } = selection;
+  ctx.drawImage(screenImage, x * scale, y * scale, w * scale, h * scale, x, y, w, h);
+  ctx.strokeStyle = '#6366f1';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, w, h);
+}
+
+function showSize() {
+  if (!selection) {
+    sizeLabel.classList.add('hidden');
+    return;
+  }
+  sizeLabel.textContent = `${Math.round(selection.width * scale)} × ${Math.round(selection.height * scale)}`;
+  sizeLabel.style.left = `${selection.x}px`;
+  sizeLabel.style.top = `${Math.max(0, selection.y - 28)}px`;
+  sizeLabel.classList.remove('hidden');
+}
+
+// Zoomed view of the pixels around the cursor for precise edges
+function showMagnifier(point) {
+  if (!screenImage.naturalWidth) return;
+  const source = MAGNIFIER_SIZE / MAGNIFIER_ZOOM;
+  magnifierCtx.imageSmoothingEnabled = false;
+  magnifierCtx.fillStyle = '#000000';
+  magnifierCtx.fillRect(0, 0, MAGNIFIER_SIZE, MAGNIFIER_SIZE);
+  magnifierCtx.drawImage(
+    screenImage,
+    point.x * scale - source / 2, point.y * scale - source / 2, source, source,
+    0, 0, MAGNIFIER_SIZE, MAGNIFIER_SIZE
+  );
+  magnifierCtx.strokeStyle = 'rgba(99, 102, 241, 0.9)';
+  magnifierCtx.lineWidth = 1;
+  magnifierCtx.beginPath();
+  magnifierCtx.moveTo(MAGNIFIER_SIZE / 2, 0);
+  magnifierCtx.lineTo(MAGNIFIER_SIZE / 2, MAGNIFIER_SIZE);
+  magnifierCtx.moveTo(0, MAGNIFIER_SIZE / 2);
+  magnifierCtx.lineTo(MAGNIFIER_SIZE, MAGNIFIER_SIZE / 2);
+  magnifierCtx.stroke();
+
+  // Below right of the cursor, flipped near the edges of the display
+  const left = point.x + MAGNIFIER_OFFSET + MAGNIFIER_SIZE > window.innerWidth
+    ? point.x - MAGNIFIER_OFFSET - MAGNIFIER_SIZE
+    : point.x + MAGNIFIER_OFFSET;
+  const top = point.y + MAGNIFIER_OFFSET + MAGNIFIER_SIZE > window.innerHeight
+    ? point.y - MAGNIFIER_OFFSET - MAGNIFIER_SIZE
+    : point.y + MAGNIFIER_OFFSET;
+  magnifier.style.left = `${left}px`;
+  magnifier.style.top = `${top}px`;
+  magnifier.classList.remove('hidden');
+}
+
+function cancel() {
+  api.captureOverlayCancel();
+}
+
+ipc.on('capture-overlay:init', (_event, { image, width }) => {
+  screenImage.onload = () => {
+    scale = screenImage.naturalWidth / width;
+    resizeCanvas();
+  };
+  screenImage.src = image;
+});
+
+window.addEventListener('resize', resizeCanvas);
+
+canvas.addEventListener('pointerdown', (event) => {
+  if (event.button !== 0) return;
+  canvas.setPointerCapture(event.pointerId);
+  start = { x: event.clientX, y: event.clientY };
+  selection = null;
+  draw();
+});
+
+canvas.addEventListener('pointermove', (event) => {
+  const point = { x: event.clientX, y: event.clientY };
+  showMagnifier(point);
+  if (!start) return;
+  selection = normalize(start, point);
+  draw();
+  showSize();
+});
+
+canvas.addEventListener('pointerup', (event) => {
+  if (!start) return;
+  selection = normalize(start, { x: event.clientX, y: event.clientY });
+  start = null;
+  if (selection.width < MIN_DRAG || selection.height < MIN_DRAG) {
+    selection = null;
+    draw();
+    showSize();
+    return;
+  }
+  api.captureOverlaySelect(selection);
+});
+
+document.addEventListener('pointerleave', () => magnifier.classList.add('hidden'));
+
+// Right click cancels, as in most screenshot tools
+document.addEventListener('contextmenu', (event) => {
+  event.preventDefault();
+  cancel();
+});
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') cancel();
+});
@@ -2,13 +2,13 @@
  * Clerk Authentication Helper for Renderer Process
  * 
  * This module provides a simple interface for Clerk OAuth authentication
- * in the renderer process. Since the app uses nodeIntegration: true and
- * contextIsolation: false, we can directly use ipcRenderer.
+ * in the renderer process. Pages run with context isolation, so IPC goes
+ * through `window.hintify.api` and `window.hintify.ipc` from preload.js. Load it with a
+ * script tag before the page's own script.
  * 
  * Usage:
  * ```javascript
- * const ClerkAuthHelper = require('./clerk-auth-helper');
- * const clerkAuth = new ClerkAuthHelper();
+ * const clerkAuth = getClerkAuthHelper();
  * 
  * // Start login
  * await clerkAuth.startLogin();
@@ -30,13 +30,11 @@
  * ```
  */
 
-const { ipcRenderer } = require('electron');
-const EventEmitter = require('events');
-
-class ClerkAuthHelper extends EventEmitter {
+class ClerkAuthHelper {
   constructor() {
-    super();
-    
+    // Application callbacks by event name
+    this.listeners = new Map();
+
     // Set up IPC listeners for auth events
     this.setupListeners();
     
@@ -45,13 +43,31 @@ class ClerkAuthHelper extends EventEmitter {
     this.currentUser = null;
   }
 
+  /**
+   * Register a callback for 'success', 'error', 'statusChanged', 'login',
+   * 'logout' or 'loginStarted'
+   */
+  on(eventName, callback) {
+    if (!this.listeners.has(eventName)) this.listeners.set(eventName, []);
+    this.listeners.get(eventName).push(callback);
+    return this;
+  }
+
+  emit(eventName, ...args) {
+    (this.listeners.get(eventName) || []).forEach(callback => callback(...args));
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+
   /**
    * Set up IPC listeners for authentication events
    * @private
    */
   setupListeners() {
     // Listen for successful authentication
-    ipcRenderer.on('auth:clerk-success', (event, data) => {
+    window.hintify.ipc.on('auth:clerk-success', (event, data) => {
       console.log('🎉 Clerk authentication successful:', data);
       
       this.isAuthenticated = true;
@@ -63,7 +79,7 @@ class ClerkAuthHelper extends EventEmitter {
     });
 
     // Listen for authentication errors
-    ipcRenderer.on('auth:clerk-error', (event, data) => {
+    window.hintify.ipc.on('auth:clerk-error', (event, data) => {
       console.error('❌ Clerk authentication error:', data);
       
       this.isAuthenticated = false;
@@ -75,7 +91,7 @@ class ClerkAuthHelper extends EventEmitter {
     });
 
     // Listen for auth status changes (login/logout)
-    ipcRenderer.on('auth:clerk-status-changed', (event, data) => {
+    window.hintify.ipc.on('auth:clerk-status-changed', (event, data) => {
       console.log('🔄 Clerk auth status changed:', data);
       
       this.isAuthenticated = data.authenticated;
@@ -117,7 +133,7 @@ class ClerkAuthHelper extends EventEmitter {
     try {
       console.log('🔐 Starting Clerk OAuth login...');
       
-      const result = await ipcRenderer.invoke('auth:start-clerk-login');
+      const result = await window.hintify.api.authStartClerkLogin();
       
       if (result.success) {
         console.log('✅ Browser opened for authentication');
@@ -143,7 +159,7 @@ class ClerkAuthHelper extends EventEmitter {
    */
   async getAuthStatus() {
     try {
-      const result = await ipcRenderer.invoke('auth:get-clerk-status');
+      const result = await window.hintify.api.authGetClerkStatus();
       
       if (result.success) {
         this.isAuthenticated = result.authenticated;
@@ -176,7 +192,7 @@ class ClerkAuthHelper extends EventEmitter {
     try {
       console.log('🚪 Signing out from Clerk...');
       
-      const result = await ipcRenderer.invoke('auth:clerk-logout');
+      const result = await window.hintify.api.authClerkLogout();
       
       if (result.success) {
         console.log('✅ Logout successful');
@@ -220,28 +236,20 @@ class ClerkAuthHelper extends EventEmitter {
    * Call this when the component/page is unmounted
    */
   destroy() {
-    ipcRenderer.removeAllListeners('auth:clerk-success');
-    ipcRenderer.removeAllListeners('auth:clerk-error');
-    ipcRenderer.removeAllListeners('auth:clerk-status-changed');
+    window.hintify.ipc.removeAllListeners('auth:clerk-success');
+    window.hintify.ipc.removeAllListeners('auth:clerk-error');
+    window.hintify.ipc.removeAllListeners('auth:clerk-status-changed');
     this.removeAllListeners();
   }
 }
 
-// Export singleton instance for convenience
-let instance = null;
-
-module.exports = {
-  ClerkAuthHelper,
-  
-  /**
-   * Get singleton instance of ClerkAuthHelper
-   * This ensures only one instance exists across the app
-   */
-  getInstance: () => {
+// Singleton instance, so only one helper listens across the page
+const getClerkAuthHelper = (() => {
+  let instance = null;
+  return () => {
     if (!instance) {
       instance = new ClerkAuthHelper();
     }
     return instance;
-  }
-};
-
+  };
+})();
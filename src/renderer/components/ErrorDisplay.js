@@ -3,8 +3,6 @@
  * Beautiful error handling with animations and illustrations
  */
 
-const lottie = require('lottie-web');
-
 class ErrorDisplay {
   constructor() {
     this.animationContainer = null;
@@ -457,6 +455,3 @@ class ErrorDisplay {
     document.head.appendChild(style);
   }
 }
-
-module.exports = ErrorDisplay;
-
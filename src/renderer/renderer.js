@@ -1,19 +1,29 @@
-const { ipcRenderer, clipboard, nativeImage, shell } = require('electron');
-const Store = require('electron-store');
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
-const { spawn } = require('child_process');
-const os = require('os');
-const ErrorDisplay = require('./components/ErrorDisplay');
-const A11y = require('./a11y');
-const { getInstance: getClerkAuthHelper } = require('./clerk-auth-helper');
-const NanoBananaService = require('../services/NanoBananaService');
-
-// Initialize store and error display
-const store = new Store();
+// The page runs without Node.js. Everything else goes through the preload
+// bridge: `api` calls the main process (one method per channel of the IPC
+// contract), `ipcRenderer` listens to its events and `store` is
+// electron-store in the main process (see preload.js). ErrorDisplay, A11y,
+// getClerkAuthHelper and RemoteProviders come from the scripts loaded before this one.
+const { api, ipc: ipcRenderer, store, platform } = window.hintify;
+const {
+  HintSchema,
+  AnswerLeakGuard,
+  AttemptCheckSchema,
+  PromptTemplates,
+  QuestionClassifier,
+  Languages,
+  MathOcr,
+  QuestionSplitter,
+  ProviderHealth,
+  ConfigSchema
+} = window.hintify.lib;
+const { registry: providerRegistry } = RemoteProviders;
+
+// Initialize error display
 const errorDisplay = new ErrorDisplay();
-const nanoBananaService = new NanoBananaService();
+// Per-session provider health, used to skip failing providers in the fallback chain
+const providerHealth = ProviderHealth.create();
+const leakGuard = AnswerLeakGuard.create();
+const questionClassifier = QuestionClassifier.create();
 
 // Initialize Clerk authentication helper
 const clerkAuth = getClerkAuthHelper();
@@ -23,6 +33,9 @@ let currentConfig = {};
 let isProcessing = false;
 let userInfo = null;
 let currentQuestionData = null; // Store current question for saving to database
+let lastProviderAnswer = null; // Provider/model that produced the latest hints
+let attemptCheckArmed = false; // Next paste/capture is the student's working for currentQuestionData
+let activeCapture = null; // Capture history entry the hints being generated belong to
 // Permission state management
 class PermissionManager {
   constructor() {
@@ -121,7 +134,7 @@ class PermissionMonitor {
 
   // Start monitoring permission changes
   startMonitoring() {
-    if (this.isMonitoring || process.platform !== 'darwin') return;
+    if (this.isMonitoring || platform !== 'darwin') return;
 
     console.log('[PermissionMonitor] Starting permission change monitoring');
     this.isMonitoring = true;
@@ -233,7 +246,7 @@ class PermissionLogger {
       message,
       context: {
         ...context,
-        platform: process.platform,
+        platform,
         sessionFlags: permissionManager.sessionFlags,
         cachedPermissions: permissionManager.getCachedPermissionStatus()
       }
@@ -269,7 +282,7 @@ class PermissionLogger {
   // Get diagnostic report
   async getDiagnosticReport() {
     try {
-      const mainDiagnostics = await ipcRenderer.invoke('get-permission-diagnostics');
+      const mainDiagnostics = await api.getPermissionDiagnostics();
 
       return {
         timestamp: new Date().toISOString(),
@@ -318,58 +331,41 @@ class PermissionLogger {
 // Initialize permission logger
 const permissionLogger = new PermissionLogger();
 
-// Default configuration
-const defaultConfig = {
-  provider: 'gemini',
-  ollama_model: 'granite3.2-vision:2b',
-  gemini_model: 'gemini-2.0-flash',
-  theme: 'dark',
-  // When enabled, screenshots are sent directly to the AI model (vision) without OCR
-  advanced_mode: true,
-  story_mode: false
-};
+// Settings with their types and defaults, shared with the main process and settings
+const configSchema = ConfigSchema.create();
 
 // Load configuration
 function loadConfig() {
-  const config = { ...defaultConfig };
-  Object.keys(defaultConfig).forEach(key => {
-    const stored = store.get(key);
-    if (stored !== undefined) {
-      config[key] = stored;
-    }
-  });
-  currentConfig = config;
-  return config;
+  currentConfig = configSchema.load(key => store.get(key));
+  return currentConfig;
 }
 
-// Save configuration
+// Save configuration. The main process checks the values and tells the
+// settings window about them.
 function saveConfig(config) {
-  Object.keys(config).forEach(key => {
-    store.set(key, config[key]);
-  });
   currentConfig = { ...currentConfig, ...config };
+  api.configSet(config).then(({ errors }) => {
+    if (errors.length) console.warn('[Config] Settings not saved:', errors);
+  }).catch(error => console.error('[Config] Failed to save settings:', error));
 }
 
-// Apply theme to body
-function applyTheme(theme) {
+// Apply the saved theme (`app-theme`, see initializeThemeToggle) and glassy mode to body
+function applyTheme() {
   // Remove all theme classes
-  document.body.classList.remove('theme-dark', 'theme-light', 'glassy-mode');
+  document.body.classList.remove('theme-dark', 'theme-pastel', 'theme-light', 'glassy-mode');
   document.documentElement.classList.remove('theme-glassy');
 
-  // Apply the selected theme
-  if (theme === 'glass') {
+  if (store.get('glassy_mode', false)) {
     document.body.classList.add('theme-dark', 'glassy-mode');
     document.documentElement.classList.add('theme-glassy');
-    store.set('glassy_mode', true);
   } else {
-    document.body.classList.add(`theme-${theme || 'dark'}`);
-    store.set('glassy_mode', false);
+    document.body.classList.add(store.get('app-theme', 'theme-dark'));
   }
 }
 
 // Platform-aware modifier key label for shortcuts
 function getModKeyLabel() {
-  try { return process.platform === 'darwin' ? 'Cmd' : 'Ctrl'; } catch { return 'Ctrl'; }
+  try { return platform === 'darwin' ? 'Cmd' : 'Ctrl'; } catch { return 'Ctrl'; }
 }
 
 // Check authentication status with enhanced validation
@@ -393,7 +389,7 @@ async function checkAuthStatus() {
     if (isAuthenticated && userData) {
       // Validate session with main process
       try {
-        const authStatus = await ipcRenderer.invoke('get-auth-status');
+        const authStatus = await api.getAuthStatus();
 
         if (authStatus.success && authStatus.authenticated && authStatus.sessionValid) {
           console.log('✅ User is authenticated with valid session, setting up UI...');
@@ -734,9 +730,8 @@ async function handleClerkSignIn() {
       console.error('❌ Failed to start Clerk login:', result.error);
       // Fallback: open the browser sign-in directly via main process
       try {
-        const { ipcRenderer } = require('electron');
         updateStatus('Opening browser for sign-in...');
-        const fb = await ipcRenderer.invoke('open-browser-auth');
+        const fb = await api.openBrowserAuth();
         if (fb?.success) {
           updateStatus('Please complete sign-in in your browser...');
         } else {
@@ -751,9 +746,8 @@ async function handleClerkSignIn() {
     console.error('❌ Clerk sign-in error:', error);
     // Fallback: attempt direct browser sign-in
     try {
-      const { ipcRenderer } = require('electron');
       updateStatus('Opening browser for sign-in...');
-      const fb = await ipcRenderer.invoke('open-browser-auth');
+      const fb = await api.openBrowserAuth();
       if (fb?.success) {
         updateStatus('Please complete sign-in in your browser...');
       } else {
@@ -843,8 +837,7 @@ function handleSignIn() {
   console.log('🔐 Sign in requested from main app - opening browser directly');
 
   // Use IPC to tell main process to open browser for authentication
-  const { ipcRenderer } = require('electron');
-  ipcRenderer.invoke('open-browser-auth').then((result) => {
+  api.openBrowserAuth().then((result) => {
     if (result.success) {
       updateStatus('Please complete sign-in in your browser...');
 
@@ -928,55 +921,40 @@ function showAuthenticationTimeoutDialog() {
   });
 }
 
-// Save question and answer to database (works in both authenticated and guest mode)
+// Save question and answer to the local history (guests and offline
+// included); it is synced to the database in the background when signed in
 async function saveQuestionAnswer(questionText, answerText, questionType = 'text', imageData = null, metadata = null, processingTime = null) {
-  if (!userInfo && !window.isGuestMode) {
-    console.warn('Cannot save Q&A: user not authenticated and not in guest mode');
-    return false;
-  }
-
-  // In guest mode, we don't save to database but still return success for UI consistency
-  if (window.isGuestMode && !userInfo) {
-    console.log('📝 Guest Mode: Q&A would be saved if authenticated:', {
-      questionText: questionText.substring(0, 100) + '...',
-      questionType,
-      hasImageData: !!imageData
-    });
-    return true; // Return success for UI consistency
-  }
-
   try {
     const data = {
       questionText,
       answerText,
       questionType,
-      aiProvider: currentConfig.provider,
-      aiModel: currentConfig.provider === 'ollama' ? currentConfig.ollama_model : currentConfig.gemini_model,
+      aiProvider: metadata?.ai_provider || currentConfig.provider,
+      aiModel: metadata?.ai_model || getActiveProvider().model,
       imageData,
       metadata,
       processingTime
     };
 
-    const result = await ipcRenderer.invoke('save-question-answer', data);
+    const result = await api.saveQuestionAnswer(data);
 
     if (result.success) {
-      console.log('✅ Question and answer saved to database:', result);
+      console.log('✅ Question and answer saved to history:', result);
 
       // Log the activity
       await logActivity('question_answer', 'saved', {
         questionId: result.questionId,
-        answerId: result.answerId,
         questionType,
         aiProvider: data.aiProvider
       });
 
-      return true;
+      return result;
     } else {
-      console.error('❌ Failed to save Q&A to database:', result.error);
+      console.error('❌ Failed to save Q&A to history:', result.error);
       return false;
     }
   } catch (error) {
-    console.error('❌ Error saving Q&A to database:', error);
+    console.error('❌ Error saving Q&A to history:', error);
     return false;
   }
 }
@@ -991,7 +969,7 @@ async function logActivity(featureName, action, details = null) {
   try {
     if (userInfo) {
       // Authenticated user - log to database
-      await ipcRenderer.invoke('log-activity', featureName, action, details);
+      await api.logActivity(featureName, action, details);
     } else if (window.isGuestMode) {
       // Guest mode - log locally for debugging/analytics
       console.log(`📊 Guest Activity: ${featureName}.${action}`, details || '');
@@ -1011,7 +989,7 @@ async function transferDataToPortal() {
   try {
     showLoading(true, 'Transferring data to Portal...');
 
-    const result = await ipcRenderer.invoke('transfer-data-to-portal');
+    const result = await api.transferDataToPortal();
 
     showLoading(false);
 
@@ -1041,7 +1019,7 @@ async function exportUserData(format = 'json') {
   try {
     showLoading(true, `Exporting data as ${format.toUpperCase()}...`);
 
-    const result = await ipcRenderer.invoke('export-user-data', format);
+    const result = await api.exportUserData(format);
 
     showLoading(false);
 
@@ -1068,15 +1046,11 @@ async function exportUserData(format = 'json') {
   }
 }
 
-// Get user history
-async function getUserHistory() {
-  if (!userInfo) {
-    console.warn('Cannot get history: user not authenticated');
-    return [];
-  }
-
+// Get user history, optionally filtered by { subject, topic }. Guests get
+// the questions they asked on this device.
+async function getUserHistory(filters = {}) {
   try {
-    const result = await ipcRenderer.invoke('get-user-history', 50);
+    const result = await api.getUserHistory(50, filters);
 
     if (result.success) {
       return result.history;
@@ -1103,7 +1077,44 @@ function handleLogout() {
   updateAuthUI(false);
 
   // Send message to main process
-  ipcRenderer.send('user-logged-out');
+  api.userLoggedOut();
+}
+
+// Fill the history topic filter with the subjects and topics of saved
+// questions. Option values are JSON-encoded { subject, topic } filters.
+async function loadHistoryTopics(selected = '') {
+  const select = document.getElementById('history-topic-filter');
+  if (!select) return;
+
+  let topics = [];
+  try {
+    const result = await api.getUserTopics();
+    if (result.success) topics = result.topics;
+  } catch (error) {
+    console.error('Error getting history topics:', error);
+  }
+
+  select.innerHTML = '<option value="">All topics</option>';
+  let group = null;
+  for (const { subject, topic, count } of topics) {
+    if (group?.dataset.subject !== subject) {
+      group = document.createElement('optgroup');
+      group.dataset.subject = subject;
+      group.label = questionClassifier.subjectLabel(subject);
+      const all = document.createElement('option');
+      all.value = JSON.stringify({ subject });
+      all.textContent = `All ${questionClassifier.subjectLabel(subject)}`;
+      group.appendChild(all);
+      select.appendChild(group);
+    }
+    if (!topic) continue;
+    const option = document.createElement('option');
+    option.value = JSON.stringify({ subject, topic });
+    option.textContent = `${topic} (${count})`;
+    group.appendChild(option);
+  }
+  select.value = selected;
+  select.classList.toggle('hidden', topics.length === 0);
 }
 
 // Show history modal
@@ -1116,11 +1127,19 @@ async function showHistoryModal() {
   // Show modal
   modal.classList.remove('hidden');
 
+  const filterSelect = document.getElementById('history-topic-filter');
+  if (filterSelect && !filterSelect.dataset.bound) {
+    filterSelect.dataset.bound = 'true';
+    filterSelect.addEventListener('change', () => showHistoryModal());
+  }
+  const selectedFilter = filterSelect?.value || '';
+  loadHistoryTopics(selectedFilter);
+
   // Show loading
   historyContent.innerHTML = '<div class="loading-message">Loading history...</div>';
 
   try {
-    const history = await getUserHistory();
+    const history = await getUserHistory(selectedFilter ? JSON.parse(selectedFilter) : {});
 
     if (history.length === 0) {
       historyContent.innerHTML = `
@@ -1139,7 +1158,11 @@ async function showHistoryModal() {
         groupedHistory[item.question_id] = {
           question: item.question_text,
           questionType: item.question_type,
+          topic: item.topic || (item.subject ? questionClassifier.subjectLabel(item.subject) : ''),
           questionDate: item.question_created_at,
+          rating: item.rating || null,
+          // Rows only in Neon (other devices) have no sync_state
+          localOnly: item.sync_state === 'pending' || item.sync_state === 'conflict',
           answers: []
         };
       }
@@ -1172,6 +1195,9 @@ async function showHistoryModal() {
             <div class="history-answer">${escapeHtml(answer.text)}</div>
             <div class="history-meta">
               <span class="history-date">${formattedDate}</span>
+              ${item.topic ? `<span class="history-topic">${escapeHtml(item.topic)}</span>` : ''}
+              ${item.rating ? `<span class="material-icons history-rating" title="${item.rating === 'like' ? 'Helpful' : 'Not helpful'}">${item.rating === 'like' ? 'thumb_up' : 'thumb_down'}</span>` : ''}
+              ${item.localOnly ? '<span class="history-local" title="Not synced to your account yet">This device</span>' : ''}
               <span class="history-provider">${answer.provider || 'Unknown'}</span>
             </div>
           `).join('')}
@@ -1208,6 +1234,331 @@ async function showHistoryModal() {
   }
 }
 
+// Icon and label of the status bar's history indicator per sync state
+const HISTORY_SYNC_VIEW = {
+  local: { icon: 'save', text: 'Saved on this device' },
+  offline: { icon: 'cloud_off', text: 'Offline, saved on this device' },
+  syncing: { icon: 'sync', text: 'Syncing history...' },
+  synced: { icon: 'cloud_done', text: 'History synced' },
+  error: { icon: 'sync_problem', text: 'Sync failed' }
+};
+
+function showHistorySyncStatus(status) {
+  const button = document.getElementById('history-sync-status');
+  if (!button || !status) return;
+  const view = HISTORY_SYNC_VIEW[status.state] || HISTORY_SYNC_VIEW.local;
+
+  const counts = [];
+  // Guests' questions are not waiting for anything
+  if (status.pending && status.state !== 'local') counts.push(`${status.pending} waiting`);
+  if (status.conflicts) counts.push(`${status.conflicts} not synced`);
+  document.getElementById('history-sync-text').textContent = [view.text, ...counts].join(' · ');
+  button.querySelector('.material-icons').textContent = view.icon;
+  button.dataset.state = status.state;
+
+  const details = [`${status.total} question${status.total === 1 ? '' : 's'} in history`];
+  if (status.lastSyncedAt) details.push(`Last synced ${new Date(status.lastSyncedAt).toLocaleString()}`);
+  if (status.error) details.push(status.error);
+  button.title = details.join('\n');
+}
+
+async function initHistorySync() {
+  ipcRenderer.on('history-sync-status', (event, status) => showHistorySyncStatus(status));
+  // Push right away when the connection comes back; report going offline
+  window.addEventListener('online', () => api.syncHistoryNow());
+  window.addEventListener('offline', () => api.syncHistoryNow());
+  document.getElementById('history-sync-status')?.addEventListener('click', showHistoryModal);
+
+  try {
+    showHistorySyncStatus(await api.getHistorySyncStatus());
+  } catch (error) {
+    console.warn('History sync status unavailable:', error.message);
+  }
+}
+
+function captureHistoryLimits(config = currentConfig) {
+  return {
+    maxBytes: (Number(config.capture_history_max_mb) || 200) * 1024 * 1024,
+    maxAgeDays: Number(config.capture_history_max_days) || 30
+  };
+}
+
+// Local screenshot history, kept by the main process (see CaptureHistory)
+const captureHistory = {
+  list: () => api.captureHistoryList(),
+  get: id => api.captureHistoryGet(id),
+  add: imageBuffer => api.captureHistoryAdd(imageBuffer),
+  addRun: (id, run) => api.captureHistoryAddRun(id, run),
+  readImage: id => api.captureHistoryReadImage(id),
+  remove: id => api.captureHistoryRemove(id),
+  clear: () => api.captureHistoryClear(),
+  setLimits: limits => api.captureHistorySetLimits(limits)
+};
+
+async function initCaptureHistory() {
+  try {
+    await captureHistory.setLimits(captureHistoryLimits());
+  } catch (error) {
+    console.warn('[CaptureHistory] Unavailable:', error.message);
+  }
+}
+
+// Save a screenshot to the capture history, or reuse `historyId` for a re-run.
+// Returns the entry the hints should be recorded on, or null.
+async function recordCapture(imageBuffer, historyId = null) {
+  if (historyId) return { id: historyId };
+  if (currentConfig.capture_history === false) return null;
+
+  try {
+    return await captureHistory.add(imageBuffer);
+  } catch (error) {
+    console.warn('[CaptureHistory] Could not save capture:', error.message);
+    return null;
+  }
+}
+
+// Record hints just generated on the capture they came from
+function recordCaptureRun(question) {
+  if (!activeCapture) return;
+  if (!question.answerText || question.answerText.startsWith('[Cancelled]')) return;
+
+  captureHistory.addRun(activeCapture.id, {
+    mode: question.questionType === 'image_direct' ? 'advanced' : 'standard',
+    provider: lastProviderAnswer?.provider || currentConfig.provider,
+    model: lastProviderAnswer?.model || '',
+    questionText: question.questionText,
+    hints: question.answerText,
+    structuredHints: question.structuredHints || null,
+    failed: isHintError(question.answerText)
+  }).catch(error => console.warn('[CaptureHistory] Could not save run:', error.message));
+}
+
+// Run `task` with some config values replaced, e.g. to re-run a capture
+// on another provider. The previous values are restored afterwards.
+async function withConfigOverrides(overrides, task) {
+  const saved = Object.fromEntries(Object.keys(overrides).map(key => [key, currentConfig[key]]));
+  Object.assign(currentConfig, overrides);
+  try {
+    return await task();
+  } finally {
+    Object.assign(currentConfig, saved);
+  }
+}
+
+// Process a saved capture again. `provider` and `model` are optional; with
+// a provider the fallback chain is skipped so that provider's answer is the
+// one recorded. With `compare` the new result is shown next to the latest
+// earlier one.
+async function rerunCapture(entryId, { mode, provider, model, compare }) {
+  const image = await captureHistory.readImage(entryId);
+  if (!image) {
+    updateStatus('That capture is no longer in the history');
+    return;
+  }
+  const previous = (await captureHistory.get(entryId))?.runs.filter(run => !run.failed).pop();
+
+  const overrides = { advanced_mode: mode === 'advanced' };
+  const selected = providerRegistry.get(provider);
+  if (selected) {
+    overrides.provider = selected.id;
+    overrides.provider_fallback_chain = [];
+    if (model) overrides[selected.modelKey] = model;
+  }
+
+  // Re-runs skip the review step and question picker so the result is recorded under these settings
+  await withConfigOverrides(overrides, () => processImage(image, { historyId: entryId, interactive: false }));
+  updateProvider(currentConfig.provider, getActiveProvider().model);
+
+  const latest = (await captureHistory.get(entryId))?.runs.at(-1);
+  if (compare && previous && latest && latest.id !== previous.id) {
+    showCaptureRuns([previous, latest]);
+  }
+}
+
+function describeRun(run) {
+  const provider = providerRegistry.get(run.provider)?.label || run.provider || 'Unknown';
+  const mode = run.mode === 'advanced' ? 'Advanced' : 'Standard';
+  return `${mode} · ${provider}${run.model ? ` (${run.model})` : ''}`;
+}
+
+// Show one run of a capture, or two side by side
+function showCaptureRuns(runs) {
+  const hintsDisplay = document.getElementById('hints-display');
+  if (!hintsDisplay) return;
+  hintsDisplay.innerHTML = '';
+  attemptCheckArmed = false;
+
+  const view = document.createElement('div');
+  view.className = `run-comparison fade-in${runs.length > 1 ? ' two' : ''}`;
+  runs.forEach(run => {
+    const column = document.createElement('div');
+    column.className = 'run-comparison-column';
+    const header = document.createElement('div');
+    header.className = 'run-comparison-header';
+    header.textContent = describeRun(run);
+    const date = document.createElement('small');
+    date.textContent = new Date(run.createdAt).toLocaleString();
+    header.appendChild(date);
+    column.appendChild(header);
+
+    if (run.failed) {
+      const error = document.createElement('div');
+      error.className = 'hint-text';
+      error.textContent = run.hints;
+      column.appendChild(error);
+    } else {
+      renderHintContent(column, run.hints, run.structuredHints);
+    }
+    view.appendChild(column);
+    renderMath(column, run.hints);
+  });
+  hintsDisplay.appendChild(view);
+  updateStatus(runs.length > 1 ? 'Comparing results' : 'Showing a saved result');
+}
+
+// Capture history panel: thumbnails of recent captures with their runs,
+// re-run settings and a clear-all button
+async function showCaptureHistory() {
+  const modal = document.getElementById('capture-history-modal');
+  const content = document.getElementById('capture-history-content');
+  if (!modal || !content) return;
+  modal.classList.remove('hidden');
+  content.innerHTML = '';
+
+  const entries = await captureHistory.list().catch(() => []);
+  if (!entries.length) {
+    content.innerHTML = `
+      <div class="empty-history">
+        <h4>No Captures Yet</h4>
+        <p>Screenshots you process are kept here so you can run them again.</p>
+      </div>
+    `;
+    return;
+  }
+
+  // Re-run settings shared by every capture
+  const controls = document.createElement('div');
+  controls.className = 'capture-rerun-controls';
+  const modeSelect = document.createElement('select');
+  modeSelect.setAttribute('aria-label', 'Mode for re-runs');
+  [['standard', 'Standard Mode (OCR)'], ['advanced', 'Advanced Mode (vision)']].forEach(([value, label]) => {
+    modeSelect.add(new Option(label, value));
+  });
+  modeSelect.value = currentConfig.advanced_mode ? 'advanced' : 'standard';
+  const providerSelect = document.createElement('select');
+  providerSelect.setAttribute('aria-label', 'Provider for re-runs');
+  providerSelect.add(new Option('Current provider', ''));
+  providerRegistry.list().forEach(provider => providerSelect.add(new Option(provider.label, provider.id)));
+  const modelInput = document.createElement('input');
+  modelInput.type = 'text';
+  modelInput.placeholder = 'Model (optional)';
+  modelInput.setAttribute('aria-label', 'Model for re-runs');
+  const compareLabel = document.createElement('label');
+  const compareBox = document.createElement('input');
+  compareBox.type = 'checkbox';
+  compareBox.checked = true;
+  compareLabel.append(compareBox, ' Compare with the last result');
+  controls.append(modeSelect, providerSelect, modelInput, compareLabel);
+  content.appendChild(controls);
+
+  const list = document.createElement('div');
+  list.className = 'history-content';
+  entries.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'history-item capture-history-item';
+
+    const thumb = document.createElement('img');
+    thumb.className = 'capture-history-thumb';
+    thumb.src = entry.thumbnailUrl;
+    thumb.alt = 'Captured screenshot';
+
+    const details = document.createElement('div');
+    details.className = 'capture-history-details';
+    const question = document.createElement('div');
+    question.className = 'history-question';
+    const lastRun = entry.runs[entry.runs.length - 1];
+    question.textContent = lastRun?.questionText && !lastRun.questionText.startsWith('[')
+      ? lastRun.questionText
+      : 'Screenshot';
+    const date = document.createElement('div');
+    date.className = 'history-date';
+    date.textContent = new Date(entry.createdAt).toLocaleString();
+    details.append(question, date);
+
+    // Each run can be shown; any two can be compared
+    const picked = new Set();
+    const compareBtn = document.createElement('button');
+    compareBtn.className = 'btn btn-secondary';
+    compareBtn.textContent = 'Compare selected';
+    compareBtn.disabled = true;
+    compareBtn.addEventListener('click', () => {
+      modal.classList.add('hidden');
+      showCaptureRuns(entry.runs.filter(run => picked.has(run.id)));
+    });
+
+    entry.runs.forEach(run => {
+      const row = document.createElement('label');
+      row.className = 'capture-history-run';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.addEventListener('change', () => {
+        if (box.checked) picked.add(run.id); else picked.delete(run.id);
+        compareBtn.disabled = picked.size !== 2;
+      });
+      const text = document.createElement('span');
+      text.textContent = `${describeRun(run)}${run.failed ? ' · failed' : ''}`;
+      const show = document.createElement('button');
+      show.className = 'btn btn-secondary';
+      show.textContent = 'Show';
+      show.addEventListener('click', (e) => {
+        e.preventDefault();
+        modal.classList.add('hidden');
+        showCaptureRuns([run]);
+      });
+      row.append(box, text, show);
+      details.appendChild(row);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'capture-history-actions';
+    const rerunBtn = document.createElement('button');
+    rerunBtn.className = 'btn btn-primary';
+    rerunBtn.textContent = 'Re-run';
+    rerunBtn.addEventListener('click', () => {
+      modal.classList.add('hidden');
+      rerunCapture(entry.id, {
+        mode: modeSelect.value,
+        provider: providerSelect.value,
+        model: modelInput.value.trim(),
+        compare: compareBox.checked
+      });
+    });
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-secondary';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      await captureHistory.remove(entry.id);
+      showCaptureHistory();
+    });
+    actions.append(rerunBtn, compareBtn, deleteBtn);
+    details.appendChild(actions);
+
+    item.append(thumb, details);
+    list.appendChild(item);
+  });
+  content.appendChild(list);
+}
+
+// Base64 of image bytes, e.g. a screenshot to save with its question
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunks keep the argument list of fromCharCode within engine limits
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
 // Escape HTML to prevent XSS
 function escapeHtml(text) {
   const div = document.createElement('div');
@@ -1218,20 +1569,10 @@ function escapeHtml(text) {
 // Load app images with proper paths
 function loadAppImages() {
   try {
-    const isDev = process.env.NODE_ENV === 'development' || process.argv.includes('--development');
-    const basePath = isDev ? '../../assets/' : (process.resourcesPath + '/assets/');
-
+    // The main process knows where the assets are in dev and packaged builds
     const assetUrl = (filename) => {
-      if (isDev) return `../../assets/${filename}`;
       try {
-        const full = path.join(basePath, filename);
-        // Convert to file:// URL for absolute paths
-        if (/^[A-Za-z]:\\/.test(full)) {
-          // Windows path -> file URL
-          return 'file:///' + full.replace(/\\/g, '/');
-        }
-        if (full.startsWith('/')) return `file://${full}`;
-        return full;
+        return new URL(filename, window.hintify.assetsUrl).href;
       } catch { return `../../assets/${filename}`; }
     };
     const setWithFallback = (img, filename) => {
@@ -1284,53 +1625,139 @@ async function checkSystemReadiness() {
 
 // Check AI Provider status
 async function checkAIProviderStatus() {
-  const config = loadConfig();
+  const { provider, settings } = getActiveProvider(loadConfig());
 
-  if (config.provider === 'ollama') {
-    try {
-      await axios.get('http://localhost:11434/api/tags', { timeout: 3000 });
-      updateStatus('Ready - Ollama connected');
-    } catch (error) {
-      console.warn('Ollama status check failed:', error && (error.message || error));
-      updateStatus('Warning: Ollama not running');
-      displayHints(`
-        <div class="warning-message">
-          <h3>⚠️ Ollama Not Running</h3>
-          <p>Ollama is not currently running. To use SnapAssist AI:</p>
-          <ul>
-            <li>Open Ollama application, or</li>
-            <li>Run <code>ollama serve</code> in terminal</li>
-            <li>Or go to Settings and switch to Gemini</li>
-          </ul>
-        </div>
-      `);
-    }
-  } else if (config.provider === 'gemini') {
-    const apiKey = store.get('gemini_api_key') || process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      updateStatus('Warning: Gemini API key not set');
-      displayHints(`
-        <div class="warning-message">
-          <h3>⚠️ Gemini API Key Missing</h3>
-          <p>Please configure your Gemini API key in Settings to use Google's AI.</p>
-          <p>Get your free API key from <a href="#" onclick="require('electron').shell.openExternal('https://makersuite.google.com/app/apikey')">Google AI Studio</a></p>
-        </div>
-      `);
-    } else {
-      updateStatus('Ready - Gemini configured');
+  if (!provider) {
+    updateStatus('Warning: No AI provider configured');
+    return;
+  }
+
+  const result = await provider.checkStatus(settings);
+  updateStatus(result.status);
+  if (!result.ready && result.warning) {
+    displayHints(result.warning);
+  }
+}
+
+// Resolve the settings a provider reads.
+// Values come from the current config first, then the store (API keys live there).
+function resolveProviderSettings(provider, config = currentConfig) {
+  return provider.resolveSettings(key => (config[key] !== undefined ? config[key] : store.get(key)));
+}
+
+// Resolve the configured provider and its settings
+function getActiveProvider(config = currentConfig) {
+  const provider = providerRegistry.get(config.provider);
+  if (!provider) {
+    return { provider: null, settings: {}, model: '' };
+  }
+
+  const settings = resolveProviderSettings(provider, config);
+  return { provider, settings, model: provider.getModel(settings) };
+}
+
+// Errors that should move on to the next provider in the fallback chain
+function isProviderFailure(text) {
+  return !text || /^\[(Setup|LLM Error)\]/.test(String(text).trim());
+}
+
+// Metadata recording which provider/model produced the latest hints
+function providerAnswerMetadata() {
+  return lastProviderAnswer
+    ? { ai_provider: lastProviderAnswer.provider, ai_model: lastProviderAnswer.model, ai_fallback: lastProviderAnswer.fallback }
+    : {};
+}
+
+// Send a prompt (and optionally a screenshot) through the provider chain.
+// `options.responseSchema` asks providers for structured (JSON) output.
+async function queryActiveProvider(prompt, imageBuffer = null, options = {}) {
+  return runProviderChain((provider, settings) => callProvider(provider, settings, prompt, imageBuffer, options));
+}
+
+// Run `call(provider, settings)` against the provider chain: the selected
+// provider first, then the configured fallbacks. Providers cooling down after
+// repeated failures or rate limits are skipped.
+async function runProviderChain(call) {
+  lastProviderAnswer = null;
+
+  const chain = providerRegistry.getChain(currentConfig);
+  if (!chain.length) {
+    return '[Setup] No valid AI provider configured.';
+  }
+
+  // If every provider is cooling down, try them anyway rather than fail outright
+  const healthy = chain.filter(provider => providerHealth.isHealthy(provider.id));
+  const candidates = healthy.length ? healthy : chain;
+  if (healthy.length < chain.length) {
+    console.log('[Provider] Skipping unhealthy providers:', chain.filter(p => !healthy.includes(p)).map(p => p.id));
+  }
+
+  let firstError = null;
+  for (const provider of candidates) {
+    const settings = resolveProviderSettings(provider);
+    if (provider !== candidates[0]) {
+      updateStatus(`Trying ${provider.label}...`);
+    }
+
+    const started = Date.now();
+    const result = await call(provider, settings);
+
+    if (String(result).startsWith('[Cancelled]')) {
+      return result;
+    }
+    if (isProviderFailure(result)) {
+      console.warn(`[Provider] ${provider.label} failed:`, result);
+      providerHealth.recordFailure(provider.id, result);
+      firstError = firstError || result;
+      continue;
     }
+
+    providerHealth.recordSuccess(provider.id, Date.now() - started);
+    const fallback = provider.id !== currentConfig.provider;
+    lastProviderAnswer = { provider: provider.id, model: provider.getModel(settings), fallback };
+    updateProvider(provider.id, lastProviderAnswer.model, fallback ? `fallback, ${currentConfig.provider} unavailable` : '');
+    return result;
+  }
+
+  // Report the selected provider's error; it is the one the user configured
+  return firstError;
+}
+
+// Query a single provider. Streaming providers render hints as they arrive
+// and can be cancelled.
+async function callProvider(provider, settings, prompt, imageBuffer = null, { responseSchema, displayFilter } = {}) {
+  if (!provider.capabilities.streaming) {
+    if (imageBuffer) {
+      return provider.generateFromImage(prompt, imageBuffer, settings, { responseSchema });
+    }
+    return provider.generateText(prompt, settings, { responseSchema });
+  }
+
+  const controller = new AbortController();
+  const view = createHintStreamView(() => controller.abort(), displayFilter);
+  // The stream view replaces the spinner so the cancel button stays reachable
+  showLoading(false);
+
+  const options = { signal: controller.signal, responseSchema, onToken: (_chunk, text) => view.update(text) };
+  let result = '';
+  try {
+    result = imageBuffer
+      ? await provider.streamFromImage(prompt, imageBuffer, settings, options)
+      : await provider.streamText(prompt, settings, options);
+    return result;
+  } finally {
+    const cancelled = String(result).startsWith('[Cancelled]');
+    view.finish(cancelled);
+    if (cancelled) updateStatus('Cancelled');
   }
 }
 
 // Check OCR status
 async function checkOCRStatus() {
-  const tesseractAvailable = await checkTesseractAvailable();
+  const { native: tesseractAvailable, workers: nodeWorkersOk } = await api.ocrStatus();
 
   if (!tesseractAvailable) {
     // Native tesseract not present; we'll rely on Tesseract.js node build
-    let nodeWorkersOk = true;
-    try { require('worker_threads'); } catch { nodeWorkersOk = false; }
-
     if (!nodeWorkersOk) {
       console.warn('OCR fallback warning: Node worker_threads not available. Built-in OCR may not start on this system.');
     } else {
@@ -1374,11 +1801,14 @@ function syncModeToggleUI(cfg) {
   } catch { }
 }
 
-// Update provider text
-function updateProvider(provider, model) {
+// Update provider text; `note` explains e.g. that a fallback provider answered
+function updateProvider(provider, model, note = '') {
   const providerEl = document.getElementById('provider-text');
   if (providerEl) {
-    providerEl.textContent = `Provider: ${provider} (${model})`;
+    providerEl.textContent = `Provider: ${provider} (${model})${note ? ` · ${note}` : ''}`;
+
+    const health = providerHealth.getStatus(provider);
+    providerEl.title = health.avgLatencyMs !== null ? `Average response time: ${(health.avgLatencyMs / 1000).toFixed(1)}s` : '';
   }
 }
 
@@ -1398,15 +1828,36 @@ function showLoading(show = true, text = 'Processing...') {
   }
 }
 
+// Error strings produced by the providers and pipelines. Only the bracket
+// prefix marks a failure; hint text may legitimately mention "Error".
+function isHintError(text) {
+  return !text || /^\[(Setup|LLM Error|OCR Error|Error)\]/.test(String(text).trim());
+}
+
+// Structured response behind some hint text: the parsed reply stored with the
+// current question, or the text itself when it is a JSON reply
+function structuredHintsFor(hintsText) {
+  if (currentQuestionData?.structuredHints && currentQuestionData.answerText === hintsText) {
+    return currentQuestionData.structuredHints;
+  }
+  return hintsText.trim().startsWith('{') ? HintSchema.parse(hintsText).data : null;
+}
+
 // Display hints in the UI
 function displayHints(hintsText) {
   const hintsDisplay = document.getElementById('hints-display');
   if (!hintsDisplay) return;
 
-  // Clear existing content
+  // A cancelled stream keeps the hints that had already arrived on screen
+  if (hintsText && hintsText.startsWith('[Cancelled]')) {
+    return;
+  }
+
+  // Clear existing content; this also drops a pending "check my step" prompt
   hintsDisplay.innerHTML = '';
+  attemptCheckArmed = false;
 
-  if (!hintsText || hintsText.trim().startsWith('[') || hintsText.includes('Error')) {
+  if (isHintError(hintsText)) {
     // Show error with beautiful animation
     const errorMessage = hintsText || 'Failed to generate hints. Please try again.';
     let errorType = 'general';
@@ -1449,99 +1900,237 @@ function displayHints(hintsText) {
     return;
   }
 
-  // Merge multi-line $$...$$ math blocks so they stay within a single element
-  const mergeMathBlocks = (text) => {
-    const src = String(text || '');
-    const rawLines = src.split('\n');
-    const out = [];
-    let inBlock = false;
-    let buf = '';
-    for (const ln of rawLines) {
-      if (!inBlock) {
-        const cc = (ln.match(/\$\$/g) || []).length;
-        if (cc % 2 === 1) { // enters a $$ block
-          inBlock = true;
-          buf = ln;
-        } else {
-          out.push(ln);
-        }
-      } else {
-        buf += `\n${ln}`;
-        const total = (buf.match(/\$\$/g) || []).length;
-        if (total % 2 === 0) { // balanced -> close
-          out.push(buf);
-          buf = '';
-          inBlock = false;
-        }
-      }
-    }
-    if (buf) out.push(buf);
-    return out.filter(l => l && l.trim());
-  };
-
-  const lines = mergeMathBlocks(hintsText);
-  const parsedHints = [];
-
-  lines.forEach(line => {
-    const trimmed = line.trim();
-    if (!trimmed) return;
-
-    const hintMatch = trimmed.match(/^(Hint\s+\d+:)\s*(.*)$/i);
-
-    if (hintMatch) {
-      // This is a hint line
-      const hintDiv = document.createElement('div');
-      hintDiv.className = 'hint-item fade-in';
-
-      const labelDiv = document.createElement('div');
-      labelDiv.className = 'hint-label';
-      labelDiv.textContent = hintMatch[1];
-
-      const textDiv = document.createElement('div');
-      textDiv.className = 'hint-text';
-      // Keep plain text; KaTeX auto-render will scan and transform $...$ / $$...$$
-      textDiv.textContent = hintMatch[2];
-
-      hintDiv.appendChild(labelDiv);
-      hintDiv.appendChild(textDiv);
-      hintsDisplay.appendChild(hintDiv);
-      parsedHints.push({ label: hintMatch[1], text: hintMatch[2] });
-    } else if (trimmed.toLowerCase().includes('now try') ||
-      trimmed.toLowerCase().includes('work carefully') ||
-      trimmed.toLowerCase().includes('complete')) {
-      // This is encouragement text
-      const encDiv = document.createElement('div');
-      encDiv.className = 'encouragement fade-in';
-
-      const encText = document.createElement('div');
-      encText.className = 'encouragement-text';
-      encText.textContent = trimmed;
-
-      encDiv.appendChild(encText);
-      hintsDisplay.appendChild(encDiv);
-    } else {
-      // Regular text
-      const textDiv = document.createElement('div');
-      textDiv.className = 'hint-text fade-in';
-      textDiv.style.marginBottom = '12px';
-      textDiv.textContent = trimmed;
-      hintsDisplay.appendChild(textDiv);
-    }
-  });
+  const { structured, parsedHints } = renderHintContent(hintsDisplay, hintsText);
   // Place one action bar for the entire hint set
   if (parsedHints.length) {
     const footer = document.createElement('div');
     footer.className = 'hints-footer fade-in';
     const qText = (window.currentQuestionData?.questionText || window.currentQuestionData?.answerText || '') || '';
-    footer.appendChild(createHintActions({ hints: parsedHints, questionText: qText }));
+    // Copy, speak and share only ever see the hints that are on screen
+    const renderActions = (hints) => {
+      footer.replaceChildren(createHintActions({ hints, questionText: qText }));
+      if (window.lucide && window.lucide.createIcons) { window.lucide.createIcons(); }
+    };
     hintsDisplay.appendChild(footer);
-    if (window.lucide && window.lucide.createIcons) { window.lucide.createIcons(); }
+
+    if (currentConfig.progressive_hints && parsedHints.length > 1) {
+      setupProgressiveReveal(hintsDisplay, footer, parsedHints, hintsText, renderActions);
+    } else {
+      renderActions(parsedHints);
+      recordHintsRevealed(hintsText, parsedHints.length, parsedHints.length);
+    }
+
+    // Re-rendering the same hints keeps an ongoing follow-up conversation open
+    if (currentQuestionData?.chat?.length && currentQuestionData.answerText === hintsText) {
+      hintsDisplay.appendChild(createHintChat(currentQuestionData));
+    }
+  }
+  renderMath(hintsDisplay, structured ? HintSchema.toText(structured) : hintsText);
+}
+
+// Render hint cards (or free-form lines) and the encouragement, without the
+// action bar. Returns the structured hints, if any, and { label, text } per hint.
+function renderHintContent(container, hintsText, structured = structuredHintsFor(hintsText)) {
+  const parsedHints = [];
+
+  if (structured && structured.is_question) {
+    appendHintMeta(container, structured);
+    structured.hints.forEach(hint => {
+      parsedHints.push(appendHintCard(container, `Hint ${hint.level}:`, hint.text));
+    });
+    if (structured.encouragement) appendEncouragement(container, structured.encouragement);
+  } else {
+    // Free-form replies (story mode, older models) go through the line parser
+    const lines = mergeMathBlocks(structured ? HintSchema.toText(structured) : hintsText);
+    lines.forEach(line => {
+      const hint = appendHintLine(container, line);
+      if (hint) parsedHints.push(hint);
+    });
   }
-  // Render LaTeX math if KaTeX auto-render is available
+  return { structured, parsedHints };
+}
+
+// Progressive mode: only Hint 1 is visible at first. "Show next hint" unlocks
+// the rest one by one, each after the configured think time. The encouragement
+// stays hidden until the last hint is out.
+function setupProgressiveReveal(container, footer, hints, hintsText, renderActions) {
+  const cards = Array.from(container.querySelectorAll('.hint-item'));
+  const closing = Array.from(container.querySelectorAll('.encouragement'));
+  const thinkMs = Math.max(0, Number(currentConfig.hint_think_time) || 0) * 1000;
+  let revealed = 1;
+
+  cards.slice(1).forEach(card => card.classList.add('hidden'));
+  closing.forEach(el => el.classList.add('hidden'));
+
+  const bar = document.createElement('div');
+  bar.className = 'hint-reveal-bar fade-in';
+  const button = document.createElement('button');
+  button.className = 'btn btn-primary hint-reveal-btn';
+  bar.appendChild(button);
+  container.insertBefore(bar, footer);
+
+  const waitForThinkTime = () => {
+    const unlockAt = Date.now() + thinkMs;
+    const tick = () => {
+      // Stop once these hints have been replaced
+      if (!button.isConnected) return;
+      const remaining = Math.ceil((unlockAt - Date.now()) / 1000);
+      button.disabled = remaining > 0;
+      button.textContent = remaining > 0
+        ? `Next hint in ${remaining}s`
+        : `Show next hint (${revealed + 1} of ${cards.length})`;
+      if (remaining > 0) setTimeout(tick, 1000);
+    };
+    tick();
+  };
+
+  const update = () => {
+    recordHintsRevealed(hintsText, revealed, cards.length);
+    renderActions(hints.slice(0, revealed));
+  };
+
+  button.addEventListener('click', () => {
+    const card = cards[revealed++];
+    card.classList.remove('hidden');
+    card.focus?.();
+    update();
+
+    if (revealed < cards.length) {
+      waitForThinkTime();
+      return;
+    }
+    bar.remove();
+    closing.forEach(el => el.classList.remove('hidden'));
+    // Nothing left to unlock, so the reveal count is final
+    flushPendingSave();
+  });
+
+  update();
+  waitForThinkTime();
+}
+
+// Record in the current question's metadata how many hints the student saw
+function recordHintsRevealed(hintsText, revealed, total) {
+  if (!currentQuestionData || currentQuestionData.answerText !== hintsText) return;
+  currentQuestionData.metadata = {
+    ...currentQuestionData.metadata,
+    progressive_reveal: !!currentConfig.progressive_hints,
+    hints_revealed: revealed,
+    hints_total: total
+  };
+}
+
+// Merge multi-line $$...$$ math blocks so they stay within a single element
+function mergeMathBlocks(text) {
+  const src = String(text || '');
+  const rawLines = src.split('\n');
+  const out = [];
+  let inBlock = false;
+  let buf = '';
+  for (const ln of rawLines) {
+    if (!inBlock) {
+      const cc = (ln.match(/\$\$/g) || []).length;
+      if (cc % 2 === 1) { // enters a $$ block
+        inBlock = true;
+        buf = ln;
+      } else {
+        out.push(ln);
+      }
+    } else {
+      buf += `\n${ln}`;
+      const total = (buf.match(/\$\$/g) || []).length;
+      if (total % 2 === 0) { // balanced -> close
+        out.push(buf);
+        buf = '';
+        inBlock = false;
+      }
+    }
+  }
+  if (buf) out.push(buf);
+  return out.filter(l => l && l.trim());
+}
+
+// Render one line of model output (hint card, encouragement or plain text).
+// Returns { label, text } for hint lines, otherwise null.
+function appendHintLine(container, line) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  const hintMatch = trimmed.match(/^(Hint\s+\d+:)\s*(.*)$/i);
+
+  if (hintMatch) {
+    return appendHintCard(container, hintMatch[1], hintMatch[2]);
+  }
+
+  if (trimmed.toLowerCase().includes('now try') ||
+    trimmed.toLowerCase().includes('work carefully') ||
+    trimmed.toLowerCase().includes('complete')) {
+    appendEncouragement(container, trimmed);
+  } else {
+    // Regular text
+    const textDiv = document.createElement('div');
+    textDiv.className = 'hint-text fade-in';
+    textDiv.style.marginBottom = '12px';
+    textDiv.textContent = trimmed;
+    container.appendChild(textDiv);
+  }
+  return null;
+}
+
+// Render a hint card. Returns { label, text } for the action bar.
+function appendHintCard(container, label, text) {
+  const hintDiv = document.createElement('div');
+  hintDiv.className = 'hint-item fade-in';
+
+  const labelDiv = document.createElement('div');
+  labelDiv.className = 'hint-label';
+  labelDiv.textContent = label;
+
+  const textDiv = document.createElement('div');
+  textDiv.className = 'hint-text';
+  // Keep plain text; KaTeX auto-render will scan and transform $...$ / $$...$$
+  textDiv.textContent = text;
+
+  hintDiv.appendChild(labelDiv);
+  hintDiv.appendChild(textDiv);
+  container.appendChild(hintDiv);
+  return { label, text };
+}
+
+function appendEncouragement(container, text) {
+  const encDiv = document.createElement('div');
+  encDiv.className = 'encouragement fade-in';
+
+  const encText = document.createElement('div');
+  encText.className = 'encouragement-text';
+  encText.textContent = text;
+
+  encDiv.appendChild(encText);
+  container.appendChild(encDiv);
+}
+
+// Topic, question type and difficulty reported in a structured response
+function appendHintMeta(container, structured) {
+  const items = [structured.topic, structured.question_type, structured.difficulty].filter(Boolean);
+  if (!items.length) return;
+
+  const meta = document.createElement('div');
+  meta.className = 'hint-meta fade-in';
+  items.forEach(item => {
+    const chip = document.createElement('span');
+    chip.className = 'hint-meta-item';
+    chip.textContent = item;
+    meta.appendChild(chip);
+  });
+  container.appendChild(meta);
+}
+
+// Render LaTeX math if KaTeX auto-render is available
+function renderMath(element, sourceText) {
   try {
-    const anyHasMath = /\$\$[\s\S]*?\$\$|(^|[^\\])\$[^\n]*?\$(?!\w)/.test(hintsText || '');
+    const anyHasMath = /\$\$[\s\S]*?\$\$|(^|[^\\])\$[^\n]*?\$(?!\w)/.test(sourceText || '');
     if (anyHasMath && window.renderMathInElement) {
-      window.renderMathInElement(hintsDisplay, {
+      window.renderMathInElement(element, {
         delimiters: [
           { left: '$$', right: '$$', display: true },
           { left: '\\[', right: '\\]', display: true },
@@ -1559,6 +2148,99 @@ function displayHints(hintsText) {
   }
 }
 
+// Live view of a streaming response. Each complete line is rendered as its
+// final card straight away; the unfinished line is shown below as plain text.
+// JSON replies are rendered hint by hint as each hint object closes.
+// `filter` may rewrite text before it is shown (e.g. leak redaction).
+function createHintStreamView(onCancel, filter = text => text) {
+  const hintsDisplay = document.getElementById('hints-display');
+  if (!hintsDisplay) return { update() { }, finish() { } };
+
+  hintsDisplay.innerHTML = '';
+
+  const bar = document.createElement('div');
+  bar.className = 'hint-stream-bar fade-in';
+  const status = document.createElement('span');
+  status.className = 'hint-stream-status';
+  status.textContent = 'Waiting for the model...';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'btn btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.setAttribute('aria-label', 'Cancel hint generation');
+  cancelBtn.addEventListener('click', () => {
+    cancelBtn.disabled = true;
+    status.textContent = 'Cancelling...';
+    onCancel();
+  });
+  bar.appendChild(status);
+  bar.appendChild(cancelBtn);
+
+  const list = document.createElement('div');
+  list.className = 'hint-stream-list';
+  list.setAttribute('aria-live', 'polite');
+  const pending = document.createElement('div');
+  pending.className = 'hint-text hint-stream-pending';
+
+  hintsDisplay.appendChild(bar);
+  hintsDisplay.appendChild(list);
+  hintsDisplay.appendChild(pending);
+
+  let renderedLines = 0;
+  let hintCount = 0;
+  // Progressive mode keeps everything after Hint 1 off screen until revealed
+  const maxVisibleHints = currentConfig.progressive_hints ? 1 : Infinity;
+
+  const appendNode = (render, source) => {
+    const node = document.createElement('div');
+    const hint = render(node);
+    if (hintCount >= maxVisibleHints) return hint;
+    renderMath(node, source);
+    while (node.firstChild) list.appendChild(node.firstChild);
+    return hint;
+  };
+
+  return {
+    update(text) {
+      if (/^\s*(\{|```)/.test(text)) {
+        const hints = HintSchema.completedHints(text);
+        for (const hint of hints.slice(hintCount)) {
+          const text = filter(hint.text);
+          appendNode(node => appendHintCard(node, `Hint ${hint.level}:`, text), text);
+          hintCount++;
+        }
+        status.textContent = hintCount ? `Receiving hints... (${hintCount} so far)` : 'Receiving hints...';
+        return;
+      }
+
+      // Only lines terminated by a newline are final
+      const cut = text.lastIndexOf('\n');
+      const complete = cut >= 0 ? text.slice(0, cut) : '';
+      const lines = mergeMathBlocks(complete);
+
+      for (let i = renderedLines; i < lines.length; i++) {
+        // Leave an unclosed $$ block until the rest of it arrives
+        if ((lines[i].match(/\$\$/g) || []).length % 2 === 1) break;
+        const line = filter(lines[i]);
+        if (appendNode(node => appendHintLine(node, line), line)) hintCount++;
+        renderedLines = i + 1;
+      }
+
+      pending.textContent = hintCount >= maxVisibleHints ? '' : filter(text.slice(cut + 1));
+      status.textContent = hintCount ? `Receiving hints... (${hintCount} so far)` : 'Receiving hints...';
+    },
+
+    finish(cancelled = false) {
+      pending.textContent = '';
+      if (cancelled) {
+        status.textContent = 'Generation cancelled';
+        cancelBtn.remove();
+      } else {
+        bar.remove();
+      }
+    }
+  };
+}
+
 // Build tiny action bar for a hint (used by displayHints)
 function createHintActions({ hints, questionText }) {
   const bar = document.createElement('div');
@@ -1591,7 +2273,7 @@ function createHintActions({ hints, questionText }) {
         url = '';
     }
     if (url) {
-      try { require('electron').shell.openExternal(url); } catch { }
+      api.openExternalUrl(url).catch(() => { });
     }
   };
 
@@ -1668,6 +2350,7 @@ function createHintActions({ hints, questionText }) {
           case 'like':
           case 'dislike':
             await logActivity('review', action, { total_hints: hints.length, total_length: flatList.length });
+            await rateCurrentQuestion(action);
             updateStatus(action === 'like' ? 'Marked helpful' : 'Marked unhelpful');
             break;
           case 'regen': {
@@ -1679,23 +2362,24 @@ function createHintActions({ hints, questionText }) {
                 currentQuestionData.questionText || currentQuestionData.answerText,
                 currentQuestionData.metadata?.question_type || 'text',
                 currentQuestionData.metadata?.difficulty || 'Medium',
-                currentQuestionData.answerText || ''
+                currentQuestionData.answerText || '',
+                {
+                  subject: currentQuestionData.metadata?.subject,
+                  topic: currentQuestionData.metadata?.topic,
+                  gradeLevel: currentQuestionData.metadata?.grade_level,
+                  language: currentQuestionData.metadata?.language
+                }
               );
-              const cfg = currentConfig;
-              let newHints;
-              if (cfg.provider === 'ollama') {
-                newHints = await queryOllama(regenPrompt, cfg.ollama_model);
-              } else if (cfg.provider === 'gemini') {
-                const apiKey = store.get('gemini_api_key') || process.env.GEMINI_API_KEY;
-                newHints = apiKey ? await queryGemini(regenPrompt, cfg.gemini_model, apiKey) : '[Setup] Gemini API key not set. Please configure in Settings.';
-              } else {
-                newHints = '[Setup] No valid AI provider configured.';
-              }
+              const { text: newHints, structuredHints } = await requestHints(regenPrompt, null, {
+                questionText: currentQuestionData.questionText,
+                questionType: currentQuestionData.metadata?.question_type
+              });
               // Update context for subsequent actions/saves
               currentQuestionData = {
                 ...currentQuestionData,
                 answerText: newHints,
-                metadata: { ...currentQuestionData.metadata, regenerated: true, previous_hints_length: (flatList || '').length },
+                structuredHints,
+                metadata: { ...currentQuestionData.metadata, ...structuredHintMetadata(structuredHints), ...providerAnswerMetadata(), regenerated: true, previous_hints_length: (flatList || '').length },
                 processingTime: Date.now() - start
               };
               displayHints(newHints);
@@ -1705,6 +2389,12 @@ function createHintActions({ hints, questionText }) {
           case 'share':
             toggleShareMenu(b);
             break;
+          case 'chat':
+            toggleHintChat();
+            break;
+          case 'check':
+            startAttemptCheck();
+            break;
         }
       } catch (err) { updateStatus('Action failed'); }
     });
@@ -1712,13 +2402,15 @@ function createHintActions({ hints, questionText }) {
     return b;
   };
 
-  // Icons: like, dislike, copy, speak, regenerate, share (Lucide)
+  // Icons: like, dislike, copy, speak, follow-up, regenerate, share (Lucide)
   mkBtn('like', 'Liked the hints', 'thumbs-up');
   mkBtn('dislike', 'Disliked the hints', 'thumbs-down');
   mkBtn('copy', 'Copy all hints', 'clipboard');
   // TTS button: add class for accessibility module to pick up
   const speakBtn = mkBtn('speak', 'Speak all hints', 'volume-2');
   speakBtn.classList.add('hint-tts-btn');
+  mkBtn('chat', 'Ask a follow-up question', 'message-circle');
+  mkBtn('check', 'Check my step', 'list-checks');
   mkBtn('regen', 'Regenerate hints', 'refresh-ccw');
   mkBtn('share', 'Share', 'share-2');
 
@@ -1730,319 +2422,687 @@ function createHintActions({ hints, questionText }) {
   return bar;
 }
 
-// Classify question type (simplified version of Python logic)
-function classifyQuestion(text) {
-  const mcqPattern = /\([A-D]\)|\b\d\)\b/;
-  if (mcqPattern.test(text)) {
-    return 'MCQ';
+// Show or hide the follow-up panel below the current hint set
+function toggleHintChat() {
+  const hintsDisplay = document.getElementById('hints-display');
+  if (!hintsDisplay || !currentQuestionData) return;
+
+  const existing = hintsDisplay.querySelector('.hint-chat');
+  if (existing) {
+    existing.remove();
+    return;
   }
-  if (text.includes('?') || /\b(solve|find|calculate|prove|evaluate)\b/i.test(text)) {
-    return 'Descriptive';
+  const panel = createHintChat(currentQuestionData);
+  hintsDisplay.appendChild(panel);
+  panel.querySelector('.hint-chat-input')?.focus();
+}
+
+// Follow-up conversation about one question. Turns are kept on the question
+// object (`question.chat`) so they are sent as context and saved with it.
+function createHintChat(question) {
+  const panel = document.createElement('div');
+  panel.className = 'hint-chat fade-in';
+
+  const thread = document.createElement('div');
+  thread.className = 'hint-chat-thread';
+  thread.setAttribute('aria-live', 'polite');
+  (question.chat || []).forEach(turn => appendChatTurn(thread, turn.role, turn.content));
+
+  const form = document.createElement('form');
+  form.className = 'hint-chat-form';
+  const input = document.createElement('textarea');
+  input.className = 'hint-chat-input';
+  input.rows = 2;
+  input.placeholder = 'Ask about a hint or paste your attempt...';
+  input.setAttribute('aria-label', 'Follow-up question');
+  const sendBtn = document.createElement('button');
+  sendBtn.type = 'submit';
+  sendBtn.className = 'btn btn-primary';
+  sendBtn.textContent = 'Send';
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (!text || sendBtn.disabled) return;
+    input.value = '';
+    await sendChatMessage(question, text, thread, sendBtn);
+    input.focus();
+  });
+  // Enter sends, Shift+Enter starts a new line
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      form.requestSubmit();
+    }
+  });
+
+  form.append(input, sendBtn);
+  panel.append(thread, form);
+  return panel;
+}
+
+function appendChatTurn(thread, role, content) {
+  const turn = document.createElement('div');
+  turn.className = `hint-chat-turn hint-chat-${role}`;
+  turn.textContent = content;
+  thread.appendChild(turn);
+  renderMath(turn, content);
+  thread.scrollTop = thread.scrollHeight;
+  return turn;
+}
+
+// Problem text and hints of a question, as context for follow-up prompts.
+// Screenshot questions have no text, so the hints have to stand in for it.
+function questionContext(question) {
+  const problem = question.questionText && question.questionText !== '[Screenshot input]'
+    ? question.questionText
+    : '(The question was provided as a screenshot; rely on the hints below for its content.)';
+  const hints = question.structuredHints ? HintSchema.toText(question.structuredHints) : question.answerText;
+  return { problem, hints };
+}
+
+// System turn for follow-ups: the question, the hints already given and the
+// same no-final-answer rules as the hint prompts
+function buildChatSystemPrompt(question) {
+  const { problem, hints } = questionContext(question);
+
+  return `You are Hintify, a patient tutor. The student has received hints for the problem below and is asking follow-up questions or sharing their own attempt.
+
+Rules:
+- NEVER reveal the final answer, the final numeric value, the correct option or a complete solution, even if the student asks for it directly.
+- Explain concepts, clarify what a hint means and point out where an attempt goes wrong, then nudge the student toward the next step.
+- Keep replies short: a few sentences at most.
+- Use LaTeX with $...$ for math.
+
+Problem:
+${problem}
+
+Hints already given:
+${hints}${languageInstruction(question.metadata?.language, "the student's latest message")}`;
+}
+
+// Send a follow-up through the provider chain. Failed turns are shown but
+// not added to the thread, so they are neither resent nor saved.
+async function sendChatMessage(question, text, thread, sendBtn) {
+  appendChatTurn(thread, 'user', text);
+  const reply = appendChatTurn(thread, 'assistant', '...');
+  reply.classList.add('pending');
+  sendBtn.disabled = true;
+
+  const history = (question.chat || []).map(({ role, content }) => ({ role, content }));
+  const messages = [
+    { role: 'system', content: buildChatSystemPrompt(question) },
+    ...history,
+    { role: 'user', content: text }
+  ];
+  const context = { questionText: question.questionText, questionType: question.metadata?.question_type };
+  const filter = currentConfig.leak_guard ? (partial) => leakGuard.redactText(partial, context) : (partial) => partial;
+
+  try {
+    const answer = await runProviderChain((provider, settings) => provider.chat(messages, settings, {
+      onToken: (_chunk, partial) => {
+        reply.textContent = filter(partial);
+        thread.scrollTop = thread.scrollHeight;
+      }
+    }));
+    reply.classList.remove('pending');
+
+    if (isHintError(answer)) {
+      reply.classList.add('error');
+      reply.textContent = answer || 'No reply. Please try again.';
+      return;
+    }
+
+    const content = filter(answer.trim());
+    reply.textContent = content;
+    renderMath(reply, content);
+
+    const at = new Date().toISOString();
+    question.chat = [
+      ...(question.chat || []),
+      { role: 'user', content: text, at },
+      { role: 'assistant', content, at, ...(lastProviderAnswer ? { provider: lastProviderAnswer.provider, model: lastProviderAnswer.model } : {}) }
+    ];
+    logActivity('question_answer', 'follow_up', { turns: question.chat.length, ...providerAnswerMetadata() });
+    saveChatThread(question);
+  } finally {
+    sendBtn.disabled = false;
   }
-  return 'Not a Question';
 }
 
-// Detect difficulty
-function detectDifficulty(text) {
-  const wordCount = text.split(/\s+/).length;
-  if (wordCount < 15) return 'Easy';
-  if (wordCount < 40) return 'Medium';
-  return 'Hard';
+// Store a like/dislike with the current question. A save still pending
+// (progressive mode) is done first so there is a question to rate.
+async function rateCurrentQuestion(rating) {
+  const question = currentQuestionData;
+  if (!question) return;
+  await flushPendingSave();
+  await question.saving;
+  if (!question.questionId) return;
+  try {
+    const result = await api.rateQuestion({ questionId: question.questionId, rating });
+    if (!result.success) {
+      console.error('❌ Failed to save rating:', result.error);
+    }
+  } catch (error) {
+    console.error('❌ Error saving rating:', error);
+  }
 }
 
-// Build prompt for AI
-function buildPrompt(text, qtype, difficulty) {
-  const config = currentConfig;
+// Persist the follow-up thread once the question itself has been saved;
+// until then flushPendingSave includes it in the question metadata
+async function saveChatThread(question) {
+  if (!question.questionId || !question.chat?.length) return;
+  try {
+    const result = await api.saveQuestionThread({ questionId: question.questionId, thread: question.chat });
+    if (!result.success) {
+      console.error('❌ Failed to save follow-up thread:', result.error);
+    }
+  } catch (error) {
+    console.error('❌ Error saving follow-up thread:', error);
+  }
+}
+
+// Arm "check my step": the next paste or capture is treated as the student's
+// working for the current question instead of a new question
+function startAttemptCheck() {
+  const hintsDisplay = document.getElementById('hints-display');
+  if (!currentQuestionData || !hintsDisplay) {
+    updateStatus('Ask a question first, then check your working');
+    return;
+  }
+
+  attemptCheckArmed = true;
+  hintsDisplay.querySelector('.attempt-check-bar')?.remove();
+
+  const mod = getModKeyLabel();
+  const bar = document.createElement('div');
+  bar.className = 'attempt-check-bar fade-in';
+  const label = document.createElement('span');
+  label.textContent = `Copy your working (text or screenshot) and press ${mod}+Shift+V, or capture it.`;
+
+  const mkAction = (text, variant, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = `btn ${variant}`;
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  };
+  bar.append(
+    label,
+    mkAction('Capture working', 'btn-primary', () => triggerCapture()),
+    mkAction('Paste working', 'btn-secondary', () => processClipboardSmart()),
+    mkAction('Cancel', 'btn-secondary', () => {
+      attemptCheckArmed = false;
+      bar.remove();
+      updateStatus('Ready');
+    })
+  );
+  hintsDisplay.prepend(bar);
+  updateStatus('Waiting for your working...');
+}
+
+// Check the student's working (pasted text or a screenshot) against the
+// current question. Screenshots go to the model directly in Advanced Mode and
+// through OCR otherwise.
+async function checkAttempt({ text = '', imageBuffer = null } = {}) {
+  const question = currentQuestionData;
+  attemptCheckArmed = false;
+  if (!question) return;
+
+  const started = Date.now();
+  showLoading(true, 'Checking your working...');
+  updateStatus('Checking your working...');
+
+  try {
+    let attemptText = text;
+    let sendImage = imageBuffer && currentConfig.advanced_mode;
+    if (imageBuffer && !sendImage) {
+      const ocr = await extractTextFromImage(imageBuffer);
+      attemptText = ocr.text;
+      if (!attemptText || attemptText.startsWith('[OCR Error]') || !attemptText.trim()) {
+        displayHints(attemptText?.startsWith('[OCR Error]') ? attemptText : '[OCR Error] No text found in your working.');
+        updateStatus('Could not read your working');
+        return;
+      }
+      // Handwritten working often reads badly; let the vision model look at it
+      sendImage = isLowOcrConfidence(ocr);
+      if (!sendImage && isMathOcrEnabled()) {
+        attemptText = (await transcribeMath(ocr)).text;
+      }
+    }
 
-  if (config.story_mode) {
-    return `You are Hintify, a storyteller who explains complex concepts through engaging physical stories.
+    const prompt = buildAttemptCheckPrompt(question, sendImage ? '' : attemptText);
+    const options = { responseSchema: AttemptCheckSchema.ATTEMPT_CHECK_SCHEMA };
+    const reply = await runProviderChain((provider, settings) => (sendImage
+      ? provider.generateFromImage(prompt, imageBuffer, settings, options)
+      : provider.generateText(prompt, settings, options)));
 
-The user wants to understand:
-${text}
+    if (isHintError(reply)) {
+      displayHints(reply);
+      updateStatus('Error occurred');
+      return;
+    }
+
+    const { data, errors } = AttemptCheckSchema.parse(reply);
+    if (!data) console.warn('[AttemptCheck] Structured reply rejected:', errors.join('; '));
+    const result = data && currentConfig.leak_guard !== false ? redactAttemptCheck(data, question) : data;
+
+    displayAttemptCheck(question, result, reply);
+    updateStatus(result?.first_mistake ? `Check step ${result.first_mistake}` : 'Ready');
+    await logActivity('attempt_check', 'completed', {
+      source: imageBuffer ? (sendImage ? 'image_direct' : 'image_ocr') : 'text',
+      steps: result?.steps.length ?? null,
+      first_mistake: result?.first_mistake ?? null,
+      processing_time_ms: Date.now() - started,
+      ...providerAnswerMetadata()
+    });
+  } finally {
+    showLoading(false);
+  }
+}
+
+// The leak guard applies to step feedback just as it does to hints
+function redactAttemptCheck(data, question) {
+  const context = { questionText: question.questionText, questionType: question.metadata?.question_type };
+  return {
+    ...data,
+    steps: data.steps.map(step => ({ ...step, feedback: leakGuard.redactText(step.feedback, context) })),
+    next_nudge: leakGuard.redactText(data.next_nudge, context)
+  };
+}
+
+// Per-step verdict cards for a checked attempt. Unusable replies are shown
+// as plain text.
+function displayAttemptCheck(question, result, rawReply) {
+  const hintsDisplay = document.getElementById('hints-display');
+  if (!hintsDisplay) return;
+  hintsDisplay.innerHTML = '';
+
+  const title = document.createElement('div');
+  title.className = 'attempt-check-title fade-in';
+  title.textContent = 'Your working';
+  hintsDisplay.appendChild(title);
+
+  if (!result) {
+    mergeMathBlocks(rawReply).forEach(line => appendHintLine(hintsDisplay, line));
+  } else if (!result.is_attempt) {
+    appendEncouragement(hintsDisplay, 'That does not look like working for this question. Copy your steps and try again.');
+  } else {
+    result.steps.forEach(step => appendStepCard(hintsDisplay, step, step.step === result.first_mistake));
+    if (result.next_nudge) appendEncouragement(hintsDisplay, result.next_nudge);
+  }
+
+  const footer = document.createElement('div');
+  footer.className = 'hints-footer attempt-check-actions fade-in';
+  const again = document.createElement('button');
+  again.className = 'btn btn-primary';
+  again.textContent = 'Check again';
+  again.addEventListener('click', startAttemptCheck);
+  const back = document.createElement('button');
+  back.className = 'btn btn-secondary';
+  back.textContent = 'Back to hints';
+  back.addEventListener('click', () => {
+    // A new question may have arrived since this check started
+    if (currentQuestionData === question) displayHints(question.answerText);
+  });
+  footer.append(again, back);
+  hintsDisplay.appendChild(footer);
+
+  const shown = result ? [...result.steps.flatMap(step => [step.work, step.feedback]), result.next_nudge] : [rawReply];
+  renderMath(hintsDisplay, shown.join('\n'));
+}
+
+const STEP_VERDICT_LABELS = {
+  on_track: 'On track',
+  mistake: 'Mistake',
+  unclear: 'Unclear'
+};
+
+function appendStepCard(container, step, isFirstMistake) {
+  const card = document.createElement('div');
+  card.className = `hint-item step-card step-${step.verdict} fade-in`;
+  if (isFirstMistake) card.classList.add('step-first-mistake');
+
+  const label = document.createElement('div');
+  label.className = 'hint-label';
+  label.textContent = `Step ${step.step}: ${STEP_VERDICT_LABELS[step.verdict]}${isFirstMistake ? ' (first mistake)' : ''}`;
+  card.appendChild(label);
+
+  if (step.work) {
+    const work = document.createElement('div');
+    work.className = 'step-work';
+    work.textContent = step.work;
+    card.appendChild(work);
+  }
+
+  const feedback = document.createElement('div');
+  feedback.className = 'hint-text';
+  feedback.textContent = step.feedback;
+  card.appendChild(feedback);
+  container.appendChild(card);
+}
+
+// Classify a question (subject, topic, format, grade level, difficulty) with
+// local heuristics, refined by the active provider when `classifier_llm` is on.
+// A failed request keeps the local result.
+async function classifyQuestion(text) {
+  const local = questionClassifier.classify(text);
+  const { provider, settings } = getActiveProvider();
+  if (!currentConfig.classifier_llm || !provider) return local;
+
+  updateStatus('Classifying question...');
+  const reply = await provider.generateText(questionClassifier.llmPrompt(text), settings, {
+    responseSchema: QuestionClassifier.CLASSIFICATION_SCHEMA
+  });
+  if (isProviderFailure(reply)) {
+    console.warn('[Classifier] AI classification failed, using local result:', reply);
+    return local;
+  }
+  return questionClassifier.mergeLlm(local, reply);
+}
+
+// Short description for the status bar, e.g. "Calculus, Numerical, Medium"
+function describeClassification(classification) {
+  const subject = classification.topic || questionClassifier.subjectLabel(classification.subject);
+  return `${subject}, ${classification.questionType}, ${classification.difficulty}`;
+}
+
+// Language to write in for a question in `detected`: the `respond_language`
+// setting, or with 'auto' the question's own language. English needs no
+// instruction since the prompts are in English.
+function replyLanguage(detected = '') {
+  const setting = currentConfig.respond_language || 'auto';
+  if (setting !== 'auto') return setting;
+  return detected === 'eng' ? '' : detected;
+}
+
+// Language lines for a prompt. Without a detected language (screenshots,
+// follow-ups) 'auto' asks the model to match `sameAs` instead.
+function languageInstruction(detected, sameAs) {
+  const language = replyLanguage(detected);
+  const auto = (currentConfig.respond_language || 'auto') === 'auto';
+  const instruction = Languages.responseInstruction(language, { sameAs: auto && !detected ? sameAs : '' });
+  return instruction ? `\n\n${instruction}` : '';
+}
+
+// Render a hint prompt. With `prompt_template_auto` the template for the
+// question's subject is used when there is one (see PromptTemplates). The
+// language instruction is appended so edited templates get it too.
+function renderPrompt(kind, variables = {}, { subject = '', language = '' } = {}) {
+  const templates = PromptTemplates.create(currentConfig.prompt_templates);
+  const id = templates.select(currentConfig.prompt_template, subject, currentConfig.prompt_template_auto !== false);
+  const sameAs = kind === 'image' ? 'the question in the screenshot' : '';
+  return templates.render(id, kind, variables) + languageInstruction(language, sameAs);
+}
+
+// Template variables describing a classified question
+function classificationVariables({ subject, topic, gradeLevel } = {}) {
+  return {
+    subject: subject ? questionClassifier.subjectLabel(subject) : 'Unknown',
+    topic: topic || 'Unknown',
+    gradeLevel: questionClassifier.levelLabel(gradeLevel) || 'Unknown'
+  };
+}
+
+// Build prompt for AI
+function buildPrompt(text, classification) {
+  if (currentConfig.story_mode) {
+    return renderPrompt('story', { text }, classification);
+  }
+  return renderPrompt('hint', {
+    text,
+    qtype: classification.questionType,
+    difficulty: classification.difficulty,
+    ...classificationVariables(classification)
+  }, classification);
+}
 
-Your goal:
-- Create a short, engaging story or analogy that explains the core concept.
-- Use physical objects, characters, or scenarios to make it concrete.
-- Keep it educational but fun.
-- After the story, briefly connect it back to the academic concept.
+// Prompt for checking the student's partial working against the current question
+function buildAttemptCheckPrompt(question, attemptText = '') {
+  const { problem, hints } = questionContext(question);
 
-Format:
-**Story:** [Your story here]
-**Concept:** [Brief explanation]`;
-  }
+  return `You are Hintify, a study buddy checking a student's partial working.
 
-  return `You are Hintify, a study buddy for students.
+Problem:
+${problem}
 
-The following text was extracted from a screenshot:
-${text}
+Hints the student has already seen:
+${hints}
 
-Classification:
-- Type: ${qtype}
-- Difficulty: ${difficulty}
+Student's working so far:
+${attemptText || '(Provided as the attached screenshot.)'}
 
 Your role:
-- Provide ONLY hints, NEVER the exact answer or final numeric/option.
-- Do NOT solve the question fully.
-- Do NOT mention which option is correct.
-- Do NOT provide the final numeric value, simplified expression, or boxed result.
-- Instead, give guiding clues that push the student to think.
-
-Response format:
-Always output between 3 to 5 hints in this style:
-Hint 1: ...
-Hint 2: ...
-Hint 3: ...
-(Hint 4 and Hint 5 only if needed)
-
-Guidelines for hints:
-- Focus on relevant formulae, rules, and methods.
-- Use progressive layers: concept → formula → setup → approach → final nudge.
-- Each hint should guide without completing the solution.
-- Keep hints concise for faster responses.
-
-Math formatting:
-- Prefer LaTeX notation for mathematical expressions.
-- Use $...$ for inline math and $$...$$ for block equations.
-- Examples: $a^2+b^2=c^2$, $x_{i}$, $\\frac{dy}{dx}$, $\\int_{0}^{1} x^2\\,dx$, $$\\lim_{n\\to\\infty} \\frac{n}{n+1}$$, matrices with \\begin{bmatrix} ... \\end{bmatrix}.
-- For chemical formulas/equations, you may use \\ce{H2O + CO2 -> H2CO3} when relevant.
-
-End with an encouragement such as:
-"Now try completing the final step on your own."
-or
-"Work carefully through the last step to see which option fits."
-
-If the text is not a valid question, reply only:
-⚠️ This does not appear to be a question.`;
-}
-
-// Improved system prompt specifically for REGENERATION with higher quality hints
-function buildRegenerationPrompt(text, qtype, difficulty, previousHints = '') {
-  return `You are Hintify, regenerating a new, higher‑quality set of HINTS for the same problem.
-
-Objective:
-- Produce a fresh set of 4–6 concise, progressively detailed hints that are MORE thorough and structured than before.
-- DO NOT reveal the final answer, numeric result, or which option is correct.
-- Treat this as a second pass: clarify concepts, add gentle scaffolding, and include tiny worked fragments (setup only) without completing the solution.
-
-Problem text:
-${text}
-
-Classification:
-- Type: ${qtype}
-- Difficulty: ${difficulty}
-
-Earlier hints (for reference only; avoid repeating verbatim):
-${previousHints}
-
-Requirements for regenerated hints:
-- Start from prerequisite concept(s) → formula(s) → setup → approach → final nudge.
-- Add context or micro‑examples when helpful (e.g., define symbols, typical pitfalls, units) but keep each hint under 2 sentences.
-- Prefer numbered hints strictly in the form:
-  Hint 1: ...\n  Hint 2: ...\n  Hint 3: ...\n  (Optionally Hint 4..6)
-- Absolutely avoid: final value, option letters, or step that directly completes the problem.
-- End with one short encouragement line.
-
-Math formatting:
-- Prefer LaTeX notation for formulas, calculus symbols, vectors/matrices, and scientific notation.
-- Use $...$ for inline math and $$...$$ for block equations.
-- Include units and symbols clearly, e.g., $v=\\frac{\\Delta x}{\\Delta t}$, $$\\int e^{x}\\,dx$$, matrix forms \\begin{bmatrix}a&b\\\\c&d\\end{bmatrix}, limits/derivatives, and \\ce{...} for chemical equations if applicable.
-
-Output format (TEXT ONLY):
-Hint 1: ...
-Hint 2: ...
-Hint 3: ...
-(Hint 4..6 if useful)
-<encouragement line>`;
+- Split the working into the steps the student wrote and judge each one as on track, a mistake, or unclear.
+- Point to the FIRST mistaken step and describe what is wrong as a hint, not as a correction with the right value.
+- NEVER give the final answer, the final numeric value, the correct option, or the remaining steps worked out.
+- Only judge steps the student has written; the working may be unfinished.
+- Keep each piece of feedback to one or two sentences.
+- Use LaTeX with $...$ for math.
+
+${AttemptCheckSchema.formatInstructions()}${languageInstruction(question.metadata?.language, 'the problem')}`;
+}
+
+// Prompt for REGENERATION, asking for a more thorough set than before.
+// `classification` holds the subject, topic and grade level if known.
+function buildRegenerationPrompt(text, qtype, difficulty, previousHints = '', classification = {}) {
+  return renderPrompt('regenerate', {
+    text,
+    qtype,
+    difficulty,
+    previousHints,
+    ...classificationVariables(classification)
+  }, classification);
 }
 
 // Specialized prompt for direct image hinting (no OCR)
 function buildImageHintPrompt() {
-  return `You are Hintify, a study buddy for students.
-
-You will receive a screenshot of a problem/question. Your job is to provide ONLY hints without solving it or revealing the final answer.
-
-Rules:
-- Do NOT give the final numeric value or the exact option letter.
-- Do NOT fully solve the problem.
-- Provide 3–5 concise, progressively deeper hints.
+  return renderPrompt('image');
+}
 
-Formatting:
-Hint 1: ...
-Hint 2: ...
-Hint 3: ...
-(Hint 4 and Hint 5 if helpful)
+// Query the provider chain for hints. A structured reply is validated and
+// turned into "Hint N:" text for saving and sharing; replies that fail
+// validation are returned unchanged for the text parser in displayHints.
+// Hints then pass the answer-leak guard (story mode output is not hints).
+// @param {Object} [options]
+// @param {boolean} [options.structured=true] - Ask for the JSON hint schema
+// @param {string} [options.questionText] - For the leak guard
+// @param {string} [options.questionType] - For the leak guard (classifyQuestion)
+async function requestHints(prompt, imageBuffer = null, { structured = true, questionText = '', questionType = '', leakRetry = false } = {}) {
+  const guardContext = { prompt, imageBuffer, questionText, questionType, leakRetry };
+  const guarded = structured && currentConfig.leak_guard !== false;
+  const options = structured ? { responseSchema: HintSchema.HINT_RESPONSE_SCHEMA } : {};
+  if (guarded) {
+    // Mask obvious leaks while hints stream in; the full check runs below
+    options.displayFilter = text => leakGuard.redactText(text, guardContext);
+  }
+
+  const result = await queryActiveProvider(prompt, imageBuffer, options);
+  if (!structured || isHintError(result) || result.startsWith('[Cancelled]')) {
+    return { text: result, structuredHints: null };
+  }
+
+  const { data, errors } = HintSchema.parse(result);
+  let hints = { text: result, structuredHints: null };
+  if (data) {
+    hints = { text: HintSchema.toText(data), structuredHints: data };
+  } else {
+    console.warn('[Hints] Structured reply rejected, falling back to text parser:', errors.join('; '));
+  }
+  return guarded ? guardHints(hints, guardContext) : hints;
+}
 
-Guidance:
-- Start from concept → formula → setup → approach → final nudge.
-- Prefer LaTeX for math, using $...$ for inline and $$...$$ for blocks (e.g., $\\frac{dy}{dx}$, $$\\int x^2\\,dx$$, matrices with \\begin{bmatrix}..\\end{bmatrix}).
-- For chemistry, you may use \\ce{...} notation.
-- Keep hints short (under 2 sentences each) but helpful.
+// Hint texts the leak guard checks: structured hints plus the encouragement,
+// or the lines of a free-form reply
+function hintTexts({ text, structuredHints }) {
+  return structuredHints
+    ? [...structuredHints.hints.map(hint => hint.text), structuredHints.encouragement]
+    : text.split('\n');
+}
 
-End with a one-line encouragement (e.g., "Now try the final step yourself.")`;
+function withHintTexts({ text, structuredHints }, texts) {
+  if (!structuredHints) return { text: texts.join('\n'), structuredHints: null };
+  const updated = {
+    ...structuredHints,
+    hints: structuredHints.hints.map((hint, i) => ({ ...hint, text: texts[i] })),
+    encouragement: texts[structuredHints.hints.length]
+  };
+  return { text: HintSchema.toText(updated), structuredHints: updated };
 }
 
+// Optional second pass: ask the provider that answered to grade the hints.
+// Returns null when the grade is unusable.
+async function gradeHintLeaks(questionText, texts) {
+  const provider = providerRegistry.get(lastProviderAnswer?.provider) || getActiveProvider().provider;
+  if (!provider) return null;
 
-// Query Ollama
-async function queryOllama(prompt, model) {
-  try {
-    const response = await axios.post('http://localhost:11434/api/generate', {
-      model: model,
-      prompt: prompt,
-      stream: false
-    });
+  const reply = await provider.generateText(leakGuard.gradingPrompt(questionText, texts), resolveProviderSettings(provider), {
+    responseSchema: AnswerLeakGuard.GRADE_SCHEMA
+  });
+  const grade = leakGuard.parseGrade(reply, texts.length);
+  if (!grade) console.warn('[LeakGuard] Unusable grading reply:', reply);
+  return grade;
+}
 
-    return response.data.response || '[LLM Error] Empty response from Ollama';
-  } catch (error) {
-    if (error.code === 'ECONNREFUSED') {
-      return '[Setup] Ollama not running. Please start Ollama first.';
+// Check hints for leaked answers before they are displayed. Leaky hints are
+// regenerated once with a stricter prompt (unless set to redact) and redacted
+// if the retry fails or leaks again. Every incident is logged.
+async function guardHints(hints, { prompt, imageBuffer, questionText, questionType, leakRetry }) {
+  const texts = hintTexts(hints);
+  const answeredBy = lastProviderAnswer;
+  let findings = leakGuard.inspect(texts, { questionText, questionType });
+  let reason = '';
+
+  if (!findings.length && currentConfig.leak_guard_llm) {
+    const grade = await gradeHintLeaks(questionText, texts);
+    if (grade && grade.leaks) {
+      findings = grade.indexes.map(index => ({ index, rule: 'llm_grader' }));
+      reason = grade.reason;
     }
-    return `[LLM Error] ${error.message}`;
   }
-}
+  if (!findings.length) return hints;
+
+  const regenerate = currentConfig.leak_guard_action !== 'redact' && !leakRetry;
+  console.warn('[LeakGuard] Hints reveal the answer:', findings);
+  logActivity('answer_leak_guard', 'leak_detected', {
+    rules: [...new Set(findings.map(finding => finding.rule))],
+    hint_indexes: [...new Set(findings.map(finding => finding.index))],
+    remedy: regenerate ? 'regenerate' : 'redact',
+    reason,
+    retry: leakRetry,
+    ...providerAnswerMetadata()
+  });
 
-// Query Ollama with an image (vision models)
-async function queryOllamaWithImage(prompt, model, imageBuffer) {
-  try {
-    const base64 = Buffer.from(imageBuffer).toString('base64');
-    const response = await axios.post('http://localhost:11434/api/generate', {
-      model,
-      prompt,
-      images: [base64],
-      stream: false
-    });
-    return response.data.response || '[LLM Error] Empty response from Ollama (vision)';
-  } catch (error) {
-    if (error.code === 'ECONNREFUSED') {
-      return '[Setup] Ollama not running. Please start Ollama first.';
-    }
-    if (error.response?.status === 400 || error.response?.status === 404) {
-      return '[Setup] The selected Ollama model may not support images. Try a vision-capable model (e.g., granite3.2-vision:2b, llava, llama3.2-vision) or switch provider in Settings.';
+  if (regenerate) {
+    updateStatus('Hints gave away the answer, regenerating...');
+    const stricter = `${prompt}
+
+IMPORTANT: A previous attempt revealed the final answer. Do not state the final value, the result, the correct option or a boxed answer anywhere, including the last hint.`;
+    const retry = await requestHints(stricter, imageBuffer, { questionText, questionType, leakRetry: true });
+    if (!isHintError(retry.text) && !retry.text.startsWith('[Cancelled]')) {
+      return retry;
     }
-    return `[LLM Error] ${error.message}`;
   }
-}
 
-// Query Gemini
-async function queryGemini(prompt, model, apiKey) {
-  try {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
-    const response = await axios.post(url, {
-      contents: [{
-        parts: [{ text: prompt }]
-      }]
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'X-goog-api-key': apiKey
-      }
-    });
+  // A failed retry resets this; the redacted hints still come from the first answer
+  lastProviderAnswer = answeredBy;
+  return withHintTexts(hints, leakGuard.redact(texts, findings));
+}
 
-    const candidates = response.data.candidates || [];
-    if (!candidates.length) {
-      return '[LLM Error] Empty response from Gemini';
-    }
+// What the model reported about the question, for saved metadata
+function structuredHintMetadata(structuredHints) {
+  if (!structuredHints) return { hint_format: 'text' };
+  return {
+    hint_format: 'json',
+    topic: structuredHints.topic || null,
+    detected_question_type: structuredHints.question_type || null,
+    detected_difficulty: structuredHints.difficulty || null,
+    hint_count: structuredHints.hints.length
+  };
+}
 
-    const parts = candidates[0]?.content?.parts || [];
-    const texts = parts.map(part => part.text).filter(Boolean);
+// Queue the current question for saving. Normally it is saved right after
+// the hints are shown; in progressive mode the save waits until every hint is
+// revealed or the next question starts, so the reveal count is final.
+function scheduleAutoSave() {
+  const hints = currentQuestionData?.answerText;
+  if (isHintError(hints) || hints.startsWith('[Cancelled]')) return;
 
-    return texts.join('\n').trim() || '[LLM Error] Empty response from Gemini';
-  } catch (error) {
-    if (error.response?.status === 404 || error.response?.status === 403) {
-      // Fallback to gemini-1.5-flash
-      if (model !== 'gemini-1.5-flash') {
-        return queryGemini(prompt, 'gemini-1.5-flash', apiKey);
-      }
-    }
-    return `[LLM Error] ${error.message}`;
+  currentQuestionData.pendingSave = true;
+  if (!currentConfig.progressive_hints) {
+    setTimeout(flushPendingSave, 100); // Small delay to ensure UI is updated first
   }
 }
 
-// Query Gemini with an image (vision). Falls back to a known multimodal model if needed.
-async function queryGeminiWithImage(prompt, model, apiKey, imageBuffer) {
-  async function callModel(m) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${m}:generateContent`;
-    const base64 = Buffer.from(imageBuffer).toString('base64');
-    const body = {
-      contents: [{
-        parts: [
-          { inline_data: { mime_type: 'image/png', data: base64 } },
-          { text: prompt }
-        ]
-      }]
-    };
-    const resp = await axios.post(url, body, { headers: { 'Content-Type': 'application/json', 'X-goog-api-key': apiKey } });
-    const candidates = resp.data.candidates || [];
-    const parts = candidates[0]?.content?.parts || [];
-    const texts = parts.map(p => p.text).filter(Boolean);
-    return texts.join('\n').trim() || '[LLM Error] Empty response from Gemini (vision)';
-  }
-  try {
-    return await callModel(model);
-  } catch (error) {
-    // If model doesn't support images, try a known multimodal fallback
-    if (error.response?.status === 404 || error.response?.status === 400 || error.response?.status === 403) {
-      const fallback = 'gemini-1.5-flash';
-      if (model !== fallback) {
-        try { return await callModel(fallback); } catch (e2) { return `[LLM Error] ${e2.message}`; }
-      }
-    }
-    return `[LLM Error] ${error.message}`;
+// Save the current question if a save is still pending
+async function flushPendingSave() {
+  const question = currentQuestionData;
+  if (!question || !question.pendingSave) return;
+  question.pendingSave = false;
+
+  const turns = question.chat?.length || 0;
+  const metadata = turns ? { ...question.metadata, chat_thread: question.chat } : question.metadata;
+  // Kept so a rating given during the save can wait for the id
+  question.saving = saveQuestionAnswer(
+    question.questionText,
+    question.answerText,
+    question.questionType,
+    question.imageData,
+    metadata,
+    question.processingTime
+  );
+  const saved = await question.saving;
+
+  if (saved?.questionId) {
+    question.questionId = saved.questionId;
+    // Follow-ups sent while the save was in flight
+    if ((question.chat?.length || 0) > turns) saveChatThread(question);
   }
 }
 
-// Generate hints using AI
-async function generateHints(text, qtype, difficulty, imageData = null, processingStartTime = null) {
-  const prompt = buildPrompt(text, qtype, difficulty);
-  const config = currentConfig;
+// Generate hints using AI. `classification` comes from classifyQuestion.
+async function generateHints(text, classification, imageData = null, processingStartTime = null) {
+  const { questionType: qtype, difficulty } = classification;
+  const prompt = buildPrompt(text, classification);
+  // The previous question is done once a new one starts
+  flushPendingSave();
 
-  let hints;
   let processingTime = null;
 
   if (processingStartTime) {
     processingTime = Date.now() - processingStartTime;
   }
 
-  if (config.provider === 'ollama') {
-    hints = await queryOllama(prompt, config.ollama_model);
-  } else if (config.provider === 'gemini') {
-    const apiKey = store.get('gemini_api_key') || process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      hints = '[Setup] Gemini API key not set. Please configure in Settings.';
-    } else {
-      hints = await queryGemini(prompt, config.gemini_model, apiKey);
-    }
-  } else {
-    hints = '[Setup] No valid AI provider configured.';
-  }
+  // Story mode asks for free-form prose rather than structured hints
+  const { text: hints, structuredHints } = await requestHints(prompt, null, {
+    structured: !currentConfig.story_mode,
+    questionText: text,
+    questionType: qtype
+  });
 
   // Store current question data for potential saving
   currentQuestionData = {
     questionText: text,
     answerText: hints,
+    structuredHints,
     // Determine question type based on whether image data was used
     questionType: imageData ? 'image_ocr' : 'text',
     imageData: imageData,
     metadata: {
       difficulty: difficulty,
       question_type: qtype,
-      timestamp: new Date().toISOString()
+      ...questionClassifier.toMetadata(classification),
+      ...(imageData ? ocrMetadata(text) : {}),
+      timestamp: new Date().toISOString(),
+      ...structuredHintMetadata(structuredHints),
+      ...providerAnswerMetadata()
     },
     processingTime: processingTime
   };
+  recordCaptureRun(currentQuestionData);
 
   // Auto-save Q&A if user is authenticated and hints are valid
-  if (userInfo && hints && !hints.startsWith('[') && !hints.includes('Error')) {
-    setTimeout(async () => {
-      await saveQuestionAnswer(
-        currentQuestionData.questionText,
-        currentQuestionData.answerText,
-        currentQuestionData.questionType,
-        currentQuestionData.imageData,
-        currentQuestionData.metadata,
-        currentQuestionData.processingTime
-      );
-    }, 100); // Small delay to ensure UI is updated first
-  }
+  scheduleAutoSave();
 
   return hints;
 }
@@ -2050,53 +3110,37 @@ async function generateHints(text, qtype, difficulty, imageData = null, processi
 // Generate hints directly from image (Advanced Mode: no OCR)
 async function generateHintsFromImageDirect(imageBuffer, processingStartTime = null) {
   const prompt = buildImageHintPrompt();
-  const config = currentConfig;
+  flushPendingSave();
 
-  let hints;
   let processingTime = null;
   if (processingStartTime) processingTime = Date.now() - processingStartTime;
 
-  if (config.provider === 'ollama') {
-    hints = await queryOllamaWithImage(prompt, config.ollama_model, imageBuffer);
-  } else if (config.provider === 'gemini') {
-    const apiKey = store.get('gemini_api_key') || process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      hints = '[Setup] Gemini API key not set. Please configure in Settings.';
-    } else {
-      hints = await queryGeminiWithImage(prompt, config.gemini_model, apiKey, imageBuffer);
-    }
-  } else {
-    hints = '[Setup] No valid AI provider configured.';
-  }
+  const { text: hints, structuredHints } = await requestHints(prompt, imageBuffer);
 
   // Update current question context for saving/sharing
   currentQuestionData = {
     questionText: '[Screenshot input]',
     answerText: hints,
+    structuredHints,
     questionType: 'image_direct',
-    imageData: Buffer.from(imageBuffer).toString('base64'),
+    imageData: bytesToBase64(imageBuffer),
     metadata: {
-      difficulty: 'Unknown',
-      question_type: 'Unknown',
+      // Without OCR the model's own classification is all we have
+      difficulty: structuredHints?.difficulty || 'Unknown',
+      question_type: structuredHints?.question_type || 'Unknown',
       source: 'advanced_mode_image',
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      // Without OCR the model's reported topic is the only input for the subject
+      ...(structuredHints?.topic ? { subject: questionClassifier.classify(structuredHints.topic).subject, topic: structuredHints.topic } : {}),
+      ...structuredHintMetadata(structuredHints),
+      ...providerAnswerMetadata()
     },
     processingTime
   };
+  recordCaptureRun(currentQuestionData);
 
   // Auto-save if user is authenticated and hints look valid
-  if (userInfo && hints && !hints.startsWith('[') && !hints.includes('Error')) {
-    setTimeout(async () => {
-      await saveQuestionAnswer(
-        currentQuestionData.questionText,
-        currentQuestionData.answerText,
-        currentQuestionData.questionType,
-        currentQuestionData.imageData,
-        currentQuestionData.metadata,
-        currentQuestionData.processingTime
-      );
-    }, 100);
-  }
+  scheduleAutoSave();
 
   return hints;
 }
@@ -2110,43 +3154,31 @@ async function processClipboardSmart() {
 
   try {
     // Try image first
-    const imageBuffer = getClipboardImage();
+    const imageBuffer = await getClipboardImage();
     if (imageBuffer && imageBuffer.length) {
       await logActivity('clipboard', 'image_found', { image_size: imageBuffer.length });
       return await processImage(imageBuffer);
     }
 
     // Fallback to text
-    const text = (clipboard.readText?.() || '').trim();
+    const text = ((await api.getClipboardText()) || '').trim();
+    if (text && attemptCheckArmed) {
+      return await checkAttempt({ text });
+    }
     if (text) {
       await logActivity('clipboard', 'text_found', { length: text.length });
-      const processingStartTime = Date.now();
-      const qtype = classifyQuestion(text);
-      const difficulty = detectDifficulty(text);
-      updateStatus(`Generating hints... (${qtype}, ${difficulty})`);
-      showLoading(true, 'Generating hints...');
-      try {
-        const hints = await generateHints(text, qtype, difficulty, null, processingStartTime);
-        displayHints(hints);
-        updateStatus('Ready');
-        await logActivity('text_processing', 'completed', {
-          question_type: qtype,
-          difficulty,
-          text_length: text.length,
-          total_processing_time_ms: Date.now() - processingStartTime
-        });
-      } catch (err) {
-        console.error('Text processing error:', err);
-        displayHints(`[Error] ${err.message}`);
-        updateStatus('Error occurred');
-        await logActivity('text_processing', 'failed', {
-          error: err.message,
-          processing_time_ms: Date.now() - processingStartTime
+      activeCapture = null;
+      const questions = detectQuestions(text);
+      if (questions.length) {
+        showQuestionPicker(questions, {
+          onSelected: selected => generateHintsForQuestions(selected),
+          onSingle: () => generateHintsFromPastedText(text)
         });
-      } finally {
-        showLoading(false);
+        updateStatus(`Found ${questions.length} questions, pick the ones you want hints for`);
+        await logActivity('question_split', 'detected', { questions: questions.length, source: 'text' });
+        return;
       }
-      return;
+      return await generateHintsFromPastedText(text);
     }
 
     // Nothing useful found
@@ -2159,147 +3191,509 @@ async function processClipboardSmart() {
   }
 }
 
-// Check if native Tesseract is available
-function checkTesseractAvailable() {
-  return new Promise((resolve) => {
-    const tesseractProcess = spawn('tesseract', ['--version'], {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-
-    tesseractProcess.on('close', (code) => {
-      resolve(code === 0);
+// Classify pasted text, generate and show hints
+async function generateHintsFromPastedText(text) {
+  const processingStartTime = Date.now();
+  showLoading(true, 'Generating hints...');
+  try {
+    const classification = await classifyQuestion(text);
+    updateStatus(`Generating hints... (${describeClassification(classification)})`);
+    const hints = await generateHints(text, classification, null, processingStartTime);
+    displayHints(hints);
+    updateStatus('Ready');
+    await logActivity('text_processing', 'completed', {
+      question_type: classification.questionType,
+      difficulty: classification.difficulty,
+      subject: classification.subject,
+      topic: classification.topic || null,
+      text_length: text.length,
+      total_processing_time_ms: Date.now() - processingStartTime
     });
-
-    tesseractProcess.on('error', () => {
-      resolve(false);
+  } catch (err) {
+    console.error('Text processing error:', err);
+    displayHints(`[Error] ${err.message}`);
+    updateStatus('Error occurred');
+    await logActivity('text_processing', 'failed', {
+      error: err.message,
+      processing_time_ms: Date.now() - processingStartTime
     });
-  });
+  } finally {
+    showLoading(false);
+  }
 }
 
-// Fallback OCR using Tesseract.js with robust Node/Electron configuration
-async function extractTextWithTesseractJS(imageBuffer) {
+// Last OCR result, for the metadata of the question it produced
+let lastOcrResult = null;
+
+// Extract text from an image with OCR in the main process (see OcrService).
+// @returns {Promise<{text: string, confidence: number|null, preprocessing: Object|null, lines: Array, image: Uint8Array}>}
+//   `text` starts with "[OCR Error]" on failure; `confidence` is 0-100 when the engine reports it.
+//   `lines` have boxes in the pixel space of `image`, the preprocessed image that was read.
+async function extractTextFromImage(imageBuffer) {
+  const stopProgress = ipcRenderer.on('ocr:progress', (_event, text) => updateStatus(text));
   try {
-    updateStatus('Extracting text using built-in OCR...');
+    const result = await api.ocrRecognize(imageBuffer, {
+      languages: currentConfig.ocr_languages,
+      preprocess: currentConfig.ocr_preprocess !== false
+    });
+    if (result.error) throw new Error(result.error);
+    lastOcrResult = { ...result, mathRegions: 0 };
+    return lastOcrResult;
 
-    const isDev = process.env.NODE_ENV === 'development' || process.argv.includes('--development');
+  } catch (error) {
+    return { text: `[OCR Error] ${error.message}`, confidence: null, preprocessing: null, lines: [], image: null };
+  } finally {
+    stopProgress();
+  }
+}
 
-    // Use official entry; avoid brittle deep paths that may not exist in some versions
-    const Tesseract = require('tesseract.js');
+function isMathOcrEnabled() {
+  return ['vision', 'ollama'].includes(currentConfig.math_ocr);
+}
 
-    // 2) Resolve local tessdata if bundled to avoid remote downloads
-    const prodLangDir = path.join(process.resourcesPath || path.join(__dirname, '..', '..'), 'assets', 'tessdata');
-    const useLocalLang = !isDev && fs.existsSync(path.join(prodLangDir, 'eng.traineddata'));
+// Send one cropped equation to the vision model chosen by `math_ocr`
+function requestMathTranscription(prompt, imageBuffer) {
+  if (currentConfig.math_ocr === 'ollama') {
+    const provider = providerRegistry.get('ollama');
+    const settings = { ...resolveProviderSettings(provider) };
+    if (currentConfig.math_ocr_ollama_model) settings.ollama_model = currentConfig.math_ocr_ollama_model;
+    return provider.generateFromImage(prompt, imageBuffer, settings);
+  }
+  return runProviderChain((provider, settings) => provider.generateFromImage(prompt, imageBuffer, settings));
+}
 
-    const recognizeOptions = {
-      logger: (m) => {
-        if (m?.status === 'recognizing text') {
-          updateStatus(`OCR Progress: ${Math.round((m.progress || 0) * 100)}%`);
-        }
-      },
-      // Important for Electron: avoid blob URL workers when browser path is used
-      workerBlobURL: false
-    };
-    if (useLocalLang) recognizeOptions.langPath = prodLangDir;
+// Math OCR: transcribe the equation regions of an OCR result to LaTeX and
+// merge them into its text. Regions that fail keep their OCR text.
+// @returns {Promise<{text: string, regions: number}>} `regions` counts the transcribed ones
+async function transcribeMath(ocr) {
+  const regions = MathOcr.findEquationRegions(ocr.lines || []);
+  if (!regions.length || !ocr.image) return { text: ocr.text, regions: 0 };
+
+  const { width, height } = await api.imageSize(ocr.image);
+  const latex = [];
+  for (const [i, region] of regions.entries()) {
+    updateStatus(`Reading equations (${i + 1}/${regions.length})...`);
+    const crop = await api.imageCrop(ocr.image, MathOcr.padBox(region.box, width, height));
+    const ocrText = region.lines.map(index => ocr.lines[index].text).join(' ');
+    const reply = await requestMathTranscription(MathOcr.transcriptionPrompt(ocrText), crop);
+    if (isHintError(reply)) console.warn('[Math OCR] Transcription failed, keeping OCR text:', reply);
+    latex.push(MathOcr.parseLatex(reply));
+  }
+
+  const transcribed = latex.filter(Boolean).length;
+  if (lastOcrResult === ocr) lastOcrResult.mathRegions = transcribed;
+  return { text: transcribed ? MathOcr.mergeLatex(ocr.lines, regions, latex) : ocr.text, regions: transcribed };
+}
 
-    // 3) Execute recognition
-    const { data: { text } } = await Tesseract.recognize(imageBuffer, 'eng', recognizeOptions);
-    return String(text || '').replace(/\s+/g, ' ').trim();
+// Run a task started from a button on a panel in hints-display, with the
+// same guard and error handling as processImage
+async function runPanelAction(task) {
+  if (isProcessing) return;
+  isProcessing = true;
+  showLoading(true, 'Generating hints...');
+  try {
+    await task();
   } catch (error) {
-    // Provide a clean, user-friendly error without leaking internal module paths
-    const msg = String(error?.message || error);
-    if (/Failed to construct 'Worker'|worker.*not support|V8 platform/i.test(msg)) {
-      throw new Error('OCR engine could not start in this environment. You can enable Advanced Mode to send images directly to the AI without OCR.');
-    }
-    throw new Error(`Fallback OCR failed: ${msg}`);
+    console.error('Processing error:', error);
+    displayHints(`[Error] ${error.message}`);
+    updateStatus('Error occurred');
+  } finally {
+    isProcessing = false;
+    showLoading(false);
   }
 }
 
-// Extract text from image using native Tesseract with fallback
-async function extractTextFromImage(imageBuffer) {
-  try {
-    updateStatus('Extracting text from image...');
-
-    // First, try native Tesseract
-    const tesseractAvailable = await checkTesseractAvailable();
+// Review step: show what OCR read (equations rendered with KaTeX) so the user
+// can correct it, override the question type and difficulty, or capture
+// again, before hints are requested
+// @param {Object} ocr - Result of extractTextFromImage
+// @param {string} text - Text to review; differs from ocr.text after math OCR
+function showRecognizedQuestion(ocr, text, imageBuffer) {
+  const hintsDisplay = document.getElementById('hints-display');
+  if (!hintsDisplay) return;
+  hintsDisplay.innerHTML = '';
 
-    if (tesseractAvailable) {
-      return await extractTextWithNativeTesseract(imageBuffer);
-    } else {
-      // Use bundled Tesseract.js fallback seamlessly
-      updateStatus('Using built-in OCR (no system Tesseract)...');
-      return await extractTextWithTesseractJS(imageBuffer);
+  const panel = document.createElement('div');
+  panel.className = 'recognized-question fade-in';
+
+  const header = document.createElement('div');
+  header.className = 'recognized-question-header';
+  const title = document.createElement('span');
+  title.className = 'recognized-question-title';
+  title.textContent = 'Recognized question';
+  header.appendChild(title);
+  if (ocr.confidence !== null) {
+    const confidence = document.createElement('span');
+    confidence.className = `recognized-question-confidence${isLowOcrConfidence(ocr) ? ' low' : ''}`;
+    confidence.textContent = `OCR confidence ${ocr.confidence}%`;
+    header.appendChild(confidence);
+  }
+
+  const preview = document.createElement('div');
+  preview.className = 'recognized-question-preview';
+  const editor = document.createElement('textarea');
+  editor.className = 'recognized-question-editor';
+  editor.rows = Math.min(10, text.split('\n').length + 1);
+  editor.value = text;
+  editor.setAttribute('aria-label', 'Recognized question text');
+  const showPreview = () => {
+    preview.textContent = editor.value;
+    renderMath(preview, editor.value);
+  };
+  editor.addEventListener('input', showPreview);
+
+  // "Auto" keeps what the classifier detects
+  const mkSelect = (label, options) => {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', label);
+    for (const [value, name] of [['', `${label}: Auto`], ...options]) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = name;
+      select.appendChild(option);
     }
+    return select;
+  };
+  const formatSelect = mkSelect('Question type', Object.entries(QuestionClassifier.FORMAT_LABELS).filter(([format]) => format !== 'none'));
+  const difficultySelect = mkSelect('Difficulty', QuestionClassifier.DIFFICULTIES.map(difficulty => [difficulty, difficulty]));
+  const overrides = document.createElement('div');
+  overrides.className = 'recognized-question-overrides';
+  overrides.append(formatSelect, difficultySelect);
+
+  const note = document.createElement('small');
+  note.textContent = text !== ocr.text
+    ? 'Equations were read as LaTeX between $ signs. Fix anything that was misread, then get hints.'
+    : 'Fix anything that was misread, then get hints.';
+
+  const actions = document.createElement('div');
+  actions.className = 'recognized-question-actions';
+  const mkAction = (label, variant, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = `btn ${variant}`;
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+  };
+  actions.append(
+    mkAction('Get hints', 'btn-primary', () => {
+      const edited = editor.value.trim();
+      if (!edited) return;
+      runPanelAction(async () => {
+        if (lastOcrResult === ocr) lastOcrResult.reviewed = true;
+        await generateHintsFromOcrText(edited, imageBuffer, Date.now(), {
+          format: formatSelect.value,
+          difficulty: difficultySelect.value
+        });
+      });
+    }),
+    mkAction('Send image instead', 'btn-secondary', () => runPanelAction(async () => {
+      displayHints(await generateHintsFromImageDirect(imageBuffer, Date.now()));
+      updateStatus('Ready');
+    })),
+    mkAction('Capture again', 'btn-secondary', () => triggerCapture()),
+    mkAction('Cancel', 'btn-secondary', () => {
+      panel.remove();
+      updateStatus('Ready');
+    })
+  );
 
-  } catch (error) {
-    return `[OCR Error] ${error.message}`;
-  }
+  panel.append(header, preview, editor, overrides, note, actions);
+  hintsDisplay.appendChild(panel);
+  showPreview();
+  editor.focus();
 }
 
-// Native Tesseract extraction
-async function extractTextWithNativeTesseract(imageBuffer) {
-  // Create temporary file for the image
-  const tempDir = os.tmpdir();
-  const tempImagePath = path.join(tempDir, `hintify_temp_${Date.now()}.png`);
+// Questions in pasted or OCR text (see QuestionSplitter), or [] when there
+// is only one or `split_questions` is off
+function detectQuestions(text) {
+  return currentConfig.split_questions === false ? [] : QuestionSplitter.splitQuestions(text);
+}
 
-  // Write image buffer to temporary file
-  fs.writeFileSync(tempImagePath, imageBuffer);
+// Advanced Mode has no OCR text, so with `split_questions_vision` the vision
+// model is asked where the questions are. Each question with a box gets a
+// crop of the screenshot as `image`. Returns [] for a single question.
+async function detectQuestionsInImage(imageBuffer) {
+  if (currentConfig.split_questions === false || !currentConfig.split_questions_vision) return [];
+
+  updateStatus('Looking for separate questions...');
+  const prompt = QuestionSplitter.layoutPrompt();
+  const reply = await runProviderChain((provider, settings) => provider.generateFromImage(prompt, imageBuffer, settings, {
+    responseSchema: QuestionSplitter.LAYOUT_SCHEMA
+  }));
+  if (isProviderFailure(reply)) {
+    console.warn('[Split] Layout request failed, treating the screenshot as one question:', reply);
+    return [];
+  }
+  const questions = QuestionSplitter.parseLayout(reply);
+  if (questions.length < 2) return [];
 
-  return new Promise((resolve, reject) => {
-    // Use native tesseract command
-    const tesseractProcess = spawn('tesseract', [tempImagePath, 'stdout'], {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+  const { width, height } = await api.imageSize(imageBuffer);
+  return Promise.all(questions.map(async question => ({
+    label: question.label,
+    text: question.text,
+    image: question.box ? await api.imageCrop(imageBuffer, QuestionSplitter.boxToPixels(question.box, width, height)) : null
+  })));
+}
 
-    let outputText = '';
-    let errorText = '';
+// Picker for the questions found in one capture or paste. `onSelected` gets
+// the checked questions, `onSingle` handles everything as one question.
+function showQuestionPicker(questions, { onSelected, onSingle }) {
+  const hintsDisplay = document.getElementById('hints-display');
+  if (!hintsDisplay) return;
+  hintsDisplay.innerHTML = '';
+  attemptCheckArmed = false;
+
+  const panel = document.createElement('div');
+  panel.className = 'recognized-question question-picker fade-in';
+
+  const header = document.createElement('div');
+  header.className = 'recognized-question-header';
+  const title = document.createElement('span');
+  title.className = 'recognized-question-title';
+  title.textContent = `${questions.length} questions found`;
+  header.appendChild(title);
+
+  const list = document.createElement('div');
+  list.className = 'question-picker-list';
+  const boxes = questions.map((question) => {
+    const item = document.createElement('label');
+    item.className = 'question-picker-item';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = true;
+    const label = document.createElement('span');
+    label.className = 'question-picker-label';
+    label.textContent = question.label;
+    const text = document.createElement('span');
+    text.className = 'question-picker-text';
+    text.textContent = question.text;
+    item.append(box, label, text);
+    list.appendChild(item);
+    return box;
+  });
 
-    tesseractProcess.stdout.on('data', (data) => {
-      outputText += data.toString();
-    });
+  const note = document.createElement('small');
+  note.textContent = 'Hints are generated one question at a time and each question is saved separately.';
+
+  const actions = document.createElement('div');
+  actions.className = 'recognized-question-actions';
+  const mkAction = (label, variant, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = `btn ${variant}`;
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+  };
+  const getHints = mkAction('Get hints for selected', 'btn-primary', () => {
+    const selected = questions.filter((_question, i) => boxes[i].checked);
+    if (selected.length) runPanelAction(() => onSelected(selected));
+  });
+  const updateCount = () => {
+    const count = boxes.filter(box => box.checked).length;
+    getHints.disabled = !count;
+    getHints.textContent = `Get hints for ${count} selected`;
+  };
+  boxes.forEach(box => box.addEventListener('change', updateCount));
+  actions.append(
+    getHints,
+    mkAction('Treat as one question', 'btn-secondary', () => runPanelAction(onSingle)),
+    mkAction('Cancel', 'btn-secondary', () => {
+      panel.remove();
+      updateStatus('Ready');
+    })
+  );
 
-    tesseractProcess.stderr.on('data', (data) => {
-      errorText += data.toString();
-    });
+  panel.append(header, list, note, actions);
+  hintsDisplay.appendChild(panel);
+  renderMath(list, questions.map(question => question.text).join('\n'));
+  updateCount();
+}
 
-    tesseractProcess.on('close', (code) => {
-      // Clean up temporary file
-      try {
-        fs.unlinkSync(tempImagePath);
-      } catch (cleanupError) {
-        console.warn('Failed to cleanup temp file:', cleanupError.message);
-      }
+// Questions picked from one capture or paste, shown as collapsible cards.
+// Entries are { label, text, image, status, hints, question } where
+// `question` is the currentQuestionData the hints were saved with.
+let questionBatch = null;
+
+// Generate hints for each picked question in turn. Every question is saved
+// as its own row; a shared batch_id in the metadata ties them together.
+// Questions with an `image` (a crop from layout detection) are sent to the
+// vision model, the others as text with the whole screenshot attached.
+async function generateHintsForQuestions(questions, imageBuffer = null) {
+  const batch = {
+    id: `batch_${Date.now()}`,
+    entries: questions.map(question => ({ ...question, status: 'pending', hints: '', question: null }))
+  };
+  questionBatch = batch;
+  const startTime = Date.now();
+  const total = batch.entries.length;
+
+  for (const [i, entry] of batch.entries.entries()) {
+    entry.status = 'generating';
+    renderQuestionBatch(batch);
+    updateStatus(`Generating hints for question ${entry.label} (${i + 1} of ${total})...`);
+    showLoading(true, `Generating hints (${i + 1} of ${total})...`);
+
+    const processingStartTime = Date.now();
+    let hints;
+    if (entry.image) {
+      hints = await generateHintsFromImageDirect(entry.image, processingStartTime);
+      currentQuestionData.questionText = entry.text;
+    } else {
+      const classification = await classifyQuestion(entry.text);
+      const imageData = imageBuffer ? bytesToBase64(imageBuffer) : null;
+      hints = await generateHints(entry.text, classification, imageData, processingStartTime);
+    }
 
-      if (code === 0) {
-        const cleanText = outputText.replace(/\s+/g, ' ').trim();
-        resolve(cleanText);
-      } else {
-        reject(new Error(`Tesseract failed: ${errorText || 'Unknown error'}`));
-      }
-    });
+    entry.hints = hints;
+    if (hints.startsWith('[Cancelled]')) {
+      entry.status = 'cancelled';
+      break;
+    }
+    entry.status = isHintError(hints) ? 'failed' : 'done';
+    currentQuestionData.metadata = {
+      ...currentQuestionData.metadata,
+      batch_id: batch.id,
+      batch_index: i + 1,
+      batch_size: total,
+      question_label: entry.label
+    };
+    entry.question = currentQuestionData;
+    // Save now so each question gets its own row before the next one starts
+    await flushPendingSave();
+  }
+
+  batch.entries.filter(entry => entry.status === 'pending').forEach(entry => { entry.status = 'skipped'; });
+  renderQuestionBatch(batch);
+  const done = batch.entries.filter(entry => entry.status === 'done').length;
+  updateStatus(done === total ? 'Ready' : `Hints ready for ${done} of ${total} questions`);
+
+  await logActivity('question_split', 'completed', {
+    batch_id: batch.id,
+    questions: total,
+    completed: done,
+    source: imageBuffer ? 'image' : 'text',
+    layout: batch.entries.some(entry => entry.image),
+    total_processing_time_ms: Date.now() - startTime
+  });
+}
 
-    tesseractProcess.on('error', (error) => {
-      // Clean up temporary file
-      try {
-        fs.unlinkSync(tempImagePath);
-      } catch (cleanupError) {
-        console.warn('Failed to cleanup temp file:', cleanupError.message);
+const BATCH_STATUS_LABELS = {
+  pending: 'Waiting',
+  generating: 'Generating...',
+  done: 'Ready',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  skipped: 'Skipped'
+};
+
+// One collapsible card per question of a batch. The latest finished
+// question starts open.
+function renderQuestionBatch(batch) {
+  const hintsDisplay = document.getElementById('hints-display');
+  if (!hintsDisplay) return;
+  hintsDisplay.innerHTML = '';
+  attemptCheckArmed = false;
+
+  const list = document.createElement('div');
+  list.className = 'question-batch fade-in';
+  const latest = [...batch.entries].reverse().find(entry => entry.status === 'done');
+
+  batch.entries.forEach(entry => {
+    const card = document.createElement('details');
+    card.className = `question-card ${entry.status}`;
+    card.open = entry.open ?? entry === latest;
+    card.addEventListener('toggle', () => { entry.open = card.open; });
+
+    const summary = document.createElement('summary');
+    const label = document.createElement('span');
+    label.className = 'question-card-label';
+    label.textContent = entry.label;
+    const excerpt = document.createElement('span');
+    excerpt.className = 'question-card-excerpt';
+    excerpt.textContent = entry.text.replace(/\s+/g, ' ');
+    const status = document.createElement('span');
+    status.className = 'question-card-status';
+    status.textContent = BATCH_STATUS_LABELS[entry.status];
+    summary.append(label, excerpt, status);
+
+    const body = document.createElement('div');
+    body.className = 'question-card-body';
+    const question = document.createElement('div');
+    question.className = 'question-card-question';
+    question.textContent = entry.text;
+    body.appendChild(question);
+
+    if (entry.status === 'done') {
+      const { parsedHints } = renderHintContent(body, entry.hints, entry.question?.structuredHints);
+      // Progressive mode keeps the rest behind the full view's reveal button
+      if (currentConfig.progressive_hints && parsedHints.length > 1) {
+        const hidden = [...body.querySelectorAll('.hint-item')].slice(1).concat([...body.querySelectorAll('.encouragement')]);
+        hidden.forEach(el => el.classList.add('hidden'));
       }
+      const open = document.createElement('button');
+      open.className = 'btn btn-secondary question-card-open';
+      open.textContent = currentConfig.progressive_hints ? 'Open to reveal more hints' : 'Open';
+      open.addEventListener('click', () => openBatchQuestion(batch, entry));
+      body.appendChild(open);
+    } else if (entry.status === 'failed') {
+      const error = document.createElement('div');
+      error.className = 'hint-text';
+      error.textContent = entry.hints;
+      body.appendChild(error);
+    }
 
-      reject(error);
-    });
+    card.append(summary, body);
+    list.appendChild(card);
+    renderMath(card, `${entry.text}\n${entry.hints}`);
   });
+
+  hintsDisplay.appendChild(list);
+}
+
+// Show one question of a batch with the usual actions and follow-up chat,
+// and a way back to the other questions
+function openBatchQuestion(batch, entry) {
+  flushPendingSave();
+  currentQuestionData = entry.question;
+  displayHints(entry.hints);
+
+  const hintsDisplay = document.getElementById('hints-display');
+  const back = document.createElement('div');
+  back.className = 'question-batch-back fade-in';
+  const button = document.createElement('button');
+  button.className = 'btn btn-secondary';
+  button.textContent = `All questions (${batch.entries.length})`;
+  button.addEventListener('click', () => renderQuestionBatch(batch));
+  back.appendChild(button);
+  hintsDisplay?.prepend(back);
+}
+
+// True when OCR read the image so poorly that the vision model should see it instead
+function isLowOcrConfidence(result) {
+  const minimum = Number(currentConfig.ocr_min_confidence) || 0;
+  return minimum > 0 && result.confidence !== null && result.confidence < minimum;
 }
 
-// Remove old fallback that required system install; Tesseract.js is used instead
+// OCR details saved with a question read from a screenshot. With the review
+// step both the raw OCR text and the text hints were generated for are kept,
+// so OCR accuracy can be measured later.
+function ocrMetadata(questionText) {
+  if (!lastOcrResult) return {};
+  return {
+    ocr_confidence: lastOcrResult.confidence,
+    ocr_preprocessing: lastOcrResult.preprocessing,
+    math_ocr_regions: lastOcrResult.mathRegions,
+    ocr_reviewed: !!lastOcrResult.reviewed,
+    ...(lastOcrResult.reviewed
+      ? { ocr_text_original: lastOcrResult.text, ocr_text_edited: questionText, ocr_text_changed: questionText !== lastOcrResult.text }
+      : {})
+  };
+}
 
-// Get clipboard image
-function getClipboardImage() {
+// Get clipboard image as PNG bytes, or null
+async function getClipboardImage() {
   try {
-    const image = clipboard.readImage();
-    if (image.isEmpty()) {
-      return null;
-    }
-    return image.toPNG();
+    return await api.clipboardReadImage();
   } catch (error) {
     console.error('Error reading clipboard:', error);
     return null;
@@ -2316,7 +3710,7 @@ async function processClipboardImage() {
   // Log clipboard usage
   await logActivity('clipboard', 'accessed');
 
-  const imageBuffer = getClipboardImage();
+  const imageBuffer = await getClipboardImage();
   if (!imageBuffer) {
     updateStatus('No image found in clipboard');
     displayHints('⚠️ No image found in clipboard. Please copy an image first.');
@@ -2334,12 +3728,48 @@ async function processClipboardImage() {
   await processImage(imageBuffer);
 }
 
+// Classify OCR text from a screenshot, generate and show hints.
+// `overrides` holds a format id and/or difficulty picked in the review step.
+async function generateHintsFromOcrText(text, imageBuffer, processingStartTime, overrides = {}) {
+  let classification = await classifyQuestion(text);
+  if (overrides.format) {
+    classification = { ...classification, format: overrides.format, questionType: QuestionClassifier.FORMAT_LABELS[overrides.format] };
+  }
+  if (overrides.difficulty) {
+    classification = { ...classification, difficulty: overrides.difficulty };
+  }
+
+  updateStatus(`Generating hints... (${describeClassification(classification)})`);
+  showLoading(true, 'Generating hints...');
+
+  const hints = await generateHints(text, classification, bytesToBase64(imageBuffer), processingStartTime);
+  displayHints(hints);
+  updateStatus('Ready');
+
+  await logActivity('image_processing', 'completed', {
+    question_type: classification.questionType,
+    difficulty: classification.difficulty,
+    subject: classification.subject,
+    topic: classification.topic || null,
+    text_length: text.length,
+    hints_length: (hints || '').length,
+    total_processing_time_ms: Date.now() - processingStartTime
+  });
+}
+
 // Process image (main processing function)
-async function processImage(imageBuffer) {
+// @param {Object} [options]
+// @param {string} [options.historyId] - Capture history entry when re-running a saved capture
+// @param {boolean} [options.interactive=true] - false skips the review step and question picker
+async function processImage(imageBuffer, { historyId = null, interactive = true } = {}) {
   if (isProcessing) return;
 
   isProcessing = true;
   const processingStartTime = Date.now();
+  // OCR metadata of an earlier capture must not end up on this one
+  lastOcrResult = null;
+  // The student's working for "check my step" is not a capture to keep
+  activeCapture = attemptCheckArmed ? null : await recordCapture(imageBuffer, historyId);
   showLoading(true, 'Processing image...');
   updateStatus('Processing image...');
 
@@ -2350,7 +3780,23 @@ async function processImage(imageBuffer) {
   });
 
   try {
-    if (currentConfig.advanced_mode) {
+    if (attemptCheckArmed) {
+      // The screenshot is the student's working, not a new question
+      await checkAttempt({ imageBuffer });
+    } else if (currentConfig.advanced_mode) {
+      const questions = interactive ? await detectQuestionsInImage(imageBuffer) : [];
+      if (questions.length) {
+        showQuestionPicker(questions, {
+          onSelected: selected => generateHintsForQuestions(selected, imageBuffer),
+          onSingle: async () => {
+            displayHints(await generateHintsFromImageDirect(imageBuffer, Date.now()));
+            updateStatus('Ready');
+          }
+        });
+        updateStatus(`Found ${questions.length} questions, pick the ones you want hints for`);
+        return;
+      }
+
       // Advanced Mode: send image directly to the LLM (no OCR)
       updateStatus('Generating hints (Advanced Mode)...');
       showLoading(true, 'Generating hints...');
@@ -2366,7 +3812,8 @@ async function processImage(imageBuffer) {
       });
     } else {
       // Standard Mode: OCR then text-only prompting
-      const text = await extractTextFromImage(imageBuffer);
+      const ocr = await extractTextFromImage(imageBuffer);
+      const text = ocr.text;
 
       if (!text || text.startsWith('[OCR Error]') || text.trim().length === 0) {
         const rawMsg = text?.startsWith('[OCR Error]') ? text : '⚠️ No text found in the image.';
@@ -2458,26 +3905,68 @@ async function processImage(imageBuffer) {
 
       await logActivity('ocr', 'completed', {
         text_length: text.length,
+        confidence: ocr.confidence,
+        preprocessing: ocr.preprocessing,
         processing_time_ms: Date.now() - processingStartTime
       });
 
-      const qtype = classifyQuestion(text);
-      const difficulty = detectDifficulty(text);
+      // With the review step the user sees the confidence and decides instead
+      if (isLowOcrConfidence(ocr) && (currentConfig.ocr_review !== true || !interactive)) {
+        // OCR text this unreliable would mislead the hints; use vision for this image only
+        updateStatus(`Low OCR confidence (${ocr.confidence}%), sending the image to the AI...`);
+        showLoading(true, 'Generating hints...');
+        const hints = await generateHintsFromImageDirect(imageBuffer, processingStartTime);
+        displayHints(hints);
+        updateStatus('Ready');
+        await logActivity('image_processing', 'completed', {
+          question_type: 'image_direct',
+          difficulty: 'Unknown',
+          ocr_confidence: ocr.confidence,
+          vision_fallback: true,
+          hints_length: (hints || '').length,
+          total_processing_time_ms: Date.now() - processingStartTime
+        });
+        return;
+      }
 
-      updateStatus(`Generating hints... (${qtype}, ${difficulty})`);
-      showLoading(true, 'Generating hints...');
+      let reviewText = text;
+      let review = interactive && currentConfig.ocr_review === true;
+      if (isMathOcrEnabled()) {
+        const math = await transcribeMath(ocr);
+        if (math.regions) {
+          // Transcribed equations can be misread, so they are always reviewed
+          reviewText = math.text;
+          review = interactive;
+          await logActivity('math_ocr', 'completed', {
+            regions: math.regions,
+            processing_time_ms: Date.now() - processingStartTime
+          });
+        }
+      }
 
-      const hints = await generateHints(text, qtype, difficulty, imageBuffer.toString('base64'), processingStartTime);
-      displayHints(hints);
-      updateStatus('Ready');
+      // Line breaks show where numbered questions start
+      const splitText = reviewText !== text ? reviewText : (ocr.lines?.length ? ocr.lines.map(line => line.text).join('\n') : text);
+      const questions = interactive ? detectQuestions(splitText) : [];
+      if (questions.length) {
+        showQuestionPicker(questions, {
+          onSelected: selected => generateHintsForQuestions(selected, imageBuffer),
+          onSingle: () => (review
+            ? showRecognizedQuestion(ocr, reviewText, imageBuffer)
+            : generateHintsFromOcrText(text, imageBuffer, Date.now()))
+        });
+        updateStatus(`Found ${questions.length} questions, pick the ones you want hints for`);
+        await logActivity('question_split', 'detected', { questions: questions.length, source: 'ocr' });
+        return;
+      }
 
-      await logActivity('image_processing', 'completed', {
-        question_type: qtype,
-        difficulty: difficulty,
-        text_length: text.length,
-        hints_length: (hints || '').length,
-        total_processing_time_ms: Date.now() - processingStartTime
-      });
+      if (review) {
+        showRecognizedQuestion(ocr, reviewText, imageBuffer);
+        updateStatus('Check the recognized question, then get hints');
+        return;
+      }
+
+      // Without the review step transcribed equations are used as they are
+      await generateHintsFromOcrText(reviewText, imageBuffer, processingStartTime);
     }
 
   } catch (error) {
@@ -2512,7 +4001,7 @@ async function probeScreenPermissionViaStream() {
 
 // One-time registration to make app appear in macOS Screen Recording list
 async function registerAppForScreenRecordingOnce() {
-  if (process.platform !== 'darwin') return;
+  if (platform !== 'darwin') return;
   if (permissionManager.sessionFlags.registrationAttempted) return;
   permissionManager.sessionFlags.registrationAttempted = true;
 
@@ -2581,7 +4070,7 @@ async function registerAppForScreenRecordingOnce() {
 // Check current macOS Screen Recording permission status (via main for reliability)
 async function getScreenPermissionStatus(forceCheck = false) {
   try {
-    if (process.platform !== 'darwin') {
+    if (platform !== 'darwin') {
       console.log('[Permission] Non-macOS platform, returning granted');
       return 'granted';
     }
@@ -2602,7 +4091,7 @@ async function getScreenPermissionStatus(forceCheck = false) {
       setTimeout(() => reject(new Error('Permission status check timeout')), 5000);
     });
 
-    const statusPromise = ipcRenderer.invoke('get-screen-permission-status');
+    const statusPromise = api.getScreenPermissionStatus();
     const status = await Promise.race([statusPromise, timeoutPromise]);
 
     console.log(`[Permission] Received status from main process: "${status}"`);
@@ -2623,7 +4112,7 @@ async function getScreenPermissionStatus(forceCheck = false) {
       error: e.message,
       stack: e.stack,
       forceCheck,
-      platform: process.platform
+      platform
     });
 
     // Return cached status if available, otherwise unknown
@@ -2640,7 +4129,7 @@ async function getScreenPermissionStatus(forceCheck = false) {
 // Open macOS System Settings to the Screen Recording privacy pane
 async function openScreenRecordingPreferences() {
   try {
-    const result = await ipcRenderer.invoke('open-screen-preferences');
+    const result = await api.openScreenPreferences();
     if (result) {
       permissionManager.sessionFlags.screenPrefsPrompted = true;
       try { store.set('screen_permission_restart_required', true); } catch { }
@@ -2653,7 +4142,7 @@ async function openScreenRecordingPreferences() {
 
 // Comprehensive permission validation that combines multiple checks
 async function validateScreenPermission() {
-  if (process.platform !== 'darwin') return { status: 'granted', validated: true };
+  if (platform !== 'darwin') return { status: 'granted', validated: true };
   const systemStatus = await getScreenPermissionStatus(true);
   if (systemStatus === 'granted') return { status: 'granted', validated: true, method: 'system' };
   if (systemStatus === 'denied') return { status: 'denied', validated: true, method: 'system' };
@@ -2663,7 +4152,7 @@ async function validateScreenPermission() {
 
 // Smart permission handler that uses comprehensive validation
 async function ensureScreenPermission() {
-  if (process.platform !== 'darwin') return { success: true, status: 'granted' };
+  if (platform !== 'darwin') return { success: true, status: 'granted' };
   const validation = await validateScreenPermission();
 
   try {
@@ -2703,10 +4192,10 @@ async function ensureScreenPermission() {
 
 // Guide user through permission granting process
 async function guideUserToGrantPermission() {
-  if (process.platform !== 'darwin') return true;
+  if (platform !== 'darwin') return true;
 
-  const packaged = await ipcRenderer.invoke('is-packaged-app');
-  const appName = await ipcRenderer.invoke('get-app-name');
+  const packaged = await api.isPackagedApp();
+  const appName = await api.getAppName();
 
   // Don't prompt repeatedly in the same session unless permission status changed
   if (permissionManager.sessionFlags.screenPrefsPrompted) {
@@ -2736,7 +4225,7 @@ async function guideUserToGrantPermission() {
   const restartNow = window.confirm(`${message}\n\nWould you like to restart the app now?`);
   if (restartNow) {
     try {
-      await ipcRenderer.invoke('relaunch-app');
+      await api.relaunchApp();
       return true;
     } catch (e) {
       console.error('[Permission] Failed to restart app:', e);
@@ -2804,6 +4293,8 @@ function cleanupPermissionSystem() {
 
 // Register cleanup on window unload
 window.addEventListener('beforeunload', cleanupPermissionSystem);
+// Best effort: save a question whose hints were still being revealed
+window.addEventListener('beforeunload', () => { flushPendingSave(); });
 
 // Test function for permission system (development/debugging)
 async function testPermissionSystem() {
@@ -2845,7 +4336,7 @@ async function triggerCapture() {
   updateStatus('Preparing screenshot capture...');
 
   // On macOS, use the new smart permission system
-  if (process.platform === 'darwin') {
+  if (platform === 'darwin') {
     console.log('[Capture] Checking screen recording permission');
 
     const permissionResult = await ensureScreenPermission();
@@ -2857,7 +4348,7 @@ async function triggerCapture() {
         const restart = window.confirm(`${permissionResult.message}\n\nWould you like to restart Hintify now?`);
         if (restart) {
           try {
-            await ipcRenderer.invoke('relaunch-app');
+            await api.relaunchApp();
             return;
           } catch (e) {
             console.error('[Capture] Failed to restart app:', e);
@@ -2882,13 +4373,15 @@ async function triggerCapture() {
     }
 
     // Permission is confirmed - proceed with capture
+    if (currentConfig.capture_method !== 'system') {
+      await captureWithOverlay();
+      return;
+    }
+
     console.log('[Capture] Permission confirmed, starting screencapture');
     updateStatus('Click and drag to select area to capture...');
 
-    const { spawn } = require('child_process');
-    const capture = spawn('screencapture', ['-i', '-c', '-x']);
-
-    capture.on('close', async (code) => {
+    api.captureSystem().then(async (code) => {
       if (code === 0) {
         console.log('[Capture] Screenshot captured successfully');
         // Mark permission as working
@@ -2913,9 +4406,7 @@ async function triggerCapture() {
           updateStatus('Screenshot cancelled');
         }
       }
-    });
-
-    capture.on('error', (error) => {
+    }).catch((error) => {
       console.error('[Capture] Screenshot capture error:', error);
       updateStatus('Screenshot capture failed');
     });
@@ -2923,16 +4414,33 @@ async function triggerCapture() {
     return;
   }
 
-  if (process.platform === 'win32') {
-    // On Windows, we could use PowerShell or other methods
-    // For now, just show a message
-    updateStatus('Please use Windows Snipping Tool and copy to clipboard');
-    displayHints('📸 Please use Windows Snipping Tool (Win+Shift+S) to capture a screenshot, then press Ctrl+Shift+V to process it.');
-  } else {
-    // Linux and other platforms
-    updateStatus('Please copy screenshot to clipboard');
-    displayHints('📸 Please capture a screenshot and copy it to clipboard, then press Ctrl+Shift+V to process it.');
+  // Windows and Linux have no permission step
+  await captureWithOverlay();
+}
+
+// Region capture with the in-app overlay (CaptureOverlay in the main
+// process); the selected region goes straight to processImage
+async function captureWithOverlay() {
+  updateStatus('Drag to select the area to capture, Esc to cancel');
+  let png;
+  try {
+    png = await api.captureRegion();
+  } catch (error) {
+    console.error('[Capture] Overlay capture failed:', error);
+    updateStatus('Screenshot capture failed');
+    displayHints(`[Error] Screenshot capture failed: ${error.message}. You can still copy a screenshot and press Cmd/Ctrl+Shift+V.`);
+    return;
+  }
+
+  if (!png) {
+    updateStatus('Screenshot cancelled');
+    return;
+  }
+  if (platform === 'darwin') {
+    permissionManager.updatePermissionStatus('granted', true);
   }
+  await logActivity('capture', 'region_selected', { image_size: png.length, method: 'overlay' });
+  await processImage(png);
 }
 
 // Initialize the app with async authentication check
@@ -2942,17 +4450,14 @@ async function initializeApp() {
   // Load configuration
   const config = loadConfig();
 
-  // Apply theme (check if glassy mode is enabled)
-  const glassyMode = store.get('glassy_mode', false);
-  if (glassyMode) {
-    applyTheme('glass');
-  } else {
-    applyTheme(config.theme);
-  }
+  applyTheme();
 
   // Load images with proper paths
   loadAppImages();
 
+  await initCaptureHistory();
+  await initHistorySync();
+
   // Check authentication status (now async)
   const isAuthenticated = await checkAuthStatus();
 
@@ -2966,7 +4471,7 @@ async function initializeApp() {
   checkSystemReadiness();
 
   // Start permission monitoring on macOS
-  if (process.platform === 'darwin') {
+  if (platform === 'darwin') {
     // Set initial permission state and start monitoring
     try {
       const initialStatus = await getScreenPermissionStatus();
@@ -3003,7 +4508,7 @@ async function initializeApp() {
   }
 
   // Update provider display
-  updateProvider(config.provider, config.provider === 'ollama' ? config.ollama_model : config.gemini_model);
+  updateProvider(config.provider, getActiveProvider(config).model);
 
   // Sync bottom-bar mode toggle
   syncModeToggleUI(config);
@@ -3222,6 +4727,29 @@ function setupEventListeners() {
     });
   }
 
+  // Capture history panel
+  const captureHistoryBtn = document.getElementById('capture-history-btn');
+  const captureHistoryModal = document.getElementById('capture-history-modal');
+  if (captureHistoryBtn) {
+    captureHistoryBtn.addEventListener('click', showCaptureHistory);
+  }
+  document.getElementById('close-capture-history-modal')?.addEventListener('click', () => {
+    captureHistoryModal.classList.add('hidden');
+  });
+  document.getElementById('clear-capture-history-btn')?.addEventListener('click', async () => {
+    if (!window.confirm('Delete all saved captures from this device?')) return;
+    await captureHistory.clear();
+    showCaptureHistory();
+    updateStatus('Capture history cleared');
+  });
+  if (captureHistoryModal) {
+    captureHistoryModal.addEventListener('click', (e) => {
+      if (e.target === captureHistoryModal) {
+        captureHistoryModal.classList.add('hidden');
+      }
+    });
+  }
+
   // History modal functionality
   const historyModal = document.getElementById('history-modal');
   const closeHistoryModal = document.getElementById('close-history-modal');
@@ -3247,14 +4775,12 @@ function setupEventListeners() {
 
   ipcRenderer.on('config-updated', (event, newConfig) => {
     currentConfig = { ...currentConfig, ...newConfig };
-    // Apply theme (check if glassy_mode is in newConfig)
-    if (newConfig.glassy_mode) {
-      applyTheme('glass');
-    } else {
-      applyTheme(newConfig.theme);
-    }
-    updateProvider(newConfig.provider, newConfig.provider === 'ollama' ? newConfig.ollama_model : newConfig.gemini_model);
+    // Settings may have fixed whatever made a provider fail
+    providerHealth.reset();
+    applyTheme();
+    updateProvider(currentConfig.provider, getActiveProvider(currentConfig).model);
     syncModeToggleUI(currentConfig);
+    captureHistory.setLimits(captureHistoryLimits()).catch(() => { });
   });
 
   // Listen for authentication updates
@@ -3404,8 +4930,7 @@ function setupAccountMenu() {
       e.stopPropagation();
 
       // Bring window to front when opening account menu
-      const { ipcRenderer } = require('electron');
-      ipcRenderer.invoke('focus-main-window').catch(console.warn);
+      api.focusMainWindow().catch(console.warn);
 
       accountDropdown.classList.toggle('hidden');
     });
@@ -3541,7 +5066,7 @@ function openEmbeddedSettings() {
   console.log('🎨 Detected current theme:', currentTheme);
   console.log('🎨 Sending theme to settings:', currentTheme);
 
-  ipcRenderer.send('open-settings', { theme: currentTheme });
+  api.openSettings({ theme: currentTheme });
 }
 
 // Settings are now opened in separate window
@@ -3557,7 +5082,7 @@ async function handleSyncData() {
     showLoading(true, 'Syncing account data...');
 
     // Call the sync function through IPC
-    const result = await ipcRenderer.invoke('sync-account-data');
+    const result = await api.syncAccountData();
 
     showLoading(false);
 
@@ -3589,7 +5114,7 @@ async function handleClearLocalData() {
     showLoading(true, 'Clearing local data...');
 
     // Sign out user (which clears data)
-    ipcRenderer.send('user-logged-out');
+    api.userLoggedOut();
 
     showLoading(false);
 
@@ -3732,13 +5257,13 @@ function displayAuthenticationMessage() {
 function startClipboardMonitor() {
   let lastImageHash = null;
 
-  setInterval(() => {
+  setInterval(async () => {
     if (isProcessing) return;
 
-    const imageBuffer = getClipboardImage();
+    const imageBuffer = await getClipboardImage();
     if (imageBuffer) {
-      const crypto = require('crypto');
-      const currentHash = crypto.createHash('md5').update(imageBuffer).digest('hex');
+      const digest = await crypto.subtle.digest('SHA-256', imageBuffer);
+      const currentHash = bytesToBase64(new Uint8Array(digest));
 
       if (currentHash !== lastImageHash) {
         lastImageHash = currentHash;
@@ -3787,7 +5312,7 @@ function initializeThemeToggle() {
       applyThemeClass(newTheme);
 
       // Save theme preference
-      store.set('app-theme', newTheme);
+      saveConfig({ 'app-theme': newTheme });
 
       // Show theme name briefly
       const themeName = themeNames[newTheme] || 'Unknown';
@@ -3818,54 +5343,13 @@ window.addEventListener('focus', () => {
   updateStatus('Ready');
 });
 
-// Query Nano Banana
-async function queryNanoBanana(prompt, model) {
+// Generate Diagram with the Gemini image model, in the main process
+async function generateDiagram(topic) {
+  const prompt = `Educational diagram explaining: ${topic}`;
   try {
-    const apiKey = store.get('gemini_api_key') || process.env.GEMINI_API_KEY;
-    if (apiKey) {
-      nanoBananaService.setApiKey(apiKey);
-    }
-    const result = await nanoBananaService.generateImage(prompt, model);
-    if (result.success) {
-      return result.imageUrl;
-    } else {
-      return `[NanoBanana Error] ${result.error}`;
-    }
+    const result = await api.generateDiagram(prompt);
+    return result.success ? result.imageUrl : `[NanoBanana Error] ${result.error}`;
   } catch (error) {
     return `[NanoBanana Error] ${error.message}`;
   }
 }
-
-// Fetch related URLs using Gemini
-async function fetchRelatedUrls(topic) {
-  const apiKey = store.get('gemini_api_key') || process.env.GEMINI_API_KEY;
-  if (!apiKey) return [];
-
-  const prompt = `Find 3 high-quality, educational URLs related to: "${topic}".
-  Return ONLY the URLs, one per line. No descriptions.`;
-
-  try {
-    const response = await queryGemini(prompt, 'gemini-2.0-flash', apiKey);
-    if (response.includes('[LLM Error]')) return [];
-    return response.split('\n').filter(url => url.startsWith('http'));
-  } catch (e) {
-    console.error('Error fetching URLs:', e);
-    return [];
-  }
-}
-
-// Generate Diagram
-async function generateDiagram(topic) {
-  const prompt = `Educational diagram explaining: ${topic}`;
-  const imageModel = store.get('gemini_image_model') || 'gemini-2.0-flash-exp';
-  return await queryNanoBanana(prompt, imageModel);
-}
-
-// Export functions for potential use
-module.exports = {
-  processClipboardImage,
-  triggerCapture,
-  loadConfig,
-  saveConfig,
-  applyTheme
-};
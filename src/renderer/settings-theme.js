@@ -0,0 +1,40 @@
+/**
+ * Applies the saved theme to the settings page before the rest of it loads,
+ * and theme changes sent by the main process afterwards. Kept out of the
+ * HTML because the page's CSP allows no inline scripts.
+ */
+
+try {
+    const { ipc, store } = window.hintify;
+
+    // Load and apply saved theme
+    const savedTheme = store.get('app-theme', 'theme-dark');
+    console.log('[Settings] Loading theme:', savedTheme);
+
+    const themeClasses = ['theme-dark', 'theme-pastel', 'theme-light'];
+    document.body.classList.remove(...themeClasses);
+    document.body.classList.add(savedTheme, 'material-ui');
+
+    // Apply glassy mode if enabled
+    if (store.get('glassy_mode', false)) {
+        document.body.classList.add('glassy-mode');
+        document.documentElement.classList.add('theme-glassy');
+    }
+
+    console.log('[Settings] Theme applied:', document.body.className);
+
+    // Listen for theme updates from main process
+    ipc.on('apply-theme', (event, theme) => {
+        console.log('[Settings] Theme update received:', theme);
+        document.body.classList.remove(...themeClasses);
+        document.body.classList.add(theme, 'material-ui');
+
+        if (store.get('glassy_mode', false)) {
+            document.body.classList.add('glassy-mode');
+            document.documentElement.classList.add('theme-glassy');
+        }
+    });
+
+} catch (error) {
+    console.error('[Settings] Theme initialization failed:', error);
+}
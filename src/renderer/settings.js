@@ -22,37 +22,35 @@ console.log('[Settings] ========================================');
 // MODULE IMPORTS
 // ============================================================================
 
-// Note: ipcRenderer may already be declared in the HTML inline script
-// We'll use it from the global scope if available, otherwise require it
-let Store, axios;
+// The page runs without Node.js: IPC, the store and the shared services come
+// from the preload bridge (see preload.js), providers from ai-client.js
+let api, ipcRenderer, providerRegistry, PromptTemplates, Languages, configSchema;
 
 try {
-    // ipcRenderer should already be available from the inline script in settings.html
-    // If not, we'll require it (but this shouldn't happen in normal usage)
-    if (typeof ipcRenderer === 'undefined') {
-        // This will only work if ipcRenderer wasn't declared as const in the global scope
-        globalThis.ipcRenderer = require('electron').ipcRenderer;
-    }
-    Store = require('electron-store');
-    axios = require('axios');
+    ({ api, ipc: ipcRenderer } = window.hintify);
+    ({ PromptTemplates, Languages } = window.hintify.lib);
+    providerRegistry = RemoteProviders.registry;
+    configSchema = window.hintify.lib.ConfigSchema.create();
     console.log('[Settings] ✓ All modules loaded successfully');
 } catch (error) {
     console.error('[Settings] ✗ Failed to load modules:', error);
     // Fallback objects to prevent crashes
-    if (typeof ipcRenderer === 'undefined') {
-        globalThis.ipcRenderer = {
-            invoke: () => Promise.resolve({}),
-            send: () => { },
-            on: () => { }
-        };
-    }
-    Store = class FallbackStore {
-        get(_key, defaultValue) { return defaultValue; }
-        set(_key, _value) { }
+    // Every API method resolves to an empty result
+    api = api || new Proxy({}, { get: () => () => Promise.resolve({}) });
+    ipcRenderer = ipcRenderer || {
+        on: () => { }
+    };
+    providerRegistry = providerRegistry || {
+        get: () => null,
+        has: () => false,
+        list: () => [],
+        getConfigDefaults: () => ({})
     };
-    axios = {
-        get: () => Promise.reject(new Error('axios not available')),
-        post: () => Promise.reject(new Error('axios not available'))
+    configSchema = configSchema || {
+        load: () => ({}),
+        validate: () => [],
+        export: () => '{}',
+        parseImport: () => ({ settings: null, errors: ['Settings are not available'] })
     };
 }
 
@@ -67,15 +65,8 @@ const AppState = {
     // Initialization
     isInitialized: false,
 
-    // Configuration
-    config: {
-        provider: 'gemini',
-        ollama_model: 'granite3.2-vision:2b',
-        gemini_model: 'gemini-2.0-flash',
-        gemini_image_model: 'gemini-2.0-flash-exp',
-        theme: 'dark',
-        advanced_mode: true
-    },
+    // Configuration, as saved (see ConfigManager.load)
+    config: {},
 
     // User authentication
     user: {
@@ -98,11 +89,11 @@ const AppState = {
 };
 
 /**
- * electron-store instance
+ * electron-store in the main process, through the preload bridge
  */
 let store;
 try {
-    store = new Store();
+    store = window.hintify.store;
     console.log('[Settings] ✓ Store initialized');
 } catch (error) {
     console.error('[Settings] ✗ Store initialization failed:', error);
@@ -123,46 +114,31 @@ try {
 const ConfigManager = {
 
     /**
-     * Default configuration values
-     */
-    defaults: {
-        provider: 'gemini',
-        ollama_model: 'granite3.2-vision:2b',
-        gemini_model: 'gemini-2.0-flash',
-        gemini_image_model: 'gemini-2.0-flash-exp',
-        theme: 'dark',
-        advanced_mode: true
-    },
-
-    /**
-     * Load configuration from store
+     * Load configuration from store. Types and defaults come from the
+     * shared config schema (ConfigSchema).
      * @returns {Object} Configuration object
      */
     load() {
         console.log('[Config] Loading configuration...');
-        const config = { ...this.defaults };
-
-        for (const key of Object.keys(this.defaults)) {
-            const stored = store.get(key);
-            if (stored !== undefined) {
-                config[key] = stored;
-            }
-        }
-
+        const config = configSchema.load(key => store.get(key));
         console.log('[Config] ✓ Configuration loaded:', config);
         return config;
     },
 
     /**
-     * Save configuration to store
+     * Save configuration through the main process, which tells the main
+     * window about the change
      * @param {Object} config - Configuration object to save
+     * @returns {Promise<boolean>}
      */
-    save(config) {
+    async save(config) {
         console.log('[Config] Saving configuration...');
 
         try {
-            for (const key of Object.keys(config)) {
-                store.set(key, config[key]);
+            const { success, errors } = await api.configSet(config);
+            if (!success) {
+                console.error('[Config] ✗ Settings rejected:', errors);
+                return false;
             }
 
             console.log('[Config] ✓ Configuration saved successfully');
@@ -179,21 +155,44 @@ const ConfigManager = {
      * @returns {Object} Validation result with {valid: boolean, errors: string[]}
      */
     validate(config) {
-        const errors = [];
+        // Types, ranges and choices of every setting
+        const errors = configSchema.validate(config);
 
-        // Validate provider
-        if (!['gemini', 'ollama'].includes(config.provider)) {
+        // Validate provider and its own settings
+        const provider = providerRegistry.get(config.provider);
+        if (provider) {
+            errors.push(...provider.validate(config));
+        } else {
             errors.push('Invalid AI provider selected');
         }
 
-        // Validate Ollama model if Ollama is selected
-        if (config.provider === 'ollama' && !config.ollama_model) {
-            errors.push('Please select an Ollama model');
+        // Validate fallback chain
+        for (const id of config.provider_fallback_chain || []) {
+            if (!providerRegistry.has(id)) {
+                errors.push(`Unknown fallback provider: ${id}`);
+            }
         }
 
-        // Validate Gemini model
-        if (config.provider === 'gemini' && !config.gemini_model) {
-            errors.push('Please select a Gemini model');
+        if (Languages) {
+            if (config.respond_language !== 'auto' && !Languages.get(config.respond_language)) {
+                errors.push('Unknown response language selected');
+            }
+            if (!config.ocr_languages) {
+                errors.push('Select at least one OCR language');
+            }
+        }
+
+        // Validate edited and imported prompt templates
+        if (PromptTemplates) {
+            const templates = PromptTemplates.create(config.prompt_templates);
+            if (!templates.has(config.prompt_template)) {
+                errors.push('Unknown prompt template selected');
+            }
+            for (const [id, template] of Object.entries(config.prompt_templates || {})) {
+                for (const [kind, text] of Object.entries(template.prompts || {})) {
+                    errors.push(...templates.validate(kind, text).map(error => `${template.name || id}: ${error}`));
+                }
+            }
         }
 
         return {
@@ -211,12 +210,37 @@ const ConfigManager = {
         const elements = AppState.elements;
 
         return {
+            // Every input bound to a provider config key, then the explicit fields below
+            ...ProviderManager.readFields({ secrets: false }),
             provider: elements.providerSelect?.value || 'gemini',
+            provider_fallback_chain: ProviderManager.readFallbackChain(),
             ollama_model: elements.ollamaModel?.value || '',
             gemini_model: elements.geminiModel?.value || 'gemini-2.0-flash',
             gemini_image_model: elements.geminiImageModel?.value || 'gemini-2.0-flash-exp',
-            theme: store.get('theme', 'dark'), // Theme is not user-configurable in settings
-            advanced_mode: elements.advancedModeToggle?.checked !== false
+            advanced_mode: elements.advancedModeToggle?.checked !== false,
+            ocr_preprocess: elements.ocrPreprocessToggle?.checked !== false,
+            // An empty field means the default, not 0 (which turns the fallback off)
+            ocr_min_confidence: elements.ocrMinConfidence?.value ? Number(elements.ocrMinConfidence.value) : 60,
+            ocr_review: !!elements.ocrReviewToggle?.checked,
+            math_ocr: elements.mathOcrMode?.value || 'off',
+            math_ocr_ollama_model: elements.mathOcrOllamaModel?.value.trim() || '',
+            split_questions: elements.splitQuestionsToggle?.checked !== false,
+            split_questions_vision: !!elements.splitQuestionsVisionToggle?.checked,
+            capture_method: elements.captureMethod?.value || 'overlay',
+            capture_history: elements.captureHistoryToggle?.checked !== false,
+            capture_history_max_mb: Number(elements.captureHistoryMaxMb?.value) || 200,
+            capture_history_max_days: Number(elements.captureHistoryMaxDays?.value) || 30,
+            progressive_hints: !!elements.progressiveHintsToggle?.checked,
+            hint_think_time: Number(elements.hintThinkTime?.value) || 0,
+            leak_guard: elements.leakGuardToggle?.checked !== false,
+            leak_guard_llm: !!elements.leakGuardLlmToggle?.checked,
+            leak_guard_action: elements.leakGuardAction?.value || 'regenerate',
+            prompt_template: elements.promptTemplateSelect?.value || 'general',
+            prompt_template_auto: elements.promptTemplateAuto?.checked !== false,
+            prompt_templates: PromptTemplateManager.readCustom(),
+            classifier_llm: !!elements.classifierLlmToggle?.checked,
+            respond_language: elements.respondLanguageSelect?.value || 'auto',
+            ocr_languages: LanguageManager.readOcrLanguages()
         };
     },
 
@@ -248,16 +272,93 @@ const ConfigManager = {
             elements.geminiImageModel.value = config.gemini_image_model || 'gemini-2.0-flash-exp';
         }
 
-        // Gemini API key
-        if (elements.geminiApiKey) {
-            elements.geminiApiKey.value = store.get('gemini_api_key', '');
-        }
-
         // Advanced mode
         if (elements.advancedModeToggle) {
             elements.advancedModeToggle.checked = config.advanced_mode !== false;
         }
 
+        // OCR preprocessing
+        if (elements.ocrPreprocessToggle) {
+            elements.ocrPreprocessToggle.checked = config.ocr_preprocess !== false;
+        }
+        if (elements.ocrMinConfidence) {
+            elements.ocrMinConfidence.value = config.ocr_min_confidence ?? 60;
+        }
+        if (elements.ocrReviewToggle) {
+            elements.ocrReviewToggle.checked = !!config.ocr_review;
+        }
+
+        // Math OCR
+        if (elements.mathOcrMode) {
+            elements.mathOcrMode.value = config.math_ocr || 'off';
+        }
+        if (elements.mathOcrOllamaModel) {
+            elements.mathOcrOllamaModel.value = config.math_ocr_ollama_model || '';
+        }
+
+        // Multi-question splitting
+        if (elements.splitQuestionsToggle) {
+            elements.splitQuestionsToggle.checked = config.split_questions !== false;
+        }
+        if (elements.splitQuestionsVisionToggle) {
+            elements.splitQuestionsVisionToggle.checked = !!config.split_questions_vision;
+        }
+
+        // Screenshot capture
+        if (elements.captureMethod) {
+            elements.captureMethod.value = config.capture_method || 'overlay';
+        }
+
+        // Capture history
+        if (elements.captureHistoryToggle) {
+            elements.captureHistoryToggle.checked = config.capture_history !== false;
+        }
+        if (elements.captureHistoryMaxMb) {
+            elements.captureHistoryMaxMb.value = config.capture_history_max_mb ?? 200;
+        }
+        if (elements.captureHistoryMaxDays) {
+            elements.captureHistoryMaxDays.value = config.capture_history_max_days ?? 30;
+        }
+
+        // Progressive hint reveal
+        if (elements.progressiveHintsToggle) {
+            elements.progressiveHintsToggle.checked = !!config.progressive_hints;
+        }
+        if (elements.hintThinkTime) {
+            elements.hintThinkTime.value = config.hint_think_time || 0;
+        }
+
+        // Answer-leak guard
+        if (elements.leakGuardToggle) {
+            elements.leakGuardToggle.checked = config.leak_guard !== false;
+        }
+        if (elements.leakGuardLlmToggle) {
+            elements.leakGuardLlmToggle.checked = !!config.leak_guard_llm;
+        }
+        if (elements.leakGuardAction) {
+            elements.leakGuardAction.value = config.leak_guard_action || 'regenerate';
+        }
+
+        // Question classifier
+        if (elements.classifierLlmToggle) {
+            elements.classifierLlmToggle.checked = !!config.classifier_llm;
+        }
+
+        // Languages
+        LanguageManager.load(config);
+
+        // Prompt templates
+        if (elements.promptTemplateAuto) {
+            elements.promptTemplateAuto.checked = config.prompt_template_auto !== false;
+        }
+        PromptTemplateManager.load(config);
+
+        // Remaining provider fields (Ollama options, schema-rendered cards)
+        ProviderManager.loadFields(config);
+
+        // Fallback chain
+        ProviderManager.renderFallbackChain(config.provider || 'gemini', config.provider_fallback_chain || []);
+
         console.log('[Config] ✓ Configuration loaded into form');
     }
 };
@@ -300,6 +401,7 @@ const DOMManager = {
 
             // AI Settings
             providerSelect: document.getElementById('provider-select'),
+            ollamaBaseUrl: document.getElementById('ollama-base-url'),
             ollamaModel: document.getElementById('ollama-model'),
             refreshOllamaBtn: document.getElementById('refresh-ollama-btn'),
             ollamaStatus: document.getElementById('ollama-status'),
@@ -308,9 +410,51 @@ const DOMManager = {
             geminiApiKey: document.getElementById('gemini-api-key'),
             pasteKeyBtn: document.getElementById('paste-key-btn'),
             toggleKeyVisibility: document.getElementById('toggle-key-visibility'),
+            secretVaultGroup: document.getElementById('secret-vault-group'),
+            secretVaultUnlock: document.getElementById('secret-vault-unlock'),
+            secretVaultPassphrase: document.getElementById('secret-vault-passphrase'),
+            secretVaultUnlockBtn: document.getElementById('secret-vault-unlock-btn'),
+            secretVaultStatus: document.getElementById('secret-vault-status'),
 
             // Features
             advancedModeToggle: document.getElementById('advanced-mode-toggle'),
+            ocrPreprocessToggle: document.getElementById('ocr-preprocess-toggle'),
+            ocrMinConfidence: document.getElementById('ocr-min-confidence'),
+            ocrReviewToggle: document.getElementById('ocr-review-toggle'),
+            splitQuestionsToggle: document.getElementById('split-questions-toggle'),
+            splitQuestionsVisionToggle: document.getElementById('split-questions-vision-toggle'),
+            captureMethod: document.getElementById('capture-method'),
+            captureHistoryToggle: document.getElementById('capture-history-toggle'),
+            captureHistoryMaxMb: document.getElementById('capture-history-max-mb'),
+            captureHistoryMaxDays: document.getElementById('capture-history-max-days'),
+            mathOcrMode: document.getElementById('math-ocr-mode'),
+            mathOcrOllamaModel: document.getElementById('math-ocr-ollama-model'),
+            progressiveHintsToggle: document.getElementById('progressive-hints-toggle'),
+            hintThinkTime: document.getElementById('hint-think-time'),
+            leakGuardToggle: document.getElementById('leak-guard-toggle'),
+            leakGuardLlmToggle: document.getElementById('leak-guard-llm-toggle'),
+            leakGuardAction: document.getElementById('leak-guard-action'),
+
+            // Prompt templates
+            classifierLlmToggle: document.getElementById('classifier-llm-toggle'),
+            respondLanguageSelect: document.getElementById('respond-language-select'),
+            ocrLanguageList: document.getElementById('ocr-language-list'),
+            promptTemplateSelect: document.getElementById('prompt-template-select'),
+            promptTemplateAuto: document.getElementById('prompt-template-auto'),
+            promptTemplateKind: document.getElementById('prompt-template-kind'),
+            promptTemplateVariables: document.getElementById('prompt-template-variables'),
+            promptTemplateEditor: document.getElementById('prompt-template-editor'),
+            promptTemplateStatus: document.getElementById('prompt-template-status'),
+            promptTemplatePreview: document.getElementById('prompt-template-preview'),
+            promptTemplatePreviewBtn: document.getElementById('prompt-template-preview-btn'),
+            promptTemplateResetBtn: document.getElementById('prompt-template-reset-btn'),
+            promptTemplateDeleteBtn: document.getElementById('prompt-template-delete-btn'),
+            promptTemplateImportBtn: document.getElementById('prompt-template-import-btn'),
+            promptTemplateExportBtn: document.getElementById('prompt-template-export-btn'),
+            promptTemplateFile: document.getElementById('prompt-template-file'),
+            settingsProfileImportBtn: document.getElementById('settings-profile-import-btn'),
+            settingsProfileExportBtn: document.getElementById('settings-profile-export-btn'),
+            settingsProfileFile: document.getElementById('settings-profile-file'),
 
             // Footer buttons
             cancelBtn: document.getElementById('cancel-btn'),
@@ -349,22 +493,16 @@ const DOMManager = {
 
     /**
      * Update provider field visibility based on selected provider
-     * @param {string} provider - Selected provider ('gemini' or 'ollama')
+     * @param {string} provider - Selected provider id
      */
     updateProviderFields(provider) {
         console.log('[DOM] Updating provider fields for:', provider);
 
-        // Get all Ollama and Gemini fields
-        const ollamaFields = document.querySelectorAll('.ollama-field');
-        const geminiFields = document.querySelectorAll('.gemini-field');
-
-        // Show/hide based on provider
-        for (const field of ollamaFields) {
-            field.style.display = provider === 'ollama' ? 'block' : 'none';
-        }
-
-        for (const field of geminiFields) {
-            field.style.display = provider === 'gemini' ? 'block' : 'none';
+        // Each provider's card and fields carry a `<id>-field` class
+        for (const { id } of providerRegistry.list()) {
+            for (const field of document.querySelectorAll(`.${id}-field`)) {
+                field.style.display = provider === id ? 'block' : 'none';
+            }
         }
 
         console.log('[DOM] ✓ Provider fields updated');
@@ -443,7 +581,7 @@ const UserAuth = {
 
         try {
             // Get authentication status from main process
-            const authStatus = await ipcRenderer.invoke('get-auth-status');
+            const authStatus = await api.getAuthStatus();
             console.log('[UserAuth] Auth status:', authStatus);
 
             // Update state and UI
@@ -467,7 +605,7 @@ const UserAuth = {
 
         try {
             // Trigger Clerk authentication flow
-            await ipcRenderer.invoke('auth:start-clerk-login');
+            await api.authStartClerkLogin();
             console.log('[UserAuth] ✓ Sign in flow started');
 
             // Refresh user card after a delay to allow auth to complete
@@ -491,7 +629,7 @@ const UserAuth = {
 
         try {
             // Trigger Clerk sign out
-            await ipcRenderer.invoke('auth:clerk-logout');
+            await api.authClerkLogout();
             console.log('[UserAuth] ✓ Signed out successfully');
 
             if (globalThis.showToast) {
@@ -511,37 +649,295 @@ const UserAuth = {
 };
 
 // ============================================================================
-// OLLAMA INTEGRATION
+// PROVIDER REGISTRY
 // ============================================================================
 
 /**
- * Ollama integration module
+ * Provider module - builds the provider picker and schema-driven cards
+ * from the provider registry (src/services/providers)
  */
-const OllamaManager = {
+const ProviderManager = {
+
+    /**
+     * Material icon for each schema field type
+     */
+    fieldIcons: {
+        text: 'tune',
+        url: 'link',
+        secret: 'key',
+        number: 'pin',
+        boolean: 'toggle_on',
+        select: 'list'
+    },
 
     /**
-     * Ollama API endpoint
+     * Add registered providers that are missing from the provider dropdown
      */
-    endpoint: 'http://localhost:11434/api/tags',
+    populateSelect() {
+        const select = AppState.elements.providerSelect;
+        if (!select) return;
+
+        const existing = new Set(Array.from(select.options).map(option => option.value));
+        for (const provider of providerRegistry.list()) {
+            if (existing.has(provider.id)) continue;
+
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.label;
+            select.appendChild(option);
+        }
+    },
+
+    /**
+     * Render a card for every provider without a dedicated card in settings.html
+     */
+    renderGenericCards() {
+        const container = document.getElementById('provider-config-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+        for (const provider of providerRegistry.list()) {
+            if (document.querySelector(`.${provider.id}-card`)) continue;
+            container.appendChild(this._createCard(provider));
+        }
+    },
+
+    /**
+     * Build a configuration card from a provider's config schema
+     * @param {Object} provider - Registered provider
+     * @returns {HTMLElement} Card element
+     */
+    _createCard(provider) {
+        const card = document.createElement('section');
+        card.className = `card ${provider.id}-card ${provider.id}-field`;
+        card.setAttribute('aria-label', `${provider.label} Configuration`);
+
+        const heading = document.createElement('h3');
+        heading.innerHTML = '<span class="material-icons card-icon">hub</span>';
+        heading.append(`${provider.label} Configuration`);
+        card.appendChild(heading);
+
+        for (const field of provider.configSchema) {
+            card.appendChild(this._createField(field));
+        }
+
+        return card;
+    },
+
+    /**
+     * Build a setting group for one schema field
+     * @param {Object} field - Schema field descriptor
+     * @returns {HTMLElement} Setting group element
+     */
+    _createField(field) {
+        const group = document.createElement('div');
+        group.className = 'setting-group';
+        const inputId = field.key.replace(/_/g, '-');
+
+        const label = document.createElement('label');
+        label.htmlFor = inputId;
+        label.innerHTML = `<span class="material-icons label-icon">${this.fieldIcons[field.type] || 'tune'}</span>`;
+        label.append(field.label);
+        group.appendChild(label);
+
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            for (const { value, label: text } of field.options || []) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text || value;
+                input.appendChild(option);
+            }
+        } else {
+            input = document.createElement('input');
+            input.type = {
+                url: 'url',
+                secret: 'password',
+                number: 'number',
+                boolean: 'checkbox'
+            }[field.type] || 'text';
+            input.autocomplete = 'off';
+            input.spellcheck = false;
+            if (field.placeholder) input.placeholder = field.placeholder;
+        }
+
+        input.id = inputId;
+        input.dataset.configKey = field.key;
+        input.dataset.fieldType = field.type;
+        if (field.type === 'secret') input.dataset.secret = 'true';
+        group.appendChild(input);
+
+        if (field.help) {
+            const help = document.createElement('small');
+            help.textContent = field.help;
+            group.appendChild(help);
+        }
+
+        return group;
+    },
+
+    /**
+     * Render the fallback chain editor: every provider except the selected one,
+     * enabled providers first in chain order
+     * @param {string} primary - Selected provider id
+     * @param {string[]} chain - Enabled fallback ids in order
+     */
+    renderFallbackChain(primary, chain) {
+        const list = document.getElementById('fallback-chain-list');
+        if (!list) return;
+
+        const others = providerRegistry.list().filter(provider => provider.id !== primary);
+        const enabled = chain.map(id => others.find(provider => provider.id === id)).filter(Boolean);
+        const ordered = [...enabled, ...others.filter(provider => !enabled.includes(provider))];
+
+        list.innerHTML = '';
+        for (const provider of ordered) {
+            const row = document.createElement('div');
+            row.className = 'checkbox-wrapper fallback-chain-item';
+            row.setAttribute('role', 'listitem');
+            row.dataset.providerId = provider.id;
+
+            const label = document.createElement('label');
+            label.className = 'fallback-chain-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = enabled.includes(provider);
+            label.appendChild(checkbox);
+            label.append(provider.label);
+            row.appendChild(label);
+
+            const controls = document.createElement('div');
+            for (const [direction, icon] of [['up', 'arrow_upward'], ['down', 'arrow_downward']]) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-icon-only';
+                button.title = `Move ${direction}`;
+                button.setAttribute('aria-label', `Move ${provider.label} ${direction}`);
+                button.innerHTML = `<span class="material-icons">${icon}</span>`;
+                button.addEventListener('click', () => {
+                    const sibling = direction === 'up' ? row.previousElementSibling : row.nextElementSibling;
+                    if (!sibling) return;
+                    list.insertBefore(row, direction === 'up' ? sibling : sibling.nextElementSibling);
+                });
+                controls.appendChild(button);
+            }
+            row.appendChild(controls);
+
+            list.appendChild(row);
+        }
+    },
+
+    /**
+     * Read the enabled fallback providers in display order
+     * @returns {string[]} Provider ids
+     */
+    readFallbackChain() {
+        const list = document.getElementById('fallback-chain-list');
+        if (!list) return [];
+
+        return Array.from(list.querySelectorAll('.fallback-chain-item'))
+            .filter(row => row.querySelector('input[type="checkbox"]').checked)
+            .map(row => row.dataset.providerId);
+    },
+
+    /**
+     * Read values from inputs bound to config keys (`data-config-key`)
+     * @param {Object} options
+     * @param {boolean} options.secrets - Read secret fields instead of regular ones
+     * @returns {Object} Values keyed by config key
+     */
+    readFields({ secrets = false } = {}) {
+        const values = {};
+
+        for (const input of document.querySelectorAll('[data-config-key]')) {
+            if ((input.dataset.secret === 'true') !== secrets) continue;
+
+            if (input.dataset.fieldType === 'boolean') {
+                values[input.dataset.configKey] = input.checked;
+            } else if (input.dataset.fieldType === 'number') {
+                // electron-store cannot hold undefined, so an empty number is stored as null
+                values[input.dataset.configKey] = input.value === '' ? null : Number(input.value);
+            } else {
+                values[input.dataset.configKey] = input.value.trim();
+            }
+        }
+
+        return values;
+    },
+
+    /**
+     * Fill inputs bound to config keys. Secret fields start empty; saved
+     * values stay in the vault until revealed (see SecretManager).
+     * @param {Object} config - Configuration to load
+     */
+    loadFields(config) {
+        for (const input of document.querySelectorAll('[data-config-key]')) {
+            const key = input.dataset.configKey;
+            const value = input.dataset.secret === 'true' ? '' : config[key];
+
+            if (input.dataset.fieldType === 'boolean') {
+                input.checked = !!value;
+            } else {
+                input.value = value ?? '';
+            }
+        }
+    },
+
+    /**
+     * Persist non-empty secret fields (API keys) to the vault; empty fields
+     * keep the saved value
+     * @returns {Promise<boolean>} False when a key could not be saved
+     */
+    async saveSecrets() {
+        let saved = true;
+        for (const [key, value] of Object.entries(this.readFields({ secrets: true }))) {
+            if (value && !(await SecretManager.save(key, value))) saved = false;
+        }
+        await SecretManager.refresh();
+        return saved;
+    },
+
+    /**
+     * Resolve a provider's settings from the current (unsaved) form values
+     * @param {Object} provider - Registered provider
+     * @returns {Object} Provider settings
+     */
+    getFormSettings(provider) {
+        const values = {
+            ...ConfigManager.getFromForm(),
+            ...this.readFields({ secrets: true })
+        };
+        return provider.resolveSettings(key => values[key]);
+    }
+};
+
+// ============================================================================
+// OLLAMA INTEGRATION
+// ============================================================================
+
+/**
+ * Ollama integration module
+ */
+const OllamaManager = {
 
     /**
      * Fetch available Ollama models
      * @returns {Promise<Array>} Array of model objects
      */
     async fetchModels() {
-        console.log('[Ollama] Fetching models from:', this.endpoint);
+        console.log('[Ollama] Fetching models...');
+        const provider = providerRegistry.get('ollama');
 
         try {
-            const response = await axios.get(this.endpoint, { timeout: 5000 });
+            const models = await provider.listModels(ProviderManager.getFormSettings(provider));
 
-            if (response.data && response.data.models) {
-                const models = response.data.models;
+            if (models.length > 0) {
                 console.log(`[Ollama] ✓ Found ${models.length} models`);
-                return models;
             } else {
                 console.warn('[Ollama] ⚠ No models found in response');
-                return [];
             }
+            return models;
 
         } catch (error) {
             console.error('[Ollama] ✗ Failed to fetch models:', error.message);
@@ -647,26 +1043,26 @@ const GeminiManager = {
 
         try {
             // Try IPC handler first (most reliable in Electron)
-            let clipboardText = await ipcRenderer.invoke('get-clipboard-text');
-
-            if (clipboardText) {
-                elements.geminiApiKey.value = clipboardText.trim();
-                console.log('[Gemini] ✓ API key pasted from clipboard (IPC)');
-
-                if (globalThis.showToast) {
-                    globalThis.showToast.success('API key pasted successfully');
-                }
-                return;
-            }
+            let clipboardText = await api.getClipboardText();
+            let source = 'IPC';
 
             // Fallback to navigator.clipboard
-            if (navigator.clipboard && navigator.clipboard.readText) {
+            if (!clipboardText && navigator.clipboard && navigator.clipboard.readText) {
                 clipboardText = await navigator.clipboard.readText();
-                elements.geminiApiKey.value = clipboardText.trim();
-                console.log('[Gemini] ✓ API key pasted from clipboard (navigator)');
+                source = 'navigator';
+            }
 
-                if (globalThis.showToast) {
-                    globalThis.showToast.success('API key pasted successfully');
+            if (clipboardText && clipboardText.trim()) {
+                const apiKey = clipboardText.trim();
+                elements.geminiApiKey.value = apiKey;
+                console.log(`[Gemini] ✓ API key pasted from clipboard (${source})`);
+
+                // Saved straight to the encrypted vault, like a saved form
+                if (await SecretManager.save('gemini_api_key', apiKey)) {
+                    await SecretManager.refresh();
+                    if (globalThis.showToast) {
+                        globalThis.showToast.success('API key pasted and saved');
+                    }
                 }
                 return;
             }
@@ -686,9 +1082,10 @@ const GeminiManager = {
     },
 
     /**
-     * Toggle API key visibility
+     * Toggle API key visibility. Showing an empty field fills in the saved
+     * key from the vault.
      */
-    handleToggleKeyVisibility() {
+    async handleToggleKeyVisibility() {
         console.log('[Gemini] Toggle key visibility requested');
         const elements = AppState.elements;
 
@@ -700,6 +1097,9 @@ const GeminiManager = {
         const icon = elements.toggleKeyVisibility.querySelector('.material-icons');
 
         if (input.type === 'password') {
+            if (!input.value) {
+                input.value = (await SecretManager.read('gemini_api_key')) || '';
+            }
             input.type = 'text';
             if (icon) icon.textContent = 'visibility_off';
             console.log('[Gemini] ✓ API key visible');
@@ -711,6 +1111,518 @@ const GeminiManager = {
     }
 };
 
+// ============================================================================
+// SECRET STORAGE
+// ============================================================================
+
+/**
+ * API keys are kept in the main process's encrypted vault. Secret fields
+ * show whether a key is saved but hold it only once revealed; saving an
+ * empty field keeps the saved key. Without a system keyring the vault is
+ * encrypted with a passphrase and has to be unlocked here first.
+ */
+const SecretManager = {
+
+    // Last vault status from the main process
+    status: null,
+
+    /**
+     * Reload the vault status and update the secret fields and unlock row
+     */
+    async refresh() {
+        const elements = AppState.elements;
+        const status = await api.secretsStatus();
+        this.status = status.success ? status : null;
+
+        for (const input of document.querySelectorAll('[data-secret="true"]')) {
+            if (input.dataset.placeholder === undefined) input.dataset.placeholder = input.placeholder;
+            const saved = !!this.status?.keys.includes(input.dataset.configKey);
+            input.placeholder = saved ? 'Saved - leave empty to keep it' : input.dataset.placeholder;
+        }
+
+        const usesPassphrase = this.status?.backend === 'passphrase';
+        DOMManager.toggleElement(elements.secretVaultGroup, usesPassphrase);
+        if (!usesPassphrase) return;
+
+        const { locked, initialized } = this.status;
+        DOMManager.toggleElement(elements.secretVaultUnlock, locked);
+        if (elements.secretVaultUnlockBtn) {
+            elements.secretVaultUnlockBtn.textContent = initialized ? 'Unlock' : 'Set passphrase';
+        }
+        if (elements.secretVaultStatus) {
+            elements.secretVaultStatus.textContent = !locked
+                ? 'No system keyring was found, so API keys are encrypted with your passphrase.'
+                : initialized
+                    ? 'Enter your passphrase to use and change saved API keys.'
+                    : 'No system keyring was found. Choose a passphrase to encrypt your API keys with.';
+        }
+    },
+
+    /**
+     * Handle the unlock button of a passphrase vault
+     */
+    async handleUnlock() {
+        const input = AppState.elements.secretVaultPassphrase;
+        if (!input || !input.value) {
+            if (globalThis.showToast) {
+                globalThis.showToast.warning('Enter the passphrase first');
+            }
+            return;
+        }
+
+        const result = await api.secretsUnlock(input.value);
+        input.value = '';
+        if (!result.success) {
+            console.warn('[Secrets] ✗ Unlock failed:', result.error);
+            if (globalThis.showToast) {
+                globalThis.showToast.error(result.error || 'Could not unlock secret storage');
+            }
+            return;
+        }
+
+        console.log('[Secrets] ✓ Vault unlocked');
+        if (globalThis.showToast) {
+            globalThis.showToast.success('Secret storage unlocked');
+        }
+        await this.refresh();
+    },
+
+    /**
+     * @param {string} key - Secret config key
+     * @returns {Promise<string|null>} The saved value, null when there is none or the vault is locked
+     */
+    read(key) {
+        return api.secretsGet(key);
+    },
+
+    /**
+     * @param {string} key - Secret config key
+     * @param {string} value
+     * @returns {Promise<boolean>} Whether the value was saved
+     */
+    async save(key, value) {
+        const result = await api.secretsSet(key, value);
+        if (!result.success) {
+            console.error(`[Secrets] ✗ Could not save ${key}:`, result.error);
+            if (globalThis.showToast) {
+                globalThis.showToast.error(this.status?.locked ? 'Unlock secret storage to save API keys' : 'Could not save the API key');
+            }
+            return false;
+        }
+        console.log(`[Secrets] ✓ ${key} saved`);
+        return true;
+    }
+};
+
+// ============================================================================
+// PROMPT TEMPLATES
+// ============================================================================
+
+/**
+ * Prompt template editor - select, edit, preview, reset, import and export
+ * the templates used for hint prompts
+ */
+const PromptTemplateManager = {
+
+    /**
+     * Working copy of the user's edited and imported templates; saved with
+     * the rest of the settings
+     */
+    custom: {},
+
+    /**
+     * Prompt kind shown in the editor
+     */
+    kind: 'hint',
+
+    /**
+     * Sample question used for previews
+     */
+    sample: {
+        text: 'A ball is thrown straight up at 20 m/s. How high does it rise?',
+        qtype: 'Descriptive',
+        difficulty: 'Medium',
+        subject: 'Physics',
+        topic: 'Mechanics',
+        gradeLevel: 'High school',
+        previousHints: 'Hint 1: Think about what happens to the velocity at the highest point.'
+    },
+
+    /**
+     * Template library over the working copy
+     * @returns {PromptTemplates}
+     */
+    library() {
+        return PromptTemplates.create(this.custom);
+    },
+
+    /**
+     * Load the saved templates into the editor
+     * @param {Object} config - Configuration with prompt_template(s)
+     */
+    load(config) {
+        if (!PromptTemplates) return;
+
+        this.custom = JSON.parse(JSON.stringify(config.prompt_templates || {}));
+        this.populateKinds();
+        this.populateTemplates(config.prompt_template);
+        this.showPrompt();
+    },
+
+    /**
+     * Fill the prompt kind dropdown
+     */
+    populateKinds() {
+        const select = AppState.elements.promptTemplateKind;
+        if (!select || select.options.length) return;
+
+        for (const kind of PromptTemplates.KINDS) {
+            const option = document.createElement('option');
+            option.value = kind;
+            option.textContent = PromptTemplates.KIND_LABELS[kind];
+            select.appendChild(option);
+        }
+        select.value = this.kind;
+    },
+
+    /**
+     * Fill the template dropdown, marking edited and imported templates
+     * @param {string} selected - Template id to select
+     */
+    populateTemplates(selected) {
+        const select = AppState.elements.promptTemplateSelect;
+        if (!select) return;
+
+        const library = this.library();
+        select.innerHTML = '';
+        for (const template of library.list()) {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            if (!template.builtIn) option.textContent += ' (imported)';
+            else if (template.customized) option.textContent += ' (edited)';
+            select.appendChild(option);
+        }
+        select.value = library.has(selected) ? selected : PromptTemplates.DEFAULT_TEMPLATE;
+    },
+
+    /**
+     * Show the selected template's prompt of the selected kind
+     */
+    showPrompt() {
+        const elements = AppState.elements;
+        const id = elements.promptTemplateSelect?.value || PromptTemplates.DEFAULT_TEMPLATE;
+        const library = this.library();
+        const builtIn = library.isBuiltIn(id);
+
+        if (elements.promptTemplateEditor) {
+            elements.promptTemplateEditor.value = library.get(id, this.kind);
+        }
+        if (elements.promptTemplateVariables) {
+            elements.promptTemplateVariables.textContent =
+                `Variables: ${PromptTemplates.VARIABLES[this.kind].map(name => `{${name}}`).join(', ')}`;
+        }
+        if (elements.promptTemplateResetBtn) {
+            elements.promptTemplateResetBtn.disabled = !this.custom[id]?.prompts?.[this.kind];
+        }
+        DOMManager.toggleElement(elements.promptTemplateResetBtn, builtIn);
+        DOMManager.toggleElement(elements.promptTemplateDeleteBtn, !builtIn);
+        DOMManager.toggleElement(elements.promptTemplatePreview, false);
+        this.showStatus([]);
+    },
+
+    /**
+     * Show validation problems below the editor
+     * @param {string[]} errors - Problems with the current prompt
+     */
+    showStatus(errors) {
+        const status = AppState.elements.promptTemplateStatus;
+        if (!status) return;
+        status.textContent = errors.length ? `⚠ ${errors.join('. ')}` : '';
+    },
+
+    /**
+     * Store the editor text in the working copy. Text equal to the built-in
+     * prompt removes the override.
+     */
+    handleEdit() {
+        const elements = AppState.elements;
+        const id = elements.promptTemplateSelect?.value;
+        const text = elements.promptTemplateEditor?.value ?? '';
+        if (!id) return;
+
+        const library = this.library();
+        const template = this.custom[id] || { name: library.list().find(t => t.id === id)?.name || id, prompts: {} };
+        if (text === library.getDefault(id, this.kind)) {
+            delete template.prompts[this.kind];
+        } else {
+            template.prompts[this.kind] = text;
+        }
+        this._storeTemplate(id, template);
+
+        this.showStatus(library.validate(this.kind, text));
+        if (elements.promptTemplateResetBtn) {
+            elements.promptTemplateResetBtn.disabled = !this.custom[id]?.prompts?.[this.kind];
+        }
+    },
+
+    /**
+     * Render the current prompt with a sample question
+     */
+    handlePreview() {
+        const elements = AppState.elements;
+        const id = elements.promptTemplateSelect?.value;
+        if (!id || !elements.promptTemplatePreview) return;
+
+        elements.promptTemplatePreview.textContent = this.library().render(id, this.kind, this.sample);
+        DOMManager.toggleElement(elements.promptTemplatePreview, true);
+    },
+
+    /**
+     * Restore the built-in text of the current prompt
+     */
+    handleReset() {
+        const id = AppState.elements.promptTemplateSelect?.value;
+        const template = this.custom[id];
+        if (!template) return;
+
+        delete template.prompts[this.kind];
+        this._storeTemplate(id, template);
+        this.showPrompt();
+
+        if (globalThis.showToast) {
+            globalThis.showToast.info('Prompt reset to default');
+        }
+    },
+
+    /**
+     * Remove an imported template
+     */
+    handleDelete() {
+        const select = AppState.elements.promptTemplateSelect;
+        const id = select?.value;
+        if (!id || !this.custom[id]) return;
+
+        const name = this.custom[id].name || id;
+        delete this.custom[id];
+        this.populateTemplates(PromptTemplates.DEFAULT_TEMPLATE);
+        this.showPrompt();
+
+        if (globalThis.showToast) {
+            globalThis.showToast.info(`Removed "${name}". Save settings to confirm.`);
+        }
+    },
+
+    /**
+     * Download the selected template as a JSON file
+     */
+    handleExport() {
+        const id = AppState.elements.promptTemplateSelect?.value;
+        if (!id) return;
+
+        const blob = new Blob([this.library().export(id)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `hintify-template-${id}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        console.log('[Templates] ✓ Exported template:', id);
+    },
+
+    /**
+     * Read a template file chosen in the import dialog
+     * @param {File} file - Selected file
+     */
+    async handleImport(file) {
+        if (!file) return;
+
+        try {
+            const { template, errors } = this.library().parseImport(await file.text());
+            if (!template) {
+                console.warn('[Templates] ✗ Import rejected:', errors);
+                if (globalThis.showToast) {
+                    globalThis.showToast.error(errors[0] || 'Invalid template file');
+                }
+                return;
+            }
+
+            this.custom[template.id] = { name: template.name, prompts: template.prompts };
+            this.populateTemplates(template.id);
+            this.showPrompt();
+            console.log('[Templates] ✓ Imported template:', template.id);
+
+            if (globalThis.showToast) {
+                globalThis.showToast.success(`Imported "${template.name}". Save settings to keep it.`);
+            }
+        } catch (error) {
+            console.error('[Templates] ✗ Failed to import template:', error);
+            if (globalThis.showToast) {
+                globalThis.showToast.error('Failed to read the template file');
+            }
+        }
+    },
+
+    /**
+     * Edited and imported templates to save
+     * @returns {Object} prompt_templates config value
+     */
+    readCustom() {
+        return this.custom;
+    },
+
+    /**
+     * Keep a template in the working copy, dropping built-in overrides that
+     * no longer change anything
+     */
+    _storeTemplate(id, template) {
+        if (this.library().isBuiltIn(id) && !Object.keys(template.prompts).length) {
+            delete this.custom[id];
+        } else {
+            this.custom[id] = template;
+        }
+
+        // Refresh the "(edited)" marker
+        this.populateTemplates(id);
+    }
+};
+
+// ============================================================================
+// LANGUAGES
+// ============================================================================
+
+/**
+ * Response language dropdown and OCR language checkboxes
+ */
+const LanguageManager = {
+
+    /**
+     * Fill both controls and select the configured languages
+     * @param {Object} config - Configuration with respond_language and ocr_languages
+     */
+    load(config) {
+        const elements = AppState.elements;
+        if (!Languages) return;
+
+        const select = elements.respondLanguageSelect;
+        if (select) {
+            select.innerHTML = '<option value="auto">Same as the question</option>';
+            for (const language of Languages.LANGUAGES) {
+                const option = document.createElement('option');
+                option.value = language.id;
+                option.textContent = Languages.label(language.id);
+                select.appendChild(option);
+            }
+            select.value = Languages.get(config.respond_language) ? config.respond_language : 'auto';
+        }
+
+        const list = elements.ocrLanguageList;
+        if (list) {
+            const selected = Languages.parseOcrLanguages(config.ocr_languages);
+            list.innerHTML = '';
+            for (const language of Languages.LANGUAGES) {
+                const wrapper = document.createElement('div');
+                wrapper.className = 'checkbox-wrapper';
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.id = `ocr-language-${language.id}`;
+                input.value = language.id;
+                input.checked = selected.includes(language.id);
+                const label = document.createElement('label');
+                label.htmlFor = input.id;
+                label.textContent = Languages.label(language.id);
+                wrapper.append(input, label);
+                list.appendChild(wrapper);
+            }
+
+            // Bundled languages work offline; others are downloaded or need a system install
+            api.ocrStatus().then(({ bundled }) => {
+                for (const id of bundled) {
+                    const label = list.querySelector(`label[for="ocr-language-${id}"]`);
+                    if (label) label.textContent = `${Languages.label(id)} (bundled)`;
+                }
+            }).catch(error => console.warn('[Languages] Could not read the bundled OCR languages:', error));
+        }
+    },
+
+    /**
+     * Checked OCR languages
+     * @returns {string} ocr_languages config value, e.g. 'eng+hin'; '' when none are checked
+     */
+    readOcrLanguages() {
+        const list = AppState.elements.ocrLanguageList;
+        if (!list) return AppState.config.ocr_languages;
+
+        return [...list.querySelectorAll('input:checked')].map(input => input.value).join('+');
+    }
+};
+
+// ============================================================================
+// SETTINGS PROFILES
+// ============================================================================
+
+/**
+ * Export and import of all settings as one JSON file (see ConfigSchema)
+ */
+const ProfileManager = {
+
+    /**
+     * Download the saved settings as a profile
+     */
+    handleExport() {
+        const blob = new Blob([configSchema.export(ConfigManager.load())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'hintify-settings.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        console.log('[Profile] ✓ Exported settings');
+    },
+
+    /**
+     * Fill the form from a profile chosen in the import dialog
+     * @param {File} file - Selected file
+     */
+    async handleImport(file) {
+        if (!file) return;
+
+        try {
+            const { settings, errors } = configSchema.parseImport(await file.text());
+            if (!settings) {
+                console.warn('[Profile] ✗ Import rejected:', errors);
+                if (globalThis.showToast) {
+                    globalThis.showToast.error(errors[0] || 'Invalid settings file');
+                }
+                return;
+            }
+
+            // Settings the profile leaves out keep their current form values
+            const config = { ...ConfigManager.getFromForm(), ...settings };
+            ConfigManager.loadIntoForm(config);
+            DOMManager.updateProviderFields(config.provider);
+            console.log('[Profile] ✓ Imported settings:', Object.keys(settings));
+            if (errors.length) console.warn('[Profile] Skipped settings:', errors);
+
+            if (globalThis.showToast) {
+                const skipped = errors.length ? ` ${errors.length} invalid setting(s) were skipped.` : '';
+                globalThis.showToast.success(`Imported settings.${skipped} Save settings to keep them.`);
+            }
+        } catch (error) {
+            console.error('[Profile] ✗ Failed to import settings:', error);
+            if (globalThis.showToast) {
+                globalThis.showToast.error('Failed to read the settings file');
+            }
+        }
+    }
+};
+
 // ============================================================================
 // UPDATE MANAGEMENT
 // ============================================================================
@@ -732,7 +1644,7 @@ const UpdateManager = {
         }
 
         try {
-            const version = await ipcRenderer.invoke('get-app-version');
+            const version = await api.getAppVersion();
             elements.currentVersion.textContent = `v${version || '1.0.0'}`;
             console.log('[Update] ✓ Version displayed:', version);
         } catch (error) {
@@ -754,7 +1666,7 @@ const UpdateManager = {
         }
 
         try {
-            await ipcRenderer.invoke('check-for-updates');
+            await api.checkForUpdates();
             console.log('[Update] ✓ Update check initiated');
 
             if (globalThis.showToast) {
@@ -850,27 +1762,18 @@ const SettingsManager = {
             }
 
             // Save configuration
-            const saved = ConfigManager.save(config);
+            const saved = await ConfigManager.save(config);
 
             if (!saved) {
                 throw new Error('Failed to save configuration');
             }
 
-            // Save Gemini API key separately
-            if (elements.geminiApiKey) {
-                const apiKey = elements.geminiApiKey.value.trim();
-                if (apiKey) {
-                    store.set('gemini_api_key', apiKey);
-                    console.log('[Settings] ✓ Gemini API key saved');
-                }
-            }
+            // Save API keys separately (they are never broadcast with the config)
+            await ProviderManager.saveSecrets();
 
             // Update app state
             AppState.config = config;
 
-            // Notify main process of config update
-            ipcRenderer.send('config-updated', config);
-
             console.log('[Settings] ✓ Settings saved successfully');
 
             if (globalThis.showToast) {
@@ -903,7 +1806,7 @@ const SettingsManager = {
         }
 
         // Close settings window
-        ipcRenderer.send('close-settings');
+        api.closeSettings();
     },
 
     /**
@@ -914,130 +1817,26 @@ const SettingsManager = {
         const elements = AppState.elements;
 
         // Get current provider
-        const provider = elements.providerSelect?.value || 'gemini';
-
-        if (provider === 'ollama') {
-            // Test Ollama connection
-            await this.testOllamaConnection();
-        } else if (provider === 'gemini') {
-            // Test Gemini connection
-            await this.testGeminiConnection();
-        }
-    },
+        const provider = providerRegistry.get(elements.providerSelect?.value || 'gemini');
 
-    /**
-     * Test Ollama connection
-     */
-    async testOllamaConnection() {
-        console.log('[Settings] Testing Ollama connection...');
-
-        if (globalThis.showToast) {
-            globalThis.showToast.info('Testing Ollama connection...');
-        }
-
-        try {
-            const models = await OllamaManager.fetchModels();
-
-            if (models.length > 0) {
-                console.log('[Settings] ✓ Ollama connection successful');
-
-                if (globalThis.showToast) {
-                    globalThis.showToast.success(`Ollama connected! Found ${models.length} models.`);
-                }
-            } else {
-                console.warn('[Settings] ⚠ Ollama connected but no models found');
-
-                if (globalThis.showToast) {
-                    globalThis.showToast.warning('Ollama connected, but no models available.');
-                }
-            }
-
-        } catch (error) {
-            console.error('[Settings] ✗ Ollama connection failed:', error);
-
-            if (globalThis.showToast) {
-                globalThis.showToast.error('Cannot connect to Ollama. Is it running?');
-            }
-        }
-    },
-
-    /**
-     * Validate Gemini API key input
-     */
-    _validateGeminiApiKey(apiKey) {
-        if (!apiKey) {
-            console.warn('[Settings] ⚠ No API key provided');
+        if (!provider) {
             if (globalThis.showToast) {
-                globalThis.showToast.warning('Please enter a Gemini API key first.');
+                globalThis.showToast.error('Invalid AI provider selected');
             }
-            return false;
-        }
-        return true;
-    },
-
-    /**
-     * Make Gemini API test request
-     */
-    async _makeGeminiTestRequest(apiKey, model) {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}?key=${apiKey}`;
-        return await axios.get(url, { timeout: 10000 });
-    },
-
-    /**
-     * Handle Gemini test success
-     */
-    _handleGeminiTestSuccess() {
-        console.log('[Settings] ✓ Gemini API key valid');
-        if (globalThis.showToast) {
-            globalThis.showToast.success('Gemini API key is valid!');
-        }
-    },
-
-    /**
-     * Handle Gemini test error
-     */
-    _handleGeminiTestError(error) {
-        console.error('[Settings] ✗ Gemini connection failed:', error);
-
-        if (globalThis.showToast) {
-            if (error.response && error.response.status === 400) {
-                globalThis.showToast.error('Invalid API key. Please check and try again.');
-            } else {
-                globalThis.showToast.error('Failed to connect to Gemini API.');
-            }
-        }
-    },
-
-    /**
-     * Test Gemini connection
-     */
-    async testGeminiConnection() {
-        console.log('[Settings] Testing Gemini connection...');
-        const elements = AppState.elements;
-
-        // Get and validate API key
-        const apiKey = elements.geminiApiKey?.value.trim();
-        if (!this._validateGeminiApiKey(apiKey)) {
             return;
         }
 
+        console.log(`[Settings] Testing ${provider.label} connection...`);
+
         if (globalThis.showToast) {
-            globalThis.showToast.info('Testing Gemini API key...');
+            globalThis.showToast.info(`Testing ${provider.label} connection...`);
         }
 
-        try {
-            // Test API key by making a simple request
-            const model = elements.geminiModel?.value || 'gemini-2.0-flash';
-            const response = await this._makeGeminiTestRequest(apiKey, model);
-
-            if (response.status === 200) {
-                this._handleGeminiTestSuccess();
-            } else {
-                throw new Error('Invalid response from Gemini API');
-            }
+        const result = await provider.testConnection(ProviderManager.getFormSettings(provider));
+        console.log(`[Settings] ${result.success ? '✓' : '✗'} ${result.message}`);
 
-        } catch (error) {
-            this._handleGeminiTestError(error);
+        if (globalThis.showToast && globalThis.showToast[result.level]) {
+            globalThis.showToast[result.level](result.message);
         }
     }
 };
@@ -1074,7 +1873,7 @@ const EventHandlers = {
         if (elements.updateNowBtn) {
             elements.updateNowBtn.addEventListener('click', () => {
                 console.log('[Events] Update now clicked');
-                ipcRenderer.send('install-update');
+                api.installUpdate();
             });
         }
         if (elements.updateLaterBtn) {
@@ -1089,6 +1888,7 @@ const EventHandlers = {
                 const provider = e.target.value;
                 console.log('[Events] Provider changed to:', provider);
                 DOMManager.updateProviderFields(provider);
+                ProviderManager.renderFallbackChain(provider, ProviderManager.readFallbackChain());
                 AppState.ui.currentProvider = provider;
             });
         }
@@ -1097,6 +1897,10 @@ const EventHandlers = {
         if (elements.refreshOllamaBtn) {
             elements.refreshOllamaBtn.addEventListener('click', () => OllamaManager.updateModelList());
         }
+        if (elements.ollamaBaseUrl) {
+            // Reload the model list from the new host
+            elements.ollamaBaseUrl.addEventListener('change', () => OllamaManager.updateModelList());
+        }
 
         // Gemini
         if (elements.pasteKeyBtn) {
@@ -1106,6 +1910,62 @@ const EventHandlers = {
             elements.toggleKeyVisibility.addEventListener('click', () => GeminiManager.handleToggleKeyVisibility());
         }
 
+        // Secret storage
+        if (elements.secretVaultUnlockBtn) {
+            elements.secretVaultUnlockBtn.addEventListener('click', () => SecretManager.handleUnlock());
+        }
+        if (elements.secretVaultPassphrase) {
+            elements.secretVaultPassphrase.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') SecretManager.handleUnlock();
+            });
+        }
+
+        // Prompt templates
+        if (elements.promptTemplateSelect) {
+            elements.promptTemplateSelect.addEventListener('change', () => PromptTemplateManager.showPrompt());
+        }
+        if (elements.promptTemplateKind) {
+            elements.promptTemplateKind.addEventListener('change', (e) => {
+                PromptTemplateManager.kind = e.target.value;
+                PromptTemplateManager.showPrompt();
+            });
+        }
+        if (elements.promptTemplateEditor) {
+            elements.promptTemplateEditor.addEventListener('input', () => PromptTemplateManager.handleEdit());
+        }
+        if (elements.promptTemplatePreviewBtn) {
+            elements.promptTemplatePreviewBtn.addEventListener('click', () => PromptTemplateManager.handlePreview());
+        }
+        if (elements.promptTemplateResetBtn) {
+            elements.promptTemplateResetBtn.addEventListener('click', () => PromptTemplateManager.handleReset());
+        }
+        if (elements.promptTemplateDeleteBtn) {
+            elements.promptTemplateDeleteBtn.addEventListener('click', () => PromptTemplateManager.handleDelete());
+        }
+        if (elements.promptTemplateExportBtn) {
+            elements.promptTemplateExportBtn.addEventListener('click', () => PromptTemplateManager.handleExport());
+        }
+        if (elements.promptTemplateImportBtn && elements.promptTemplateFile) {
+            elements.promptTemplateImportBtn.addEventListener('click', () => elements.promptTemplateFile.click());
+            elements.promptTemplateFile.addEventListener('change', async (e) => {
+                await PromptTemplateManager.handleImport(e.target.files[0]);
+                // Allow importing the same file again
+                e.target.value = '';
+            });
+        }
+
+        // Settings profile
+        if (elements.settingsProfileExportBtn) {
+            elements.settingsProfileExportBtn.addEventListener('click', () => ProfileManager.handleExport());
+        }
+        if (elements.settingsProfileImportBtn && elements.settingsProfileFile) {
+            elements.settingsProfileImportBtn.addEventListener('click', () => elements.settingsProfileFile.click());
+            elements.settingsProfileFile.addEventListener('change', async (e) => {
+                await ProfileManager.handleImport(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
         // Footer buttons
         if (elements.saveBtn) {
             elements.saveBtn.addEventListener('click', () => SettingsManager.handleSave());
@@ -1146,7 +2006,7 @@ const EventHandlers = {
         });
 
         // Update downloading
-        ipcRenderer.on('update-downloading', (_event, progressObj) => {
+        ipcRenderer.on('update-download-progress', (_event, progressObj) => {
             console.log('[Events] Update downloading:', progressObj);
 
             if (globalThis.showToast && globalThis.showToast.updateDownloading) {
@@ -1155,11 +2015,21 @@ const EventHandlers = {
         });
 
         // Authentication status changed
-        ipcRenderer.on('auth-status-changed', () => {
+        ipcRenderer.on('auth-status-updated', () => {
             console.log('[Events] Auth status changed');
             UserAuth.refreshUserCard();
         });
 
+        // Settings changed elsewhere (the main window, `hintify --config`);
+        // other unsaved edits in the form are kept
+        ipcRenderer.on('config-updated', (_event, change) => {
+            console.log('[Events] Config updated:', Object.keys(change));
+            AppState.config = { ...AppState.config, ...change };
+            const config = { ...ConfigManager.getFromForm(), ...change };
+            ConfigManager.loadIntoForm(config);
+            DOMManager.updateProviderFields(config.provider);
+        });
+
         console.log('[Events] ✓ IPC listeners attached');
     }
 };
@@ -1180,9 +2050,14 @@ async function initialize() {
         // Cache DOM elements
         AppState.elements = DOMManager.cacheElements();
 
+        // Build provider choices and schema-driven cards from the registry
+        ProviderManager.populateSelect();
+        ProviderManager.renderGenericCards();
+
         // Load configuration
         AppState.config = ConfigManager.load();
         ConfigManager.loadIntoForm(AppState.config);
+        await SecretManager.refresh();
 
         // Update provider fields visibility
         DOMManager.updateProviderFields(AppState.config.provider);
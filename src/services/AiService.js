@@ -0,0 +1,136 @@
+const { registry: defaultRegistry } = require('./providers');
+
+// Provider methods a renderer may call, with the number of arguments that
+// come before `settings`
+const METHODS = {
+  generateText: 1,
+  generateFromImage: 2,
+  streamText: 1,
+  streamFromImage: 2,
+  chat: 1,
+  testConnection: 0,
+  checkStatus: 0,
+  listModels: 0
+};
+
+/**
+ * Runs AI providers in the main process for the renderers.
+ *
+ * Renderers see providers only as descriptors (`describe()`) and send calls
+ * through IPC. Settings they pass are completed here from the store and the
+ * environment, so API keys never have to be read by a page that renders
+ * model output. Streamed tokens go back to the calling page as
+ * `ai:token` events and a stream is cancelled with `cancel(requestId)`.
+ */
+class AiService {
+  /**
+   * @param {Function} getValue - (key) => stored value, for settings the renderer did not send
+   * @param {ProviderRegistry} [registry]
+   */
+  constructor(getValue, registry = defaultRegistry) {
+    this.getValue = getValue;
+    this.registry = registry;
+    this.controllers = new Map();
+  }
+
+  /**
+   * Providers as plain data. Pattern RegExps are sent as source and flags.
+   * @returns {Array<Object>}
+   */
+  describe() {
+    return this.registry.list().map(provider => ({
+      id: provider.id,
+      label: provider.label,
+      capabilities: provider.capabilities,
+      modelKey: provider.modelKey,
+      configDefaults: provider.getConfigDefaults(),
+      configSchema: provider.configSchema.map(({ pattern, ...field }) => ({
+        ...field,
+        pattern: pattern ? { source: pattern.source, flags: pattern.flags } : undefined
+      }))
+    }));
+  }
+
+  /**
+   * Keys of secret config fields; renderers that show model output may not read these
+   * @returns {string[]}
+   */
+  secretKeys() {
+    return this.registry.list().flatMap(provider => provider.configSchema.filter(field => field.type === 'secret').map(field => field.key));
+  }
+
+  /**
+   * Keys of server URL fields. The stored API key is sent to these servers,
+   * so only the settings window may choose them.
+   * @returns {string[]}
+   */
+  urlKeys() {
+    return this.registry.list().flatMap(provider => provider.configSchema.filter(field => field.type === 'url').map(field => field.key));
+  }
+
+  /**
+   * Settings from the renderer win; anything missing comes from the store,
+   * then the environment, then the schema default. Server URLs come from the
+   * store unless `trustUrls` is set (see urlKeys).
+   */
+  resolveSettings(provider, settings = {}, { trustUrls = false } = {}) {
+    const storedOnly = new Set(trustUrls ? [] : this.urlKeys());
+    return provider.resolveSettings(key => {
+      const value = storedOnly.has(key) ? undefined : settings[key];
+      return value !== undefined && value !== null && value !== '' ? value : this.getValue(key);
+    });
+  }
+
+  validate(providerId, settings) {
+    const provider = this.registry.get(providerId);
+    return provider ? provider.validate(settings) : [`Unknown AI provider "${providerId}"`];
+  }
+
+  /**
+   * Call a provider method for a renderer
+   * @param {function(string, Object): void} send - Sends an event to the calling page; main.js passes IpcRouter.send so events are validated
+   * @param {Object} request
+   * @param {string} request.requestId - Id used for token events and cancel
+   * @param {string} request.providerId
+   * @param {string} request.method - One of METHODS
+   * @param {Array} request.args - Arguments before `settings`; images as Uint8Array
+   * @param {Object} [request.settings]
+   * @param {Object} [request.responseSchema]
+   * @param {boolean} [request.stream] - Send tokens as they arrive
+   * @param {Object} [options]
+   * @param {boolean} [options.trustUrls] - Use server URLs from `settings`; for the settings window
+   * @returns {Promise<*>} What the provider returns; errors come back as strings like any provider failure
+   */
+  async call(send, { requestId, providerId, method, args = [], settings, responseSchema, stream = false }, { trustUrls = false } = {}) {
+    const provider = this.registry.get(providerId);
+    if (!provider) return `[Setup] Unknown AI provider "${providerId}".`;
+    if (!Object.prototype.hasOwnProperty.call(METHODS, method) || typeof provider[method] !== 'function'
+      || !Array.isArray(args) || args.length !== METHODS[method]) {
+      return `[LLM Error] Unsupported provider call "${method}".`;
+    }
+
+    const resolved = this.resolveSettings(provider, settings, { trustUrls });
+    const inputs = args.map(arg => (arg instanceof Uint8Array ? Buffer.from(arg) : arg));
+    if (METHODS[method] === 0) return provider[method](resolved);
+
+    const controller = new AbortController();
+    if (requestId) this.controllers.set(requestId, controller);
+    const options = { signal: controller.signal, responseSchema };
+    if (stream) {
+      options.onToken = (chunk, text) => {
+        send('ai:token', { requestId, chunk, text });
+      };
+    }
+    try {
+      return await provider[method](...inputs, resolved, options);
+    } finally {
+      this.controllers.delete(requestId);
+    }
+  }
+
+  cancel(requestId) {
+    this.controllers.get(requestId)?.abort();
+  }
+}
+
+module.exports = AiService;
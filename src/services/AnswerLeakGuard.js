@@ -0,0 +1,172 @@
+const { extractJson } = require('./HintSchema');
+
+const REDACTED = '[answer hidden]';
+const REMOVED_HINT = 'This hint gave away the answer and was hidden. Try working this step out yourself.';
+
+// Start of something that looks like a value: a number, math, a sign, an
+// option letter or a variable being given a value ("x = 4")
+const VALUE_START = String.raw`(?=[$\d(\-−\\]|[A-E]\b|[a-zA-Z]\s*=\s*[-−]?\d)`;
+
+/**
+ * Each rule matches one way of giving the answer away. `group` marks rules
+ * where only the captured value is redacted rather than the whole match.
+ */
+const RULES = [
+  {
+    id: 'boxed_result',
+    pattern: /\\(?:boxed|fbox)\s*\{(?:[^{}]|\{[^{}]*\})*\}/g
+  },
+  {
+    id: 'answer_statement',
+    pattern: new RegExp(String.raw`\b(?:[Tt]he\s+)?(?:(?:[Ff]inal|[Cc]orrect|[Rr]ight)\s+)?[Aa]nswer\s*(?:is|=|:|would be|will be|should be)\s*${VALUE_START}[^\n;]*?(?=[.;](?:\s|$)|$)`, 'g')
+  },
+  {
+    id: 'mcq_option',
+    mcqOnly: true,
+    pattern: /\b(?:[Oo]ption|[Cc]hoice)\s*\(?[A-E1-5]\)?\s+(?:is|seems|looks|must be)\s+(?:the\s+)?(?:correct|right|answer|true)\b|\b(?:[Cc]orrect|[Rr]ight)\s+(?:option|choice)\s+(?:is\s+)?\(?[A-E1-5]\)?(?!\w)|\([A-E]\)\s+is\s+(?:the\s+)?(?:correct|right|answer)\b|\b(?:[Cc]hoose|[Ss]elect|[Pp]ick|[Mm]ark|[Gg]o with)\s+(?:option\s+)?\(?[A-E]\)?(?!\w)/g
+  },
+  {
+    // "so x = 42", "which gives 3.5 m/s": a concluding value the question does not already contain
+    id: 'final_value',
+    group: true,
+    pattern: /\b(?:so|thus|therefore|hence|finally|which gives|giving|results? in|you get|we get|comes? out to|works? out to)\b[^.\n]*?(?:=|≈|\\approx|\bis\b|\bequals\b|\bto\b|\bget\b)\s*\$?\s*(-?\d+(?:\.\d+)?)(?![\w^({\\]|\.\d|\s*[+\-*/^])/dgi
+  },
+  {
+    // "we get 12", "which equals 7.5": the verb itself states the value
+    id: 'stated_value',
+    group: true,
+    pattern: /\b(?:we get|you get|gives|equals)\s*\$?\s*(-?\d+(?:\.\d+)?)(?![\w^({\\]|\.\d|\s*[+\-*/^])/dgi
+  }
+];
+
+const GRADE_SCHEMA = {
+  type: 'object',
+  properties: {
+    leaks: { type: 'boolean', description: 'True when any hint reveals the final answer' },
+    leaking_hints: { type: 'array', items: { type: 'integer' }, description: 'Numbers of the hints that leak, starting at 1' },
+    reason: { type: 'string' }
+  },
+  required: ['leaks']
+};
+
+/**
+ * Checks generated hints for leaked answers before they are displayed.
+ *
+ * `inspect` runs the pattern rules; `gradingPrompt` / `parseGrade` support an
+ * optional second model pass for leaks the patterns cannot see. Hints are
+ * passed as an array of strings and findings refer to them by index.
+ */
+class AnswerLeakGuard {
+  /**
+   * @param {string[]} texts - Hint texts
+   * @param {Object} [context]
+   * @param {string} [context.questionText] - Numbers already in the question are not results
+   * @param {string} [context.questionType] - From classifyQuestion; 'MCQ' enables option checks
+   * @returns {Array<{index: number, rule: string, match: string, start: number, end: number}>}
+   */
+  inspect(texts, { questionText = '', questionType = '' } = {}) {
+    const questionNumbers = new Set(String(questionText).match(/-?\d+(?:\.\d+)?/g) || []);
+    const findings = [];
+
+    texts.forEach((text, index) => {
+      for (const rule of RULES) {
+        if (rule.mcqOnly && questionType !== 'MCQ') continue;
+
+        for (const match of String(text || '').matchAll(rule.pattern)) {
+          let start = match.index;
+          let end = match.index + match[0].length;
+          if (rule.group) {
+            const value = match[1];
+            // Zero and one are usually setup ("set f'(x) = 0"), not results
+            if (questionNumbers.has(value) || /^-?[01](\.0+)?$/.test(value)) continue;
+            [start, end] = match.indices[1];
+          }
+          findings.push({ index, rule: rule.id, match: text.slice(start, end), start, end });
+        }
+      }
+    });
+    return findings;
+  }
+
+  /**
+   * Redact findings. Pattern findings hide the matched span; findings without
+   * a span (from the grading pass) hide the whole hint.
+   * @returns {string[]} New hint texts
+   */
+  redact(texts, findings) {
+    return texts.map((text, index) => {
+      const own = findings.filter(finding => finding.index === index);
+      if (!own.length) return text;
+      if (own.some(finding => finding.start === undefined)) return REMOVED_HINT;
+
+      // Replace from the end so earlier offsets stay valid; skip overlaps
+      let result = text;
+      let limit = Infinity;
+      for (const finding of [...own].sort((a, b) => b.start - a.start)) {
+        if (finding.end > limit) continue;
+        result = result.slice(0, finding.start) + REDACTED + result.slice(finding.end);
+        limit = finding.start;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Inspect and redact a single text, e.g. a hint that is still streaming in
+   */
+  redactText(text, context) {
+    return this.redact([text], this.inspect([text], context))[0];
+  }
+
+  /**
+   * Prompt for the optional grading pass
+   */
+  gradingPrompt(questionText, texts) {
+    const hints = texts.map((text, i) => `Hint ${i + 1}: ${text}`).join('\n');
+    return `You are reviewing study hints written for a student. Hints may explain concepts, formulas and the setup, but must NOT reveal the final answer: no final numeric value, no simplified final expression, no correct option letter, no complete solution.
+
+Question:
+${questionText || '(provided as a screenshot, not available)'}
+
+Hints:
+${hints}
+
+Reply with a single JSON object and nothing else:
+{ "leaks": true | false, "leaking_hints": [<hint numbers that reveal the answer>], "reason": "<one short sentence>" }`;
+  }
+
+  /**
+   * Read the grading reply
+   * @param {string} reply - Model output
+   * @param {number} count - Number of hints graded
+   * @returns {{leaks: boolean, indexes: number[], reason: string}|null} null when the reply is
+   *   unusable; a leak that names no hint marks every hint
+   */
+  parseGrade(reply, count) {
+    const json = extractJson(reply);
+    if (!json) return null;
+
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch {
+      return null;
+    }
+    if (typeof value?.leaks !== 'boolean') return null;
+
+    const numbers = Array.isArray(value.leaking_hints) ? value.leaking_hints : [];
+    let indexes = [...new Set(numbers.filter(n => Number.isInteger(n) && n >= 1 && n <= count).map(n => n - 1))];
+    // A leak without a usable hint number could be in any hint
+    if (value.leaks && !indexes.length) indexes = Array.from({ length: count }, (_, i) => i);
+    return {
+      leaks: value.leaks && indexes.length > 0,
+      indexes,
+      reason: typeof value.reason === 'string' ? value.reason : ''
+    };
+  }
+}
+
+AnswerLeakGuard.GRADE_SCHEMA = GRADE_SCHEMA;
+AnswerLeakGuard.REDACTED = REDACTED;
+
+module.exports = AnswerLeakGuard;
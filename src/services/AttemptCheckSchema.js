@@ -0,0 +1,145 @@
+/**
+ * Structured replies for "check my step".
+ *
+ * The student's partial working is split into steps and each step gets a
+ * verdict. `parse` returns null when the reply is unusable so the caller can
+ * show the raw text instead.
+ */
+
+const { extractJson, repairLatexEscapes } = require('./HintSchema');
+
+const VERDICTS = ['on_track', 'mistake', 'unclear'];
+const MAX_STEPS = 12;
+
+const ATTEMPT_CHECK_SCHEMA = {
+  type: 'object',
+  properties: {
+    is_attempt: { type: 'boolean', description: 'False when the input is not working for this question' },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          step: { type: 'integer', description: 'Position of the step in the student\'s working, starting at 1' },
+          work: { type: 'string', description: 'The student\'s step, quoted or briefly summarised' },
+          verdict: { type: 'string', enum: VERDICTS },
+          feedback: { type: 'string', description: 'Why the step is on track or what is wrong, without the final answer' }
+        },
+        required: ['step', 'verdict', 'feedback']
+      }
+    },
+    first_mistake: { type: 'integer', description: 'Number of the first mistaken step, or 0 when there is none' },
+    next_nudge: { type: 'string', description: 'One short hint for what to do next' }
+  },
+  required: ['is_attempt', 'steps']
+};
+
+/**
+ * Instructions describing the JSON reply, appended to the check prompt
+ * @returns {string}
+ */
+function formatInstructions() {
+  return `Response format:
+Reply with a single JSON object and nothing else (no Markdown fences):
+{
+  "is_attempt": true,
+  "steps": [
+    { "step": 1, "work": "<the student's step>", "verdict": "on_track", "feedback": "<why it is fine>" },
+    { "step": 2, "work": "<the student's step>", "verdict": "mistake", "feedback": "<what is wrong, as a hint>" }
+  ],
+  "first_mistake": 2,
+  "next_nudge": "<one short hint for what to do next>"
+}
+- "verdict" is one of ${VERDICTS.map(v => `"${v}"`).join(', ')}.
+- Number the steps in the order the student wrote them. Set "first_mistake" to 0 when every step is on track.
+- Escape backslashes inside JSON strings, e.g. write "$\\\\frac{a}{b}$" for $\\frac{a}{b}$.
+- If the working is unreadable or unrelated to the question, set "is_attempt" to false and return an empty "steps" array.`;
+}
+
+/**
+ * Check a decoded reply against ATTEMPT_CHECK_SCHEMA and normalise it
+ * @param {*} value - Result of JSON.parse
+ * @returns {{valid: boolean, errors: string[], data: Object|null}}
+ */
+function validate(value) {
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['response must be a JSON object'], data: null };
+  }
+  if (value.is_attempt !== undefined && typeof value.is_attempt !== 'boolean') {
+    errors.push('is_attempt must be a boolean');
+  }
+  const isAttempt = value.is_attempt !== false;
+
+  const steps = [];
+  if (!Array.isArray(value.steps)) {
+    errors.push('steps must be an array');
+  } else {
+    value.steps.slice(0, MAX_STEPS).forEach((step, index) => {
+      const verdict = typeof step?.verdict === 'string' ? step.verdict.trim().toLowerCase() : '';
+      if (!VERDICTS.includes(verdict)) {
+        errors.push(`steps[${index}].verdict must be one of ${VERDICTS.join(', ')}`);
+        return;
+      }
+      const feedback = typeof step.feedback === 'string' ? step.feedback.trim() : '';
+      if (!feedback) {
+        errors.push(`steps[${index}].feedback must be a non-empty string`);
+        return;
+      }
+      steps.push({
+        step: Number.isInteger(step.step) && step.step > 0 ? step.step : index + 1,
+        work: typeof step.work === 'string' ? step.work.trim() : '',
+        verdict,
+        feedback
+      });
+    });
+    if (isAttempt && !value.steps.length) {
+      errors.push('steps must contain at least one step');
+    }
+  }
+  if (errors.length) return { valid: false, errors, data: null };
+
+  steps.sort((a, b) => a.step - b.step);
+  // Trust the verdicts over the reported number when they disagree
+  const firstMistake = steps.find(step => step.verdict === 'mistake')?.step || 0;
+
+  return {
+    valid: true,
+    errors,
+    data: {
+      is_attempt: isAttempt,
+      steps,
+      first_mistake: firstMistake,
+      next_nudge: typeof value.next_nudge === 'string' ? value.next_nudge.trim() : ''
+    }
+  };
+}
+
+/**
+ * Parse and validate a model reply
+ * @param {string} text - Raw model output
+ * @returns {{data: Object|null, errors: string[]}}
+ */
+function parse(text) {
+  const json = extractJson(text);
+  if (!json) {
+    return { data: null, errors: ['no JSON object found'] };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(repairLatexEscapes(json));
+  } catch (error) {
+    return { data: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+  const result = validate(value);
+  return { data: result.data, errors: result.errors };
+}
+
+module.exports = {
+  ATTEMPT_CHECK_SCHEMA,
+  VERDICTS,
+  formatInstructions,
+  validate,
+  parse
+};
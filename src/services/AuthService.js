@@ -9,6 +9,7 @@ class AuthService {
     this.currentSession = null;
     this.sessionTimeout = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
     this.lastActivity = Date.now();
+    this.portalTransferTimer = null;
   }
 
   // Create/update user and start an app session after Supabase login
@@ -199,7 +200,7 @@ class AuthService {
     aiModel = 'gemini-2.0-flash',
     imageData = null,
     metadata = null) {
-    if (!this.currentUser || !this.currentSession) {
+    if (!this.currentUser) {
       throw new Error('User not authenticated');
     }
 
@@ -217,9 +218,10 @@ class AuthService {
           processingTime: null
         };
 
+    // Questions synced from local history keep the session they were asked in
     const questionId = await this.dbService.saveQuestion(
       this.currentUser.id,
-      this.currentSession.id,
+      data.sessionId || this.currentSession?.id || null,
       data.questionText,
       data.questionType,
       data.imageData,
@@ -236,10 +238,12 @@ class AuthService {
       data.processingTime || null
     );
 
-    await this.logActivity('question_answer', 'completed', { questionId, answerId, questionType, aiProvider, aiModel });
+    await this.logActivity('question_answer', 'completed', { questionId, answerId, questionType: data.questionType, aiProvider: data.aiProvider, aiModel: data.aiModel });
 
-    // Fire-and-forget: try to push data to Portal shortly after save
-    setTimeout(() => {
+    // Fire-and-forget: try to push data to Portal shortly after save,
+    // once for a burst of saves (e.g. a history sync)
+    clearTimeout(this.portalTransferTimer);
+    this.portalTransferTimer = setTimeout(() => {
       this.transferDataToPortal().catch((e) => {
         console.debug('Deferred portal transfer failed (will retry later):', e?.message || e);
       });
@@ -248,6 +252,13 @@ class AuthService {
     return { questionId, answerId };
   }
 
+  // Attach a follow-up chat thread to a saved question
+  async saveQuestionThread(questionId, thread) {
+    if (!this.currentUser) throw new Error('User not authenticated');
+    await this.dbService.saveQuestionThread(questionId, this.currentUser.id, thread);
+    await this.logActivity('question_answer', 'thread_saved', { questionId, turns: thread.length });
+  }
+
   async transferDataToPortal() {
     if (!this.currentUser) throw new Error('User not authenticated');
     await this.logActivity('data_transfer', 'initiated');
@@ -264,9 +275,14 @@ class AuthService {
     return result;
   }
 
-  async getUserHistory(limit = 50) {
+  async getUserHistory(limit = 50, filters = {}) {
+    if (!this.currentUser) throw new Error('User not authenticated');
+    return this.dbService.getUserHistory(this.currentUser.id, limit, filters);
+  }
+
+  async getUserTopics() {
     if (!this.currentUser) throw new Error('User not authenticated');
-    return this.dbService.getUserHistory(this.currentUser.id, limit);
+    return this.dbService.getUserTopics(this.currentUser.id);
   }
 
   async syncAccountData() {
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_FILE = 'index.json';
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+const DEFAULT_MAX_AGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Ids made by `add`; file names are built from them
+const ID_PATTERN = /^[0-9]+-[a-z0-9]+$/;
+
+/**
+ * Local history of captured screenshots, kept on this device whether or not
+ * the user is signed in.
+ *
+ * Each capture is `<id>.png` plus a `<id>-thumb.png` thumbnail in one
+ * directory; `index.json` lists the captures newest first with the results
+ * of every run on them (mode, provider, model, hints), so a capture can be
+ * re-run and the results compared. The history is pruned by total size and
+ * age whenever a capture is added.
+ */
+class CaptureHistory {
+  /**
+   * @param {string} dir - Directory for the history, created on first write
+   * @param {Object} [limits]
+   * @param {number} [limits.maxBytes] - Total size of images and thumbnails
+   * @param {number} [limits.maxAgeDays]
+   */
+  constructor(dir, { maxBytes = DEFAULT_MAX_BYTES, maxAgeDays = DEFAULT_MAX_AGE_DAYS } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxAgeDays = maxAgeDays;
+  }
+
+  setLimits({ maxBytes = this.maxBytes, maxAgeDays = this.maxAgeDays } = {}) {
+    this.maxBytes = maxBytes;
+    this.maxAgeDays = maxAgeDays;
+  }
+
+  /**
+   * @returns {Array<Object>} Captures, newest first
+   */
+  list() {
+    try {
+      const entries = JSON.parse(fs.readFileSync(path.join(this.dir, INDEX_FILE), 'utf8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch {
+      return [];
+    }
+  }
+
+  get(id) {
+    return this.list().find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Save a capture
+   * @param {Buffer} image - PNG as captured
+   * @param {Buffer} thumbnail - Small PNG for the history panel
+   * @returns {Object} The new entry, without runs yet
+   */
+  add(image, thumbnail) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const createdAt = new Date().toISOString();
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    fs.writeFileSync(this.imagePath(id), image);
+    fs.writeFileSync(this.thumbnailPath(id), thumbnail);
+    const entry = { id, createdAt, bytes: image.length + thumbnail.length, runs: [] };
+
+    this.write([entry, ...this.list()]);
+    this.prune();
+    return entry;
+  }
+
+  /**
+   * Record the result of processing a capture
+   * @param {string} id
+   * @param {Object} run - { mode, provider, model, questionText, hints, ... }
+   * @returns {Object|null} The stored run, or null when the capture is gone
+   */
+  addRun(id, run) {
+    const entries = this.list();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+
+    const stored = { id: `${entry.id}-${entry.runs.length + 1}`, createdAt: new Date().toISOString(), ...run };
+    entry.runs.push(stored);
+    this.write(entries);
+    return stored;
+  }
+
+  /**
+   * @returns {Buffer|null}
+   */
+  readImage(id) {
+    if (!this.get(id)) return null;
+    try {
+      return fs.readFileSync(this.imagePath(id));
+    } catch {
+      return null;
+    }
+  }
+
+  imagePath(id) {
+    return path.join(this.dir, `${CaptureHistory.checkId(id)}.png`);
+  }
+
+  thumbnailPath(id) {
+    return path.join(this.dir, `${CaptureHistory.checkId(id)}-thumb.png`);
+  }
+
+  /**
+   * @returns {string} The id, when it can name a file in the history directory
+   */
+  static checkId(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new Error(`[CaptureHistory] Invalid capture id ${JSON.stringify(id)}`);
+    }
+    return id;
+  }
+
+  remove(id) {
+    if (!this.get(id)) return;
+    this.deleteFiles(id);
+    this.write(this.list().filter(entry => entry.id !== id));
+  }
+
+  clear() {
+    this.list().forEach(entry => this.deleteFiles(entry.id));
+    this.write([]);
+  }
+
+  /**
+   * Drop captures older than maxAgeDays, then the oldest ones until the
+   * history fits in maxBytes. The newest capture is always kept.
+   * @returns {number} Number of captures removed
+   */
+  prune(now = Date.now()) {
+    const entries = this.list();
+    const cutoff = now - this.maxAgeDays * DAY_MS;
+    const kept = [];
+    let total = 0;
+
+    entries.forEach((entry, i) => {
+      const fresh = Date.parse(entry.createdAt) >= cutoff;
+      if (i === 0 || (fresh && total + entry.bytes <= this.maxBytes)) {
+        kept.push(entry);
+        total += entry.bytes;
+      }
+    });
+
+    const removed = entries.filter(entry => !kept.includes(entry));
+    if (removed.length) {
+      removed.forEach(entry => this.deleteFiles(entry.id));
+      this.write(kept);
+    }
+    return removed.length;
+  }
+
+  deleteFiles(id) {
+    // An index entry with a bad id has no files of its own
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return;
+    for (const file of [this.imagePath(id), this.thumbnailPath(id)]) {
+      try {
+        fs.unlinkSync(file);
+      } catch {
+        // Already gone
+      }
+    }
+  }
+
+  write(entries) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    // Write then rename so a crash never leaves a half-written index
+    const file = path.join(this.dir, INDEX_FILE);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(entries, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+}
+
+CaptureHistory.DEFAULT_MAX_BYTES = DEFAULT_MAX_BYTES;
+CaptureHistory.DEFAULT_MAX_AGE_DAYS = DEFAULT_MAX_AGE_DAYS;
+
+module.exports = CaptureHistory;
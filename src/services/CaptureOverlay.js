@@ -0,0 +1,179 @@
+const { BrowserWindow, desktopCapturer, screen } = require('electron');
+const path = require('path');
+
+// Selections smaller than this (in pixels of the screenshot) are treated as a click
+const MIN_SIZE = 4;
+
+/**
+ * Region capture overlay for the main process.
+ *
+ * Every display gets a frameless, transparent window covering it that shows a
+ * frozen screenshot of that display (from desktopCapturer). The user drags out
+ * a region in any of them; Esc or a right click cancels. Works wherever
+ * desktopCapturer does: macOS (with Screen Recording permission), Windows,
+ * and Linux on X11 or Wayland (through the desktop portal).
+ */
+class CaptureOverlay {
+  /**
+   * @param {IpcRouter} ipc - Receives the overlay's selection
+   */
+  constructor(ipc) {
+    this.ipc = ipc;
+    this.session = null;
+  }
+
+  /**
+   * Show the overlay and wait for a selection
+   * @returns {Promise<Buffer|null>} PNG of the selected region, null when cancelled
+   */
+  async capture() {
+    // A second shortcut press while the overlay is open joins the same capture
+    if (this.session) return this.session.promise;
+
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    this.session = { promise };
+
+    try {
+      const screens = await this.grabDisplays();
+      if (!screens.length) throw new Error('No screen could be captured');
+      this.open(screens, resolve);
+    } catch (error) {
+      this.session = null;
+      throw error;
+    }
+    return promise;
+  }
+
+  /**
+   * Screenshot of every display at its native resolution
+   * @returns {Promise<Array<{display: Object, image: Electron.NativeImage}>>}
+   */
+  async grabDisplays() {
+    const displays = screen.getAllDisplays();
+    // One thumbnail size for all sources: large enough for the sharpest display
+    const thumbnailSize = displays.reduce((size, display) => ({
+      width: Math.max(size.width, Math.round(display.size.width * display.scaleFactor)),
+      height: Math.max(size.height, Math.round(display.size.height * display.scaleFactor))
+    }), { width: 0, height: 0 });
+
+    const sources = await desktopCapturer.getSources({ types: ['screen'], thumbnailSize });
+    return displays
+      .map((display, i) => {
+        // display_id is empty on some Linux setups; sources then follow display order
+        const source = sources.find(s => s.display_id && s.display_id === String(display.id)) || sources[i];
+        return source && !source.thumbnail.isEmpty() ? { display, image: source.thumbnail } : null;
+      })
+      .filter(Boolean);
+  }
+
+  open(screens, resolve) {
+    const windows = [];
+    let settled = false;
+
+    const onSelect = (event, rect) => {
+      const entry = windows.find(w => !w.window.isDestroyed() && w.window.webContents.id === event.sender.id);
+      if (entry) finish(CaptureOverlay.crop(entry.image, entry.display.bounds, rect));
+    };
+    const onCancel = (event) => {
+      if (windows.some(w => !w.window.isDestroyed() && w.window.webContents.id === event.sender.id)) finish(null);
+    };
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      this.ipc.removeListener('capture-overlay:select', onSelect);
+      this.ipc.removeListener('capture-overlay:cancel', onCancel);
+      windows.forEach(({ window }) => {
+        if (!window.isDestroyed()) window.destroy();
+      });
+      this.session = null;
+      resolve(result);
+    };
+
+    this.ipc.on('capture-overlay:select', onSelect);
+    this.ipc.on('capture-overlay:cancel', onCancel);
+
+    for (const { display, image } of screens) {
+      const { x, y, width, height } = display.bounds;
+      const window = new BrowserWindow({
+        x,
+        y,
+        width,
+        height,
+        frame: false,
+        transparent: true,
+        resizable: false,
+        movable: false,
+        minimizable: false,
+        maximizable: false,
+        fullscreenable: false,
+        enableLargerThanScreen: true,
+        skipTaskbar: true,
+        hasShadow: false,
+        alwaysOnTop: true,
+        show: false,
+        webPreferences: {
+          preload: path.join(__dirname, '..', 'preload.bundle.js'),
+          nodeIntegration: false,
+          contextIsolation: true,
+          sandbox: true
+        }
+      });
+      // Above the main window and full-screen apps
+      window.setAlwaysOnTop(true, 'screen-saver');
+      if (window.setVisibleOnAllWorkspaces) {
+        window.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+      }
+
+      window.webContents.once('did-finish-load', () => {
+        this.ipc.send(window.webContents, 'capture-overlay:init', {
+          image: image.toDataURL(),
+          width,
+          height
+        });
+        // Some window managers place frameless windows relative to the work area
+        window.setBounds(display.bounds);
+        window.show();
+        window.focus();
+      });
+      // Closed by the window manager (e.g. Alt+F4)
+      window.on('closed', () => finish(null));
+      window.loadFile(path.join(__dirname, '..', 'renderer', 'capture.html'));
+
+      windows.push({ window, display, image });
+    }
+  }
+
+  /**
+   * Selection in display coordinates (DIPs) to pixels of the screenshot,
+   * clamped to the image. Screenshots of HiDPI displays are larger than
+   * their bounds by the scale factor.
+   * @param {{x: number, y: number, width: number, height: number}} rect
+   * @param {{width: number, height: number}} bounds - Display bounds
+   * @param {{width: number, height: number}} imageSize
+   */
+  static toPixelRect(rect, bounds, imageSize) {
+    const scaleX = imageSize.width / bounds.width;
+    const scaleY = imageSize.height / bounds.height;
+    const x = Math.min(imageSize.width, Math.max(0, Math.round(rect.x * scaleX)));
+    const y = Math.min(imageSize.height, Math.max(0, Math.round(rect.y * scaleY)));
+    return {
+      x,
+      y,
+      width: Math.min(imageSize.width, Math.round((rect.x + rect.width) * scaleX)) - x,
+      height: Math.min(imageSize.height, Math.round((rect.y + rect.height) * scaleY)) - y
+    };
+  }
+
+  /**
+   * @returns {Buffer|null} PNG of the region, null when it is too small
+   */
+  static crop(image, bounds, rect) {
+    const pixels = CaptureOverlay.toPixelRect(rect, bounds, image.getSize());
+    if (pixels.width < MIN_SIZE || pixels.height < MIN_SIZE) return null;
+    return image.crop(pixels).toPNG();
+  }
+}
+
+module.exports = CaptureOverlay;
@@ -0,0 +1,252 @@
+const { checkSchema } = require('./IpcContract');
+const Languages = require('./Languages');
+
+const PROFILE_FORMAT = 'hintify-settings';
+const PROFILE_VERSION = 1;
+
+const THEMES = ['theme-dark', 'theme-pastel', 'theme-light'];
+const IMAGE_MODELS = ['gemini-2.0-flash-exp', 'gemini-2.5-flash-image', 'gemini-3-pro-image-preview'];
+
+/**
+ * App settings outside the providers, with their types and defaults.
+ * Schemas use the subset of JSON Schema that IpcContract checks; `label`
+ * names the setting in error messages and `profile: false` keeps it out of
+ * exported profiles.
+ */
+const FIELDS = {
+  provider: { label: 'AI provider', type: 'string', default: 'gemini' },
+  // Providers tried in order when the selected one fails, e.g. ['gemini']
+  provider_fallback_chain: { label: 'Fallback providers', type: 'array', items: { type: 'string' }, default: [] },
+  // Model for educational diagrams
+  gemini_image_model: { label: 'Image generation model', type: 'string', enum: IMAGE_MODELS, default: IMAGE_MODELS[0] },
+  // When enabled, screenshots are sent directly to the AI model (vision) without OCR
+  advanced_mode: { label: 'Advanced Mode', type: 'boolean', default: true },
+  story_mode: { label: 'Story Mode', type: 'boolean', default: false },
+  // Show Hint 1 only and unlock the rest one at a time
+  progressive_hints: { label: 'Progressive hints', type: 'boolean', default: false },
+  // Minimum seconds before the next hint can be unlocked (progressive mode)
+  hint_think_time: { label: 'Think time', type: 'number', minimum: 0, maximum: 600, default: 0 },
+  // Check hints for leaked answers before display; optionally with a grading request
+  leak_guard: { label: 'Answer-leak guard', type: 'boolean', default: true },
+  leak_guard_llm: { label: 'AI leak check', type: 'boolean', default: false },
+  // What to do with leaky hints: 'regenerate' (then redact) or 'redact'
+  leak_guard_action: { label: 'Action for leaked answers', type: 'string', enum: ['regenerate', 'redact'], default: 'regenerate' },
+  // Prompt template set ('general' or a subject) and the user's edited/imported sets
+  prompt_template: { label: 'Prompt template', type: 'string', default: 'general' },
+  prompt_templates: { label: 'Custom prompt templates', type: 'object', default: {} },
+  // Use the template matching the detected subject when there is one
+  prompt_template_auto: { label: 'Automatic prompt template', type: 'boolean', default: true },
+  // Refine the local question classifier with an extra AI request
+  classifier_llm: { label: 'AI question classifier', type: 'boolean', default: false },
+  // Language hints are written in: 'auto' (the question's language) or a language id
+  respond_language: { label: 'Response language', type: 'string', default: 'auto' },
+  // Tesseract languages for OCR, joined with '+', e.g. 'eng+hin'
+  ocr_languages: { label: 'OCR languages', type: 'string', default: Languages.DEFAULT_OCR_LANGUAGES },
+  // Upscale, invert, binarize and deskew screenshots before OCR
+  ocr_preprocess: { label: 'OCR preprocessing', type: 'boolean', default: true },
+  // Below this OCR confidence (0-100) the screenshot goes to the vision model; 0 disables
+  ocr_min_confidence: { label: 'OCR confidence', type: 'number', minimum: 0, maximum: 100, default: 60 },
+  // Show the OCR text for correction before hints are generated
+  ocr_review: { label: 'OCR review', type: 'boolean', default: false },
+  // Transcribe equations to LaTeX: 'off', 'vision' (the provider chain) or 'ollama'
+  math_ocr: { label: 'Math OCR mode', type: 'string', enum: ['off', 'vision', 'ollama'], default: 'off' },
+  // Ollama vision model for 'ollama' math OCR; empty uses ollama_model
+  math_ocr_ollama_model: { label: 'Math OCR model', type: 'string', default: '' },
+  // Offer per-question hints when a capture or paste holds several numbered questions
+  split_questions: { label: 'Question splitting', type: 'boolean', default: true },
+  // Advanced Mode: ask the vision model where the questions are (one extra request)
+  split_questions_vision: { label: 'Vision question splitting', type: 'boolean', default: false },
+  // Screenshot capture: 'overlay' (Hintify's region selector) or 'system' (macOS screencapture)
+  capture_method: { label: 'Screenshot capture method', type: 'string', enum: ['overlay', 'system'], default: 'overlay' },
+  // Keep captures on this device so they can be re-run
+  capture_history: { label: 'Capture history', type: 'boolean', default: true },
+  // Capture history limits: total size in MB and age in days
+  capture_history_max_mb: { label: 'Capture history size (MB)', type: 'number', minimum: 10, maximum: 5000, default: 200 },
+  capture_history_max_days: { label: 'Capture history age (days)', type: 'number', minimum: 1, maximum: 365, default: 30 },
+  // Theme class of the app's pages, switched with the theme button
+  'app-theme': { label: 'Theme', type: 'string', enum: THEMES, default: THEMES[0] },
+  glassy_mode: { label: 'Glass effect', type: 'boolean', default: false },
+  // Main window position and size, kept by the main process
+  windowBounds: {
+    label: 'Window position',
+    type: 'object',
+    properties: { width: { type: 'number' }, height: { type: 'number' }, x: { type: 'number' }, y: { type: 'number' } },
+    required: ['width', 'height'],
+    default: { width: 750, height: 600, x: 100, y: 100 },
+    profile: false
+  }
+};
+
+// http(s) address; empty means the provider's default
+const URL_PATTERN = '^(https?://[^\\s/?#]+[^\\s]*)?$';
+
+// Settings fields of a provider (see BaseProvider) as a schema field.
+// Patterns arrive as RegExps or, from `describe`, as { source, flags }.
+function providerField({ label, type, default: defaultValue, min, max, integer, options, pattern }) {
+  if (type === 'boolean') return { label, type: 'boolean', default: defaultValue };
+  if (type !== 'number') {
+    const field = { label, type: 'string', default: defaultValue };
+    if (type === 'url') field.pattern = URL_PATTERN;
+    else if (pattern) field.pattern = pattern.source;
+    if (type === 'select' && options) field.enum = options.map(option => option.value);
+    return field;
+  }
+  // An empty number field is stored as null and means the provider's default
+  const field = { label, type: [integer ? 'integer' : 'number', 'null'], default: defaultValue };
+  if (min !== undefined) field.minimum = min;
+  if (max !== undefined) field.maximum = max;
+  return field;
+}
+
+function clone(value) {
+  return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * The settings of the app, shared by the main process and the pages.
+ *
+ * Combines the app's own fields with those the providers declare; secret
+ * provider fields (API keys) are not settings, they live in the vault.
+ * `load` reads settings with a default for anything missing or invalid,
+ * `clean` checks a change before it is saved, and a settings profile is a
+ * JSON file written by `export` and read by `parseImport`.
+ */
+class ConfigSchema {
+  /**
+   * @param {Array<Object>} [providers] - Providers or provider descriptors, each with an
+   *   `id` and a `configSchema`; `provider` and the fallback chain must name one of them
+   */
+  constructor(providers = []) {
+    this.fields = { ...FIELDS };
+    if (providers.length) {
+      const ids = providers.map(provider => provider.id);
+      this.fields.provider = { ...FIELDS.provider, enum: ids };
+      this.fields.provider_fallback_chain = { ...FIELDS.provider_fallback_chain, items: { type: 'string', enum: ids } };
+    }
+    for (const provider of providers) {
+      for (const field of provider.configSchema || []) {
+        if (field.type !== 'secret' && !this.fields[field.key]) this.fields[field.key] = providerField(field);
+      }
+    }
+  }
+
+  keys() {
+    return Object.keys(this.fields);
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.fields, key);
+  }
+
+  /**
+   * @returns {Object} Default of every setting that has one
+   */
+  defaults() {
+    const defaults = {};
+    for (const [key, field] of Object.entries(this.fields)) {
+      if (field.default !== undefined) defaults[key] = clone(field.default);
+    }
+    return defaults;
+  }
+
+  /**
+   * Check one setting
+   * @returns {string[]} Problems found, empty when the value is valid
+   */
+  validateValue(key, value) {
+    if (!this.has(key)) return [`Unknown setting "${key}"`];
+    const { label, ...schema } = this.fields[key];
+    return checkSchema(value, schema, label || key);
+  }
+
+  /**
+   * Check every setting present in `config`
+   * @returns {string[]}
+   */
+  validate(config) {
+    return Object.entries(config || {}).flatMap(([key, value]) => this.validateValue(key, value));
+  }
+
+  /**
+   * Read all settings; missing and invalid values get their default
+   * @param {Function} get - Stored value of a key, undefined when not stored
+   */
+  load(get) {
+    const config = this.defaults();
+    for (const key of this.keys()) {
+      const value = get(key);
+      if (value === undefined) continue;
+      const errors = this.validateValue(key, value);
+      if (errors.length) {
+        console.warn(`[Config] Using the default for ${key}: ${errors.join('; ')}`);
+      } else {
+        config[key] = value;
+      }
+    }
+    return config;
+  }
+
+  /**
+   * Split a change into the values that can be saved and the problems with the rest
+   * @returns {{values: Object, errors: string[]}}
+   */
+  clean(change) {
+    const values = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(change || {})) {
+      const problems = this.validateValue(key, value);
+      if (problems.length) errors.push(...problems);
+      else values[key] = value;
+    }
+    return { values, errors };
+  }
+
+  /**
+   * Settings profile of `config` as JSON, without window positions
+   */
+  export(config) {
+    const settings = {};
+    for (const [key, field] of Object.entries(this.fields)) {
+      if (field.profile === false) continue;
+      const value = config[key] !== undefined ? config[key] : field.default;
+      if (value !== undefined) settings[key] = value;
+    }
+    return JSON.stringify({ format: PROFILE_FORMAT, version: PROFILE_VERSION, settings }, null, 2);
+  }
+
+  /**
+   * Read a settings profile
+   * @param {string} json - File contents
+   * @returns {{settings: Object|null, errors: string[]}} settings holds the
+   *   valid values, null when the file is not a usable profile; errors lists
+   *   the settings that were left out
+   */
+  parseImport(json) {
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      return { settings: null, errors: [`Not a JSON file: ${error.message}`] };
+    }
+    if (value?.format !== PROFILE_FORMAT) {
+      return { settings: null, errors: ['Not a Hintify settings file'] };
+    }
+    if (value.version > PROFILE_VERSION) {
+      return { settings: null, errors: [`Settings file version ${value.version} is newer than this app supports`] };
+    }
+    if (!value.settings || typeof value.settings !== 'object' || Array.isArray(value.settings)) {
+      return { settings: null, errors: ['Settings file contains no settings'] };
+    }
+
+    const profile = Object.fromEntries(Object.entries(value.settings).filter(([key]) => this.fields[key]?.profile !== false));
+    const { values, errors } = this.clean(profile);
+    return { settings: values, errors };
+  }
+}
+
+ConfigSchema.FIELDS = FIELDS;
+ConfigSchema.THEMES = THEMES;
+ConfigSchema.IMAGE_MODELS = IMAGE_MODELS;
+ConfigSchema.PROFILE_FORMAT = PROFILE_FORMAT;
+
+module.exports = ConfigSchema;
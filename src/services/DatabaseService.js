@@ -121,6 +121,55 @@ class DatabaseService {
     }
   }
 
+  // Store a follow-up chat thread in the question's metadata
+  async saveQuestionThread(questionId, userId, thread) {
+    try {
+      await this.sql`
+        UPDATE app_data.questions
+        SET metadata = COALESCE(metadata, '{}'::jsonb) || ${JSON.stringify({ chat_thread: thread })}::jsonb
+        WHERE id = ${questionId} AND user_id = ${userId}
+      `;
+    } catch (error) {
+      console.error('Failed to save question thread:', error);
+      throw error;
+    }
+  }
+
+  // Merge keys into a question's metadata; resolves to false when the question is gone
+  async updateQuestionMetadata(questionId, userId, metadata) {
+    try {
+      const result = await this.sql`
+        UPDATE app_data.questions
+        SET metadata = COALESCE(metadata, '{}'::jsonb) || ${JSON.stringify(metadata)}::jsonb
+        WHERE id = ${questionId} AND user_id = ${userId}
+        RETURNING id
+      `;
+
+      return result.length > 0;
+    } catch (error) {
+      console.error('Failed to update question metadata:', error);
+      throw error;
+    }
+  }
+
+  // Question saved from this device's local history, with its answer id
+  async findQuestionByLocalId(userId, localId) {
+    try {
+      const result = await this.sql`
+        SELECT q.id, a.id as answer_id
+        FROM app_data.questions q
+        LEFT JOIN app_data.answers a ON q.id = a.question_id
+        WHERE q.user_id = ${userId} AND q.metadata->>'local_id' = ${localId}
+        LIMIT 1
+      `;
+
+      return result[0] || null;
+    } catch (error) {
+      console.error('Failed to find question by local id:', error);
+      throw error;
+    }
+  }
+
   // Get user by email
   async getUserByEmail(email) {
     try {
@@ -184,14 +233,16 @@ class DatabaseService {
     }
   }
 
-  // Get user's recent questions and answers
-  async getUserHistory(userId, limit = 50) {
+  // Get user's recent questions and answers, optionally only one subject/topic
+  async getUserHistory(userId, limit = 50, { subject = null, topic = null } = {}) {
     try {
       const result = await this.sql`
         SELECT 
           q.id as question_id,
           q.question_text,
           q.question_type,
+          q.metadata->>'subject' as subject,
+          q.metadata->>'topic' as topic,
           q.created_at as question_created_at,
           a.id as answer_id,
           a.answer_text,
@@ -201,6 +252,8 @@ class DatabaseService {
         FROM app_data.questions q
         LEFT JOIN app_data.answers a ON q.id = a.question_id
         WHERE q.user_id = ${userId}
+          AND (${subject}::text IS NULL OR q.metadata->>'subject' = ${subject})
+          AND (${topic}::text IS NULL OR q.metadata->>'topic' = ${topic})
         ORDER BY q.created_at DESC
         LIMIT ${limit}
       `;
@@ -212,6 +265,27 @@ class DatabaseService {
     }
   }
 
+  // Subjects and topics of the user's questions, for filtering history
+  async getUserTopics(userId) {
+    try {
+      const result = await this.sql`
+        SELECT
+          metadata->>'subject' as subject,
+          metadata->>'topic' as topic,
+          COUNT(*)::int as count
+        FROM app_data.questions
+        WHERE user_id = ${userId} AND metadata->>'subject' IS NOT NULL
+        GROUP BY 1, 2
+        ORDER BY 1, count DESC
+      `;
+
+      return result;
+    } catch (error) {
+      console.error('Failed to get user topics:', error);
+      throw error;
+    }
+  }
+
   // End app session
   async endAppSession(sessionId) {
     try {
@@ -0,0 +1,234 @@
+/**
+ * Structured hint responses.
+ *
+ * The hint prompts ask the model for a JSON object matching
+ * HINT_RESPONSE_SCHEMA. Providers that support constrained output enforce the
+ * schema (Gemini `responseSchema`, Ollama `format`); for the rest the prompt
+ * alone has to do. `parse` validates whatever came back and returns null when
+ * it is not usable, so callers can fall back to the "Hint N:" text parser.
+ */
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const MAX_HINTS = 8;
+const NOT_A_QUESTION = '⚠️ This does not appear to be a question.';
+
+const HINT_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    is_question: { type: 'boolean', description: 'False when the input is not a question or problem' },
+    topic: { type: 'string', description: 'Subject and topic, e.g. "Physics - Projectile motion"' },
+    question_type: { type: 'string', description: 'e.g. MCQ, Descriptive, Numerical, Proof' },
+    difficulty: { type: 'string', enum: DIFFICULTIES },
+    hints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          level: { type: 'integer', description: '1 is the gentlest nudge; each level gives a little more help' },
+          text: { type: 'string' }
+        },
+        required: ['level', 'text']
+      }
+    },
+    encouragement: { type: 'string', description: 'One short line encouraging the student to finish on their own' }
+  },
+  required: ['is_question', 'hints']
+};
+
+// LaTeX commands whose first letter doubles as a JSON escape (\f, \t, \n, \b, \r).
+// Models often forget to escape them, which JSON.parse silently accepts.
+const LATEX_ESCAPE_LOOKALIKES = new Set([
+  'frac', 'dfrac', 'theta', 'times', 'tan', 'tanh', 'text', 'textbf', 'to', 'tau', 'top', 'triangle', 'tilde',
+  'beta', 'bar', 'binom', 'begin', 'big', 'bigg', 'boldsymbol', 'bmatrix', 'bullet',
+  'nabla', 'neq', 'ne', 'nu', 'not', 'neg', 'ni', 'newline',
+  'right', 'rightarrow', 'Rightarrow', 'rho', 'rangle', 'rceil', 'rfloor', 'rm',
+  'forall', 'flat', 'frown'
+]);
+
+/**
+ * Instructions describing the JSON reply, appended to the hint prompts
+ * @param {Object} [options]
+ * @param {number} [options.minHints=3]
+ * @param {number} [options.maxHints=5]
+ * @returns {string}
+ */
+function formatInstructions({ minHints = 3, maxHints = 5 } = {}) {
+  return `Response format:
+Reply with a single JSON object and nothing else (no Markdown fences):
+{
+  "is_question": true,
+  "topic": "<subject - topic>",
+  "question_type": "<MCQ | Descriptive | Numerical | Proof | ...>",
+  "difficulty": "<Easy | Medium | Hard>",
+  "hints": [
+    { "level": 1, "text": "<gentlest nudge>" },
+    { "level": 2, "text": "<a little more help>" }
+  ],
+  "encouragement": "<one short line>"
+}
+- Give between ${minHints} and ${maxHints} hints, with levels numbered from 1 in order of increasing help.
+- Escape backslashes inside JSON strings, e.g. write "$\\\\frac{a}{b}$" for $\\frac{a}{b}$.
+- If the text is not a valid question, set "is_question" to false and return an empty "hints" array.`;
+}
+
+// Pull the JSON object out of a reply that may be wrapped in prose or code fences
+function extractJson(text) {
+  const src = String(text || '').trim();
+  const fenced = src.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : src;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  return start >= 0 && end > start ? body.slice(start, end + 1) : null;
+}
+
+// Double the backslash of LaTeX commands the model left unescaped
+function repairLatexEscapes(json) {
+  return json.replace(/\\(\\|"|\/|u[0-9a-fA-F]{4}|[A-Za-z]+)/g, (match, rest) => {
+    if (rest.length === 1 && '\\"/bfnrt'.includes(rest)) return match;
+    if (/^u[0-9a-fA-F]{4}$/.test(rest)) return match;
+    if ('bfnrt'.includes(rest[0]) && !LATEX_ESCAPE_LOOKALIKES.has(rest)) return match;
+    return `\\${match}`;
+  });
+}
+
+function optionalString(value, key, errors) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') {
+    errors.push(`${key} must be a string`);
+    return '';
+  }
+  return value.trim();
+}
+
+/**
+ * Check a decoded reply against HINT_RESPONSE_SCHEMA and normalise it
+ * @param {*} value - Result of JSON.parse
+ * @returns {{valid: boolean, errors: string[], data: Object|null}}
+ */
+function validate(value) {
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['response must be a JSON object'], data: null };
+  }
+
+  if (value.is_question !== undefined && typeof value.is_question !== 'boolean') {
+    errors.push('is_question must be a boolean');
+  }
+  const isQuestion = value.is_question !== false;
+
+  const hints = [];
+  if (!Array.isArray(value.hints)) {
+    errors.push('hints must be an array');
+  } else {
+    value.hints.slice(0, MAX_HINTS).forEach((hint, index) => {
+      const text = typeof hint?.text === 'string' ? hint.text.trim() : '';
+      if (!text) {
+        errors.push(`hints[${index}].text must be a non-empty string`);
+        return;
+      }
+      const level = Number.isInteger(hint.level) && hint.level > 0 ? hint.level : index + 1;
+      hints.push({ level, text });
+    });
+    if (isQuestion && !value.hints.length) {
+      errors.push('hints must contain at least one hint');
+    }
+  }
+
+  const difficulty = optionalString(value.difficulty, 'difficulty', errors);
+  const data = {
+    is_question: isQuestion,
+    topic: optionalString(value.topic, 'topic', errors),
+    question_type: optionalString(value.question_type, 'question_type', errors),
+    difficulty: DIFFICULTIES.find(level => level.toLowerCase() === difficulty.toLowerCase()) || '',
+    hints: hints.sort((a, b) => a.level - b.level),
+    encouragement: optionalString(value.encouragement, 'encouragement', errors)
+  };
+
+  return { valid: errors.length === 0, errors, data: errors.length ? null : data };
+}
+
+/**
+ * Parse and validate a model reply
+ * @param {string} text - Raw model output
+ * @returns {{data: Object|null, errors: string[]}} data is null when the
+ *   reply is not a valid structured response
+ */
+function parse(text) {
+  const json = extractJson(text);
+  if (!json) {
+    return { data: null, errors: ['no JSON object found'] };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(repairLatexEscapes(json));
+  } catch (error) {
+    return { data: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+  const result = validate(value);
+  return { data: result.data, errors: result.errors };
+}
+
+/**
+ * Plain-text rendering in the classic "Hint N:" format, used for saving,
+ * sharing and as context for regeneration
+ */
+function toText(data) {
+  if (!data.is_question) return NOT_A_QUESTION;
+  const lines = data.hints.map(hint => `Hint ${hint.level}: ${hint.text}`);
+  if (data.encouragement) lines.push('', data.encouragement);
+  return lines.join('\n');
+}
+
+/**
+ * Hints that are already complete in a partially streamed JSON reply
+ * @param {string} partial - JSON received so far
+ * @returns {Array<{level: number, text: string}>}
+ */
+function completedHints(partial) {
+  const src = String(partial || '');
+  const start = src.search(/"hints"\s*:\s*\[/);
+  if (start < 0) return [];
+
+  const hints = [];
+  let depth = 0;
+  let inString = false;
+  let objectStart = -1;
+  for (let i = src.indexOf('[', start) + 1; i < src.length; i++) {
+    const ch = src[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      if (depth++ === 0) objectStart = i;
+    } else if (ch === '}') {
+      if (--depth === 0) {
+        try {
+          const hint = JSON.parse(repairLatexEscapes(src.slice(objectStart, i + 1)));
+          if (typeof hint?.text === 'string' && hint.text.trim()) {
+            hints.push({ level: Number.isInteger(hint.level) ? hint.level : hints.length + 1, text: hint.text.trim() });
+          }
+        } catch { }
+      }
+    } else if (ch === ']' && depth === 0) {
+      break;
+    }
+  }
+  return hints;
+}
+
+module.exports = {
+  HINT_RESPONSE_SCHEMA,
+  NOT_A_QUESTION,
+  formatInstructions,
+  extractJson,
+  repairLatexEscapes,
+  validate,
+  parse,
+  toText,
+  completedHints
+};
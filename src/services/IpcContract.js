@@ -0,0 +1,397 @@
+/**
+ * The IPC contract between the app's pages and the main process.
+ *
+ * `CHANNELS` declares every channel a page may call, with its kind and a
+ * schema for each argument:
+ * - `invoke`: returns a promise (ipcMain.handle)
+ * - `send`: fire and forget (ipcMain.on)
+ * - `sync`: blocks the page for the reply (ipcMain.on setting returnValue)
+ * `EVENTS` declares what the main process sends to pages.
+ *
+ * The main process registers its handlers through IpcRouter, which checks
+ * every payload against this contract and reports declared channels that
+ * have no handler. preload.js builds the page client (`window.hintify.api`)
+ * from it, with one method per channel named by `methodName`.
+ *
+ * Schemas use the subset of JSON Schema that HintSchema does (type, enum,
+ * properties, required, items) plus `maxLength`, `pattern`, `minimum` and
+ * `maximum`.
+ * Two extra types: `bytes` for images (Buffer or Uint8Array) and `any`.
+ * Arguments marked `optional` may be left out or undefined.
+ */
+
+// Ids the app generates (`<time>-<random>` in base 10 or 36); nothing path-like
+const ID = { type: 'string', maxLength: 200, pattern: '^[a-z0-9]+-[a-z0-9]+$' };
+const PROVIDER_ID = { type: 'string', maxLength: 50, pattern: '^[a-z][a-z0-9_-]*$' };
+const PNG = { type: 'bytes' };
+const RECT = {
+  type: 'object',
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: { type: 'number', minimum: 0 },
+    height: { type: 'number', minimum: 0 }
+  },
+  required: ['x', 'y', 'width', 'height']
+};
+const STATUS = { type: 'object' };
+const STORE_KEY = { type: 'string', maxLength: 200 };
+
+const CHANNELS = {
+  // App and window
+  'get-app-name': { kind: 'invoke', args: [] },
+  'get-app-version': { kind: 'invoke', args: [] },
+  'get-user-data-path': { kind: 'invoke', args: [] },
+  'is-packaged-app': { kind: 'invoke', args: [] },
+  'relaunch-app': { kind: 'invoke', args: [] },
+  'close-app': { kind: 'send', args: [] },
+  'focus-main-window': { kind: 'invoke', args: [] },
+  'focus-settings-window': { kind: 'invoke', args: [] },
+  'open-settings': {
+    kind: 'send',
+    args: [{ type: 'object', properties: { theme: { type: 'string', maxLength: 100 } }, optional: true }]
+  },
+  'close-settings': { kind: 'send', args: [] },
+  // Settings changes; the main process saves the valid values and sends
+  // them to the other windows as `config-updated`
+  'config:set': { kind: 'invoke', args: [{ type: 'object' }] },
+  'renderer-log': { kind: 'send', args: [{ type: 'any' }] },
+  'open-external-url': { kind: 'invoke', args: [{ type: 'string', maxLength: 2048 }] },
+  'show-notification': {
+    kind: 'invoke',
+    args: [{
+      type: 'object',
+      properties: { title: { type: 'string', maxLength: 200 }, body: { type: 'string', maxLength: 2000 } },
+      required: ['title']
+    }]
+  },
+
+  // Screen permission (macOS)
+  'get-screen-permission-status': { kind: 'invoke', args: [] },
+  'open-screen-preferences': { kind: 'invoke', args: [] },
+  'get-permission-diagnostics': { kind: 'invoke', args: [] },
+
+  // Capture and clipboard
+  'capture-region': { kind: 'invoke', args: [] },
+  'capture-system': { kind: 'invoke', args: [] },
+  'get-clipboard-text': { kind: 'invoke', args: [] },
+  'clipboard:read-image': { kind: 'invoke', args: [] },
+  // Listened to only while the capture overlay is open
+  'capture-overlay:select': { kind: 'send', args: [RECT], transient: true },
+  'capture-overlay:cancel': { kind: 'send', args: [], transient: true },
+
+  // Store and assets, used by preload.js itself
+  'store:get': { kind: 'sync', args: [STORE_KEY, { type: 'any', optional: true }], internal: true },
+  'store:set': { kind: 'sync', args: [STORE_KEY, { type: 'any' }], internal: true },
+  'store:delete': { kind: 'sync', args: [STORE_KEY], internal: true },
+  'app:assets-url': { kind: 'sync', args: [], internal: true },
+
+  // API keys in the secret vault, for the settings window (see SecretVault)
+  'secrets:status': { kind: 'invoke', args: [] },
+  'secrets:get': { kind: 'invoke', args: [STORE_KEY] },
+  'secrets:set': { kind: 'invoke', args: [STORE_KEY, { type: 'string', maxLength: 4096 }] },
+  'secrets:unlock': { kind: 'invoke', args: [{ type: 'string', maxLength: 1024 }] },
+
+  // AI providers (see AiService)
+  'ai:providers': { kind: 'sync', args: [] },
+  'ai:validate': { kind: 'sync', args: [PROVIDER_ID, { type: 'object' }] },
+  'ai:call': {
+    kind: 'invoke',
+    args: [{
+      type: 'object',
+      properties: {
+        requestId: ID,
+        providerId: PROVIDER_ID,
+        method: { type: 'string', maxLength: 100 },
+        args: { type: 'array' },
+        settings: { type: 'object' },
+        responseSchema: { type: 'object' },
+        stream: { type: 'boolean' }
+      },
+      required: ['providerId', 'method', 'args']
+    }]
+  },
+  'ai:cancel': { kind: 'send', args: [ID] },
+  'generate-diagram': { kind: 'invoke', args: [{ type: 'string', maxLength: 10000 }] },
+
+  // OCR and images
+  'ocr:recognize': {
+    kind: 'invoke',
+    args: [PNG, {
+      type: 'object',
+      properties: { languages: { type: 'string', maxLength: 200 }, preprocess: { type: 'boolean' } },
+      optional: true
+    }]
+  },
+  'ocr:status': { kind: 'invoke', args: [] },
+  'image:size': { kind: 'invoke', args: [PNG] },
+  'image:crop': { kind: 'invoke', args: [PNG, RECT] },
+
+  // Capture history (see CaptureHistory)
+  'capture-history:list': { kind: 'invoke', args: [] },
+  'capture-history:get': { kind: 'invoke', args: [ID] },
+  'capture-history:add': { kind: 'invoke', args: [PNG] },
+  'capture-history:add-run': {
+    kind: 'invoke',
+    args: [ID, {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['standard', 'advanced'] },
+        provider: { type: ['string', 'null'] },
+        model: { type: ['string', 'null'] },
+        questionText: { type: ['string', 'null'] },
+        hints: { type: ['string', 'null'] },
+        structuredHints: { type: ['object', 'null'] },
+        failed: { type: 'boolean' }
+      },
+      required: ['mode']
+    }]
+  },
+  'capture-history:read-image': { kind: 'invoke', args: [ID] },
+  'capture-history:remove': { kind: 'invoke', args: [ID] },
+  'capture-history:clear': { kind: 'invoke', args: [] },
+  'capture-history:set-limits': {
+    kind: 'invoke',
+    args: [{
+      type: 'object',
+      properties: { maxBytes: { type: 'number', minimum: 0 }, maxAgeDays: { type: 'number', minimum: 0 } }
+    }]
+  },
+
+  // Question history (see LocalHistoryStore)
+  'save-question-answer': {
+    kind: 'invoke',
+    args: [{
+      type: 'object',
+      properties: {
+        questionText: { type: 'string' },
+        answerText: { type: ['string', 'null'] },
+        questionType: { type: ['string', 'null'], maxLength: 100 },
+        aiProvider: { type: ['string', 'null'], maxLength: 100 },
+        aiModel: { type: ['string', 'null'], maxLength: 200 },
+        imageData: { type: ['string', 'null'] },
+        metadata: { type: ['object', 'null'] },
+        processingTime: { type: ['number', 'null'] }
+      },
+      required: ['questionText']
+    }]
+  },
+  'save-question-thread': {
+    kind: 'invoke',
+    args: [{ type: 'object', properties: { questionId: ID, thread: { type: 'array' } }, required: ['questionId', 'thread'] }]
+  },
+  'rate-question': {
+    kind: 'invoke',
+    args: [{
+      type: 'object',
+      properties: { questionId: ID, rating: { type: ['string', 'null'], enum: ['like', 'dislike', null] } },
+      required: ['questionId']
+    }]
+  },
+  'get-user-history': {
+    kind: 'invoke',
+    args: [
+      { type: 'integer', minimum: 1, maximum: 1000, optional: true },
+      {
+        type: 'object',
+        properties: { subject: { type: ['string', 'null'] }, topic: { type: ['string', 'null'] } },
+        optional: true
+      }
+    ]
+  },
+  'get-user-topics': { kind: 'invoke', args: [] },
+  'get-history-sync-status': { kind: 'invoke', args: [] },
+  'sync-history-now': { kind: 'invoke', args: [] },
+  'log-activity': {
+    kind: 'invoke',
+    args: [{ type: 'string', maxLength: 100 }, { type: 'string', maxLength: 100 }, { type: 'any', optional: true }]
+  },
+
+  // Account
+  'get-auth-status': { kind: 'invoke', args: [] },
+  'validate-session': { kind: 'invoke', args: [] },
+  'open-browser-auth': { kind: 'invoke', args: [] },
+  'show-signup-window': { kind: 'send', args: [] },
+  'auth-completed': { kind: 'send', args: [{ type: 'object' }] },
+  'user-logged-out': { kind: 'send', args: [] },
+  'request-password-reset': { kind: 'invoke', args: [{ type: 'string', maxLength: 320 }] },
+  'reset-password': {
+    kind: 'invoke',
+    args: [{ type: 'string', maxLength: 320 }, { type: 'string', maxLength: 100 }, { type: 'string', maxLength: 200 }]
+  },
+  'enable-mfa': { kind: 'invoke', args: [] },
+  'verify-mfa-setup': { kind: 'invoke', args: [{ type: 'string', maxLength: 100 }] },
+  'disable-mfa': { kind: 'invoke', args: [] },
+  'auth:start-clerk-login': { kind: 'invoke', args: [] },
+  'auth:get-clerk-status': { kind: 'invoke', args: [] },
+  'auth:clerk-logout': { kind: 'invoke', args: [] },
+  'transfer-data-to-portal': { kind: 'invoke', args: [] },
+  'export-user-data': { kind: 'invoke', args: [{ type: 'string', enum: ['json', 'csv'], optional: true }] },
+  'sync-account-data': { kind: 'invoke', args: [] },
+
+  // Updates
+  'check-for-updates': { kind: 'invoke', args: [] },
+  'download-update': { kind: 'send', args: [] },
+  'install-update': { kind: 'send', args: [] },
+  'dismiss-update': { kind: 'send', args: [{ type: 'number', minimum: 0, optional: true }] }
+};
+
+const EVENTS = {
+  'ai:token': {
+    args: [{
+      type: 'object',
+      properties: { requestId: ID, chunk: { type: 'string' }, text: { type: 'string' } },
+      required: ['requestId']
+    }]
+  },
+  'ocr:progress': { args: [{ type: 'string' }] },
+  'apply-theme': { args: [{ type: 'string' }] },
+  'config-updated': { args: [{ type: 'object' }] },
+  'capture-overlay:init': {
+    args: [{
+      type: 'object',
+      properties: { image: { type: 'string' }, width: { type: 'number' }, height: { type: 'number' } },
+      required: ['image', 'width', 'height']
+    }]
+  },
+  'trigger-capture': { args: [] },
+  'process-clipboard': { args: [] },
+  'show-sign-in': { args: [] },
+  'history-sync-status': { args: [STATUS] },
+  'auth-status-updated': { args: [STATUS] },
+  'auth:clerk-success': { args: [STATUS] },
+  'auth:clerk-error': { args: [STATUS] },
+  'auth:clerk-status-changed': { args: [STATUS] },
+  'update-status': { args: [STATUS] },
+  'update-available': { args: [STATUS] },
+  'update-not-available': { args: [STATUS] },
+  'update-download-progress': { args: [STATUS] },
+  'update-downloaded': { args: [STATUS] },
+  'update-error': { args: [STATUS] }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Uint8Array) return 'bytes';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function checkValue(value, schema, path, errors) {
+  const types = [].concat(schema.type || 'any');
+  const actual = typeOf(value);
+  const typeMatches = types.some(type => type === 'any' || type === actual || (type === 'number' && actual === 'integer'));
+  if (!typeMatches) {
+    errors.push(`${path} should be ${types.join(' or ')}, got ${actual}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (actual === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${path} is longer than ${schema.maxLength} characters`);
+  }
+  if (actual === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} has an invalid format`);
+  }
+  if ((actual === 'number' || actual === 'integer') && !Number.isFinite(value)) {
+    errors.push(`${path} should be a finite number`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path} should be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+    errors.push(`${path} should be at most ${schema.maximum}`);
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) checkValue(value[key], property, `${path}.${key}`, errors);
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => checkValue(item, schema.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * Check a value against a schema of the subset above
+ * @param {string} [path] - Name of the value in error messages
+ * @returns {string[]} Problems found, empty when the value is valid
+ */
+function checkSchema(value, schema, path = 'value') {
+  const errors = [];
+  checkValue(value, schema, path, errors);
+  return errors;
+}
+
+/**
+ * Check arguments against a list of argument schemas
+ * @returns {string[]} Problems found, empty when the arguments are valid
+ */
+function checkArgs(schemas, args) {
+  const errors = [];
+  if (args.length > schemas.length) {
+    errors.push(`expected at most ${schemas.length} argument(s), got ${args.length}`);
+  }
+  schemas.forEach((schema, i) => {
+    if (args[i] === undefined) {
+      if (!schema.optional) errors.push(`argument ${i + 1} is required`);
+      return;
+    }
+    checkValue(args[i], schema, `argument ${i + 1}`, errors);
+  });
+  return errors;
+}
+
+/**
+ * Check a call on a page-to-main channel
+ * @param {string} channel
+ * @param {Array} args - Arguments after the event
+ * @returns {string[]} Problems found, empty when the call is valid
+ */
+function validate(channel, args) {
+  const spec = CHANNELS[channel];
+  if (!spec) return [`unknown channel "${channel}"`];
+  return checkArgs(spec.args, args);
+}
+
+/**
+ * Check an event from the main process to a page
+ * @returns {string[]}
+ */
+function validateEvent(channel, args) {
+  const spec = EVENTS[channel];
+  if (!spec) return [`unknown event "${channel}"`];
+  return checkArgs(spec.args, args);
+}
+
+/**
+ * Error message for an invalid call, with the "[IPC]" prefix
+ */
+function describeErrors(channel, errors) {
+  return `[IPC] Invalid call to "${channel}": ${errors.join('; ')}`;
+}
+
+/**
+ * Name of a channel's method on the page client, e.g.
+ * `capture-history:add-run` -> `captureHistoryAddRun`
+ */
+function methodName(channel) {
+  return channel.replace(/[-:]+([a-z0-9])/g, (_match, letter) => letter.toUpperCase());
+}
+
+module.exports = {
+  CHANNELS,
+  EVENTS,
+  validate,
+  validateEvent,
+  describeErrors,
+  methodName,
+  checkSchema
+};
@@ -0,0 +1,94 @@
+const IpcContract = require('./IpcContract');
+
+/**
+ * ipcMain behind the IPC contract.
+ *
+ * Handlers are registered by channel as with ipcMain, but only for channels
+ * the contract declares, and only in the way their kind allows. Every call
+ * is checked against the channel's schemas before the handler runs:
+ * an invalid `invoke` rejects in the page with an "[IPC]" error, an invalid
+ * `send` is dropped and an invalid `sync` call returns null. Events sent to
+ * pages through `send` are checked against the declared events.
+ */
+class IpcRouter {
+  /**
+   * @param {Electron.IpcMain} ipcMain
+   */
+  constructor(ipcMain) {
+    this.ipcMain = ipcMain;
+    this.handled = new Set();
+    // Wrapped listeners by original, so they can be removed again
+    this.listeners = new Map();
+  }
+
+  spec(channel, kinds) {
+    const spec = IpcContract.CHANNELS[channel];
+    if (!spec) throw new Error(`[IPC] Channel "${channel}" is not in the IPC contract`);
+    if (!kinds.includes(spec.kind)) {
+      throw new Error(`[IPC] Channel "${channel}" is declared as ${spec.kind}, not ${kinds.join(' or ')}`);
+    }
+    return spec;
+  }
+
+  /**
+   * Handle an `invoke` channel; like ipcMain.handle
+   */
+  handle(channel, handler) {
+    this.spec(channel, ['invoke']);
+    this.ipcMain.handle(channel, (event, ...args) => {
+      const errors = IpcContract.validate(channel, args);
+      if (errors.length) throw new Error(IpcContract.describeErrors(channel, errors));
+      return handler(event, ...args);
+    });
+    this.handled.add(channel);
+  }
+
+  /**
+   * Listen on a `send` or `sync` channel; like ipcMain.on
+   */
+  on(channel, listener) {
+    const { kind } = this.spec(channel, ['send', 'sync']);
+    const wrapped = (event, ...args) => {
+      const errors = IpcContract.validate(channel, args);
+      if (!errors.length) return listener(event, ...args);
+      console.warn(IpcContract.describeErrors(channel, errors));
+      if (kind === 'sync') event.returnValue = null;
+    };
+    this.listeners.set(listener, wrapped);
+    this.ipcMain.on(channel, wrapped);
+    this.handled.add(channel);
+  }
+
+  removeListener(channel, listener) {
+    const wrapped = this.listeners.get(listener);
+    if (!wrapped) return;
+    this.ipcMain.removeListener(channel, wrapped);
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Send an event to a page. Does nothing when the page is gone; invalid
+   * events are logged and dropped.
+   * @param {Electron.WebContents} webContents
+   */
+  send(webContents, channel, ...args) {
+    const errors = IpcContract.validateEvent(channel, args);
+    if (errors.length) {
+      console.error(`[IPC] Invalid event "${channel}": ${errors.join('; ')}`);
+      return;
+    }
+    if (!webContents.isDestroyed()) webContents.send(channel, ...args);
+  }
+
+  /**
+   * Declared channels without a handler. Transient channels are left out;
+   * they are only listened to while their feature runs.
+   * @returns {string[]}
+   */
+  missingHandlers() {
+    return Object.keys(IpcContract.CHANNELS)
+      .filter(channel => !IpcContract.CHANNELS[channel].transient && !this.handled.has(channel));
+  }
+}
+
+module.exports = IpcRouter;
@@ -0,0 +1,169 @@
+/**
+ * Languages for OCR and for the language hints are written in.
+ *
+ * Ids are Tesseract language codes (`eng`, `hin`, ...) so one id names both
+ * the traineddata file and the reply language. An OCR setting is a set of ids
+ * joined with `+`, the form Tesseract itself takes (e.g. `eng+hin+spa`).
+ */
+
+const DEFAULT_OCR_LANGUAGES = 'eng';
+
+/**
+ * Supported languages. `script` is the Unicode script detectLanguage looks
+ * for; Latin-script languages are told apart by `words`, common short words.
+ */
+const LANGUAGES = [
+  { id: 'eng', name: 'English', native: 'English', script: 'Latin', words: ['the', 'is', 'are', 'of', 'and', 'what', 'find', 'which', 'to', 'in', 'if', 'a', 'an', 'for', 'on', 'that', 'with', 'how', 'by', 'from', 'be'] },
+  { id: 'hin', name: 'Hindi', native: 'हिन्दी', script: 'Devanagari', words: ['है', 'और', 'का', 'की', 'के', 'में', 'क्या', 'कीजिए'] },
+  { id: 'mar', name: 'Marathi', native: 'मराठी', script: 'Devanagari', words: ['आहे', 'आणि', 'काय', 'च्या', 'करा', 'मध्ये'] },
+  { id: 'ben', name: 'Bengali', native: 'বাংলা', script: 'Bengali' },
+  { id: 'guj', name: 'Gujarati', native: 'ગુજરાતી', script: 'Gujarati' },
+  { id: 'pan', name: 'Punjabi', native: 'ਪੰਜਾਬੀ', script: 'Gurmukhi' },
+  { id: 'tam', name: 'Tamil', native: 'தமிழ்', script: 'Tamil' },
+  { id: 'tel', name: 'Telugu', native: 'తెలుగు', script: 'Telugu' },
+  { id: 'kan', name: 'Kannada', native: 'ಕನ್ನಡ', script: 'Kannada' },
+  { id: 'mal', name: 'Malayalam', native: 'മലയാളം', script: 'Malayalam' },
+  { id: 'urd', name: 'Urdu', native: 'اردو', script: 'Arabic', words: ['ہے', 'کیا', 'اور', 'میں', 'کی'] },
+  { id: 'ara', name: 'Arabic', native: 'العربية', script: 'Arabic', words: ['في', 'من', 'ما', 'على', 'أن'] },
+  { id: 'spa', name: 'Spanish', native: 'Español', script: 'Latin', words: ['el', 'la', 'de', 'que', 'y', 'es', 'los', 'las', 'un', 'una', 'cuál', 'calcula'] },
+  { id: 'fra', name: 'French', native: 'Français', script: 'Latin', words: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'quelle', 'calculer'] },
+  { id: 'deu', name: 'German', native: 'Deutsch', script: 'Latin', words: ['der', 'die', 'das', 'und', 'ist', 'ein', 'eine', 'wie', 'berechne', 'nicht'] },
+  { id: 'por', name: 'Portuguese', native: 'Português', script: 'Latin', words: ['o', 'a', 'os', 'de', 'que', 'e', 'é', 'um', 'uma', 'qual', 'não'] },
+  { id: 'ita', name: 'Italian', native: 'Italiano', script: 'Latin', words: ['il', 'la', 'di', 'che', 'e', 'è', 'un', 'una', 'quale', 'calcola', 'non'] },
+  { id: 'rus', name: 'Russian', native: 'Русский', script: 'Cyrillic' },
+  { id: 'chi_sim', name: 'Chinese (Simplified)', native: '简体中文', script: 'Han' },
+  { id: 'jpn', name: 'Japanese', native: '日本語', script: 'Kana' },
+  { id: 'kor', name: 'Korean', native: '한국어', script: 'Hangul' }
+];
+
+const BY_ID = new Map(LANGUAGES.map(language => [language.id, language]));
+
+const SCRIPTS = {
+  Latin: /[A-Za-zÀ-ɏ]/gu,
+  Devanagari: /\p{Script=Devanagari}/gu,
+  Bengali: /\p{Script=Bengali}/gu,
+  Gujarati: /\p{Script=Gujarati}/gu,
+  Gurmukhi: /\p{Script=Gurmukhi}/gu,
+  Tamil: /\p{Script=Tamil}/gu,
+  Telugu: /\p{Script=Telugu}/gu,
+  Kannada: /\p{Script=Kannada}/gu,
+  Malayalam: /\p{Script=Malayalam}/gu,
+  Arabic: /\p{Script=Arabic}/gu,
+  Cyrillic: /\p{Script=Cyrillic}/gu,
+  Han: /\p{Script=Han}/gu,
+  Kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+  Hangul: /\p{Script=Hangul}/gu
+};
+
+// Letters only Urdu uses on top of the Arabic alphabet
+const URDU_LETTERS = /[ٹڈڑںےہھ]/u;
+
+/**
+ * @param {string} id
+ * @returns {Object|undefined} Entry of LANGUAGES
+ */
+function get(id) {
+  return BY_ID.get(id);
+}
+
+/**
+ * Display name, e.g. "Hindi (हिन्दी)"
+ */
+function label(id) {
+  const language = BY_ID.get(id);
+  if (!language) return id;
+  return language.native === language.name ? language.name : `${language.name} (${language.native})`;
+}
+
+/**
+ * Split an OCR setting into known ids, keeping order and dropping duplicates
+ * @param {string|string[]} value - e.g. 'eng+hin' or ['eng', 'hin']
+ * @returns {string[]} Never empty; falls back to DEFAULT_OCR_LANGUAGES
+ */
+function parseOcrLanguages(value) {
+  const ids = Array.isArray(value) ? value : String(value || '').split(/[+,\s]+/);
+  const known = [...new Set(ids.map(id => id.trim()).filter(id => BY_ID.has(id)))];
+  return known.length ? known : [DEFAULT_OCR_LANGUAGES];
+}
+
+// Common words of a language in the text. One-letter words ("a", "e", "o")
+// are words in several languages, and variables too, so they count half.
+function countWords(text, words) {
+  const tokens = text.toLowerCase().split(/[^\p{L}\p{M}]+/u);
+  const set = new Set(words);
+  return tokens.filter(token => set.has(token)).reduce((score, token) => score + (token.length === 1 ? 0.5 : 1), 0);
+}
+
+// Score another Latin-script language needs, and its lead over English:
+// English words turn up in questions in any language (units, code, names)
+const MIN_WORD_SCORE = 2;
+const ENGLISH_LEAD = 2;
+
+/**
+ * Guess the language of a question from its script, then from common words
+ * for scripts shared by several languages. Latin letters in math and code
+ * (x, y, sin) are common in any language, so another script wins once it
+ * makes up a fifth of the letters. A Latin-script language other than
+ * English must clearly beat English.
+ * @param {string} text
+ * @returns {string} Language id, or '' when there is too little text or the
+ *   words do not settle it
+ */
+function detectLanguage(text) {
+  const value = String(text || '');
+  const counts = Object.entries(SCRIPTS)
+    .map(([script, pattern]) => [script, (value.match(pattern) || []).length]);
+  const total = counts.reduce((sum, [, count]) => sum + count, 0);
+  if (total < 8) return '';
+
+  const [script, count] = counts
+    .filter(([name]) => name !== 'Latin')
+    .sort((a, b) => b[1] - a[1])[0];
+  const main = count >= 5 && count / total >= 0.2 ? script : 'Latin';
+
+  // Kana only appears in Japanese, which also uses Han characters
+  if (main === 'Han' && counts.find(([name]) => name === 'Kana')[1] > 0) return 'jpn';
+  if (main === 'Arabic') return URDU_LETTERS.test(value) ? 'urd' : 'ara';
+
+  const candidates = LANGUAGES.filter(language => language.script === main);
+  if (candidates.length === 1) return candidates[0].id;
+
+  // No common words or a tie: the first language of the script is the usual one
+  const fallback = main === 'Latin' ? '' : candidates[0].id;
+  const scored = candidates
+    .map(language => ({ id: language.id, score: countWords(value, language.words || []) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, second] = scored;
+  if (!best.score || best.score === second.score) return fallback;
+  if (main === 'Latin' && best.id !== 'eng') {
+    const english = scored.find(language => language.id === 'eng').score;
+    if (best.score < MIN_WORD_SCORE || best.score < english * ENGLISH_LEAD) return fallback;
+  }
+  return best.id;
+}
+
+/**
+ * Prompt lines telling the model which language to write in
+ * @param {string} id - Language id; '' when unknown
+ * @param {Object} [options]
+ * @param {string} [options.sameAs] - What to match when `id` is empty, e.g. "the question in the screenshot"
+ * @returns {string} '' when there is nothing to say
+ */
+function responseInstruction(id, { sameAs = '' } = {}) {
+  const target = BY_ID.has(id) ? label(id) : '';
+  if (!target && !sameAs) return '';
+
+  return `Language:
+- Write all text meant for the student in ${target || `the same language as ${sameAs}`}, even though these instructions are in English.
+- Keep math, formulas, units, code, option letters and JSON keys unchanged; only the wording is translated.`;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_OCR_LANGUAGES,
+  get,
+  label,
+  parseOcrLanguages,
+  detectLanguage,
+  responseInstruction
+};
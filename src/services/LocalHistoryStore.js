@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOG_FILE = 'history.jsonl';
+const IMAGE_DIR = 'images';
+// Rewrite the log once it holds this many superseded lines per live record
+const COMPACT_RATIO = 3;
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * History of questions, hint sets, ratings and app sessions kept on this
+ * device, for guests and signed-in users alike, online or not.
+ *
+ * Records are appended to `history.jsonl` as whole objects; the last line
+ * for an id wins, so an update is one append and a crash can at worst lose
+ * the line being written. The log is compacted when it has grown well past
+ * the live records. Screenshots are kept as separate files until the
+ * question has been synced.
+ *
+ * Question records carry a `sync` object for SyncEngine:
+ * `{ state: 'pending' | 'synced' | 'conflict', remote_question_id,
+ *    remote_answer_id, synced_at, synced_version, attempts, error }`.
+ * `user_id` is the Neon user id, or null for questions asked as a guest.
+ */
+class LocalHistoryStore {
+  /**
+   * @param {string} dir - Directory for the store, created on first write
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.records = null;
+    this.lines = 0;
+  }
+
+  get file() {
+    return path.join(this.dir, LOG_FILE);
+  }
+
+  load() {
+    if (this.records) return this.records;
+    this.records = new Map();
+    this.lines = 0;
+
+    let content = '';
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch {
+      return this.records;
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      this.lines++;
+      try {
+        const record = JSON.parse(line);
+        if (record?.id) this.records.set(record.id, record);
+      } catch {
+        // A line cut short by a crash; the previous version of the record stands
+      }
+    }
+    if (this.lines > COMPACT_RATIO * Math.max(this.records.size, 10)) this.compact();
+    return this.records;
+  }
+
+  get(id) {
+    return this.load().get(id) || null;
+  }
+
+  put(record) {
+    this.load();
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+    this.records.set(record.id, record);
+    this.lines++;
+    return record;
+  }
+
+  /**
+   * Apply `change` to a record and bump its version. Edits to a synced
+   * question put it back in the queue.
+   * @returns {Object|null} The updated record, null when there is none
+   */
+  update(id, change) {
+    const record = this.get(id);
+    if (!record) return null;
+    const updated = { ...record, ...change(record), updated_at: new Date().toISOString(), version: (record.version || 0) + 1 };
+    if (updated.type === 'question' && updated.sync.state === 'synced') {
+      updated.sync = { ...updated.sync, state: 'pending' };
+    }
+    return this.put(updated);
+  }
+
+  // Sessions
+
+  startSession({ deviceInfo = null, appVersion = null } = {}) {
+    const now = new Date().toISOString();
+    return this.put({
+      id: newId(),
+      type: 'session',
+      device_info: deviceInfo,
+      app_version: appVersion,
+      started_at: now,
+      ended_at: null,
+      // Neon session id per user, created when the first question is synced
+      remote: {},
+      updated_at: now
+    });
+  }
+
+  endSession(id) {
+    return this.update(id, () => ({ ended_at: new Date().toISOString() }));
+  }
+
+  setRemoteSession(id, userId, remoteSessionId) {
+    const session = this.get(id);
+    if (!session) return null;
+    return this.put({ ...session, remote: { ...session.remote, [userId]: remoteSessionId } });
+  }
+
+  // Questions
+
+  /**
+   * Record a question and its hints
+   * @param {Object} entry
+   * @param {string|null} entry.userId - null for guests
+   * @param {string|null} entry.sessionId - Local session id
+   * @param {string} [entry.imageData] - Base64 screenshot
+   * @returns {Object} The stored record
+   */
+  addQuestion({ userId = null, sessionId = null, questionText, questionType = 'text', imageData = null, metadata = null,
+    answerText = null, aiProvider = null, aiModel = null, processingTime = null }) {
+    const id = newId();
+    const now = new Date().toISOString();
+    if (imageData) {
+      fs.mkdirSync(path.join(this.dir, IMAGE_DIR), { recursive: true });
+      fs.writeFileSync(this.imagePath(id), imageData);
+    }
+    return this.put({
+      id,
+      type: 'question',
+      user_id: userId,
+      session_id: sessionId,
+      question_text: questionText,
+      question_type: questionType,
+      has_image: !!imageData,
+      metadata: metadata || {},
+      answer: answerText
+        ? { answer_text: answerText, ai_provider: aiProvider, ai_model: aiModel, processing_time_ms: processingTime }
+        : null,
+      rating: null,
+      created_at: now,
+      updated_at: now,
+      version: 1,
+      sync: { state: 'pending', remote_question_id: null, remote_answer_id: null, synced_at: null, synced_version: 0, attempts: 0, error: null }
+    });
+  }
+
+  /**
+   * @param {'like'|'dislike'|null} rating
+   */
+  rateQuestion(id, rating) {
+    return this.update(id, () => ({ rating }));
+  }
+
+  saveThread(id, thread) {
+    return this.update(id, record => ({ metadata: { ...record.metadata, chat_thread: thread } }));
+  }
+
+  /**
+   * Base64 screenshot of a question, null once it has been synced
+   */
+  readImage(id) {
+    try {
+      return fs.readFileSync(this.imagePath(id), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  imagePath(id) {
+    return path.join(this.dir, IMAGE_DIR, `${id}.b64`);
+  }
+
+  questions() {
+    return [...this.load().values()]
+      .filter(record => record.type === 'question')
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Questions of one user; null gives the ones asked as a guest
+   */
+  questionsFor(userId) {
+    return this.questions().filter(record => record.user_id === (userId || null));
+  }
+
+  /**
+   * Questions asked as a guest become the signed-in user's, so they are
+   * synced to that account
+   * @returns {number} Number of questions claimed
+   */
+  claimGuestQuestions(userId) {
+    const guest = this.questions().filter(record => record.user_id === null);
+    guest.forEach(record => this.put({ ...record, user_id: userId }));
+    return guest.length;
+  }
+
+  // Sync bookkeeping
+
+  /**
+   * @returns {Set<string>} Neon ids of the user's questions that are in this store
+   */
+  remoteIds(userId) {
+    return new Set(this.questionsFor(userId).map(record => record.sync.remote_question_id).filter(Boolean));
+  }
+
+  pendingFor(userId) {
+    return this.questionsFor(userId).filter(record => record.sync.state === 'pending').reverse();
+  }
+
+  counts(userId) {
+    const records = this.questionsFor(userId);
+    return {
+      total: records.length,
+      pending: records.filter(record => record.sync.state === 'pending').length,
+      conflicts: records.filter(record => record.sync.state === 'conflict').length
+    };
+  }
+
+  /**
+   * Record a successful push of `version`. When the question changed while
+   * the push was in flight it stays pending, with the remote ids kept, and
+   * the next push only updates it.
+   */
+  markSynced(id, version, { questionId, answerId = null }) {
+    const record = this.get(id);
+    if (!record) return null;
+    const current = (record.version || 0) === version;
+    // Neon has the screenshot now
+    this.deleteImage(id);
+    return this.put({
+      ...record,
+      has_image: false,
+      sync: {
+        ...record.sync,
+        state: current ? 'synced' : 'pending',
+        remote_question_id: questionId,
+        remote_answer_id: answerId ?? record.sync.remote_answer_id,
+        synced_at: new Date().toISOString(),
+        synced_version: version,
+        attempts: 0,
+        error: null
+      }
+    });
+  }
+
+  markFailed(id, error) {
+    const record = this.get(id);
+    if (!record) return null;
+    return this.put({ ...record, sync: { ...record.sync, attempts: record.sync.attempts + 1, error } });
+  }
+
+  markConflict(id, reason) {
+    const record = this.get(id);
+    if (!record) return null;
+    return this.put({ ...record, sync: { ...record.sync, state: 'conflict', error: reason } });
+  }
+
+  // Queries shaped like DatabaseService's
+
+  /**
+   * @returns {Array<Object>} Rows like DatabaseService.getUserHistory, with
+   *   `question_id` the local id plus `remote_question_id`, `rating` and `sync_state`
+   */
+  history(userId, limit = 50, { subject = null, topic = null } = {}) {
+    return this.questionsFor(userId)
+      .filter(record => (!subject || record.metadata.subject === subject) && (!topic || record.metadata.topic === topic))
+      .slice(0, limit)
+      .map(record => ({
+        question_id: record.id,
+        remote_question_id: record.sync.remote_question_id,
+        question_text: record.question_text,
+        question_type: record.question_type,
+        subject: record.metadata.subject || null,
+        topic: record.metadata.topic || null,
+        question_created_at: record.created_at,
+        answer_id: record.sync.remote_answer_id,
+        answer_text: record.answer?.answer_text || null,
+        ai_provider: record.answer?.ai_provider || null,
+        ai_model: record.answer?.ai_model || null,
+        answer_created_at: record.answer ? record.created_at : null,
+        rating: record.rating,
+        sync_state: record.sync.state
+      }));
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.unsyncedOnly] - Only questions not yet in Neon
+   * @returns {Array<{subject: string, topic: string|null, count: number}>}
+   */
+  topics(userId, { unsyncedOnly = false } = {}) {
+    const counts = new Map();
+    this.questionsFor(userId)
+      .filter(record => record.metadata.subject && (!unsyncedOnly || !record.sync.remote_question_id))
+      .forEach(record => {
+        const key = JSON.stringify([record.metadata.subject, record.metadata.topic || null]);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    return [...counts]
+      .map(([key, count]) => {
+        const [subject, topic] = JSON.parse(key);
+        return { subject, topic, count };
+      })
+      .sort((a, b) => a.subject.localeCompare(b.subject) || b.count - a.count);
+  }
+
+  deleteImage(id) {
+    try {
+      fs.unlinkSync(this.imagePath(id));
+    } catch {
+      // Already gone
+    }
+  }
+
+  /**
+   * Rewrite the log with one line per record
+   */
+  compact() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const records = [...this.load().values()];
+    // Write then rename so a crash never leaves a half-written log
+    fs.writeFileSync(`${this.file}.tmp`, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    fs.renameSync(`${this.file}.tmp`, this.file);
+    this.lines = records.length;
+  }
+}
+
+module.exports = LocalHistoryStore;
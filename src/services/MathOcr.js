@@ -0,0 +1,151 @@
+/**
+ * Math-aware OCR: find the lines Tesseract could not read as text (fractions,
+ * exponents, integrals), have a vision model transcribe them to LaTeX and put
+ * the LaTeX back into the plain-text OCR.
+ *
+ * OCR lines are `{ text, confidence, box: { x, y, width, height } }` in the
+ * pixel space of the image that was OCR'd; regions refer to them by index.
+ */
+
+// Tesseract's confidence for lines of mangled math is usually below this
+const LOW_CONFIDENCE = 70;
+// Each region is one vision request
+const MAX_REGIONS = 6;
+const PADDING = 8;
+
+const MATH_CHARS = /[=+\-−×÷*/^√∫∑∏π∞≤≥≠±<>|()[\]{}]/g;
+
+/**
+ * Whether an OCR line is (mostly) an equation
+ * @param {{text: string, confidence: number}} line
+ */
+function isMathLine(line) {
+  const text = String(line.text || '').trim();
+  if (!text) return false;
+
+  const compact = text.replace(/\s/g, '');
+  const symbols = (compact.match(MATH_CHARS) || []).length;
+  if (symbols >= 2 && symbols / compact.length >= 0.15) return true;
+
+  // Garbled math reads as short fragments with low confidence: "f 2 x dx = I"
+  const tokens = text.split(/\s+/);
+  const fragments = tokens.filter(token => token.length <= 2 || /\d/.test(token)).length;
+  return line.confidence < LOW_CONFIDENCE && tokens.length >= 2 && fragments / tokens.length >= 0.5;
+}
+
+function union(a, b) {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y
+  };
+}
+
+/**
+ * Group consecutive math lines into regions. Lines closer than a line height
+ * are merged so a fraction's numerator and denominator stay together.
+ * @param {Array} lines - OCR lines in reading order
+ * @returns {Array<{lines: number[], box: Object}>} At most MAX_REGIONS
+ */
+function findEquationRegions(lines) {
+  const regions = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    if (!line.box || !isMathLine(line)) {
+      current = null;
+      return;
+    }
+    const last = current && lines[current.lines[current.lines.length - 1]];
+    const gap = last ? line.box.y - (last.box.y + last.box.height) : Infinity;
+    if (current && current.lines[current.lines.length - 1] === index - 1 && gap <= Math.max(line.box.height, last.box.height)) {
+      current.lines.push(index);
+      current.box = union(current.box, line.box);
+    } else {
+      current = { lines: [index], box: { ...line.box } };
+      regions.push(current);
+    }
+  });
+
+  return regions.slice(0, MAX_REGIONS);
+}
+
+/**
+ * Pad a box and clamp it to the image
+ */
+function padBox(box, width, height, padding = PADDING) {
+  const x = Math.max(0, Math.floor(box.x - padding));
+  const y = Math.max(0, Math.floor(box.y - padding));
+  return {
+    x,
+    y,
+    width: Math.min(width, Math.ceil(box.x + box.width + padding)) - x,
+    height: Math.min(height, Math.ceil(box.y + box.height + padding)) - y
+  };
+}
+
+/**
+ * Prompt for transcribing one cropped region
+ * @param {string} ocrText - What plain OCR read there, as a hint for the model
+ */
+function transcriptionPrompt(ocrText = '') {
+  return `Transcribe the mathematics in this image to LaTeX.
+
+Rules:
+- Reply with the LaTeX only: no $ delimiters, no Markdown fences, no explanation.
+- Copy exactly what is written; do not solve, simplify or complete anything.
+- Keep any words in the image as \\text{...}.
+- If the image contains no mathematics, reply with NONE.
+${ocrText ? `\nPlain OCR read this region as (may be garbled): ${ocrText}` : ''}`;
+}
+
+/**
+ * LaTeX from a transcription reply
+ * @returns {string} '' when the reply is empty, NONE or an error
+ */
+function parseLatex(reply) {
+  let latex = String(reply || '').trim();
+  if (!latex || /^\[[^\]]+\]/.test(latex) || /^NONE\b/i.test(latex)) return '';
+
+  latex = latex
+    .replace(/^```(?:latex|tex)?\s*/i, '')
+    .replace(/\s*```$/, '')
+    .trim();
+  // Strip the delimiters models add anyway
+  const delimited = latex.match(/^(?:\$\$([\s\S]*)\$\$|\$([\s\S]*)\$|\\\[([\s\S]*)\\\]|\\\(([\s\S]*)\\\))$/);
+  if (delimited) latex = (delimited[1] ?? delimited[2] ?? delimited[3] ?? delimited[4]).trim();
+  return latex.replace(/\s+/g, ' ');
+}
+
+/**
+ * Plain OCR text with each transcribed region replaced by `$latex$`
+ * @param {Array} lines - OCR lines
+ * @param {Array} regions - From findEquationRegions
+ * @param {string[]} latex - One entry per region; '' keeps the OCR text
+ * @returns {string}
+ */
+function mergeLatex(lines, regions, latex) {
+  const replaced = new Map();
+  regions.forEach((region, i) => {
+    if (!latex[i]) return;
+    region.lines.forEach((index, n) => replaced.set(index, n === 0 ? `$${latex[i]}$` : null));
+  });
+
+  return lines
+    .map((line, index) => (replaced.has(index) ? replaced.get(index) : line.text.trim()))
+    .filter(Boolean)
+    .join('\n');
+}
+
+module.exports = {
+  LOW_CONFIDENCE,
+  isMathLine,
+  findEquationRegions,
+  padBox,
+  transcriptionPrompt,
+  parseLatex,
+  mergeLatex
+};
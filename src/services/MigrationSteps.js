@@ -0,0 +1,92 @@
+const ConfigSchema = require('./ConfigSchema');
+
+const { THEMES, IMAGE_MODELS } = ConfigSchema;
+
+/**
+ * Data migrations, oldest first; see Migrator for how steps run. Add new
+ * steps at the end and never change the id of a step that has shipped.
+ *
+ * Steps get `store`, `secretVault` and `vaultKeys` (the setting keys kept
+ * in the vault).
+ */
+module.exports = [
+  {
+    id: 'theme-key',
+    version: '1.0.31',
+    description: 'Keep the theme in "app-theme" only; older builds also wrote "theme"',
+    backup: ['config'],
+    run({ store }, { dryRun }) {
+      const changes = [];
+      if (store.has('theme')) {
+        const legacy = store.get('theme');
+        if (legacy === 'glass' && !store.get('glassy_mode', false)) {
+          changes.push('glassy_mode: true (from theme "glass")');
+          if (!dryRun) store.set('glassy_mode', true);
+        } else if (!store.has('app-theme') && THEMES.includes(`theme-${legacy}`)) {
+          changes.push(`app-theme: "theme-${legacy}" (from theme "${legacy}")`);
+          if (!dryRun) store.set('app-theme', `theme-${legacy}`);
+        }
+        changes.push('theme: removed');
+        if (!dryRun) store.delete('theme');
+      }
+      if (store.has('app-theme') && !THEMES.includes(store.get('app-theme'))) {
+        changes.push(`app-theme: unknown theme ${JSON.stringify(store.get('app-theme'))} removed`);
+        if (!dryRun) store.delete('app-theme');
+      }
+      return changes;
+    }
+  },
+  {
+    id: 'advanced-mode-boolean',
+    version: '1.0.31',
+    description: 'Store "advanced_mode" as a boolean',
+    backup: ['config'],
+    run({ store }, { dryRun }) {
+      if (!store.has('advanced_mode')) return [];
+      const value = store.get('advanced_mode');
+      if (typeof value === 'boolean') return [];
+      // 'true'/'false' strings and the mode names of the mode selector
+      const enabled = ['true', 'advanced', '1'].includes(String(value).trim().toLowerCase());
+      if (!dryRun) store.set('advanced_mode', enabled);
+      return [`advanced_mode: ${JSON.stringify(value)} -> ${enabled}`];
+    }
+  },
+  {
+    id: 'gemini-image-model',
+    version: '1.0.31',
+    description: 'Drop "gemini_image_model" values that are no longer offered, so the default applies',
+    backup: ['config'],
+    run({ store }, { dryRun }) {
+      if (!store.has('gemini_image_model')) return [];
+      const value = store.get('gemini_image_model');
+      if (IMAGE_MODELS.includes(value)) return [];
+      if (!dryRun) store.delete('gemini_image_model');
+      return [`gemini_image_model: ${JSON.stringify(value)} removed (default is ${ConfigSchema.FIELDS.gemini_image_model.default})`];
+    }
+  },
+  {
+    id: 'secrets-to-vault',
+    version: '1.0.31',
+    description: 'Move plaintext API keys and sign-in tokens from the store into the secret vault',
+    backup: ['config', 'secrets'],
+    blockedBy({ secretVault }) {
+      return secretVault.isLocked() ? 'the secret vault is locked' : null;
+    },
+    run({ store, secretVault, vaultKeys }, { dryRun }) {
+      const changes = [];
+      for (const key of vaultKeys) {
+        if (!store.has(key)) continue;
+        const value = store.get(key);
+        // A key already in the vault was saved later than the store copy
+        if (typeof value === 'string' && value && !secretVault.has(key)) {
+          changes.push(`${key}: moved to the vault`);
+          if (!dryRun) secretVault.set(key, value);
+        } else {
+          changes.push(`${key}: removed from the store`);
+        }
+        if (!dryRun) store.delete(key);
+      }
+      return changes;
+    }
+  }
+];
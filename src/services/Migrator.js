@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+
+// Store key listing the ids of steps that have run
+const APPLIED_KEY = 'migrations_applied';
+
+/**
+ * Runs data migrations: ordered steps that bring the settings store, local
+ * caches and stored credentials up to the format this version expects.
+ *
+ * A step is `{ id, version, description, backup, blockedBy?, run }`:
+ * - `version` is the release that introduced it; steps run in list order
+ * - `backup` names the files the step may change (keys of `files`)
+ * - `blockedBy(services)` returns a reason when the step cannot run yet;
+ *   it is tried again on the next run
+ * - `run(services, { dryRun })` returns descriptions of the changes it
+ *   makes, or would make when `dryRun` is set
+ *
+ * Steps must be idempotent: running one on data it has already migrated
+ * finds nothing to change. Each step is first run as a dry run; only when
+ * it has changes are its files backed up and the step run for real. Steps
+ * that ran, with or without changes, are recorded in the store and skipped
+ * from then on. A failing step stops the run so later steps never see
+ * half-migrated data; it is tried again on the next run.
+ */
+class Migrator {
+  /**
+   * @param {Array<Object>} steps - In the order they must run
+   * @param {Object} options
+   * @param {Object} options.store - electron-store instance; steps get it as `services.store`
+   * @param {string} options.backupDir - Backups go in a subdirectory per step run
+   * @param {Object<string, string>} [options.files] - Files and directories steps can back up, by name
+   * @param {Object} [options.services] - Passed to steps along with the store
+   * @param {string[]} [options.secretKeys] - Store keys left out of backups, so a
+   *   backup never keeps a secret that has since moved out of the store
+   */
+  constructor(steps, { store, backupDir, files = {}, services = {}, secretKeys = [] }) {
+    const ids = new Set();
+    for (const step of steps) {
+      if (ids.has(step.id)) throw new Error(`[Migrations] Duplicate step id "${step.id}"`);
+      for (const name of step.backup || []) {
+        if (!files[name]) throw new Error(`[Migrations] Step "${step.id}" backs up unknown file "${name}"`);
+      }
+      ids.add(step.id);
+    }
+    this.steps = steps;
+    this.store = store;
+    this.backupDir = backupDir;
+    this.files = files;
+    this.services = { ...services, store };
+    this.secretKeys = secretKeys;
+  }
+
+  applied() {
+    const applied = this.store.get(APPLIED_KEY, []);
+    return Array.isArray(applied) ? applied : [];
+  }
+
+  /**
+   * What running the pending steps would change, without changing anything.
+   * Each step is checked against the current data, so a step that depends
+   * on an earlier pending one may report more or less than it will do.
+   * @returns {Array<Object>} Per step: id, version, description, status
+   *   ('applied', 'pending', 'clean', 'blocked' or 'failed'), changes and reason
+   */
+  dryRun() {
+    const applied = this.applied();
+    return this.steps.map((step) => {
+      const entry = { id: step.id, version: step.version, description: step.description, changes: [] };
+      if (applied.includes(step.id)) return { ...entry, status: 'applied' };
+      const reason = step.blockedBy?.(this.services);
+      if (reason) return { ...entry, status: 'blocked', reason };
+      try {
+        const changes = step.run(this.services, { dryRun: true });
+        return { ...entry, status: changes.length ? 'pending' : 'clean', changes };
+      } catch (error) {
+        return { ...entry, status: 'failed', reason: error.message };
+      }
+    });
+  }
+
+  /**
+   * Run the pending steps
+   * @returns {Array<Object>} Per step run or skipped: id, version, status
+   *   ('migrated', 'clean', 'blocked' or 'failed'), changes, backup and reason
+   */
+  run() {
+    const results = [];
+    for (const step of this.steps) {
+      if (this.applied().includes(step.id)) continue;
+      const entry = { id: step.id, version: step.version, changes: [], backup: null };
+
+      const reason = step.blockedBy?.(this.services);
+      if (reason) {
+        results.push({ ...entry, status: 'blocked', reason });
+        continue;
+      }
+
+      try {
+        const changes = step.run(this.services, { dryRun: true });
+        if (changes.length) {
+          entry.backup = this.backup(step);
+          entry.changes = step.run(this.services, { dryRun: false });
+        }
+        this.store.set(APPLIED_KEY, [...this.applied(), step.id]);
+        results.push({ ...entry, status: changes.length ? 'migrated' : 'clean' });
+      } catch (error) {
+        results.push({ ...entry, status: 'failed', reason: error.message });
+        break;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Copy the files a step may change into a new backup directory
+   * @returns {string} The backup directory
+   */
+  backup(step) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const dir = path.join(this.backupDir, `${stamp}-${step.id}`);
+    fs.mkdirSync(dir, { recursive: true });
+    for (const name of step.backup || []) {
+      const source = this.files[name];
+      if (!fs.existsSync(source)) continue;
+      const target = path.join(dir, path.basename(source));
+      if (source === this.store.path) {
+        const config = JSON.parse(fs.readFileSync(source, 'utf8'));
+        for (const key of this.secretKeys) delete config[key];
+        fs.writeFileSync(target, JSON.stringify(config, null, '\t'), { mode: 0o600 });
+      } else {
+        fs.cpSync(source, target, { recursive: true });
+      }
+    }
+    return dir;
+  }
+
+  /**
+   * Plain-text version of a `dryRun` report, for logs and dialogs
+   */
+  static formatReport(report) {
+    return report.map(({ id, version, description, status, changes, reason }) => {
+      const lines = [`${id} (${version}): ${status}${reason ? ` - ${reason}` : ''}`, `  ${description}`];
+      return [...lines, ...changes.map(change => `  • ${change}`)].join('\n');
+    }).join('\n\n');
+  }
+}
+
+module.exports = Migrator;
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const ConfigSchema = require('./ConfigSchema');
 
 class NanoBananaService {
   constructor() {
@@ -10,7 +11,7 @@ class NanoBananaService {
     this.apiKey = key;
   }
 
-  async generateImage(prompt, model = 'gemini-2.0-flash-exp') {
+  async generateImage(prompt, model = NanoBananaService.DEFAULT_MODEL) {
     if (!this.apiKey) {
       console.warn('[NanoBanana] No API key provided');
       return {
@@ -107,8 +108,12 @@ class NanoBananaService {
       - Generate a single, high-quality image that perfectly matches this description.
     `.trim();
 
-    return this.generateImage(prompt, 'gemini-2.0-flash-exp');
+    return this.generateImage(prompt, NanoBananaService.DEFAULT_MODEL);
   }
 }
 
+// Image models offered in settings, with the default one
+NanoBananaService.IMAGE_MODELS = ConfigSchema.IMAGE_MODELS;
+NanoBananaService.DEFAULT_MODEL = ConfigSchema.FIELDS.gemini_image_model.default;
+
 module.exports = NanoBananaService;
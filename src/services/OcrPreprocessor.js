@@ -0,0 +1,266 @@
+/**
+ * Screenshot clean-up before OCR.
+ *
+ * Works on 8-bit grayscale images `{ data, width, height }` with one byte per
+ * pixel, row by row, so every step can be run on decoded fixture PNGs without
+ * Electron. `fromBitmap` / `toBitmap` convert from and to the BGRA bitmaps
+ * that Electron's nativeImage uses.
+ */
+
+const WHITE = 255;
+
+// Tesseract reads best with capital letters around 30px high; screenshots of
+// small UI text are upscaled towards this width
+const TARGET_WIDTH = 1600;
+const MAX_SCALE = 3;
+const MIN_SCALE = 1.25;
+
+// Skew search range and the width the search runs at
+const MAX_SKEW = 10;
+const SKEW_STEP = 0.5;
+const SKEW_SAMPLE_WIDTH = 800;
+
+/**
+ * @param {Buffer|Uint8Array} bitmap - 4 bytes per pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {boolean} [options.bgra=true] - Channel order; false for RGBA
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+function fromBitmap(bitmap, width, height, { bgra = true } = {}) {
+  const data = new Uint8ClampedArray(width * height);
+  const [r, b] = bgra ? [2, 0] : [0, 2];
+  for (let i = 0, p = 0; i < data.length; i++, p += 4) {
+    // Rec. 601 luma, composited over white so transparent areas stay blank
+    const luma = 0.299 * bitmap[p + r] + 0.587 * bitmap[p + 1] + 0.114 * bitmap[p + b];
+    const alpha = bitmap[p + 3] / 255;
+    data[i] = luma * alpha + WHITE * (1 - alpha);
+  }
+  return { data, width, height };
+}
+
+/**
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image
+ * @returns {Buffer} Opaque BGRA bitmap
+ */
+function toBitmap(image) {
+  const bitmap = Buffer.alloc(image.width * image.height * 4);
+  for (let i = 0, p = 0; i < image.data.length; i++, p += 4) {
+    bitmap[p] = bitmap[p + 1] = bitmap[p + 2] = image.data[i];
+    bitmap[p + 3] = 255;
+  }
+  return bitmap;
+}
+
+/**
+ * Bilinear resize
+ */
+function resize(image, width, height) {
+  const { data: src, width: sw, height: sh } = image;
+  const data = new Uint8ClampedArray(width * height);
+  const xRatio = sw / width;
+  const yRatio = sh / height;
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(sh - 1, Math.max(0, (y + 0.5) * yRatio - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(sh - 1, y0 + 1);
+    const fy = sy - y0;
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(sw - 1, Math.max(0, (x + 0.5) * xRatio - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(sw - 1, x0 + 1);
+      const fx = sx - x0;
+      const top = src[y0 * sw + x0] * (1 - fx) + src[y0 * sw + x1] * fx;
+      const bottom = src[y1 * sw + x0] * (1 - fx) + src[y1 * sw + x1] * fx;
+      data[y * width + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * Scale factor for upscaling a narrow capture, or 1 when it is wide enough
+ */
+function upscaleFactor(width) {
+  const factor = Math.min(MAX_SCALE, TARGET_WIDTH / width);
+  return factor >= MIN_SCALE ? factor : 1;
+}
+
+function invert(image) {
+  return { ...image, data: image.data.map(value => WHITE - value) };
+}
+
+/**
+ * Otsu's threshold: the gray level that best separates text from background
+ * @returns {number} 0-255; pixels at or below it are dark
+ */
+function otsuThreshold(image) {
+  const histogram = new Array(256).fill(0);
+  for (const value of image.data) histogram[value]++;
+
+  const total = image.data.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumDark = 0;
+  let countDark = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    countDark += histogram[t];
+    if (!countDark) continue;
+    const countLight = total - countDark;
+    if (!countLight) break;
+    sumDark += t * histogram[t];
+    const meanDark = sumDark / countDark;
+    const meanLight = (sum - sumDark) / countLight;
+    const between = countDark * countLight * (meanDark - meanLight) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Dark-theme capture: most pixels fall on the dark side of the threshold
+ */
+function hasDarkBackground(image, threshold = otsuThreshold(image)) {
+  let dark = 0;
+  for (const value of image.data) {
+    if (value <= threshold) dark++;
+  }
+  return dark > image.data.length / 2;
+}
+
+/**
+ * Black text on white: 0 at or below the threshold, 255 above it
+ */
+function binarize(image, threshold = otsuThreshold(image)) {
+  return { ...image, data: image.data.map(value => (value <= threshold ? 0 : WHITE)) };
+}
+
+/**
+ * Angle of the text lines in a binarized image, found by rotating the row
+ * projection of the dark pixels and keeping the angle whose rows are
+ * sharpest (largest sum of squared row counts)
+ * @returns {number} Degrees, positive when lines rise to the right; 0 when unsure
+ */
+function estimateSkew(image, { maxAngle = MAX_SKEW, step = SKEW_STEP } = {}) {
+  const sample = image.width > SKEW_SAMPLE_WIDTH
+    ? binarize(resize(image, SKEW_SAMPLE_WIDTH, Math.max(1, Math.round(image.height * SKEW_SAMPLE_WIDTH / image.width))), 127)
+    : image;
+  const { data, width, height } = sample;
+
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] === 0) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  if (xs.length < 50) return 0;
+
+  const score = (angle) => {
+    const tan = Math.tan(angle * Math.PI / 180);
+    const offset = Math.ceil(Math.abs(tan) * width);
+    const rows = new Float64Array(height + 2 * offset + 1);
+    for (let i = 0; i < xs.length; i++) {
+      rows[Math.round(ys[i] + xs[i] * tan) + offset]++;
+    }
+    let total = 0;
+    for (const count of rows) total += count * count;
+    return total;
+  };
+
+  const flat = score(0);
+  let bestAngle = 0;
+  let bestScore = flat;
+  for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += step) {
+    const value = score(angle);
+    if (value > bestScore) {
+      bestScore = value;
+      bestAngle = angle;
+    }
+  }
+  // Ignore gains too small to be real lines (e.g. a page of symbols)
+  return bestScore > flat * 1.05 ? Math.round(bestAngle * 10) / 10 : 0;
+}
+
+/**
+ * Rotate around the centre, filling uncovered pixels with white
+ * @param {number} angle - Degrees, counter-clockwise
+ */
+function rotate(image, angle) {
+  const { data: src, width, height } = image;
+  const data = new Uint8ClampedArray(width * height).fill(WHITE);
+  const radians = angle * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const cx = width / 2;
+  const cy = height / 2;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Nearest source pixel of the inverse rotation
+      const dx = x - cx;
+      const dy = y - cy;
+      const sx = Math.round(cx + dx * cos - dy * sin);
+      const sy = Math.round(cy + dx * sin + dy * cos);
+      if (sx >= 0 && sx < width && sy >= 0 && sy < height) {
+        data[y * width + x] = src[sy * width + sx];
+      }
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * Full pipeline on a grayscale image: upscale, invert dark backgrounds,
+ * binarize and deskew
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - Grayscale
+ * @returns {{image: Object, steps: {scale: number, inverted: boolean, threshold: number, skew: number}}}
+ */
+function preprocess(image) {
+  let result = image;
+
+  const scale = upscaleFactor(image.width);
+  if (scale > 1) {
+    result = resize(result, Math.round(image.width * scale), Math.round(image.height * scale));
+  }
+
+  let threshold = otsuThreshold(result);
+  const inverted = hasDarkBackground(result, threshold);
+  if (inverted) {
+    result = invert(result);
+    threshold = WHITE - threshold - 1;
+  }
+
+  result = binarize(result, threshold);
+
+  const skew = estimateSkew(result);
+  // Lines rising to the right are tilted counter-clockwise; turn them back
+  if (skew) result = rotate(result, -skew);
+
+  return { image: result, steps: { scale: Math.round(scale * 100) / 100, inverted, threshold, skew } };
+}
+
+module.exports = {
+  fromBitmap,
+  toBitmap,
+  resize,
+  upscaleFactor,
+  invert,
+  otsuThreshold,
+  hasDarkBackground,
+  binarize,
+  estimateSkew,
+  rotate,
+  preprocess
+};
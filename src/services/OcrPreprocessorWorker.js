@@ -0,0 +1,15 @@
+/**
+ * Worker thread for OcrService: runs OcrPreprocessor on a BGRA bitmap so
+ * cleaning up a large screenshot does not block the main process.
+ *
+ * Gets `{ bitmap, width, height }` as workerData and posts back the cleaned
+ * bitmap, its size and the steps taken, then exits.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const OcrPreprocessor = require('./OcrPreprocessor');
+
+const { bitmap, width, height } = workerData;
+const { image, steps } = OcrPreprocessor.preprocess(OcrPreprocessor.fromBitmap(bitmap, width, height));
+const result = OcrPreprocessor.toBitmap(image);
+parentPort.postMessage({ bitmap: result, width: image.width, height: image.height, steps }, [result.buffer]);
@@ -0,0 +1,314 @@
+const { nativeImage } = require('electron');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const Languages = require('./Languages');
+
+/**
+ * Directory with the bundled `.traineddata` files: the packaged resources
+ * first, then the source tree when running unpackaged
+ * @returns {string|null}
+ */
+function bundledTessdataDir() {
+  const candidates = [
+    process.resourcesPath && path.join(process.resourcesPath, 'assets', 'tessdata'),
+    path.join(__dirname, '..', '..', 'assets', 'tessdata')
+  ].filter(Boolean);
+  return candidates.find(dir => fs.existsSync(dir)) || null;
+}
+
+/**
+ * Language ids with a `.traineddata` file in a directory
+ * @param {string|null} dir
+ * @returns {string[]}
+ */
+function listTrainedData(dir) {
+  if (!dir) return [];
+  try {
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.traineddata'))
+      .map(file => file.slice(0, -'.traineddata'.length));
+  } catch {
+    return [];
+  }
+}
+
+// The worker is started from a plain file, so it and OcrPreprocessor are
+// unpacked from app.asar (see asarUnpack in the build configs)
+const PREPROCESS_WORKER = path.join(__dirname, 'OcrPreprocessorWorker.js')
+  .replace(`app.asar${path.sep}`, `app.asar.unpacked${path.sep}`);
+
+/**
+ * Run OcrPreprocessor on a worker thread
+ * @param {Buffer} bitmap - BGRA, 4 bytes per pixel
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<{bitmap: Buffer, width: number, height: number, steps: Object}>}
+ */
+function preprocessInWorker(bitmap, width, height) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(PREPROCESS_WORKER, { workerData: { bitmap, width, height } });
+    worker.once('message', result => resolve({ ...result, bitmap: Buffer.from(result.bitmap.buffer, result.bitmap.byteOffset, result.bitmap.byteLength) }));
+    worker.once('error', reject);
+    worker.once('exit', code => reject(new Error(`Preprocessing worker exited with code ${code}`)));
+  });
+}
+
+/**
+ * Text recognition for screenshots, in the main process.
+ *
+ * Uses the system `tesseract` when it is installed and Tesseract.js
+ * otherwise. Screenshots are cleaned up with OcrPreprocessor first unless
+ * that is turned off; that runs on a worker thread, as it takes a few hundred
+ * milliseconds on large screens. Results carry per-line boxes in the pixel space of the
+ * image that was read, which is returned with them for Math OCR crops.
+ */
+class OcrService {
+  constructor() {
+    this.nativeLanguages = null;
+  }
+
+  /**
+   * @param {Buffer} png - Screenshot
+   * @param {Object} [options]
+   * @param {string} [options.languages] - `ocr_languages` setting, e.g. `eng+hin`
+   * @param {boolean} [options.preprocess=true]
+   * @param {Function} [onStatus] - (text) => void, progress for the status bar
+   * @returns {Promise<{text: string, confidence: number|null, lines: Array, preprocessing: Object|null, image: Buffer}>}
+   *   `confidence` is 0-100 when the engine reports it
+   */
+  async recognize(png, { languages, preprocess = true } = {}, onStatus = () => {}) {
+    onStatus('Preparing image for OCR...');
+    const { buffer, steps } = preprocess ? await this.preprocess(png) : { buffer: png, steps: null };
+
+    onStatus('Extracting text from image...');
+    const ids = Languages.parseOcrLanguages(languages);
+    let result;
+    if (await this.isNativeAvailable()) {
+      result = await this.recognizeNative(buffer, ids);
+    } else {
+      // Use bundled Tesseract.js fallback seamlessly
+      onStatus('Using built-in OCR (no system Tesseract)...');
+      result = await this.recognizeWithTesseractJS(buffer, ids, onStatus);
+    }
+    return { ...result, preprocessing: steps, image: buffer };
+  }
+
+  /**
+   * Clean up a screenshot for OCR (see OcrPreprocessor). Returns the original
+   * image when preprocessing fails, with `steps` null.
+   * @param {Buffer} png
+   * @returns {Promise<{buffer: Buffer, steps: Object|null}>}
+   */
+  async preprocess(png) {
+    try {
+      const source = nativeImage.createFromBuffer(png);
+      if (source.isEmpty()) return { buffer: png, steps: null };
+
+      const { width, height } = source.getSize();
+      const { bitmap, steps, ...size } = await preprocessInWorker(source.toBitmap(), width, height);
+      const result = nativeImage.createFromBitmap(bitmap, size);
+      return { buffer: result.toPNG(), steps };
+    } catch (error) {
+      console.warn('[OCR] Preprocessing failed, using the original image:', error.message);
+      return { buffer: png, steps: null };
+    }
+  }
+
+  /**
+   * @returns {Promise<{native: boolean, workers: boolean, bundled: string[]}>} Which engines
+   *   can run here and the languages that work offline
+   */
+  async status() {
+    let workers = true;
+    try { require('worker_threads'); } catch { workers = false; }
+    return { native: await this.isNativeAvailable(), workers, bundled: listTrainedData(bundledTessdataDir()) };
+  }
+
+  isNativeAvailable() {
+    return new Promise((resolve) => {
+      const tesseractProcess = spawn('tesseract', ['--version'], { stdio: ['pipe', 'pipe', 'pipe'] });
+      tesseractProcess.on('close', code => resolve(code === 0));
+      tesseractProcess.on('error', () => resolve(false));
+    });
+  }
+
+  // Languages installed for native Tesseract, from `tesseract --list-langs`
+  listNativeLanguages() {
+    if (!this.nativeLanguages) {
+      this.nativeLanguages = new Promise((resolve) => {
+        const tesseractProcess = spawn('tesseract', ['--list-langs'], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+        // Older Tesseract versions print the list to stderr
+        let outputText = '';
+        tesseractProcess.stdout.on('data', (data) => {
+          outputText += data.toString();
+        });
+        tesseractProcess.stderr.on('data', (data) => {
+          outputText += data.toString();
+        });
+        // The first line is a "List of available languages" header
+        tesseractProcess.on('close', () => {
+          resolve(outputText.split('\n').slice(1).map(line => line.trim()).filter(Boolean));
+        });
+        tesseractProcess.on('error', () => resolve([]));
+      });
+    }
+    return this.nativeLanguages;
+  }
+
+  // Language arguments for native Tesseract. Uses the system languages when
+  // they cover `languages`, else the bundled tessdata if that does, else
+  // whatever part of `languages` the system has.
+  async nativeLanguageArgs(languages) {
+    const installed = await this.listNativeLanguages();
+    if (languages.every(language => installed.includes(language))) {
+      return ['-l', languages.join('+')];
+    }
+
+    const langDir = bundledTessdataDir();
+    const bundled = listTrainedData(langDir);
+    if (langDir && languages.every(language => bundled.includes(language))) {
+      return ['--tessdata-dir', langDir, '-l', languages.join('+')];
+    }
+
+    const available = languages.filter(language => installed.includes(language));
+    console.warn(`[OCR] Tesseract languages not installed: ${languages.filter(language => !installed.includes(language)).join(', ')}`);
+    return available.length ? ['-l', available.join('+')] : [];
+  }
+
+  async recognizeNative(png, languages) {
+    const languageArgs = await this.nativeLanguageArgs(languages);
+    const tempImagePath = path.join(os.tmpdir(), `hintify_temp_${Date.now()}.png`);
+    fs.writeFileSync(tempImagePath, png);
+
+    const cleanup = () => {
+      try {
+        fs.unlinkSync(tempImagePath);
+      } catch (cleanupError) {
+        console.warn('Failed to cleanup temp file:', cleanupError.message);
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      // The tsv config reports a confidence for each word
+      const tesseractProcess = spawn('tesseract', [tempImagePath, 'stdout', ...languageArgs, 'tsv'], {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let outputText = '';
+      let errorText = '';
+      tesseractProcess.stdout.on('data', (data) => {
+        outputText += data.toString();
+      });
+      tesseractProcess.stderr.on('data', (data) => {
+        errorText += data.toString();
+      });
+
+      tesseractProcess.on('close', (code) => {
+        cleanup();
+        if (code === 0) {
+          const { text, confidence, lines } = OcrService.parseTsv(outputText);
+          resolve({ text: text.replace(/\s+/g, ' ').trim(), confidence, lines });
+        } else {
+          reject(new Error(`Tesseract failed: ${errorText || 'Unknown error'}`));
+        }
+      });
+
+      tesseractProcess.on('error', (error) => {
+        cleanup();
+        reject(error);
+      });
+    });
+  }
+
+  async recognizeWithTesseractJS(png, languages, onStatus) {
+    try {
+      onStatus('Extracting text using built-in OCR...');
+      const Tesseract = require('tesseract.js');
+
+      // Bundled tessdata avoids downloads. langPath is a single directory,
+      // so every language must be bundled to use it.
+      const langDir = bundledTessdataDir();
+      const bundled = listTrainedData(langDir);
+      const notBundled = languages.filter(language => !bundled.includes(language));
+      if (notBundled.length) {
+        console.warn(`[OCR] Not bundled, downloading: ${notBundled.join(', ')}`);
+      }
+
+      const recognizeOptions = {
+        logger: (m) => {
+          if (m?.status === 'recognizing text') {
+            onStatus(`OCR Progress: ${Math.round((m.progress || 0) * 100)}%`);
+          }
+        }
+      };
+      if (langDir && !notBundled.length) recognizeOptions.langPath = langDir;
+
+      const { data: { text, confidence, lines } } = await Tesseract.recognize(png, languages.join('+'), recognizeOptions);
+      return {
+        text: String(text || '').replace(/\s+/g, ' ').trim(),
+        confidence: Number.isFinite(confidence) ? Math.round(confidence) : null,
+        lines: (lines || []).map(line => ({
+          text: String(line.text || '').trim(),
+          confidence: line.confidence,
+          box: { x: line.bbox.x0, y: line.bbox.y0, width: line.bbox.x1 - line.bbox.x0, height: line.bbox.y1 - line.bbox.y0 }
+        }))
+      };
+    } catch (error) {
+      // Provide a clean, user-friendly error without leaking internal module paths
+      const msg = String(error?.message || error);
+      if (/Failed to construct 'Worker'|worker.*not support|V8 platform/i.test(msg)) {
+        throw new Error('OCR engine could not start in this environment. You can enable Advanced Mode to send images directly to the AI without OCR.');
+      }
+      throw new Error(`Fallback OCR failed: ${msg}`);
+    }
+  }
+
+  /**
+   * Text, mean word confidence and lines from Tesseract's TSV output. Rows
+   * of level 5 are words; other levels have a confidence of -1.
+   */
+  static parseTsv(output) {
+    const words = output.split('\n').slice(1)
+      .map(line => line.split('\t'))
+      .filter(columns => columns[0] === '5' && columns[11]?.trim() && Number(columns[10]) >= 0);
+
+    const text = words.map(columns => columns[11].trim()).join(' ');
+    const confidence = words.length
+      ? Math.round(words.reduce((sum, columns) => sum + Number(columns[10]), 0) / words.length)
+      : null;
+
+    // Words share a line when their page, block, paragraph and line numbers match
+    const lines = new Map();
+    for (const columns of words) {
+      const key = columns.slice(1, 5).join('.');
+      const [x, y, width, height] = columns.slice(6, 10).map(Number);
+      const line = lines.get(key);
+      if (!line) {
+        lines.set(key, { words: [columns[11].trim()], confidences: [Number(columns[10])], x0: x, y0: y, x1: x + width, y1: y + height });
+        continue;
+      }
+      line.words.push(columns[11].trim());
+      line.confidences.push(Number(columns[10]));
+      line.x0 = Math.min(line.x0, x);
+      line.y0 = Math.min(line.y0, y);
+      line.x1 = Math.max(line.x1, x + width);
+      line.y1 = Math.max(line.y1, y + height);
+    }
+
+    return {
+      text,
+      confidence,
+      lines: [...lines.values()].map(line => ({
+        text: line.words.join(' '),
+        confidence: line.confidences.reduce((sum, value) => sum + value, 0) / line.confidences.length,
+        box: { x: line.x0, y: line.y0, width: line.x1 - line.x0, height: line.y1 - line.y0 }
+      }))
+    };
+  }
+}
+
+module.exports = OcrService;
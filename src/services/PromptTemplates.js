@@ -0,0 +1,382 @@
+const HintSchema = require('./HintSchema');
+
+/**
+ * Prompt templates for hint generation.
+ *
+ * A template set has one prompt per kind (hint, regenerate, image, story).
+ * Prompts reference named variables such as `{text}` or `{previousHints}`;
+ * `{format}` expands to the JSON reply instructions from HintSchema. Unknown
+ * braces are left alone, so LaTeX like `\frac{a}{b}` is safe in templates.
+ *
+ * Built-in sets ship for general use and a few subjects. Users can override
+ * any prompt of a built-in set or import whole new sets; those are kept in
+ * the `prompt_templates` config key as `{ [id]: { name, prompts } }`.
+ */
+
+const KINDS = ['hint', 'regenerate', 'image', 'story'];
+
+const KIND_LABELS = {
+  hint: 'Hints',
+  regenerate: 'Regenerated hints',
+  image: 'Screenshot hints (Advanced Mode)',
+  story: 'Story Mode'
+};
+
+// Variables each kind can use, and the ones it must use
+const VARIABLES = {
+  hint: ['text', 'qtype', 'difficulty', 'subject', 'topic', 'gradeLevel', 'format'],
+  regenerate: ['text', 'qtype', 'difficulty', 'subject', 'topic', 'gradeLevel', 'previousHints', 'format'],
+  image: ['format'],
+  story: ['text']
+};
+
+const REQUIRED = {
+  hint: ['text', 'format'],
+  regenerate: ['text', 'format'],
+  image: ['format'],
+  story: ['text']
+};
+
+// Number of hints asked for in `{format}`
+const HINT_RANGES = {
+  hint: { minHints: 3, maxHints: 5 },
+  regenerate: { minHints: 4, maxHints: 6 },
+  image: { minHints: 3, maxHints: 5 }
+};
+
+const DEFAULT_TEMPLATE = 'general';
+const EXPORT_FORMAT = 'hintify-prompt-template';
+const EXPORT_VERSION = 1;
+
+const ALL_VARIABLES = new Set(Object.values(VARIABLES).flat());
+const VARIABLE_PATTERN = /\{([A-Za-z]\w*)\}/g;
+
+// Built-in prompts. Subject sets insert their focus block into the general text.
+
+function hintPrompt(focus = '') {
+  return `You are Hintify, a study buddy for students.
+
+The following text was extracted from a screenshot:
+{text}
+
+Classification:
+- Subject: {subject}
+- Topic: {topic}
+- Type: {qtype}
+- Difficulty: {difficulty}
+- Grade level: {gradeLevel}
+${focus ? `\n${focus}\n` : ''}
+Your role:
+- Provide ONLY hints, NEVER the exact answer or final numeric/option.
+- Do NOT solve the question fully.
+- Do NOT mention which option is correct.
+- Do NOT provide the final numeric value, simplified expression, or boxed result.
+- Instead, give guiding clues that push the student to think.
+
+{format}
+
+Guidelines for hints:
+- Focus on relevant formulae, rules, and methods.
+- Use progressive layers: concept → formula → setup → approach → final nudge.
+- Each hint should guide without completing the solution.
+- Keep hints concise for faster responses.
+
+Math formatting:
+- Prefer LaTeX notation for mathematical expressions.
+- Use $...$ for inline math and $$...$$ for block equations.
+- Examples: $a^2+b^2=c^2$, $x_{i}$, $\\frac{dy}{dx}$, $\\int_{0}^{1} x^2\\,dx$, $$\\lim_{n\\to\\infty} \\frac{n}{n+1}$$, matrices with \\begin{bmatrix} ... \\end{bmatrix}.
+- For chemical formulas/equations, you may use \\ce{H2O + CO2 -> H2CO3} when relevant.
+
+For the encouragement, use a line such as:
+"Now try completing the final step on your own."
+or
+"Work carefully through the last step to see which option fits."`;
+}
+
+function regeneratePrompt(focus = '') {
+  return `You are Hintify, regenerating a new, higher‑quality set of HINTS for the same problem.
+
+Objective:
+- Produce a fresh set of 4–6 concise, progressively detailed hints that are MORE thorough and structured than before.
+- DO NOT reveal the final answer, numeric result, or which option is correct.
+- Treat this as a second pass: clarify concepts, add gentle scaffolding, and include tiny worked fragments (setup only) without completing the solution.
+
+Problem text:
+{text}
+
+Classification:
+- Subject: {subject}
+- Topic: {topic}
+- Type: {qtype}
+- Difficulty: {difficulty}
+- Grade level: {gradeLevel}
+${focus ? `\n${focus}\n` : ''}
+Earlier hints (for reference only; avoid repeating verbatim):
+{previousHints}
+
+Requirements for regenerated hints:
+- Start from prerequisite concept(s) → formula(s) → setup → approach → final nudge.
+- Add context or micro‑examples when helpful (e.g., define symbols, typical pitfalls, units) but keep each hint under 2 sentences.
+- Absolutely avoid: final value, option letters, or step that directly completes the problem.
+- End with one short encouragement line.
+
+Math formatting:
+- Prefer LaTeX notation for formulas, calculus symbols, vectors/matrices, and scientific notation.
+- Use $...$ for inline math and $$...$$ for block equations.
+- Include units and symbols clearly, e.g., $v=\\frac{\\Delta x}{\\Delta t}$, $$\\int e^{x}\\,dx$$, matrix forms \\begin{bmatrix}a&b\\\\c&d\\end{bmatrix}, limits/derivatives, and \\ce{...} for chemical equations if applicable.
+
+{format}`;
+}
+
+function imagePrompt(focus = '') {
+  return `You are Hintify, a study buddy for students.
+
+You will receive a screenshot of a problem/question. Your job is to provide ONLY hints without solving it or revealing the final answer.
+
+Rules:
+- Do NOT give the final numeric value or the exact option letter.
+- Do NOT fully solve the problem.
+- Provide 3–5 concise, progressively deeper hints.
+${focus ? `\n${focus}\n` : ''}
+{format}
+
+Guidance:
+- Start from concept → formula → setup → approach → final nudge.
+- Prefer LaTeX for math, using $...$ for inline and $$...$$ for blocks (e.g., $\\frac{dy}{dx}$, $$\\int x^2\\,dx$$, matrices with \\begin{bmatrix}..\\end{bmatrix}).
+- For chemistry, you may use \\ce{...} notation.
+- Keep hints short (under 2 sentences each) but helpful.
+
+End with a one-line encouragement (e.g., "Now try the final step yourself.")`;
+}
+
+const STORY_PROMPT = `You are Hintify, a storyteller who explains complex concepts through engaging physical stories.
+
+The user wants to understand:
+{text}
+
+Your goal:
+- Create a short, engaging story or analogy that explains the core concept.
+- Use physical objects, characters, or scenarios to make it concrete.
+- Keep it educational but fun.
+- After the story, briefly connect it back to the academic concept.
+
+Format:
+**Story:** [Your story here]
+**Concept:** [Brief explanation]`;
+
+const SUBJECT_FOCUS = {
+  math: `Subject focus (Mathematics):
+- Name the definition, theorem or technique that applies before any algebra.
+- Setting up equations is fine; simplifying them to the result is not.
+- Point out typical traps: sign errors, domain restrictions, a missing ± or constant of integration.`,
+  physics: `Subject focus (Physics):
+- Start from the governing principle (Newton's laws, conservation of energy or momentum, etc.).
+- Encourage a sketch or free-body diagram and a list of knowns and unknowns with units.
+- Remind the student to check units and sign conventions; never give the final numeric value.`,
+  chemistry: `Subject focus (Chemistry):
+- Identify the concept first: stoichiometry, equilibrium, kinetics, bonding, etc.
+- Use \\ce{...} for formulas and reactions.
+- Guide through balancing and mole ratios without giving final quantities or products.`,
+  code: `Subject focus (Programming):
+- Point to the relevant concept, data structure, algorithm or API.
+- Ask about inputs, outputs and edge cases; pseudocode fragments of one or two lines are fine, a complete working solution is not.
+- For bugs, say where to look (which condition, loop or line), not what the fixed code is.
+- Use inline code formatting for identifiers instead of LaTeX.`,
+  essay: `Subject focus (Writing):
+- Treat the question as a writing task: essay, short answer or text analysis.
+- Hint at structure: thesis, supporting points, evidence and counter-arguments.
+- Suggest questions the student should ask themselves; never write sentences they could copy into their answer.`
+};
+
+function subjectSet(id, name) {
+  const focus = SUBJECT_FOCUS[id];
+  return {
+    id,
+    name,
+    prompts: { hint: hintPrompt(focus), regenerate: regeneratePrompt(focus), image: imagePrompt(focus), story: STORY_PROMPT }
+  };
+}
+
+const BUILT_IN_TEMPLATES = [
+  { id: DEFAULT_TEMPLATE, name: 'General', prompts: { hint: hintPrompt(), regenerate: regeneratePrompt(), image: imagePrompt(), story: STORY_PROMPT } },
+  subjectSet('math', 'Math'),
+  subjectSet('physics', 'Physics'),
+  subjectSet('chemistry', 'Chemistry'),
+  subjectSet('code', 'Programming'),
+  subjectSet('essay', 'Essays & Writing')
+];
+
+/**
+ * Built-in templates merged with the user's overrides and imported sets
+ */
+class PromptTemplates {
+  /**
+   * @param {Object} [custom] - `prompt_templates` config value
+   */
+  constructor(custom = {}) {
+    this.custom = custom && typeof custom === 'object' ? custom : {};
+    this.builtIn = new Map(BUILT_IN_TEMPLATES.map(template => [template.id, template]));
+  }
+
+  /**
+   * Every template set, built-ins first
+   * @returns {Array<{id: string, name: string, builtIn: boolean, customized: boolean}>}
+   */
+  list() {
+    const builtIn = BUILT_IN_TEMPLATES.map(({ id, name }) => ({
+      id,
+      name,
+      builtIn: true,
+      customized: Object.keys(this.custom[id]?.prompts || {}).length > 0
+    }));
+    const imported = Object.entries(this.custom)
+      .filter(([id]) => !this.builtIn.has(id))
+      .map(([id, template]) => ({ id, name: template.name || id, builtIn: false, customized: true }));
+    return [...builtIn, ...imported];
+  }
+
+  isBuiltIn(id) {
+    return this.builtIn.has(id);
+  }
+
+  has(id) {
+    return this.builtIn.has(id) || Object.prototype.hasOwnProperty.call(this.custom, id);
+  }
+
+  /**
+   * Template to use for a question: the one for its subject when `auto` is
+   * on and such a template exists, otherwise the selected one. An imported
+   * template that is selected always wins.
+   * @param {string} selected - `prompt_template` config value
+   * @param {string} [subject] - Subject id from QuestionClassifier
+   * @param {boolean} [auto=true] - `prompt_template_auto` config value
+   */
+  select(selected, subject = '', auto = true) {
+    const chosen = this.has(selected) ? selected : DEFAULT_TEMPLATE;
+    if (!this.isBuiltIn(chosen)) return chosen;
+    return auto && subject && this.has(subject) ? subject : chosen;
+  }
+
+  /**
+   * Built-in text of a prompt, or '' for imported sets
+   */
+  getDefault(id, kind) {
+    return this.builtIn.get(id)?.prompts[kind] || '';
+  }
+
+  /**
+   * Prompt text for a kind. Falls back to the general set when the template
+   * is unknown or does not define this kind.
+   * @param {string} id - Template id
+   * @param {string} kind - One of KINDS
+   * @returns {string}
+   */
+  get(id, kind) {
+    const own = this.custom[id]?.prompts?.[kind] || this.getDefault(id, kind);
+    if (own || id === DEFAULT_TEMPLATE) return own;
+    return this.get(DEFAULT_TEMPLATE, kind);
+  }
+
+  /**
+   * Render the prompt of a kind with the given variables. `{format}` is
+   * filled in from HintSchema unless supplied.
+   */
+  render(id, kind, variables = {}) {
+    const range = HINT_RANGES[kind];
+    const values = range ? { format: HintSchema.formatInstructions(range), ...variables } : variables;
+    return PromptTemplates.fill(this.get(id, kind), values);
+  }
+
+  /**
+   * Check a prompt before it is saved
+   * @returns {string[]} Problems, empty when the prompt is usable
+   */
+  validate(kind, text) {
+    if (!KINDS.includes(kind)) return [`Unknown prompt kind: ${kind}`];
+    if (!String(text || '').trim()) return [`${KIND_LABELS[kind]} prompt is empty`];
+
+    const used = new Set(Array.from(String(text).matchAll(VARIABLE_PATTERN), match => match[1]));
+    const errors = REQUIRED[kind]
+      .filter(name => !used.has(name))
+      .map(name => `${KIND_LABELS[kind]} prompt must contain {${name}}`);
+    // Only names that are variables elsewhere count as mistakes; other braces may be LaTeX
+    for (const name of used) {
+      if (ALL_VARIABLES.has(name) && !VARIABLES[kind].includes(name)) {
+        errors.push(`{${name}} is not available in the ${KIND_LABELS[kind]} prompt`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Serialize a template set for sharing
+   * @returns {string} JSON file contents
+   */
+  export(id) {
+    const prompts = {};
+    for (const kind of KINDS) {
+      prompts[kind] = this.get(id, kind);
+    }
+    const name = this.custom[id]?.name || this.builtIn.get(id)?.name || id;
+    return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, id, name, prompts }, null, 2);
+  }
+
+  /**
+   * Read a shared template file
+   * @param {string} json - File contents
+   * @returns {{template: Object|null, errors: string[]}} template is
+   *   `{id, name, prompts}`, ready to store under `prompt_templates[id]`
+   */
+  parseImport(json) {
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      return { template: null, errors: [`Not a JSON file: ${error.message}`] };
+    }
+    if (value?.format !== EXPORT_FORMAT) {
+      return { template: null, errors: ['Not a Hintify prompt template file'] };
+    }
+    if (value.version > EXPORT_VERSION) {
+      return { template: null, errors: [`Template file version ${value.version} is newer than this app supports`] };
+    }
+
+    const id = String(value.id || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+    if (!id) {
+      return { template: null, errors: ['Template has no id'] };
+    }
+
+    const prompts = {};
+    const errors = [];
+    for (const kind of KINDS) {
+      const text = value.prompts?.[kind];
+      if (text === undefined) continue;
+      const problems = typeof text === 'string' ? this.validate(kind, text) : [`${KIND_LABELS[kind]} prompt must be text`];
+      if (problems.length) errors.push(...problems);
+      else prompts[kind] = text;
+    }
+    if (errors.length) return { template: null, errors };
+    if (!Object.keys(prompts).length) {
+      return { template: null, errors: ['Template contains no prompts'] };
+    }
+
+    return { template: { id, name: String(value.name || id), prompts }, errors };
+  }
+
+  /**
+   * Replace `{name}` for every supplied variable in a single pass, so values
+   * that themselves contain braces are not expanded again
+   */
+  static fill(template, variables) {
+    return String(template).replace(VARIABLE_PATTERN, (match, name) => (
+      Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] ?? '') : match
+    ));
+  }
+}
+
+PromptTemplates.KINDS = KINDS;
+PromptTemplates.KIND_LABELS = KIND_LABELS;
+PromptTemplates.VARIABLES = VARIABLES;
+PromptTemplates.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+
+module.exports = PromptTemplates;
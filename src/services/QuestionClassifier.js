@@ -0,0 +1,319 @@
+const { extractJson } = require('./HintSchema');
+const { detectLanguage } = require('./Languages');
+
+/**
+ * Question classification: subject, topic, format, grade level and difficulty.
+ *
+ * `classify` runs local keyword heuristics and is instant. An optional model
+ * pass (`llmPrompt` / `mergeLlm`) can refine the result; its answer only
+ * replaces the local one when it validates. Subject ids match the built-in
+ * prompt template ids where a subject template exists. The keyword lists
+ * are English; other languages are detected but mostly classify as general.
+ */
+
+const LEVELS = ['primary', 'middle_school', 'high_school', 'university'];
+
+const LEVEL_LABELS = {
+  primary: 'Primary school',
+  middle_school: 'Middle school',
+  high_school: 'High school',
+  university: 'University'
+};
+
+const FORMAT_LABELS = {
+  mcq: 'MCQ',
+  true_false: 'True/False',
+  fill_in: 'Fill in the blank',
+  proof: 'Proof',
+  numeric: 'Numerical',
+  coding: 'Coding',
+  descriptive: 'Descriptive',
+  none: 'Not a Question'
+};
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+/**
+ * Subjects with their topics. Each topic lists keywords and the grade level
+ * it is usually taught at; `extra` keywords count for the subject only.
+ */
+const SUBJECTS = {
+  math: {
+    label: 'Math',
+    extra: ['solve', 'equation', 'value of', 'simplify', 'integer', 'prime', 'irrational', 'square root', 'theorem'],
+    topics: [
+      { name: 'Calculus', level: 'high_school', keywords: ['derivative', 'differentiate', 'integral', 'integrate', 'limit', 'd/dx', 'dy/dx', '\\int', '\\lim', 'maxima', 'minima'] },
+      { name: 'Linear algebra', level: 'university', keywords: ['matrix', 'matrices', 'eigenvalue', 'eigenvector', 'determinant', 'vector space', 'linear transformation', '\\begin{bmatrix}'] },
+      { name: 'Probability & statistics', level: 'high_school', keywords: ['probability', 'mean', 'median', 'mode', 'variance', 'standard deviation', 'dice', 'coin', 'random', 'expected value'] },
+      { name: 'Trigonometry', level: 'high_school', keywords: ['sin', 'cos', 'tan', 'radian', 'trigonometric'] },
+      { name: 'Geometry', level: 'middle_school', keywords: ['area', 'perimeter', 'circle', 'triangle', 'radius', 'diameter', 'polygon', 'angle', 'rectangle', 'parallel lines'] },
+      { name: 'Algebra', level: 'middle_school', keywords: ['solve for', 'quadratic', 'polynomial', 'factorise', 'factorize', 'inequality', 'linear equation', 'roots', 'simultaneous'] },
+      { name: 'Arithmetic', level: 'primary', keywords: ['add', 'subtract', 'multiply', 'divide', 'fraction', 'percent', 'percentage', 'sum of', 'remainder'] }
+    ]
+  },
+  physics: {
+    label: 'Physics',
+    extra: ['m/s', 'joule', 'newton', 'kg'],
+    topics: [
+      { name: 'Mechanics', level: 'high_school', keywords: ['velocity', 'acceleration', 'force', 'friction', 'momentum', 'projectile', 'kinetic energy', 'potential energy', 'work done', 'gravity', 'thrown', 'incline'] },
+      { name: 'Electricity & magnetism', level: 'high_school', keywords: ['current', 'voltage', 'resistance', 'circuit', 'resistor', 'capacitor', 'charge', 'magnetic field', 'ohm', 'electric field'] },
+      { name: 'Waves & optics', level: 'high_school', keywords: ['wave', 'frequency', 'wavelength', 'lens', 'mirror', 'refraction', 'reflection', 'interference', 'diffraction'] },
+      { name: 'Thermodynamics', level: 'high_school', keywords: ['heat', 'temperature', 'entropy', 'thermal', 'ideal gas', 'specific heat', 'calorimetry'] },
+      { name: 'Modern physics', level: 'university', keywords: ['quantum', 'photon', 'relativity', 'photoelectric', 'half-life', 'radioactive', 'nucleus'] }
+    ]
+  },
+  chemistry: {
+    label: 'Chemistry',
+    extra: ['\\ce', 'compound', 'element', 'molecule', 'atom', 'noble gas', 'oxygen', 'hydrogen', 'nitrogen'],
+    topics: [
+      { name: 'Stoichiometry', level: 'high_school', keywords: ['mole', 'molar mass', 'limiting reagent', 'percent yield', 'molarity', 'avogadro'] },
+      { name: 'Chemical equilibrium', level: 'high_school', keywords: ['equilibrium', 'le chatelier', 'equilibrium constant', 'kc', 'kp'] },
+      { name: 'Acids & bases', level: 'high_school', keywords: ['acid', 'base', 'ph', 'buffer', 'titration', 'neutralization', 'neutralisation'] },
+      { name: 'Organic chemistry', level: 'university', keywords: ['alkane', 'alkene', 'alkyne', 'benzene', 'functional group', 'isomer', 'organic', 'ester', 'alcohol'] },
+      { name: 'Atomic structure', level: 'high_school', keywords: ['electron configuration', 'orbital', 'periodic table', 'atomic number', 'isotope', 'valence'] },
+      { name: 'Reactions', level: 'middle_school', keywords: ['balance the equation', 'reaction', 'oxidation', 'reduction', 'redox', 'reactant', 'product'] }
+    ]
+  },
+  biology: {
+    label: 'Biology',
+    extra: ['organism', 'species', 'enzyme'],
+    topics: [
+      { name: 'Genetics', level: 'high_school', keywords: ['gene', 'dna', 'rna', 'allele', 'chromosome', 'heredity', 'mutation', 'genotype', 'phenotype'] },
+      { name: 'Cell biology', level: 'middle_school', keywords: ['cell', 'mitochondria', 'membrane', 'organelle', 'mitosis', 'meiosis', 'nucleus'] },
+      { name: 'Ecology', level: 'middle_school', keywords: ['ecosystem', 'food chain', 'food web', 'population', 'habitat', 'biodiversity'] },
+      { name: 'Human physiology', level: 'high_school', keywords: ['heart', 'blood', 'digestion', 'nervous system', 'hormone', 'kidney', 'respiration'] }
+    ]
+  },
+  code: {
+    label: 'Programming',
+    extra: ['program', 'code', 'function', 'python', 'javascript', 'java', 'c++', 'compile'],
+    topics: [
+      { name: 'Algorithms', level: 'university', keywords: ['sort', 'binary search', 'time complexity', 'big o', 'recursion', 'dynamic programming', 'algorithm'] },
+      { name: 'Data structures', level: 'university', keywords: ['array', 'linked list', 'stack', 'queue', 'binary tree', 'graph', 'hash map', 'hash table'] },
+      { name: 'Debugging', level: 'high_school', keywords: ['error', 'bug', 'exception', 'traceback', 'does not work', "doesn't work", 'wrong output'] },
+      { name: 'Databases & SQL', level: 'university', keywords: ['sql', 'query', 'join', 'primary key', 'database'] }
+    ]
+  },
+  essay: {
+    label: 'Writing',
+    extra: ['write', 'words', 'discuss'],
+    topics: [
+      { name: 'Essay writing', level: 'high_school', keywords: ['essay', 'thesis', 'argument', 'paragraph', 'persuasive'] },
+      { name: 'Literature analysis', level: 'high_school', keywords: ['poem', 'novel', 'author', 'character', 'theme', 'metaphor', 'narrator', 'stanza'] }
+    ]
+  },
+  history: {
+    label: 'History',
+    extra: ['century', 'historical'],
+    topics: [
+      { name: 'Modern history', level: 'high_school', keywords: ['world war', 'cold war', 'independence', 'revolution', 'colonial', 'empire'] },
+      { name: 'Ancient history', level: 'middle_school', keywords: ['ancient', 'civilization', 'civilisation', 'pharaoh', 'roman', 'dynasty'] }
+    ]
+  }
+};
+
+const SUBJECT_IDS = [...Object.keys(SUBJECTS), 'general'];
+
+// Lines that look like source code rather than prose
+const CODE_PATTERN = /^\s*(def |class |import |from \S+ import|function\s*\w*\s*\(|(const|let|var)\s+\w+\s*=|#include|public\s+(static\s+)?\w+|for\s*\(.*;.*;|while\s*\(.*\)\s*\{|if\s*\(.*\)\s*\{|SELECT\s.+\sFROM\s)/im;
+// "Write a (recursive) (Python) function ...": up to two words between the
+// article and the kind of code, for the language and qualifiers
+const CODING_REQUEST = /\b(write|implement|debug|fix)\s+((a|an|the|this|my)\s+)?([\w+#-]+\s+){0,2}(program|function|method|class|script|code|query)\b/i;
+// Equations and arithmetic expressions
+const MATH_PATTERN = /\\frac|\\sqrt|\^\d|\b[a-z]\s*=\s*-?\d|\d\s*[+\-*/×÷]\s*\d/i;
+
+function keywordPattern(keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const start = /^\w/.test(keyword) ? '\\b' : '';
+  // Allow a plural on plain words ("matrices" is listed separately)
+  const end = /\w$/.test(keyword) ? '(?:s|es)?\\b' : '';
+  return new RegExp(`${start}${escaped}${end}`, 'i');
+}
+
+// Compile every keyword once
+const COMPILED = Object.fromEntries(Object.entries(SUBJECTS).map(([id, subject]) => [id, {
+  extra: subject.extra.map(keywordPattern),
+  topics: subject.topics.map(topic => ({ ...topic, patterns: topic.keywords.map(keywordPattern) }))
+}]));
+
+const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    subject: { type: 'string', enum: SUBJECT_IDS },
+    topic: { type: 'string', description: 'Short topic within the subject, e.g. "Calculus" or "Stoichiometry"' },
+    format: { type: 'string', enum: Object.keys(FORMAT_LABELS) },
+    grade_level: { type: 'string', enum: LEVELS },
+    difficulty: { type: 'string', enum: DIFFICULTIES }
+  },
+  required: ['subject', 'format']
+};
+
+class QuestionClassifier {
+  /**
+   * Classify a question with local heuristics
+   * @param {string} text - Question text
+   * @returns {{subject: string, topic: string, format: string, questionType: string,
+   *   gradeLevel: string, difficulty: string, language: string, isQuestion: boolean, confidence: number, source: string}}
+   */
+  classify(text) {
+    const source = String(text || '');
+    const language = detectLanguage(source);
+    let format = this.detectFormat(source);
+    // The question words checked for 'descriptive' are English only
+    if (format === 'none' && language && language !== 'eng') format = 'descriptive';
+    const { subject, topic, level, confidence } = this.detectSubject(source, format);
+    const gradeLevel = level || 'middle_school';
+
+    return {
+      subject,
+      topic,
+      format,
+      questionType: FORMAT_LABELS[format],
+      gradeLevel,
+      difficulty: this.estimateDifficulty(source, format, gradeLevel),
+      language,
+      isQuestion: format !== 'none',
+      confidence,
+      source: 'local'
+    };
+  }
+
+  /**
+   * Question format. Checked from the most to the least specific.
+   * @returns {string} One of the FORMAT_LABELS keys
+   */
+  detectFormat(text) {
+    if (/\btrue\s+or\s+false\b|\(\s*T\s*\/\s*F\s*\)|\bT\s*\/\s*F\b/i.test(text)) return 'true_false';
+    const optionLines = text.match(/^\s*\(?[A-Da-d][).]\s+\S/gm) || [];
+    if (/\([A-D]\)|\b\d\)\b/.test(text) || optionLines.length >= 2) return 'mcq';
+    if (/_{3,}|\bfill\s+in\s+the\s+blanks?\b|\.{5,}/i.test(text)) return 'fill_in';
+    if (CODE_PATTERN.test(text) || CODING_REQUEST.test(text)) return 'coding';
+    if (/\b(prove|show that|demonstrate that|derive)\b/i.test(text)) return 'proof';
+    if (/\d/.test(text) && /\b(calculate|compute|find|evaluate|determine|how (many|much|far|long|fast|high)|what is the value)\b/i.test(text)) return 'numeric';
+    if (text.includes('?') || /\b(solve|find|calculate|evaluate|explain|describe|discuss|compare|why|what|how|write|define|name|list|state)\b/i.test(text)) return 'descriptive';
+    return 'none';
+  }
+
+  /**
+   * Best matching subject and topic by keyword hits
+   * @returns {{subject: string, topic: string, level: string|null, confidence: number}}
+   */
+  detectSubject(text, format) {
+    const scores = Object.entries(COMPILED).map(([id, subject]) => {
+      let best = null;
+      let score = subject.extra.filter(pattern => pattern.test(text)).length;
+      for (const topic of subject.topics) {
+        const hits = topic.patterns.filter(pattern => pattern.test(text)).length;
+        score += hits;
+        if (hits && (!best || hits > best.hits)) best = { ...topic, hits };
+      }
+      if (id === 'math' && MATH_PATTERN.test(text)) score += 1;
+      if (id === 'code' && format === 'coding') score += 3;
+      return { id, score, topic: best };
+    }).sort((a, b) => b.score - a.score);
+
+    const [top, second] = scores;
+    if (!top.score) {
+      return { subject: 'general', topic: '', level: null, confidence: 0 };
+    }
+    return {
+      subject: top.id,
+      topic: top.topic?.name || '',
+      level: top.topic?.level || null,
+      confidence: Math.round((top.score / (top.score + (second?.score || 0))) * 100) / 100
+    };
+  }
+
+  /**
+   * Difficulty from length, grade level and format
+   */
+  estimateDifficulty(text, format, gradeLevel) {
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+    let score = wordCount < 15 ? 0 : wordCount < 40 ? 1 : 2;
+    score += { primary: -1, middle_school: 0, high_school: 0, university: 1 }[gradeLevel] || 0;
+    if (format === 'proof') score += 1;
+    return DIFFICULTIES[Math.max(0, Math.min(2, score))];
+  }
+
+  /**
+   * Prompt for the optional model pass
+   */
+  llmPrompt(text) {
+    return `Classify this student question. Do not answer it.
+
+Question:
+${text}
+
+Reply with a single JSON object and nothing else:
+{
+  "subject": "<one of ${SUBJECT_IDS.join(', ')}>",
+  "topic": "<short topic, e.g. Calculus>",
+  "format": "<one of ${Object.keys(FORMAT_LABELS).join(', ')}>",
+  "grade_level": "<one of ${LEVELS.join(', ')}>",
+  "difficulty": "<one of ${DIFFICULTIES.join(', ')}>"
+}`;
+  }
+
+  /**
+   * Combine the local result with the model's reply. Invalid fields keep
+   * their local values; an unusable reply returns the local result as is.
+   * @param {Object} local - Result of classify
+   * @param {string} reply - Model output
+   */
+  mergeLlm(local, reply) {
+    const json = extractJson(reply);
+    if (!json) return local;
+
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch {
+      return local;
+    }
+    if (!SUBJECT_IDS.includes(value?.subject) || !FORMAT_LABELS[value.format]) return local;
+
+    const topic = typeof value.topic === 'string' ? value.topic.trim().slice(0, 80) : '';
+    return {
+      ...local,
+      subject: value.subject,
+      topic: topic || (value.subject === local.subject ? local.topic : ''),
+      format: value.format,
+      questionType: FORMAT_LABELS[value.format],
+      gradeLevel: LEVELS.includes(value.grade_level) ? value.grade_level : local.gradeLevel,
+      difficulty: DIFFICULTIES.includes(value.difficulty) ? value.difficulty : local.difficulty,
+      isQuestion: value.format !== 'none',
+      confidence: 1,
+      source: 'llm'
+    };
+  }
+
+  /**
+   * Fields saved with the question, so history can be filtered by them
+   */
+  toMetadata(classification) {
+    return {
+      subject: classification.subject,
+      topic: classification.topic || null,
+      question_format: classification.format,
+      grade_level: classification.gradeLevel,
+      language: classification.language || null,
+      classifier: classification.source,
+      classifier_confidence: classification.confidence
+    };
+  }
+
+  subjectLabel(id) {
+    return SUBJECTS[id]?.label || 'General';
+  }
+
+  levelLabel(id) {
+    return LEVEL_LABELS[id] || '';
+  }
+}
+
+QuestionClassifier.CLASSIFICATION_SCHEMA = CLASSIFICATION_SCHEMA;
+QuestionClassifier.FORMAT_LABELS = FORMAT_LABELS;
+QuestionClassifier.SUBJECT_IDS = SUBJECT_IDS;
+QuestionClassifier.DIFFICULTIES = DIFFICULTIES;
+
+module.exports = QuestionClassifier;
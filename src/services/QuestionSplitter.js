@@ -0,0 +1,203 @@
+/**
+ * Split a worksheet into its questions.
+ *
+ * `splitQuestions` works on OCR or pasted text using numbering patterns
+ * ("1.", "Q2", "(a)"). `layoutPrompt` / `parseLayout` ask a vision model for
+ * the questions and their boxes when there is no OCR text.
+ */
+
+const { extractJson, repairLatexEscapes } = require('./HintSchema');
+
+const MAX_QUESTIONS = 12;
+// Shorter average parts are answer options of one question, not questions
+const MIN_PART_LENGTH = 25;
+
+// "1." "2)" "(3)" "Q4" "Q.5:" "Question 6" at the start of a line or after a space
+const NUMBER_MARKER = /(^|\s)(?:(?:Q(?:uestion)?\s*\.?\s*)(\d{1,2})\s*[.):-]?|\((\d{1,2})\)|(\d{1,2})[.)])(?=\s)/gi;
+// Numbers that label something inside a question: "Step 1.", "Eq. (2)", "Example 3."
+const LABEL_WORD = /\b(?:step|part|eq|equation|example|exercise|fig|figure|table|section|chapter|page|case|rule|theorem|lemma)\.?\s*$/i;
+// "(a)" anywhere, or "a)" at the start of a line; lowercase only, as options are usually "(A)"
+const PART_MARKER = /(^|\s)\(([a-h])\)(?=\s)|(^|\n)[ \t]*([a-h])\)(?=\s)/g;
+
+const LAYOUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string', description: 'The question number as printed, e.g. "3" or "Q2"' },
+          text: { type: 'string', description: 'The full question text with math as LaTeX' },
+          box: { type: 'array', items: { type: 'integer' }, description: '[ymin, xmin, ymax, xmax] scaled to 0-1000' }
+        },
+        required: ['text']
+      }
+    }
+  },
+  required: ['questions']
+};
+
+// `read(match)` gives the leading whitespace and the marker's position in its sequence
+function markers(text, pattern, read) {
+  return [...text.matchAll(pattern)].map(match => {
+    const { lead: leading, index } = read(match);
+    const lead = leading.length;
+    return {
+      index,
+      label: match[0].slice(lead).trim(),
+      start: match.index + lead,
+      end: match.index + match[0].length
+    };
+  });
+}
+
+// Longest run of markers numbered n, n+1, n+2, ... in reading order
+function longestSequence(candidates) {
+  let best = [];
+  candidates.forEach((first, i) => {
+    const run = [first];
+    for (const next of candidates.slice(i + 1)) {
+      if (next.index === run[run.length - 1].index + 1) run.push(next);
+    }
+    if (run.length > best.length) best = run;
+  });
+  return best;
+}
+
+// Whether a number marker can start a question. In text with line breaks,
+// questions start on a new line, so markers inside a line are not questions.
+function isQuestionNumber(text, marker) {
+  const before = text.slice(Math.max(0, marker.start - 24), marker.start);
+  if (LABEL_WORD.test(before)) return false;
+  if (!text.includes('\n')) return true;
+  return !text.slice(text.lastIndexOf('\n', marker.start - 1) + 1, marker.start).trim();
+}
+
+function segments(text, run) {
+  return run.map((marker, i) => ({
+    label: marker.label,
+    text: text.slice(marker.end, run[i + 1]?.start ?? text.length).trim()
+  }));
+}
+
+function looksLikeQuestions(parts) {
+  const average = parts.reduce((sum, part) => sum + part.text.length, 0) / parts.length;
+  return parts.every(part => part.text) && average >= MIN_PART_LENGTH;
+}
+
+/**
+ * Split text on question numbers, or on lettered parts when there are none.
+ * Lettered parts get the text before the first part (the shared stem) in
+ * front, so each can be answered on its own.
+ * @param {string} text
+ * @returns {Array<{label: string, text: string}>} Empty unless at least two questions were found
+ */
+function splitQuestions(text) {
+  const source = String(text || '');
+
+  const numbered = longestSequence(markers(source, NUMBER_MARKER, match => ({
+    lead: match[1],
+    index: Number(match[2] || match[3] || match[4])
+  })).filter(marker => isQuestionNumber(source, marker)));
+  if (numbered.length >= 2) {
+    const questions = segments(source, numbered);
+    if (looksLikeQuestions(questions)) {
+      // "1." and "(2)" become "1" and "2"; "Q3" stays
+      return questions.slice(0, MAX_QUESTIONS).map(question => ({
+        ...question,
+        label: question.label.replace(/^\((\d+)\)$/, '$1').replace(/\s*[.):-]$/, '')
+      }));
+    }
+  }
+
+  const lettered = longestSequence(markers(source, PART_MARKER, match => ({
+    lead: match[1] ?? match[3],
+    index: (match[2] || match[4]).charCodeAt(0)
+  })));
+  if (lettered.length >= 2) {
+    const parts = segments(source, lettered);
+    if (looksLikeQuestions(parts)) {
+      const stem = source.slice(0, lettered[0].start).trim();
+      return parts.slice(0, MAX_QUESTIONS).map(part => ({
+        label: part.label,
+        text: stem ? `${stem}\n${part.label} ${part.text}` : part.text
+      }));
+    }
+  }
+  return [];
+}
+
+/**
+ * Prompt asking a vision model for the questions on a screenshot
+ */
+function layoutPrompt() {
+  return `This image may contain several separate questions, e.g. a worksheet. List each question separately.
+
+Reply with a single JSON object and nothing else (no Markdown fences):
+{
+  "questions": [
+    { "label": "1", "text": "<the full question text, math as LaTeX with $...$>", "box": [ymin, xmin, ymax, xmax] }
+  ]
+}
+- "box" encloses the whole question including its options and figures, with coordinates scaled to 0-1000.
+- Sub-parts such as (a), (b) that share one stem belong to the same question.
+- Copy the questions only; do not answer them.
+- Escape backslashes inside JSON strings, e.g. write "$\\\\frac{a}{b}$" for $\\frac{a}{b}$.
+- If there is only one question, return a single entry.`;
+}
+
+/**
+ * Questions from a layout reply
+ * @returns {Array<{label: string, text: string, box: {x: number, y: number, width: number, height: number}|null}>}
+ *   Boxes are fractions of the image size; [] when the reply is unusable
+ */
+function parseLayout(reply) {
+  const json = extractJson(reply);
+  if (!json) return [];
+
+  let value;
+  try {
+    value = JSON.parse(repairLatexEscapes(json));
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(value?.questions)) return [];
+
+  return value.questions
+    .filter(question => typeof question?.text === 'string' && question.text.trim())
+    .slice(0, MAX_QUESTIONS)
+    .map((question, i) => {
+      const box = Array.isArray(question.box) && question.box.length === 4 && question.box.every(Number.isFinite)
+        ? question.box.map(n => Math.min(1000, Math.max(0, n)) / 1000)
+        : null;
+      const [ymin, xmin, ymax, xmax] = box || [];
+      return {
+        label: typeof question.label === 'string' && question.label.trim() ? question.label.trim() : String(i + 1),
+        text: question.text.trim(),
+        box: box && ymax > ymin && xmax > xmin ? { x: xmin, y: ymin, width: xmax - xmin, height: ymax - ymin } : null
+      };
+    });
+}
+
+/**
+ * Pixel rectangle for a fractional box, padded and clamped to the image
+ */
+function boxToPixels(box, width, height, padding = 12) {
+  const x = Math.max(0, Math.floor(box.x * width - padding));
+  const y = Math.max(0, Math.floor(box.y * height - padding));
+  return {
+    x,
+    y,
+    width: Math.min(width, Math.ceil((box.x + box.width) * width + padding)) - x,
+    height: Math.min(height, Math.ceil((box.y + box.height) * height + padding)) - y
+  };
+}
+
+module.exports = {
+  LAYOUT_SCHEMA,
+  splitQuestions,
+  layoutPrompt,
+  parseLayout,
+  boxToPixels
+};
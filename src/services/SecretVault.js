@@ -0,0 +1,213 @@
+const { safeStorage } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FILE_VERSION = 1;
+// scrypt cost for the passphrase key, kept with the vault so it can be raised later
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+// Sealed with the passphrase key so a wrong passphrase can be told apart
+const CHECK_VALUE = 'hintify-secret-vault';
+
+/**
+ * Encrypted storage for API keys and sign-in tokens, in the main process.
+ *
+ * Values are encrypted with Electron's safeStorage (Keychain on macOS, DPAPI
+ * on Windows, the Secret Service or KWallet on Linux) and kept together in
+ * one JSON file. On Linux without a keyring safeStorage only obfuscates, so
+ * the vault encrypts with a passphrase instead: AES-256-GCM with a key
+ * derived by scrypt. Such a vault is locked until `unlock` is called with
+ * the passphrase, or the passphrase is given in HINTIFY_SECRETS_PASSPHRASE;
+ * the first unlock chooses it.
+ *
+ * A vault file keeps the backend it was created with.
+ */
+class SecretVault {
+  /**
+   * @param {string} file - Vault file, created on first write
+   * @param {Object} [options]
+   * @param {string} [options.passphrase] - Unlocks a passphrase vault on first use
+   */
+  constructor(file, { passphrase = process.env.HINTIFY_SECRETS_PASSPHRASE } = {}) {
+    this.file = file;
+    this.passphrase = passphrase || null;
+    this.data = null;
+    this.key = null;
+    // { backup, error } when load found a damaged vault file
+    this.recovered = null;
+  }
+
+  /**
+   * Whether safeStorage is backed by a real keyring. Only valid once the app is ready.
+   */
+  static keychainAvailable() {
+    if (!safeStorage.isEncryptionAvailable()) return false;
+    // 'basic_text' encrypts with a key built into Chromium
+    return process.platform !== 'linux' || safeStorage.getSelectedStorageBackend() !== 'basic_text';
+  }
+
+  /**
+   * Read the vault file; a missing file gives a new, empty vault. A file that
+   * is not a vault is moved to `<file>.corrupt-<time>` and replaced by a new
+   * vault, with the reason kept in `this.recovered`. Other read errors throw.
+   */
+  load() {
+    if (this.data) return this.data;
+    let text = null;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`[Vault] Could not read the secret vault: ${error.message}`);
+    }
+    if (text !== null) {
+      try {
+        this.data = SecretVault.parse(text);
+      } catch (error) {
+        const backup = `${this.file}.corrupt-${Date.now()}`;
+        fs.renameSync(this.file, backup);
+        this.recovered = { backup, error: error.message };
+        console.error(`[Vault] ${error.message}; moved it to ${backup} and started a new vault`);
+      }
+    }
+    if (!this.data) {
+      this.data = {
+        version: FILE_VERSION,
+        backend: SecretVault.keychainAvailable() ? 'safeStorage' : 'passphrase',
+        entries: {}
+      };
+    }
+    if (this.passphrase && !this.unlock(this.passphrase)) {
+      console.warn('[Vault] HINTIFY_SECRETS_PASSPHRASE does not unlock the secret vault');
+    }
+    this.passphrase = null;
+    return this.data;
+  }
+
+  isLocked() {
+    const data = this.load();
+    if (data.backend === 'safeStorage') return !safeStorage.isEncryptionAvailable();
+    return !this.key;
+  }
+
+  /**
+   * @returns {{backend: string, locked: boolean, initialized: boolean, keys: string[]}}
+   *   `initialized` is false for a passphrase vault whose passphrase has not been chosen
+   */
+  status() {
+    const data = this.load();
+    return {
+      backend: data.backend,
+      locked: this.isLocked(),
+      initialized: data.backend === 'safeStorage' || !!data.kdf,
+      keys: Object.keys(data.entries)
+    };
+  }
+
+  /**
+   * Unlock a passphrase vault. The first call chooses the passphrase.
+   * @returns {boolean} False when the passphrase is wrong
+   */
+  unlock(passphrase) {
+    const data = this.load();
+    if (data.backend !== 'passphrase') return true;
+    if (!passphrase) return false;
+
+    if (!data.kdf) {
+      const salt = crypto.randomBytes(16);
+      this.key = SecretVault.deriveKey(passphrase, salt, SCRYPT_PARAMS);
+      data.kdf = { salt: salt.toString('base64'), ...SCRYPT_PARAMS };
+      data.check = SecretVault.seal(this.key, CHECK_VALUE);
+      this.write();
+      return true;
+    }
+
+    const key = SecretVault.deriveKey(passphrase, Buffer.from(data.kdf.salt, 'base64'), data.kdf);
+    try {
+      if (SecretVault.open(key, data.check) !== CHECK_VALUE) return false;
+    } catch {
+      // GCM authentication fails for the wrong key
+      return false;
+    }
+    this.key = key;
+    return true;
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.load().entries, key);
+  }
+
+  /**
+   * @returns {string|null} null when there is no such secret or the vault is locked
+   */
+  get(key) {
+    if (!this.has(key) || this.isLocked()) return null;
+    const entry = this.data.entries[key];
+    try {
+      return this.data.backend === 'safeStorage'
+        ? safeStorage.decryptString(Buffer.from(entry, 'base64'))
+        : SecretVault.open(this.key, entry);
+    } catch (error) {
+      console.warn(`[Vault] Could not decrypt "${key}":`, error.message);
+      return null;
+    }
+  }
+
+  set(key, value) {
+    if (this.isLocked()) throw new Error('[Vault] The secret vault is locked');
+    this.data.entries[key] = this.data.backend === 'safeStorage'
+      ? safeStorage.encryptString(String(value)).toString('base64')
+      : SecretVault.seal(this.key, String(value));
+    this.write();
+  }
+
+  delete(key) {
+    if (!this.has(key)) return;
+    delete this.data.entries[key];
+    this.write();
+  }
+
+  write() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // Write then rename so a crash never leaves a half-written vault
+    fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    fs.renameSync(`${this.file}.tmp`, this.file);
+  }
+
+  /**
+   * Vault data from the file contents
+   * @throws {Error} When the contents are not a vault
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`The secret vault is not valid JSON (${error.message})`);
+    }
+    if (!data || typeof data !== 'object' || !['safeStorage', 'passphrase'].includes(data.backend)
+      || !data.entries || typeof data.entries !== 'object' || Array.isArray(data.entries)) {
+      throw new Error('The secret vault file is damaged');
+    }
+    return data;
+  }
+
+  static deriveKey(passphrase, salt, { N, r, p }) {
+    return crypto.scryptSync(String(passphrase).normalize('NFKC'), salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
+  }
+
+  static seal(key, text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+
+  static open(key, { iv, tag, data }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = SecretVault;
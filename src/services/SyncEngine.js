@@ -0,0 +1,194 @@
+const EventEmitter = require('events');
+
+const SYNC_INTERVAL = 60 * 1000;
+// Questions pushed per run; the rest follow in the next run straight away
+const BATCH_SIZE = 25;
+// A question that fails this often is parked as a conflict instead of retried forever
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Pushes questions from LocalHistoryStore to Neon (through AuthService and
+ * its DatabaseService) whenever a user is signed in and the device is online.
+ *
+ * Conflicts are settled like this:
+ * - Guest questions are claimed by the user who signs in on this device,
+ *   but only when `confirmClaim` agrees; otherwise they stay local.
+ * - Questions of another account stay local and are never pushed.
+ * - A push whose reply was lost is found again by `metadata.local_id`, so it
+ *   is not inserted twice.
+ * - Later changes (rating, follow-up thread) are merged into the remote
+ *   metadata; local keys win, keys set elsewhere are kept.
+ * - A question changed while its push was in flight is pushed again.
+ * - A question deleted remotely is kept locally, marked as a conflict and
+ *   not uploaded again.
+ *
+ * Emits 'status' with the object from `status()` whenever it changes.
+ */
+class SyncEngine extends EventEmitter {
+  /**
+   * @param {LocalHistoryStore} store
+   * @param {AuthService} authService
+   * @param {Object} [options]
+   * @param {() => boolean} [options.isOnline]
+   * @param {string} [options.currentSessionId] - Local session of this app run
+   * @param {number} [options.interval] - Milliseconds between background runs
+   * @param {(user: Object, count: number) => Promise<boolean>} [options.confirmClaim] - Asked
+   *   on each run while there are guest questions; true gives them to `user`
+   */
+  constructor(store, authService, { isOnline = () => true, currentSessionId = null, interval = SYNC_INTERVAL, confirmClaim = async () => false } = {}) {
+    super();
+    this.store = store;
+    this.auth = authService;
+    this.isOnline = isOnline;
+    this.confirmClaim = confirmClaim;
+    this.currentSessionId = currentSessionId;
+    this.interval = interval;
+    this.timer = null;
+    this.scheduled = null;
+    this.running = null;
+    this.rerun = false;
+    this.state = { state: 'local', error: null, lastSyncedAt: null };
+  }
+
+  start() {
+    if (!this.timer) this.timer = setInterval(() => this.sync(), this.interval);
+    this.schedule(0);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.scheduled);
+    this.timer = null;
+  }
+
+  /**
+   * Run a sync soon; calls within `delay` are coalesced
+   */
+  schedule(delay = 1500) {
+    clearTimeout(this.scheduled);
+    this.scheduled = setTimeout(() => this.sync(), delay);
+  }
+
+  /**
+   * @returns {{state: string, pending: number, conflicts: number, total: number, error: string|null, lastSyncedAt: string|null}}
+   *   state is 'local' (nobody signed in), 'offline', 'syncing', 'synced' or 'error'
+   */
+  status() {
+    const userId = this.auth.getCurrentUser()?.id || null;
+    return { ...this.state, ...this.store.counts(userId) };
+  }
+
+  setStatus(change) {
+    this.state = { ...this.state, ...change };
+    this.emit('status', this.status());
+  }
+
+  async sync() {
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+    this.running = this.run()
+      .catch(error => this.setStatus({ state: 'error', error: error?.message || String(error) }))
+      .finally(() => {
+        this.running = null;
+        if (this.rerun) {
+          this.rerun = false;
+          this.schedule(0);
+        }
+      });
+    return this.running;
+  }
+
+  async run() {
+    const user = this.auth.getCurrentUser();
+    if (!user?.id) return this.setStatus({ state: 'local', error: null });
+    if (!this.isOnline()) return this.setStatus({ state: 'offline', error: null });
+
+    const guests = this.store.questionsFor(null).length;
+    if (guests && await this.confirmClaim(user, guests)) this.store.claimGuestQuestions(user.id);
+    const pending = this.store.pendingFor(user.id);
+    if (!pending.length) return this.setStatus({ state: 'synced', error: null });
+
+    this.setStatus({ state: 'syncing', error: null });
+    let error = null;
+    for (const record of pending.slice(0, BATCH_SIZE)) {
+      try {
+        await this.push(record, user);
+      } catch (e) {
+        error = e?.message || String(e);
+        const failed = this.store.markFailed(record.id, error);
+        if (failed?.sync.attempts >= MAX_ATTEMPTS) {
+          this.store.markConflict(record.id, `Gave up after ${MAX_ATTEMPTS} attempts: ${error}`);
+        }
+        if (!this.isOnline()) return this.setStatus({ state: 'offline', error: null });
+      }
+    }
+
+    if (error) return this.setStatus({ state: 'error', error });
+    this.setStatus({ state: 'synced', error: null, lastSyncedAt: new Date().toISOString() });
+    if (pending.length > BATCH_SIZE) this.schedule(0);
+  }
+
+  async push(record, user) {
+    const db = this.auth.dbService;
+    const metadata = { ...record.metadata, local_id: record.id, rating: record.rating };
+    let remote = record.sync.remote_question_id
+      ? { questionId: record.sync.remote_question_id, answerId: record.sync.remote_answer_id }
+      : null;
+
+    if (!remote) {
+      const existing = await db.findQuestionByLocalId(user.id, record.id);
+      if (existing) remote = { questionId: existing.id, answerId: existing.answer_id };
+    }
+
+    if (!remote) {
+      const ids = await this.auth.saveQuestionAnswer({
+        sessionId: await this.remoteSession(record.session_id, user),
+        questionText: record.question_text,
+        questionType: record.question_type,
+        imageData: record.has_image ? this.store.readImage(record.id) : null,
+        metadata,
+        answerText: record.answer?.answer_text || '',
+        aiProvider: record.answer?.ai_provider,
+        aiModel: record.answer?.ai_model,
+        processingTime: record.answer?.processing_time_ms
+      });
+      this.store.markSynced(record.id, record.version, ids);
+      return;
+    }
+
+    const updated = await db.updateQuestionMetadata(remote.questionId, user.id, metadata);
+    if (!updated) {
+      this.store.markConflict(record.id, 'Deleted from your account elsewhere; kept on this device only');
+      return;
+    }
+    this.store.markSynced(record.id, record.version, remote);
+  }
+
+  /**
+   * Neon session for a local session, started on first use. Sessions from
+   * earlier runs of the app are started and ended right away.
+   */
+  async remoteSession(localSessionId, user) {
+    const current = this.auth.getCurrentSession();
+    const session = localSessionId ? this.store.get(localSessionId) : null;
+    if (!session) return current?.id || null;
+    if (session.remote?.[user.id]) return session.remote[user.id];
+
+    let remoteId;
+    if (localSessionId === this.currentSessionId && current?.id) {
+      remoteId = current.id;
+    } else {
+      const db = this.auth.dbService;
+      remoteId = await db.startAppSession(user.id, session.device_info, session.app_version);
+      if (session.ended_at) await db.endAppSession(remoteId);
+    }
+    this.store.setRemoteSession(localSessionId, user.id, remoteId);
+    return remoteId;
+  }
+}
+
+SyncEngine.SYNC_INTERVAL = SYNC_INTERVAL;
+
+module.exports = SyncEngine;
@@ -0,0 +1,260 @@
+/**
+ * Base class for AI providers.
+ *
+ * A provider describes itself (id, label, capabilities, config schema) and
+ * implements the calls the hint pipelines need. Like the original query
+ * helpers, generation methods never throw: failures come back as strings
+ * prefixed with `[Setup]` or `[LLM Error]` so `displayHints` can render them.
+ * An aborted stream resolves to `BaseProvider.CANCELLED`.
+ */
+class BaseProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Stable identifier stored in config.provider
+   * @param {string} options.label - Human readable name shown in settings
+   * @param {Object} [options.capabilities] - { text, vision, streaming }
+   * @param {Array<Object>} [options.configSchema] - Field descriptors, see below
+   *
+   * Each schema field looks like:
+   * { key, label, type: 'text'|'url'|'secret'|'number'|'boolean'|'select',
+   *   default, required, options: [{ value, label }], env, help,
+   *   min, max, integer (numbers), pattern (RegExp for text) }
+   */
+  constructor({ id, label, capabilities = {}, configSchema = [] }) {
+    this.id = id;
+    this.label = label;
+    this.capabilities = {
+      text: true,
+      vision: false,
+      streaming: false,
+      ...capabilities
+    };
+    this.configSchema = configSchema;
+  }
+
+  /**
+   * Key of the schema field holding the model name
+   */
+  get modelKey() {
+    return `${this.id}_model`;
+  }
+
+  /**
+   * Build the settings object this provider reads from.
+   * @param {Function} getValue - (key) => stored value or undefined
+   * @returns {Object} Settings keyed by schema field key
+   */
+  resolveSettings(getValue) {
+    const settings = {};
+    for (const field of this.configSchema) {
+      let value = getValue(field.key);
+      if ((value === undefined || value === null || value === '') && field.env) {
+        value = process.env[field.env];
+      }
+      if (value === undefined || value === null || value === '') {
+        value = field.default;
+      }
+      settings[field.key] = value;
+    }
+    return settings;
+  }
+
+  /**
+   * Defaults for the non-secret fields, suitable for merging into app config
+   */
+  getConfigDefaults() {
+    const defaults = {};
+    for (const field of this.configSchema) {
+      if (field.type !== 'secret' && field.default !== undefined) {
+        defaults[field.key] = field.default;
+      }
+    }
+    return defaults;
+  }
+
+  /**
+   * Model name used for display and when saving answers
+   */
+  getModel(settings = {}) {
+    return settings[this.modelKey] || '';
+  }
+
+  /**
+   * Validate settings before they are saved.
+   * Secrets are not required here; missing keys are reported at query time.
+   * @returns {string[]} Validation errors
+   */
+  validate(settings = {}) {
+    const errors = [];
+    for (const field of this.configSchema) {
+      if (field.type === 'secret') continue;
+      const value = settings[field.key];
+      if (value === undefined || value === null || String(value).trim() === '') {
+        if (field.required) errors.push(`${field.label} is required for ${this.label}`);
+        continue;
+      }
+
+      const error = this._validateField(field, value);
+      if (error) errors.push(error);
+    }
+    return errors;
+  }
+
+  /**
+   * Type check a single non-empty value
+   * @returns {string|null} Error message
+   */
+  _validateField(field, value) {
+    if (field.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number) || (field.integer && !Number.isInteger(number))) {
+        return `${field.label} must be ${field.integer ? 'a whole number' : 'a number'}`;
+      }
+      if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+        return `${field.label} must be between ${field.min ?? '-∞'} and ${field.max ?? '∞'}`;
+      }
+    } else if (field.type === 'url') {
+      try {
+        const url = new URL(String(value));
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('protocol');
+      } catch {
+        return `${field.label} must be an http(s) URL`;
+      }
+    } else if (field.pattern && !field.pattern.test(String(value).trim())) {
+      return `${field.label} has an invalid format`;
+    }
+    return null;
+  }
+
+  /**
+   * Generate a completion from a text prompt
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Object} [options.responseSchema] - JSON Schema the reply should
+   *   follow. Providers that can constrain their output enforce it; others
+   *   rely on the prompt describing the format.
+   * @returns {Promise<string>}
+   */
+  async generateText(_prompt, _settings, _options) {
+    return `[Setup] ${this.label} does not support text prompts.`;
+  }
+
+  /**
+   * Generate a completion from a prompt and a PNG screenshot
+   * @see generateText
+   */
+  async generateFromImage(_prompt, _imageBuffer, _settings, _options) {
+    return `[Setup] ${this.label} does not support image input. Turn off Advanced Mode or switch provider in Settings.`;
+  }
+
+  /**
+   * Stream a completion from a text prompt.
+   * Providers without streaming deliver the whole completion as one chunk.
+   * @param {Object} [options]
+   * @param {Function} [options.onToken] - (chunk, textSoFar) => void
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Object} [options.responseSchema] - See generateText
+   * @returns {Promise<string>} Full completion or an error string
+   */
+  async streamText(prompt, settings, { onToken, signal, responseSchema } = {}) {
+    const text = await this.generateText(prompt, settings, { signal, responseSchema });
+    if (onToken && !text.startsWith('[')) onToken(text, text);
+    return text;
+  }
+
+  /**
+   * Stream a completion from a prompt and a PNG screenshot
+   * @see streamText
+   */
+  async streamFromImage(prompt, imageBuffer, settings, { onToken, signal, responseSchema } = {}) {
+    const text = await this.generateFromImage(prompt, imageBuffer, settings, { signal, responseSchema });
+    if (onToken && !text.startsWith('[')) onToken(text, text);
+    return text;
+  }
+
+  /**
+   * Multi-turn chat.
+   * Providers without a chat endpoint receive the conversation as one prompt.
+   * @param {Array<{role: string, content: string}>} messages - 'system', 'user' or 'assistant' turns
+   * @param {Object} settings
+   * @param {Object} [options] - onToken and signal, see streamText
+   * @returns {Promise<string>} Reply or an error string
+   */
+  async chat(messages, settings, options = {}) {
+    const speaker = { system: '', user: 'Student: ', assistant: 'Tutor: ' };
+    const prompt = messages.map(m => `${speaker[m.role] || ''}${m.content}`).join('\n\n');
+    return this.streamText(`${prompt}\n\nTutor:`, settings, options);
+  }
+
+  /**
+   * Read a streamed fetch() response line by line (NDJSON and SSE both
+   * put one event per line)
+   * @param {Response} response - fetch response with a readable body
+   * @param {Function} onLine - Called with each non-empty, trimmed line
+   */
+  async _readLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (line) onLine(line);
+        }
+      }
+      if (buffer.trim()) onLine(buffer.trim());
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Turn a non-2xx fetch response into an Error carrying the status
+   */
+  async _httpError(response) {
+    let message = `Request failed with status code ${response.status}`;
+    try {
+      const body = await response.json();
+      message = body?.error?.message || body?.error || message;
+    } catch { }
+    const error = new Error(message);
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Check the provider from the settings page
+   * @returns {Promise<{success: boolean, level: string, message: string}>}
+   */
+  async testConnection(_settings) {
+    return { success: true, level: 'info', message: `${this.label} has no connection test.` };
+  }
+
+  /**
+   * Startup readiness check for the main window
+   * @returns {Promise<{ready: boolean, status: string, warning: string|null}>}
+   *   `warning` is HTML; settings in it must go through `BaseProvider.escapeHtml`
+   */
+  async checkStatus(_settings) {
+    return { ready: true, status: `Ready - ${this.label} configured`, warning: null };
+  }
+}
+
+BaseProvider.CANCELLED = '[Cancelled] Hint generation was cancelled.';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Text for use in HTML, e.g. a server URL in a status warning
+ */
+BaseProvider.escapeHtml = text => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+module.exports = BaseProvider;
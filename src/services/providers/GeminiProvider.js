@@ -0,0 +1,259 @@
+const axios = require('axios');
+const BaseProvider = require('./BaseProvider');
+
+const GEMINI_API = 'https://generativelanguage.googleapis.com/v1beta/models';
+const FALLBACK_MODEL = 'gemini-1.5-flash';
+
+/**
+ * Google Gemini (cloud)
+ */
+class GeminiProvider extends BaseProvider {
+  constructor() {
+    super({
+      id: 'gemini',
+      label: 'Gemini',
+      capabilities: { text: true, vision: true, streaming: true },
+      configSchema: [
+        {
+          key: 'gemini_model',
+          label: 'Gemini model',
+          type: 'select',
+          default: 'gemini-2.0-flash',
+          required: true,
+          options: [
+            { value: 'gemini-2.0-flash', label: 'gemini-2.0-flash' },
+            { value: 'gemini-2.0-flash-exp', label: 'gemini-2.0-flash-exp' },
+            { value: 'gemini-1.5-flash', label: 'gemini-1.5-flash' },
+            { value: 'gemini-1.5-pro', label: 'gemini-1.5-pro' }
+          ]
+        },
+        {
+          key: 'gemini_api_key',
+          label: 'Gemini API key',
+          type: 'secret',
+          env: 'GEMINI_API_KEY',
+          required: true
+        }
+      ]
+    });
+  }
+
+  _missingKey() {
+    return '[Setup] Gemini API key not set. Please configure in Settings.';
+  }
+
+  /**
+   * Convert a JSON Schema into Gemini's OpenAPI-style schema (upper-case types)
+   */
+  _geminiSchema(schema) {
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === 'type') {
+        converted.type = String(value).toUpperCase();
+      } else if (key === 'properties') {
+        converted.properties = Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, this._geminiSchema(prop)]));
+      } else if (key === 'items') {
+        converted.items = this._geminiSchema(value);
+      } else if (['description', 'enum', 'required', 'nullable', 'format'].includes(key)) {
+        converted[key] = value;
+      }
+    }
+    return converted;
+  }
+
+  /**
+   * generateContent body. `contents` is a list of turns ({ role, parts });
+   * single prompts send one turn without a role.
+   */
+  _requestBody(contents, { responseSchema, systemInstruction } = {}) {
+    const body = { contents };
+    if (systemInstruction) {
+      body.systemInstruction = { parts: [{ text: systemInstruction }] };
+    }
+    if (responseSchema) {
+      body.generationConfig = {
+        responseMimeType: 'application/json',
+        responseSchema: this._geminiSchema(responseSchema)
+      };
+    }
+    return body;
+  }
+
+  async _generate(contents, model, apiKey, options = {}) {
+    const response = await axios.post(`${GEMINI_API}/${model}:generateContent`, this._requestBody(contents, options), {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-goog-api-key': apiKey
+      }
+    });
+
+    const candidates = response.data.candidates || [];
+    const texts = (candidates[0]?.content?.parts || []).map(part => part.text).filter(Boolean);
+    return texts.join('\n').trim();
+  }
+
+  async generateText(prompt, settings = {}, options = {}, model = this.getModel(settings)) {
+    const apiKey = settings.gemini_api_key;
+    if (!apiKey) return this._missingKey();
+
+    try {
+      const text = await this._generate([{ parts: [{ text: prompt }] }], model, apiKey, options);
+      return text || '[LLM Error] Empty response from Gemini';
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 403) {
+        // Fallback to gemini-1.5-flash
+        if (model !== FALLBACK_MODEL) {
+          return this.generateText(prompt, settings, options, FALLBACK_MODEL);
+        }
+      }
+      return `[LLM Error] ${error.message}`;
+    }
+  }
+
+  _partsText(data) {
+    const parts = data?.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text).filter(Boolean).join('');
+  }
+
+  /**
+   * streamGenerateContent with alt=sse; each `data:` line carries a partial response
+   */
+  async _stream(contents, model, apiKey, { onToken, signal, responseSchema, systemInstruction } = {}) {
+    const response = await fetch(`${GEMINI_API}/${model}:streamGenerateContent?alt=sse`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-goog-api-key': apiKey
+      },
+      body: JSON.stringify(this._requestBody(contents, { responseSchema, systemInstruction })),
+      signal
+    });
+    if (!response.ok) {
+      throw await this._httpError(response);
+    }
+
+    let text = '';
+    await this._readLines(response, (line) => {
+      if (!line.startsWith('data:')) return;
+      const chunk = this._partsText(JSON.parse(line.slice(5)));
+      if (chunk) {
+        text += chunk;
+        if (onToken) onToken(chunk, text);
+      }
+    });
+    return text.trim();
+  }
+
+  /**
+   * Stream with the selected model, retrying once on the fallback model when
+   * the request is rejected before any text arrived
+   */
+  async _streamWithFallback(contents, settings, options, retryStatuses, emptyMessage) {
+    const apiKey = settings.gemini_api_key;
+    if (!apiKey) return this._missingKey();
+
+    const model = this.getModel(settings);
+    try {
+      return (await this._stream(contents, model, apiKey, options)) || emptyMessage;
+    } catch (error) {
+      if (error.name === 'AbortError') return BaseProvider.CANCELLED;
+      if (retryStatuses.includes(error.status) && model !== FALLBACK_MODEL) {
+        try {
+          return (await this._stream(contents, FALLBACK_MODEL, apiKey, options)) || emptyMessage;
+        } catch (e2) {
+          return e2.name === 'AbortError' ? BaseProvider.CANCELLED : `[LLM Error] ${e2.message}`;
+        }
+      }
+      return `[LLM Error] ${error.message}`;
+    }
+  }
+
+  async streamText(prompt, settings = {}, options = {}) {
+    return this._streamWithFallback([{ parts: [{ text: prompt }] }], settings, options, [403, 404], '[LLM Error] Empty response from Gemini');
+  }
+
+  /**
+   * Multi-turn chat: system messages become the system instruction, the rest
+   * map onto user/model turns
+   */
+  async chat(messages, settings = {}, options = {}) {
+    const systemInstruction = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const contents = messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+    return this._streamWithFallback(contents, settings, { ...options, systemInstruction }, [403, 404], '[LLM Error] Empty response from Gemini');
+  }
+
+  async streamFromImage(prompt, imageBuffer, settings = {}, options = {}) {
+    const parts = [
+      { inline_data: { mime_type: 'image/png', data: Buffer.from(imageBuffer).toString('base64') } },
+      { text: prompt }
+    ];
+    return this._streamWithFallback([{ parts }], settings, options, [400, 403, 404], '[LLM Error] Empty response from Gemini (vision)');
+  }
+
+  // Falls back to a known multimodal model if the selected one rejects images
+  async generateFromImage(prompt, imageBuffer, settings = {}, options = {}) {
+    const apiKey = settings.gemini_api_key;
+    if (!apiKey) return this._missingKey();
+
+    const model = this.getModel(settings);
+    const parts = [
+      { inline_data: { mime_type: 'image/png', data: Buffer.from(imageBuffer).toString('base64') } },
+      { text: prompt }
+    ];
+    const empty = '[LLM Error] Empty response from Gemini (vision)';
+
+    try {
+      return (await this._generate([{ parts }], model, apiKey, options)) || empty;
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 400 || error.response?.status === 403) {
+        if (model !== FALLBACK_MODEL) {
+          try { return (await this._generate([{ parts }], FALLBACK_MODEL, apiKey, options)) || empty; } catch (e2) { return `[LLM Error] ${e2.message}`; }
+        }
+      }
+      return `[LLM Error] ${error.message}`;
+    }
+  }
+
+  async testConnection(settings = {}) {
+    const apiKey = settings.gemini_api_key;
+    if (!apiKey) {
+      return { success: false, level: 'warning', message: 'Please enter a Gemini API key first.' };
+    }
+
+    try {
+      const url = `${GEMINI_API}/${this.getModel(settings)}?key=${apiKey}`;
+      const response = await axios.get(url, { timeout: 10000 });
+      if (response.status !== 200) {
+        throw new Error('Invalid response from Gemini API');
+      }
+      return { success: true, level: 'success', message: 'Gemini API key is valid!' };
+    } catch (error) {
+      console.error('[Gemini] ✗ Connection test failed:', error.message);
+      if (error.response && error.response.status === 400) {
+        return { success: false, level: 'error', message: 'Invalid API key. Please check and try again.' };
+      }
+      return { success: false, level: 'error', message: 'Failed to connect to Gemini API.' };
+    }
+  }
+
+  async checkStatus(settings = {}) {
+    if (settings.gemini_api_key) {
+      return { ready: true, status: 'Ready - Gemini configured', warning: null };
+    }
+    return {
+      ready: false,
+      status: 'Warning: Gemini API key not set',
+      warning: `
+        <div class="warning-message">
+          <h3>⚠️ Gemini API Key Missing</h3>
+          <p>Please configure your Gemini API key in Settings to use Google's AI.</p>
+          <p>Get your free API key from <a href="https://makersuite.google.com/app/apikey" target="_blank" rel="noopener">Google AI Studio</a></p>
+        </div>
+      `
+    };
+  }
+}
+
+module.exports = GeminiProvider;
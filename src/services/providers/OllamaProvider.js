@@ -0,0 +1,264 @@
+const axios = require('axios');
+const BaseProvider = require('./BaseProvider');
+
+const DEFAULT_URL = 'http://localhost:11434';
+const DEFAULT_TIMEOUT_SECONDS = 120;
+
+/**
+ * Local models served by Ollama
+ */
+class OllamaProvider extends BaseProvider {
+  constructor() {
+    super({
+      id: 'ollama',
+      label: 'Ollama',
+      capabilities: { text: true, vision: true, streaming: true },
+      configSchema: [
+        {
+          key: 'ollama_base_url',
+          label: 'Ollama server URL',
+          type: 'url',
+          default: DEFAULT_URL,
+          required: true
+        },
+        {
+          key: 'ollama_model',
+          label: 'Ollama model',
+          type: 'text',
+          default: 'granite3.2-vision:2b',
+          required: true
+        },
+        {
+          key: 'ollama_timeout',
+          label: 'Request timeout (seconds)',
+          type: 'number',
+          default: DEFAULT_TIMEOUT_SECONDS,
+          min: 5,
+          max: 3600
+        },
+        {
+          key: 'ollama_keep_alive',
+          label: 'Keep alive',
+          type: 'text',
+          default: '',
+          pattern: /^(-?\d+(\.\d+)?(ms|s|m|h)?)?$/,
+          help: 'How long the model stays loaded, e.g. 5m, 1h, 0 or -1 (forever). Empty uses the server default.'
+        },
+        // Generation options; null leaves the model's own default in place
+        { key: 'ollama_temperature', label: 'Temperature', type: 'number', default: null, min: 0, max: 2 },
+        { key: 'ollama_num_ctx', label: 'Context window (num_ctx)', type: 'number', default: null, min: 256, max: 1048576, integer: true },
+        { key: 'ollama_seed', label: 'Seed', type: 'number', default: null, integer: true }
+      ]
+    });
+  }
+
+  _baseUrl(settings = {}) {
+    return String(settings.ollama_base_url || DEFAULT_URL).trim().replace(/\/+$/, '');
+  }
+
+  _timeoutMs(settings = {}) {
+    const seconds = Number(settings.ollama_timeout);
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TIMEOUT_SECONDS) * 1000;
+  }
+
+  /**
+   * Request body for /api/generate: model, keep_alive, generation options and,
+   * when a response schema is requested, JSON mode
+   */
+  _requestBody(settings, body, { responseSchema } = {}) {
+    const request = { model: this.getModel(settings), ...body };
+    if (responseSchema) request.format = 'json';
+
+    const options = {};
+    if (settings.ollama_temperature !== null && settings.ollama_temperature !== undefined) options.temperature = Number(settings.ollama_temperature);
+    if (settings.ollama_num_ctx !== null && settings.ollama_num_ctx !== undefined) options.num_ctx = Number(settings.ollama_num_ctx);
+    if (settings.ollama_seed !== null && settings.ollama_seed !== undefined) options.seed = Number(settings.ollama_seed);
+    if (Object.keys(options).length) request.options = options;
+
+    if (settings.ollama_keep_alive) {
+      // Plain numbers are seconds; Ollama expects them as numbers, durations as strings
+      const keepAlive = String(settings.ollama_keep_alive).trim();
+      request.keep_alive = /^-?\d+$/.test(keepAlive) ? Number(keepAlive) : keepAlive;
+    }
+
+    return request;
+  }
+
+  /**
+   * List installed models
+   * @returns {Promise<Array>} Model objects from /api/tags
+   */
+  async listModels(settings = {}, timeout = 5000) {
+    const response = await axios.get(`${this._baseUrl(settings)}/api/tags`, { timeout });
+    return (response.data && response.data.models) || [];
+  }
+
+  // Map axios and fetch failures onto the [Setup]/[LLM Error] contract
+  _errorMessage(error, settings, vision = false) {
+    if (error.name === 'TimeoutError' || error.code === 'ECONNABORTED') {
+      return `[LLM Error] Ollama did not respond within ${this._timeoutMs(settings) / 1000}s. Increase the timeout in Settings or try a smaller model.`;
+    }
+    if (error.name === 'AbortError') {
+      return BaseProvider.CANCELLED;
+    }
+    // fetch reports a refused connection as a TypeError ("fetch failed" / "Failed to fetch")
+    if (['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND'].includes(error.code || error.cause?.code) || error.name === 'TypeError') {
+      return `[Setup] Ollama not running at ${this._baseUrl(settings)}. Please start Ollama first.`;
+    }
+    const status = error.response?.status || error.status;
+    if (vision && (status === 400 || status === 404)) {
+      return '[Setup] The selected Ollama model may not support images. Try a vision-capable model (e.g., granite3.2-vision:2b, llava, llama3.2-vision) or switch provider in Settings.';
+    }
+    return `[LLM Error] ${error.message}`;
+  }
+
+  /**
+   * POST to /api/generate (or /api/chat) with stream: true and collect the
+   * NDJSON chunks. The timeout applies to silence: it restarts whenever a
+   * chunk arrives, so long answers are not cut off while the model is still writing.
+   */
+  async _stream(settings, body, { onToken, signal, responseSchema } = {}, endpoint = '/api/generate') {
+    const controller = new AbortController();
+    const timeoutMs = this._timeoutMs(settings);
+    let timedOut = false;
+    let timer = null;
+    const armTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+    };
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      armTimer();
+      const response = await fetch(`${this._baseUrl(settings)}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this._requestBody(settings, { ...body, stream: true }, { responseSchema })),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw await this._httpError(response);
+      }
+
+      let text = '';
+      await this._readLines(response, (line) => {
+        armTimer();
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(data.error);
+        // /api/generate streams `response`, /api/chat streams `message.content`
+        const chunk = data.response || data.message?.content;
+        if (chunk) {
+          text += chunk;
+          if (onToken) onToken(chunk, text);
+        }
+      });
+      return text;
+    } catch (error) {
+      if (timedOut) {
+        const timeoutError = new Error('Ollama request timed out');
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async generateText(prompt, settings = {}, options = {}) {
+    try {
+      const response = await axios.post(`${this._baseUrl(settings)}/api/generate`,
+        this._requestBody(settings, { prompt, stream: false }, options),
+        { timeout: this._timeoutMs(settings) });
+
+      return response.data.response || '[LLM Error] Empty response from Ollama';
+    } catch (error) {
+      return this._errorMessage(error, settings);
+    }
+  }
+
+  async generateFromImage(prompt, imageBuffer, settings = {}, options = {}) {
+    try {
+      const base64 = Buffer.from(imageBuffer).toString('base64');
+      const response = await axios.post(`${this._baseUrl(settings)}/api/generate`,
+        this._requestBody(settings, { prompt, images: [base64], stream: false }, options),
+        { timeout: this._timeoutMs(settings) });
+      return response.data.response || '[LLM Error] Empty response from Ollama (vision)';
+    } catch (error) {
+      return this._errorMessage(error, settings, true);
+    }
+  }
+
+  async streamText(prompt, settings = {}, options = {}) {
+    try {
+      const text = await this._stream(settings, { prompt }, options);
+      return text || '[LLM Error] Empty response from Ollama';
+    } catch (error) {
+      return this._errorMessage(error, settings);
+    }
+  }
+
+  async streamFromImage(prompt, imageBuffer, settings = {}, options = {}) {
+    try {
+      const images = [Buffer.from(imageBuffer).toString('base64')];
+      const text = await this._stream(settings, { prompt, images }, options);
+      return text || '[LLM Error] Empty response from Ollama (vision)';
+    } catch (error) {
+      return this._errorMessage(error, settings, true);
+    }
+  }
+
+  /**
+   * Multi-turn chat through /api/chat; roles (system/user/assistant) pass through
+   */
+  async chat(messages, settings = {}, options = {}) {
+    try {
+      const text = await this._stream(settings, { messages: messages.map(({ role, content }) => ({ role, content })) }, options, '/api/chat');
+      return text || '[LLM Error] Empty response from Ollama';
+    } catch (error) {
+      return this._errorMessage(error, settings);
+    }
+  }
+
+  async testConnection(settings = {}) {
+    try {
+      const models = await this.listModels(settings);
+      if (models.length > 0) {
+        return { success: true, level: 'success', message: `Ollama connected! Found ${models.length} models.` };
+      }
+      return { success: true, level: 'warning', message: 'Ollama connected, but no models available.' };
+    } catch (error) {
+      console.error('[Ollama] ✗ Connection test failed:', error.message);
+      return { success: false, level: 'error', message: `Cannot connect to Ollama at ${this._baseUrl(settings)}. Is it running?` };
+    }
+  }
+
+  async checkStatus(settings = {}) {
+    try {
+      await this.listModels(settings, 3000);
+      return { ready: true, status: 'Ready - Ollama connected', warning: null };
+    } catch (error) {
+      console.warn('Ollama status check failed:', error && (error.message || error));
+      return {
+        ready: false,
+        status: 'Warning: Ollama not running',
+        warning: `
+        <div class="warning-message">
+          <h3>⚠️ Ollama Not Running</h3>
+          <p>Ollama is not reachable at <code>${BaseProvider.escapeHtml(this._baseUrl(settings))}</code>. To use SnapAssist AI:</p>
+          <ul>
+            <li>Open Ollama application, or</li>
+            <li>Run <code>ollama serve</code> in terminal</li>
+            <li>If Ollama runs on another machine, check the server URL in Settings</li>
+            <li>Or go to Settings and switch to Gemini</li>
+          </ul>
+        </div>
+      `
+      };
+    }
+  }
+}
+
+module.exports = OllamaProvider;
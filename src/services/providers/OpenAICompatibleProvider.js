@@ -0,0 +1,188 @@
+const axios = require('axios');
+const BaseProvider = require('./BaseProvider');
+
+// Local servers can take a while to load a model on the first request
+const REQUEST_TIMEOUT_MS = 120000;
+
+/**
+ * Any server speaking the OpenAI chat-completions protocol
+ * (llama.cpp server, LM Studio, vLLM, ...)
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor() {
+    super({
+      id: 'openai',
+      label: 'OpenAI-compatible',
+      capabilities: { text: true, vision: true, streaming: false },
+      configSchema: [
+        {
+          key: 'openai_base_url',
+          label: 'Server URL',
+          type: 'url',
+          default: 'http://localhost:8080/v1',
+          required: true,
+          placeholder: 'http://localhost:8080/v1',
+          help: 'Base URL of the server; /v1 is added if missing (llama.cpp: 8080, LM Studio: 1234, vLLM: 8000)'
+        },
+        {
+          key: 'openai_model',
+          label: 'Model',
+          type: 'text',
+          default: '',
+          required: true,
+          placeholder: 'e.g. qwen2.5-vl-7b-instruct',
+          help: 'Model name as reported by the server. Advanced Mode needs a vision-capable model.'
+        },
+        {
+          key: 'openai_api_key',
+          label: 'API key (optional)',
+          type: 'secret',
+          env: 'OPENAI_API_KEY',
+          help: 'Only needed if the server was started with an API key'
+        }
+      ]
+    });
+  }
+
+  /**
+   * Normalise the configured URL to the `/v1` root
+   */
+  _apiRoot(settings) {
+    const base = String(settings.openai_base_url || '').trim().replace(/\/+$/, '');
+    return /\/v1$/.test(base) ? base : `${base}/v1`;
+  }
+
+  _headers(settings) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.openai_api_key) {
+      headers.Authorization = `Bearer ${settings.openai_api_key}`;
+    }
+    return headers;
+  }
+
+  async _chat(messages, settings, { signal } = {}) {
+    const response = await axios.post(`${this._apiRoot(settings)}/chat/completions`, {
+      model: this.getModel(settings),
+      messages,
+      stream: false
+    }, { headers: this._headers(settings), timeout: REQUEST_TIMEOUT_MS, signal });
+
+    const message = response.data?.choices?.[0]?.message;
+    return (message && typeof message.content === 'string') ? message.content.trim() : '';
+  }
+
+  _errorMessage(error, settings) {
+    if (axios.isCancel(error)) {
+      return BaseProvider.CANCELLED;
+    }
+    if (error.code === 'ECONNABORTED') {
+      return `[LLM Error] The OpenAI-compatible server did not respond within ${REQUEST_TIMEOUT_MS / 1000}s.`;
+    }
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return `[Setup] OpenAI-compatible server not reachable at ${this._apiRoot(settings)}. Please start it or check the URL in Settings.`;
+    }
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      return '[Setup] The server rejected the API key. Please check it in Settings.';
+    }
+    const detail = error.response?.data?.error?.message;
+    return `[LLM Error] ${detail || error.message}`;
+  }
+
+  async generateText(prompt, settings = {}, { signal } = {}) {
+    if (!this.getModel(settings)) {
+      return '[Setup] No model set for the OpenAI-compatible server. Please configure it in Settings.';
+    }
+
+    try {
+      return (await this._chat([{ role: 'user', content: prompt }], settings, { signal })) || '[LLM Error] Empty response from OpenAI-compatible server';
+    } catch (error) {
+      return this._errorMessage(error, settings);
+    }
+  }
+
+  async chat(messages, settings = {}, { onToken, signal } = {}) {
+    if (!this.getModel(settings)) {
+      return '[Setup] No model set for the OpenAI-compatible server. Please configure it in Settings.';
+    }
+
+    try {
+      const text = (await this._chat(messages.map(({ role, content }) => ({ role, content })), settings, { signal })) || '[LLM Error] Empty response from OpenAI-compatible server';
+      if (onToken && !text.startsWith('[')) onToken(text, text);
+      return text;
+    } catch (error) {
+      return this._errorMessage(error, settings);
+    }
+  }
+
+  async generateFromImage(prompt, imageBuffer, settings = {}, { signal } = {}) {
+    if (!this.getModel(settings)) {
+      return '[Setup] No model set for the OpenAI-compatible server. Please configure it in Settings.';
+    }
+
+    const content = [
+      { type: 'text', text: prompt },
+      { type: 'image_url', image_url: { url: `data:image/png;base64,${Buffer.from(imageBuffer).toString('base64')}` } }
+    ];
+
+    try {
+      return (await this._chat([{ role: 'user', content }], settings, { signal })) || '[LLM Error] Empty response from OpenAI-compatible server (vision)';
+    } catch (error) {
+      if (error.response?.status === 400 || error.response?.status === 500) {
+        return '[Setup] The selected model may not accept images. Load a vision model (with its mmproj file for llama.cpp) or turn off Advanced Mode.';
+      }
+      return this._errorMessage(error, settings);
+    }
+  }
+
+  /**
+   * List models served at /v1/models
+   * @returns {Promise<Array>} Model objects ({ id, ... })
+   */
+  async listModels(settings = {}, timeout = 5000) {
+    const response = await axios.get(`${this._apiRoot(settings)}/models`, {
+      headers: this._headers(settings),
+      timeout
+    });
+    return response.data?.data || [];
+  }
+
+  async testConnection(settings = {}) {
+    try {
+      const models = await this.listModels(settings);
+      const model = this.getModel(settings);
+      if (model && models.length && !models.some(m => m.id === model)) {
+        return { success: true, level: 'warning', message: `Connected, but the server does not list "${model}".` };
+      }
+      return { success: true, level: 'success', message: `Server connected! Found ${models.length} models.` };
+    } catch (error) {
+      console.error('[OpenAI] ✗ Connection test failed:', error.message);
+      return { success: false, level: 'error', message: this._errorMessage(error, settings).replace(/^\[[^\]]+\]\s*/, '') };
+    }
+  }
+
+  async checkStatus(settings = {}) {
+    try {
+      await this.listModels(settings, 3000);
+      return { ready: true, status: 'Ready - OpenAI-compatible server connected', warning: null };
+    } catch (error) {
+      console.warn('OpenAI-compatible status check failed:', error && (error.message || error));
+      return {
+        ready: false,
+        status: 'Warning: OpenAI-compatible server not reachable',
+        warning: `
+        <div class="warning-message">
+          <h3>⚠️ Server Not Reachable</h3>
+          <p>Hintify could not reach the OpenAI-compatible server at <code>${BaseProvider.escapeHtml(this._apiRoot(settings))}</code>.</p>
+          <ul>
+            <li>Start the server, e.g. <code>llama-server -m model.gguf --port 8080</code></li>
+            <li>Check the server URL in Settings</li>
+            <li>Or go to Settings and switch provider</li>
+          </ul>
+        </div>
+      `
+      };
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,105 @@
+/**
+ * In-memory health tracking for AI providers.
+ *
+ * Records consecutive failures, latency and rate-limit cooldowns per provider
+ * so the fallback chain can skip providers that are currently failing.
+ */
+class ProviderHealth {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxFailures=3] - Consecutive failures before a cooldown
+   * @param {number} [options.failureCooldownMs=60000] - Cooldown after maxFailures
+   * @param {number} [options.rateLimitCooldownMs=120000] - Cooldown after a rate limit
+   */
+  constructor({ maxFailures = 3, failureCooldownMs = 60000, rateLimitCooldownMs = 120000 } = {}) {
+    this.maxFailures = maxFailures;
+    this.failureCooldownMs = failureCooldownMs;
+    this.rateLimitCooldownMs = rateLimitCooldownMs;
+    this.entries = new Map();
+  }
+
+  _entry(id) {
+    if (!this.entries.has(id)) {
+      this.entries.set(id, {
+        consecutiveFailures: 0,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        lastLatencyMs: null,
+        avgLatencyMs: null,
+        cooldownUntil: 0,
+        lastError: null
+      });
+    }
+    return this.entries.get(id);
+  }
+
+  /**
+   * Record a successful answer and its latency
+   */
+  recordSuccess(id, latencyMs) {
+    const entry = this._entry(id);
+    entry.consecutiveFailures = 0;
+    entry.totalSuccesses++;
+    entry.cooldownUntil = 0;
+    entry.lastError = null;
+    entry.lastLatencyMs = latencyMs;
+    // Exponential moving average keeps one slow answer from dominating
+    entry.avgLatencyMs = entry.avgLatencyMs === null ? latencyMs : Math.round(entry.avgLatencyMs * 0.7 + latencyMs * 0.3);
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {string} id - Provider id
+   * @param {string} message - Error string returned by the provider
+   * @param {number} [now=Date.now()]
+   */
+  recordFailure(id, message, now = Date.now()) {
+    const entry = this._entry(id);
+    entry.consecutiveFailures++;
+    entry.totalFailures++;
+    entry.lastError = message;
+
+    if (ProviderHealth.isRateLimit(message)) {
+      entry.cooldownUntil = now + this.rateLimitCooldownMs;
+    } else if (entry.consecutiveFailures >= this.maxFailures) {
+      entry.cooldownUntil = now + this.failureCooldownMs;
+    }
+  }
+
+  /**
+   * A provider is healthy unless it is cooling down
+   */
+  isHealthy(id, now = Date.now()) {
+    const entry = this.entries.get(id);
+    return !entry || entry.cooldownUntil <= now;
+  }
+
+  /**
+   * Snapshot for display and diagnostics
+   */
+  getStatus(id, now = Date.now()) {
+    const entry = this._entry(id);
+    return {
+      ...entry,
+      healthy: entry.cooldownUntil <= now,
+      cooldownRemainingMs: Math.max(0, entry.cooldownUntil - now)
+    };
+  }
+
+  reset(id) {
+    if (id) {
+      this.entries.delete(id);
+    } else {
+      this.entries.clear();
+    }
+  }
+
+  /**
+   * Whether a provider error string describes a rate limit or exhausted quota
+   */
+  static isRateLimit(message) {
+    return /\b429\b|rate.?limit|quota|resource.?exhausted|too many requests/i.test(String(message || ''));
+  }
+}
+
+module.exports = ProviderHealth;
@@ -0,0 +1,71 @@
+const BaseProvider = require('./BaseProvider');
+const GeminiProvider = require('./GeminiProvider');
+const OllamaProvider = require('./OllamaProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const ProviderHealth = require('./ProviderHealth');
+
+/**
+ * Registry of AI providers.
+ *
+ * Settings, the status check and the hint pipelines look providers up here,
+ * so adding a provider means writing a BaseProvider subclass and registering it.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!(provider instanceof BaseProvider)) {
+      throw new TypeError('Providers must extend BaseProvider');
+    }
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Provider "${provider.id}" is already registered`);
+    }
+    this.providers.set(provider.id, provider);
+    return provider;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Non-secret defaults of every registered provider, keyed by config key
+   */
+  getConfigDefaults() {
+    return this.list().reduce((defaults, provider) => ({ ...defaults, ...provider.getConfigDefaults() }), {});
+  }
+
+  /**
+   * Providers to try for a request: the selected one, then the fallback chain.
+   * Unknown and duplicate ids are dropped.
+   * @param {Object} config - App config with provider and provider_fallback_chain
+   * @returns {Array<BaseProvider>}
+   */
+  getChain(config = {}) {
+    const ids = [config.provider, ...(Array.isArray(config.provider_fallback_chain) ? config.provider_fallback_chain : [])];
+    return [...new Set(ids)].map(id => this.get(id)).filter(Boolean);
+  }
+}
+
+// Built-in providers, in the order they are offered in settings
+const registry = new ProviderRegistry();
+registry.register(new GeminiProvider());
+registry.register(new OllamaProvider());
+registry.register(new OpenAICompatibleProvider());
+
+module.exports = {
+  BaseProvider,
+  ProviderHealth,
+  ProviderRegistry,
+  registry
+};
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AiService = require('../src/services/AiService');
+const { registry } = require('../src/services/providers');
+
+const stored = { ollama_base_url: 'http://saved:11434', openai_api_key: 'sk-saved' };
+const service = new AiService(key => stored[key]);
+const ollama = registry.get('ollama');
+
+test('pages cannot choose the server URL', () => {
+  const settings = service.resolveSettings(ollama, { ollama_base_url: 'http://elsewhere', ollama_model: 'llava' });
+  assert.strictEqual(settings.ollama_base_url, 'http://saved:11434');
+  assert.strictEqual(settings.ollama_model, 'llava');
+});
+
+test('the settings window can test the URL in its form', () => {
+  const settings = service.resolveSettings(ollama, { ollama_base_url: 'http://typed:11434' }, { trustUrls: true });
+  assert.strictEqual(settings.ollama_base_url, 'http://typed:11434');
+});
+
+test('server URL fields are listed', () => {
+  assert.deepStrictEqual(service.urlKeys().sort(), ['ollama_base_url', 'openai_base_url']);
+});
+
+test('models are listed through the provider with the resolved settings', async (t) => {
+  t.mock.method(ollama, 'listModels', async settings => [{ name: settings.ollama_base_url }]);
+  const models = await service.call(null, { providerId: 'ollama', method: 'listModels', settings: { ollama_base_url: 'http://typed' } }, { trustUrls: true });
+  assert.deepStrictEqual(models, [{ name: 'http://typed' }]);
+});
+
+test('calls the provider does not implement are refused', async () => {
+  assert.match(await service.call(null, { providerId: 'gemini', method: 'listModels' }), /Unsupported provider call/);
+  assert.match(await service.call(null, { providerId: 'ollama', method: 'constructor' }), /Unsupported provider call/);
+});
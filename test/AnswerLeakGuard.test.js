@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AnswerLeakGuard = require('../src/services/AnswerLeakGuard');
+
+const guard = new AnswerLeakGuard();
+const context = { questionText: 'Solve 2x + 3 = 11 for x.' };
+
+function leaks(text, options = context) {
+  return guard.inspect([text], options).map(finding => finding.match);
+}
+
+test('answer statements with a variable assignment are caught', () => {
+  assert.deepStrictEqual(leaks('Answer: x = 4'), ['Answer: x = 4']);
+  assert.deepStrictEqual(leaks('The answer is x = 4.'), ['The answer is x = 4']);
+  assert.deepStrictEqual(leaks('The final answer is y=-2'), ['The final answer is y=-2']);
+});
+
+test('values stated by "we get", "gives" and "equals" are caught', () => {
+  assert.deepStrictEqual(leaks('Adding 5 to both sides, we get 12'), ['12']);
+  assert.deepStrictEqual(leaks('Multiplying the two gives 3.5 m/s.'), ['3.5']);
+  assert.deepStrictEqual(leaks('The left side equals 8'), ['8']);
+  assert.strictEqual(guard.redactText('Simplify and we get 12', context), `Simplify and we get ${AnswerLeakGuard.REDACTED}`);
+});
+
+test('concluding values are caught', () => {
+  assert.deepStrictEqual(leaks('So x = 4.'), ['4']);
+  assert.deepStrictEqual(leaks('Therefore the speed is 42'), ['42']);
+});
+
+test('setup and method hints are not flagged', () => {
+  assert.deepStrictEqual(leaks('Subtract 3 from both sides, which gives an equation in x.'), []);
+  assert.deepStrictEqual(leaks('Substitute x = 4 back into the equation to check.'), []);
+  assert.deepStrictEqual(leaks('Isolate x: we get 2x + 3 on one side.'), []);
+  assert.deepStrictEqual(leaks('Think about what x equals after you subtract 3.'), []);
+  // Numbers from the question, zero and one are setup, not results
+  assert.deepStrictEqual(leaks('So the right side is 11'), []);
+  assert.deepStrictEqual(leaks('Set the derivative so that it equals 0'), []);
+  assert.deepStrictEqual(leaks('The answer is something you can check by substitution.'), []);
+});
+
+test('option letters are only checked for multiple-choice questions', () => {
+  const mcq = { questionText: 'Which is prime? (A) 4 (B) 7', questionType: 'MCQ' };
+  assert.strictEqual(leaks('Option B is correct', mcq).length, 1);
+  assert.strictEqual(leaks('Option B is correct', { questionText: '' }).length, 0);
+});
+
+test('boxed results are caught', () => {
+  assert.deepStrictEqual(leaks('$\\boxed{x = 4}$'), ['\\boxed{x = 4}']);
+});
+
+test('grading replies name the leaking hints', () => {
+  assert.deepStrictEqual(guard.parseGrade('{"leaks": true, "leaking_hints": [2, 2, 9], "reason": "x"}', 3), { leaks: true, indexes: [1], reason: 'x' });
+  assert.deepStrictEqual(guard.parseGrade('```json\n{"leaks": false}\n```', 3), { leaks: false, indexes: [], reason: '' });
+  assert.strictEqual(guard.parseGrade('no idea', 3), null);
+});
+
+test('a leak that names no hint marks every hint', () => {
+  assert.deepStrictEqual(guard.parseGrade('{"leaks": true}', 3).indexes, [0, 1, 2]);
+  assert.deepStrictEqual(guard.parseGrade('{"leaks": true, "leaking_hints": [7]}', 2), { leaks: true, indexes: [0, 1], reason: '' });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ConfigSchema = require('../src/services/ConfigSchema');
+const AiService = require('../src/services/AiService');
+
+const schema = new ConfigSchema(new AiService(() => undefined).describe());
+
+function profile(settings) {
+  return JSON.stringify({ format: ConfigSchema.PROFILE_FORMAT, version: 1, settings });
+}
+
+test('exported settings import unchanged', () => {
+  const config = { ...schema.defaults(), provider: 'ollama', ollama_keep_alive: '5m', hint_think_time: 30 };
+  const { settings, errors } = schema.parseImport(schema.export(config));
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(settings.provider, 'ollama');
+  assert.strictEqual(settings.ollama_keep_alive, '5m');
+  assert.strictEqual(settings.windowBounds, undefined);
+});
+
+test('files that are not settings profiles are rejected', () => {
+  assert.strictEqual(schema.parseImport('{').settings, null);
+  assert.strictEqual(schema.parseImport('{"format":"other"}').settings, null);
+  assert.strictEqual(schema.parseImport(JSON.stringify({ format: ConfigSchema.PROFILE_FORMAT, version: 99, settings: {} })).settings, null);
+  assert.strictEqual(schema.parseImport(JSON.stringify({ format: ConfigSchema.PROFILE_FORMAT, version: 1, settings: [] })).settings, null);
+});
+
+test('unknown providers are rejected', () => {
+  const { settings, errors } = schema.parseImport(profile({ provider: 'evil', provider_fallback_chain: ['gemini', 'evil'], story_mode: true }));
+  assert.deepStrictEqual(settings, { story_mode: true });
+  assert.strictEqual(errors.length, 2);
+});
+
+test('server URLs must be http(s) addresses', () => {
+  const { settings, errors } = schema.parseImport(profile({
+    ollama_base_url: 'file:///etc/passwd',
+    openai_base_url: 'javascript:alert(1)'
+  }));
+  assert.deepStrictEqual(settings, {});
+  assert.strictEqual(errors.length, 2);
+  assert.deepStrictEqual(schema.validateValue('ollama_base_url', 'http://192.168.1.5:11434'), []);
+  assert.deepStrictEqual(schema.validateValue('openai_base_url', ''), []);
+});
+
+test('provider field patterns and options are checked', () => {
+  assert.deepStrictEqual(schema.validateValue('ollama_keep_alive', '-1'), []);
+  assert.notDeepStrictEqual(schema.validateValue('ollama_keep_alive', '5 minutes'), []);
+  assert.notDeepStrictEqual(schema.validateValue('gemini_model', 'not-a-model'), []);
+});
+
+test('invalid values, wrong types and unknown keys are left out of an import', () => {
+  const { settings, errors } = schema.parseImport(profile({
+    hint_think_time: 9999,
+    'app-theme': 'theme-neon',
+    advanced_mode: 'yes',
+    made_up: 1,
+    progressive_hints: true
+  }));
+  assert.deepStrictEqual(settings, { progressive_hints: true });
+  assert.strictEqual(errors.length, 4);
+});
+
+test('load replaces invalid stored values with defaults', () => {
+  const stored = { provider: 'evil', ollama_base_url: 'ftp://host', leak_guard: false };
+  const config = schema.load(key => stored[key]);
+  assert.strictEqual(config.provider, 'gemini');
+  assert.strictEqual(config.ollama_base_url, schema.defaults().ollama_base_url);
+  assert.strictEqual(config.leak_guard, false);
+});
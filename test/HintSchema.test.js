@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const HintSchema = require('../src/services/HintSchema');
+
+const reply = {
+  is_question: true,
+  topic: 'Algebra - Linear equations',
+  question_type: 'Numerical',
+  difficulty: 'easy',
+  hints: [
+    { level: 2, text: 'Then divide both sides by 2.' },
+    { level: 1, text: ' Subtract 3 from both sides. ' }
+  ],
+  encouragement: 'You are close!'
+};
+
+test('valid replies are normalised', () => {
+  const { data, errors } = HintSchema.parse(JSON.stringify(reply));
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(data.difficulty, 'Easy');
+  assert.deepStrictEqual(data.hints, [
+    { level: 1, text: 'Subtract 3 from both sides.' },
+    { level: 2, text: 'Then divide both sides by 2.' }
+  ]);
+  assert.strictEqual(HintSchema.toText(data), 'Hint 1: Subtract 3 from both sides.\nHint 2: Then divide both sides by 2.\n\nYou are close!');
+});
+
+test('replies wrapped in prose or code fences are found', () => {
+  const json = JSON.stringify(reply);
+  assert.strictEqual(HintSchema.extractJson(`Sure! Here you go:\n${json}\nGood luck.`), json);
+  assert.strictEqual(HintSchema.extractJson(`\`\`\`json\n${json}\n\`\`\``), json);
+  assert.strictEqual(HintSchema.extractJson('no braces here'), null);
+});
+
+test('unescaped LaTeX commands survive parsing', () => {
+  // The model wrote \frac and \times with one backslash: \f and \t are JSON escapes
+  const { data } = HintSchema.parse('{"hints": [{"level": 1, "text": "Use $\\frac{a}{b} \\times 2$ here.\\nThen simplify."}]}');
+  assert.strictEqual(data.hints[0].text, 'Use $\\frac{a}{b} \\times 2$ here.\nThen simplify.');
+});
+
+test('invalid replies report what is wrong', () => {
+  assert.deepStrictEqual(HintSchema.parse('no json').errors, ['no JSON object found']);
+  assert.match(HintSchema.parse('{"hints": [}').errors[0], /^invalid JSON/);
+  const { data, errors } = HintSchema.parse('{"is_question": "yes", "hints": [{"text": ""}], "topic": 3}');
+  assert.strictEqual(data, null);
+  assert.deepStrictEqual(errors, ['is_question must be a boolean', 'hints[0].text must be a non-empty string', 'topic must be a string']);
+  assert.deepStrictEqual(HintSchema.validate([]).errors, ['response must be a JSON object']);
+});
+
+test('questions need hints; non-questions do not', () => {
+  assert.deepStrictEqual(HintSchema.parse('{"hints": []}').errors, ['hints must contain at least one hint']);
+  const { data } = HintSchema.parse('{"is_question": false, "hints": []}');
+  assert.strictEqual(HintSchema.toText(data), HintSchema.NOT_A_QUESTION);
+});
+
+test('completed hints are read from a partial stream', () => {
+  const partial = '{"is_question": true, "hints": [{"level": 1, "text": "Look at {the} \\"units\\"."}, {"level": 2, "text": "Conv';
+  assert.deepStrictEqual(HintSchema.completedHints(partial), [{ level: 1, text: 'Look at {the} "units".' }]);
+  assert.deepStrictEqual(HintSchema.completedHints('{"topic": "x"'), []);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const IpcContract = require('../src/services/IpcContract');
+const IpcRouter = require('../src/services/IpcRouter');
+
+// ipcMain stand-in that records handlers and listeners by channel
+function fakeIpcMain() {
+  return {
+    handlers: {},
+    listeners: {},
+    handle(channel, handler) { this.handlers[channel] = handler; },
+    on(channel, listener) { this.listeners[channel] = listener; },
+    removeListener(channel) { delete this.listeners[channel]; }
+  };
+}
+
+function fakePage() {
+  return { sent: [], isDestroyed: () => false, send(...args) { this.sent.push(args); } };
+}
+
+test('calls are checked against the channel schemas', () => {
+  assert.deepStrictEqual(IpcContract.validate('ai:cancel', ['1712345678-abc123']), []);
+  assert.deepStrictEqual(IpcContract.validate('ai:cancel', ['../../etc']), ['argument 1 has an invalid format']);
+  assert.deepStrictEqual(IpcContract.validate('ai:cancel', []), ['argument 1 is required']);
+  assert.deepStrictEqual(IpcContract.validate('ai:cancel', ['1-a', 'extra']), ['expected at most 1 argument(s), got 2']);
+  assert.deepStrictEqual(IpcContract.validate('no-such-channel', []), ['unknown channel "no-such-channel"']);
+});
+
+test('images, optional arguments and nested objects are checked', () => {
+  assert.deepStrictEqual(IpcContract.validate('ocr:recognize', [new Uint8Array(4)]), []);
+  assert.deepStrictEqual(IpcContract.validate('ocr:recognize', ['not an image']), ['argument 1 should be bytes, got string']);
+  assert.deepStrictEqual(IpcContract.validate('ocr:recognize', [new Uint8Array(4), { preprocess: 'yes' }]), ['argument 2.preprocess should be boolean, got string']);
+  assert.deepStrictEqual(IpcContract.checkSchema(Infinity, { type: 'number' }), ['value should be a finite number']);
+});
+
+test('events to pages are checked', () => {
+  assert.deepStrictEqual(IpcContract.validateEvent('ai:token', [{ requestId: '1-a', chunk: 'x', text: 'x' }]), []);
+  assert.deepStrictEqual(IpcContract.validateEvent('ai:token', [{ chunk: 'x' }]), ['argument 1.requestId is required']);
+  assert.deepStrictEqual(IpcContract.validateEvent('made-up', []), ['unknown event "made-up"']);
+});
+
+test('page client method names come from the channel', () => {
+  assert.strictEqual(IpcContract.methodName('capture-history:add-run'), 'captureHistoryAddRun');
+  assert.strictEqual(IpcContract.methodName('get-app-name'), 'getAppName');
+});
+
+test('the router only registers declared channels of the right kind', () => {
+  const router = new IpcRouter(fakeIpcMain());
+  assert.throws(() => router.handle('no-such-channel', () => {}), /not in the IPC contract/);
+  assert.throws(() => router.on('get-app-name', () => {}), /declared as invoke/);
+  router.handle('get-app-name', () => 'Hintify');
+  assert.ok(!router.missingHandlers().includes('get-app-name'));
+  assert.ok(router.missingHandlers().includes('get-app-version'));
+  assert.ok(!router.missingHandlers().includes('capture-overlay:select'));
+});
+
+test('the router rejects invalid calls before the handler runs', async () => {
+  const ipcMain = fakeIpcMain();
+  const router = new IpcRouter(ipcMain);
+  const calls = [];
+  router.handle('open-external-url', (_event, url) => calls.push(url));
+  router.on('store:get', (event, key) => { event.returnValue = key; });
+
+  await assert.rejects(async () => ipcMain.handlers['open-external-url']({}, 42), /^Error: \[IPC\] Invalid call to "open-external-url"/);
+  ipcMain.handlers['open-external-url']({}, 'https://example.com');
+  assert.deepStrictEqual(calls, ['https://example.com']);
+
+  const event = {};
+  ipcMain.listeners['store:get'](event, { key: 'x' });
+  assert.strictEqual(event.returnValue, null);
+});
+
+test('the router drops invalid events to pages', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const router = new IpcRouter(fakeIpcMain());
+  const page = fakePage();
+  router.send(page, 'ai:token', { requestId: '1-a', chunk: 'x', text: 'x' });
+  router.send(page, 'ai:token', { chunk: 'no id' });
+  router.send(page, 'made-up', {});
+  assert.deepStrictEqual(page.sent, [['ai:token', { requestId: '1-a', chunk: 'x', text: 'x' }]]);
+  assert.strictEqual(console.error.mock.callCount(), 2);
+});
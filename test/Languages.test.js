@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Languages = require('../src/services/Languages');
+
+test('English questions with one-letter words are English', () => {
+  assert.strictEqual(Languages.detectLanguage('Write a program that prints a triangle.'), 'eng');
+  assert.strictEqual(Languages.detectLanguage('Draw a graph of y = 2x + 1 on a grid.'), 'eng');
+  assert.strictEqual(Languages.detectLanguage('Name a mammal that lays eggs.'), 'eng');
+  assert.strictEqual(Languages.detectLanguage('What is the derivative of sin(x)?'), 'eng');
+});
+
+test('other Latin-script languages are found from their common words', () => {
+  assert.strictEqual(Languages.detectLanguage('¿Cuál es el valor de x en la ecuación?'), 'spa');
+  assert.strictEqual(Languages.detectLanguage('Qual é o valor de x na equação? Não use a calculadora.'), 'por');
+  assert.strictEqual(Languages.detectLanguage('Quelle est la valeur de x dans une équation?'), 'fra');
+  assert.strictEqual(Languages.detectLanguage('Berechne die Fläche und den Umfang, wie ist das?'), 'deu');
+});
+
+test('weak or tied evidence gives no language', () => {
+  // Only one-letter words shared by Portuguese and Italian
+  assert.strictEqual(Languages.detectLanguage('x e y o z a w'), '');
+  assert.strictEqual(Languages.detectLanguage('f(x) = 3x^2 + 2x - 5'), '');
+  assert.strictEqual(Languages.detectLanguage('short'), '');
+});
+
+test('other scripts are found from their letters', () => {
+  assert.strictEqual(Languages.detectLanguage('x का मान क्या है? समीकरण हल कीजिए'), 'hin');
+  assert.strictEqual(Languages.detectLanguage('Найдите значение x в уравнении'), 'rus');
+  assert.strictEqual(Languages.detectLanguage('次の方程式を解きなさい x + 2 = 5'), 'jpn');
+  assert.strictEqual(Languages.detectLanguage('ما هي قيمة x في المعادلة'), 'ara');
+});
+
+test('OCR language settings keep known ids only', () => {
+  assert.deepStrictEqual(Languages.parseOcrLanguages('eng+hin+xyz'), ['eng', 'hin']);
+  assert.deepStrictEqual(Languages.parseOcrLanguages(''), [Languages.DEFAULT_OCR_LANGUAGES]);
+});
+
+test('the response instruction names the language', () => {
+  assert.match(Languages.responseInstruction('spa'), /Spanish/);
+  assert.match(Languages.responseInstruction('', { sameAs: 'the question' }), /same language as the question/);
+  assert.strictEqual(Languages.responseInstruction(''), '');
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LocalHistoryStore = require('../src/services/LocalHistoryStore');
+
+function storeDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hintify-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function ask(store, questionText, extra = {}) {
+  return store.addQuestion({ userId: 'user-1', questionText, answerText: 'Hint 1: ...', ...extra });
+}
+
+test('records survive a restart; the last line for an id wins', (t) => {
+  const dir = storeDir(t);
+  const store = new LocalHistoryStore(dir);
+  const question = ask(store, 'Solve 2x + 3 = 11', { metadata: { subject: 'math' } });
+  store.rateQuestion(question.id, 'like');
+
+  const reopened = new LocalHistoryStore(dir);
+  const record = reopened.get(question.id);
+  assert.strictEqual(record.rating, 'like');
+  assert.strictEqual(record.version, 2);
+  assert.strictEqual(reopened.questions().length, 1);
+});
+
+test('a line cut short by a crash leaves the previous version', (t) => {
+  const dir = storeDir(t);
+  const store = new LocalHistoryStore(dir);
+  const question = ask(store, 'Name a mammal that lays eggs.');
+  fs.appendFileSync(store.file, `{"id":"${question.id}","type":"question","rating":"li`);
+  assert.strictEqual(new LocalHistoryStore(dir).get(question.id).rating, null);
+});
+
+test('screenshots are kept until the question is synced', (t) => {
+  const store = new LocalHistoryStore(storeDir(t));
+  const question = ask(store, 'What is shown?', { imageData: 'iVBORw0KGgo=' });
+  assert.strictEqual(store.readImage(question.id), 'iVBORw0KGgo=');
+  store.markSynced(question.id, question.version, { questionId: 'remote-1', answerId: 'answer-1' });
+  assert.strictEqual(store.readImage(question.id), null);
+  assert.strictEqual(store.get(question.id).has_image, false);
+});
+
+test('edits after a sync put the question back in the queue', (t) => {
+  const store = new LocalHistoryStore(storeDir(t));
+  const question = ask(store, 'Solve 2x + 3 = 11');
+  store.markSynced(question.id, question.version, { questionId: 'remote-1' });
+  assert.deepStrictEqual(store.pendingFor('user-1'), []);
+
+  store.saveThread(question.id, [{ role: 'user', text: 'Why subtract 3?' }]);
+  const [pending] = store.pendingFor('user-1');
+  assert.strictEqual(pending.sync.remote_question_id, 'remote-1');
+  assert.strictEqual(pending.metadata.chat_thread.length, 1);
+});
+
+test('a question changed while its push was in flight stays pending', (t) => {
+  const store = new LocalHistoryStore(storeDir(t));
+  const question = ask(store, 'Solve 2x + 3 = 11');
+  store.rateQuestion(question.id, 'dislike');
+  const synced = store.markSynced(question.id, question.version, { questionId: 'remote-1', answerId: 'answer-1' });
+  assert.strictEqual(synced.sync.state, 'pending');
+  assert.strictEqual(synced.sync.remote_question_id, 'remote-1');
+});
+
+test('guest questions are kept apart until claimed', (t) => {
+  const store = new LocalHistoryStore(storeDir(t));
+  store.addQuestion({ questionText: 'Asked as a guest' });
+  ask(store, 'Asked signed in');
+  assert.strictEqual(store.questionsFor(null).length, 1);
+  assert.strictEqual(store.claimGuestQuestions('user-1'), 1);
+  assert.deepStrictEqual(store.counts('user-1'), { total: 2, pending: 2, conflicts: 0 });
+  assert.deepStrictEqual(store.questionsFor(null), []);
+});
+
+test('history and topics are shaped like the database queries', (t) => {
+  const store = new LocalHistoryStore(storeDir(t));
+  ask(store, 'Differentiate x^2', { metadata: { subject: 'math', topic: 'Calculus' } });
+  ask(store, 'Integrate 2x', { metadata: { subject: 'math', topic: 'Calculus' } });
+  ask(store, 'What is osmosis?', { metadata: { subject: 'biology' } });
+
+  assert.strictEqual(store.history('user-1', 1).length, 1);
+  const row = store.history('user-1').find(entry => entry.question_text === 'What is osmosis?');
+  assert.deepStrictEqual([row.subject, row.topic, row.rating, row.sync_state], ['biology', null, null, 'pending']);
+  assert.strictEqual(store.history('user-1', 50, { subject: 'math' }).length, 2);
+  assert.deepStrictEqual(store.topics('user-1'), [
+    { subject: 'biology', topic: null, count: 1 },
+    { subject: 'math', topic: 'Calculus', count: 2 }
+  ]);
+});
+
+test('a log full of superseded lines is compacted on load', (t) => {
+  const dir = storeDir(t);
+  const store = new LocalHistoryStore(dir);
+  const question = ask(store, 'Solve 2x + 3 = 11');
+  for (let i = 0; i < 40; i++) store.rateQuestion(question.id, i % 2 ? 'like' : 'dislike');
+
+  const reopened = new LocalHistoryStore(dir);
+  assert.strictEqual(reopened.get(question.id).rating, 'like');
+  assert.strictEqual(fs.readFileSync(reopened.file, 'utf8').trim().split('\n').length, 1);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Migrator = require('../src/services/Migrator');
+const MigrationSteps = require('../src/services/MigrationSteps');
+
+const VAULT_KEYS = ['gemini_api_key', 'supabase_access_token'];
+
+// electron-store stand-in that writes its file on every change, like the real one
+class FileStore {
+  constructor(file, data) {
+    this.path = file;
+    this.data = { ...data };
+    this.save();
+  }
+
+  save() { fs.writeFileSync(this.path, JSON.stringify(this.data)); }
+  has(key) { return Object.prototype.hasOwnProperty.call(this.data, key); }
+  get(key, defaultValue) { return this.has(key) ? this.data[key] : defaultValue; }
+  set(key, value) { this.data[key] = value; this.save(); }
+  delete(key) { delete this.data[key]; this.save(); }
+}
+
+function fakeVault({ locked = false, values = {} } = {}) {
+  return {
+    locked,
+    values: { ...values },
+    isLocked() { return this.locked; },
+    has(key) { return key in this.values; },
+    set(key, value) { this.values[key] = value; }
+  };
+}
+
+function setup(t, data, vault = fakeVault()) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hintify-migrations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new FileStore(path.join(dir, 'config.json'), data);
+  const migrator = new Migrator(MigrationSteps, {
+    store,
+    backupDir: path.join(dir, 'backups'),
+    files: { config: store.path, secrets: path.join(dir, 'secrets.json') },
+    services: { secretVault: vault, vaultKeys: VAULT_KEYS },
+    secretKeys: VAULT_KEYS
+  });
+  return { store, vault, migrator };
+}
+
+const LEGACY = {
+  theme: 'pastel',
+  advanced_mode: 'advanced',
+  gemini_image_model: 'imagen-1',
+  gemini_api_key: 'AIza-secret',
+  provider: 'gemini'
+};
+
+test('old data is migrated and the secrets move to the vault', (t) => {
+  const { store, vault, migrator } = setup(t, LEGACY);
+  const results = migrator.run();
+  assert.deepStrictEqual(results.map(result => result.status), ['migrated', 'migrated', 'migrated', 'migrated']);
+  assert.deepStrictEqual(store.data, {
+    'app-theme': 'theme-pastel',
+    advanced_mode: true,
+    provider: 'gemini',
+    migrations_applied: MigrationSteps.map(step => step.id)
+  });
+  assert.deepStrictEqual(vault.values, { gemini_api_key: 'AIza-secret' });
+});
+
+test('backups keep the old values but never the secrets', (t) => {
+  const { migrator } = setup(t, LEGACY);
+  const [first] = migrator.run();
+  const backup = JSON.parse(fs.readFileSync(path.join(first.backup, 'config.json'), 'utf8'));
+  assert.strictEqual(backup.theme, 'pastel');
+  assert.strictEqual(backup.gemini_api_key, undefined);
+});
+
+test('steps that ran are not run again', (t) => {
+  const { store, migrator } = setup(t, LEGACY);
+  migrator.run();
+  store.set('theme', 'dark');
+  assert.deepStrictEqual(migrator.run(), []);
+  assert.strictEqual(store.get('theme'), 'dark');
+});
+
+test('current data needs no changes or backups', (t) => {
+  const { migrator } = setup(t, { 'app-theme': 'theme-dark', advanced_mode: false });
+  const results = migrator.run();
+  assert.ok(results.every(result => result.status === 'clean' && result.backup === null));
+});
+
+test('a dry run reports the changes without making them', (t) => {
+  const { store, migrator } = setup(t, LEGACY);
+  const report = migrator.dryRun();
+  assert.deepStrictEqual(report.map(entry => entry.status), ['pending', 'pending', 'pending', 'pending']);
+  assert.deepStrictEqual(report[1].changes, ['advanced_mode: "advanced" -> true']);
+  assert.deepStrictEqual(store.data, LEGACY);
+  assert.match(Migrator.formatReport(report), /^theme-key \(1\.0\.31\): pending\n/);
+});
+
+test('a locked vault blocks the secrets step until the next run', (t) => {
+  const { store, vault, migrator } = setup(t, LEGACY, fakeVault({ locked: true }));
+  const blocked = migrator.run().find(result => result.id === 'secrets-to-vault');
+  assert.deepStrictEqual([blocked.status, blocked.reason], ['blocked', 'the secret vault is locked']);
+  assert.strictEqual(store.get('gemini_api_key'), 'AIza-secret');
+
+  vault.locked = false;
+  assert.deepStrictEqual(migrator.run().map(result => result.status), ['migrated']);
+  assert.strictEqual(store.has('gemini_api_key'), false);
+});
+
+test('a key already in the vault is newer than the store copy', (t) => {
+  const { vault, migrator } = setup(t, { gemini_api_key: 'old' }, fakeVault({ values: { gemini_api_key: 'new' } }));
+  const [, , , secrets] = migrator.run();
+  assert.deepStrictEqual(secrets.changes, ['gemini_api_key: removed from the store']);
+  assert.strictEqual(vault.values.gemini_api_key, 'new');
+});
+
+test('a failing step stops the run and is tried again later', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hintify-migrations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new FileStore(path.join(dir, 'config.json'), {});
+  let broken = true;
+  const steps = [
+    { id: 'first', version: '1', description: '', run: () => { if (broken) throw new Error('disk full'); return []; } },
+    { id: 'second', version: '1', description: '', run: () => [] }
+  ];
+  const migrator = new Migrator(steps, { store, backupDir: dir });
+  assert.deepStrictEqual(migrator.run().map(result => [result.id, result.status, result.reason]), [['first', 'failed', 'disk full']]);
+  broken = false;
+  assert.deepStrictEqual(migrator.run().map(result => result.status), ['clean', 'clean']);
+});
+
+test('step lists with duplicate ids or unknown backup files are rejected', () => {
+  const step = { id: 'a', version: '1', description: '', run: () => [] };
+  assert.throws(() => new Migrator([step, step], { store: {}, backupDir: '' }), /Duplicate step id "a"/);
+  assert.throws(() => new Migrator([{ ...step, backup: ['cache'] }], { store: {}, backupDir: '' }), /unknown file "cache"/);
+});
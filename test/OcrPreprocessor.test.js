@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const OcrPreprocessor = require('../src/services/OcrPreprocessor');
+const { readGray } = require('./png');
+
+// 320x120 captures of four lines of text-like strokes
+const fixture = name => readGray(path.join(__dirname, 'fixtures', `${name}.png`));
+
+function darkPixels(image) {
+  return image.data.filter(value => value === 0).length;
+}
+
+test('narrow captures are upscaled', () => {
+  const { image, steps } = OcrPreprocessor.preprocess(fixture('low-contrast'));
+  assert.strictEqual(steps.scale, 3);
+  assert.strictEqual(image.width, 960);
+  assert.strictEqual(image.height, 360);
+});
+
+test('low-contrast text is binarized between the text and background grays', () => {
+  const { image, steps } = OcrPreprocessor.preprocess(fixture('low-contrast'));
+  // Text is gray 150 on 175
+  assert.ok(steps.threshold >= 150 && steps.threshold < 175, `threshold ${steps.threshold}`);
+  assert.strictEqual(steps.inverted, false);
+  assert.ok(image.data.every(value => value === 0 || value === 255));
+  const share = darkPixels(image) / image.data.length;
+  assert.ok(share > 0.05 && share < 0.3, `dark share ${share}`);
+});
+
+test('dark backgrounds are inverted to dark text on white', () => {
+  const inverted = OcrPreprocessor.preprocess(fixture('inverted'));
+  const plain = OcrPreprocessor.preprocess(fixture('low-contrast'));
+  assert.strictEqual(inverted.steps.inverted, true);
+  // Same text as the low-contrast fixture, so about the same amount of ink
+  const ratio = darkPixels(inverted.image) / darkPixels(plain.image);
+  assert.ok(ratio > 0.9 && ratio < 1.1, `ink ratio ${ratio}`);
+});
+
+test('skewed text is turned level', () => {
+  const source = fixture('skewed');
+  // Lines rise 4° to the right
+  assert.strictEqual(OcrPreprocessor.estimateSkew(OcrPreprocessor.binarize(source)), 4);
+  const { image, steps } = OcrPreprocessor.preprocess(source);
+  assert.strictEqual(steps.skew, 4);
+  assert.strictEqual(OcrPreprocessor.estimateSkew(image), 0);
+});
+
+test('level text is not rotated', () => {
+  assert.strictEqual(OcrPreprocessor.preprocess(fixture('low-contrast')).steps.skew, 0);
+});
+
+test('bitmaps convert to grayscale and back', () => {
+  const image = fixture('low-contrast');
+  const bitmap = OcrPreprocessor.toBitmap(image);
+  assert.deepStrictEqual(OcrPreprocessor.fromBitmap(bitmap, image.width, image.height).data, image.data);
+});
+
+test('OCR reads the screenshot unchanged when preprocessing is off', async () => {
+  // OcrService decodes PNGs with Electron's nativeImage, which must not be reached
+  const electron = require.resolve('electron');
+  const cached = require.cache[electron];
+  const nativeImage = new Proxy({}, { get: () => () => assert.fail('nativeImage used') });
+  require.cache[electron] = { id: electron, filename: electron, loaded: true, exports: { nativeImage } };
+  try {
+    const OcrService = require('../src/services/OcrService');
+    const service = new OcrService();
+    let read = null;
+    service.isNativeAvailable = async () => true;
+    service.recognizeNative = async (buffer) => {
+      read = buffer;
+      return { text: 'x', confidence: 90, lines: [] };
+    };
+
+    const png = Buffer.from('screenshot');
+    const result = await service.recognize(png, { preprocess: false });
+    assert.strictEqual(read, png);
+    assert.strictEqual(result.image, png);
+    assert.strictEqual(result.preprocessing, null);
+  } finally {
+    if (cached) require.cache[electron] = cached;
+    else delete require.cache[electron];
+  }
+});
+
+test('OCR cleans up screenshots on a worker thread', async () => {
+  const source = fixture('skewed');
+  const expected = OcrPreprocessor.preprocess(source);
+  let written = null;
+  const nativeImage = {
+    createFromBuffer: () => ({
+      isEmpty: () => false,
+      getSize: () => ({ width: source.width, height: source.height }),
+      toBitmap: () => OcrPreprocessor.toBitmap(source)
+    }),
+    createFromBitmap: (bitmap, size) => {
+      written = { bitmap, size };
+      return { toPNG: () => Buffer.from('cleaned') };
+    }
+  };
+  const electron = require.resolve('electron');
+  const cached = require.cache[electron];
+  require.cache[electron] = { id: electron, filename: electron, loaded: true, exports: { nativeImage } };
+  try {
+    delete require.cache[require.resolve('../src/services/OcrService')];
+    const OcrService = require('../src/services/OcrService');
+    const { buffer, steps } = await new OcrService().preprocess(Buffer.from('screenshot'));
+    assert.strictEqual(buffer.toString(), 'cleaned');
+    assert.deepStrictEqual(steps, expected.steps);
+    assert.deepStrictEqual(written.size, { width: expected.image.width, height: expected.image.height });
+    assert.ok(Buffer.isBuffer(written.bitmap));
+    assert.deepStrictEqual(OcrPreprocessor.fromBitmap(written.bitmap, expected.image.width, expected.image.height).data, expected.image.data);
+  } finally {
+    if (cached) require.cache[electron] = cached;
+    else delete require.cache[electron];
+    delete require.cache[require.resolve('../src/services/OcrService')];
+  }
+});
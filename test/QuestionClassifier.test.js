@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const QuestionClassifier = require('../src/services/QuestionClassifier');
+
+const classifier = new QuestionClassifier();
+
+test('coding requests with a language or qualifier are coding questions', () => {
+  assert.strictEqual(classifier.detectFormat('Write a Python function that reverses a list'), 'coding');
+  assert.strictEqual(classifier.detectFormat('Write a recursive function for the factorial of n.'), 'coding');
+  assert.strictEqual(classifier.detectFormat('Implement a simple JavaScript class for a stack'), 'coding');
+  assert.strictEqual(classifier.detectFormat('Debug my code'), 'coding');
+  assert.strictEqual(classifier.detectFormat('def reverse(items):\n    return items[::-1]'), 'coding');
+});
+
+test('a coding request classifies under code', () => {
+  const result = classifier.classify('Write a Python function that reverses a list');
+  assert.strictEqual(result.format, 'coding');
+  assert.strictEqual(result.questionType, 'Coding');
+  assert.strictEqual(result.subject, 'code');
+});
+
+test('other formats are told apart', () => {
+  assert.strictEqual(classifier.detectFormat('True or false: 7 is prime.'), 'true_false');
+  assert.strictEqual(classifier.detectFormat('Which is prime? (A) 4 (B) 7 (C) 9'), 'mcq');
+  assert.strictEqual(classifier.detectFormat('The capital of France is _____.'), 'fill_in');
+  assert.strictEqual(classifier.detectFormat('Prove that the square root of 2 is irrational.'), 'proof');
+  assert.strictEqual(classifier.detectFormat('Find the area of a circle of radius 3 cm.'), 'numeric');
+  assert.strictEqual(classifier.detectFormat('Write a short essay on the causes of the French Revolution.'), 'descriptive');
+  assert.strictEqual(classifier.detectFormat('Chapter 4'), 'none');
+});
+
+test('model classifications only replace the local one when valid', () => {
+  const local = classifier.classify('Solve 2x + 3 = 11');
+  assert.strictEqual(classifier.mergeLlm(local, '{"subject": "astrology", "format": "numeric"}'), local);
+  assert.strictEqual(classifier.mergeLlm(local, 'not json'), local);
+  const merged = classifier.mergeLlm(local, '{"subject": "math", "topic": "Linear equations", "format": "numeric", "grade_level": "nursery"}');
+  assert.strictEqual(merged.source, 'llm');
+  assert.strictEqual(merged.topic, 'Linear equations');
+  assert.strictEqual(merged.gradeLevel, local.gradeLevel);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { splitQuestions, parseLayout, boxToPixels } = require('../src/services/QuestionSplitter');
+
+function labels(text) {
+  return splitQuestions(text).map(question => question.label);
+}
+
+test('numbered worksheets are split into questions', () => {
+  const questions = splitQuestions('1. Solve 2x + 3 = 11 for x.\n2. Find the area of a circle of radius 3 cm.\n3. Factorise x^2 + 5x + 6.');
+  assert.deepStrictEqual(questions.map(question => question.label), ['1', '2', '3']);
+  assert.strictEqual(questions[1].text, 'Find the area of a circle of radius 3 cm.');
+  assert.deepStrictEqual(labels('Q1 Name the largest planet in the solar system. Q2 Explain why the sky looks blue.'), ['Q1', 'Q2']);
+});
+
+test('numbered steps and references inside a question are not questions', () => {
+  assert.deepStrictEqual(splitQuestions('Step 1. Expand the bracket. Step 2. Collect like terms.'), []);
+  assert.deepStrictEqual(splitQuestions('Use the result of Example 1. to rewrite Eq. (2) and solve it for the unknown value of y.'), []);
+  assert.deepStrictEqual(splitQuestions('Part 1) Describe the water cycle. Part 2) Explain how clouds form in the sky.'), []);
+});
+
+test('in text with line breaks only numbers at the start of a line split', () => {
+  const questions = splitQuestions('1. List the steps: 1. wash 2. cut 3. cook, in your own words.\n2. Explain why the steps go in that order.');
+  assert.deepStrictEqual(questions.map(question => question.label), ['1', '2']);
+  assert.strictEqual(questions[0].text, 'List the steps: 1. wash 2. cut 3. cook, in your own words.');
+});
+
+test('lettered parts get the shared stem', () => {
+  const questions = splitQuestions('A ball is thrown up at 20 m/s.\n(a) How high does it go before it falls?\n(b) How long is it in the air altogether?');
+  assert.deepStrictEqual(questions.map(question => question.label), ['(a)', '(b)']);
+  assert.ok(questions[1].text.startsWith('A ball is thrown up at 20 m/s.\n(b) How long'));
+});
+
+test('short answer options are not split', () => {
+  assert.deepStrictEqual(splitQuestions('Which is prime? 1) 4 2) 7 3) 9'), []);
+});
+
+test('layout replies give questions with fractional boxes', () => {
+  const questions = parseLayout('{"questions": [{"label": "1", "text": "Solve $\\frac{x}{2} = 3$", "box": [250, 0, 500, 1000]}, {"text": "Explain", "box": [5, 5]}]}');
+  assert.strictEqual(questions[0].text, 'Solve $\\frac{x}{2} = 3$');
+  assert.deepStrictEqual(questions[0].box, { x: 0, y: 0.25, width: 1, height: 0.25 });
+  assert.deepStrictEqual(questions[1], { label: '2', text: 'Explain', box: null });
+  assert.deepStrictEqual(parseLayout('no questions here'), []);
+  assert.deepStrictEqual(boxToPixels(questions[0].box, 1000, 500), { x: 0, y: 113, width: 1000, height: 149 });
+});
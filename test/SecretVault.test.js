@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Electron's safeStorage stand-in; `backend` 'basic_text' is Linux without a keyring
+const keyring = { available: true, backend: 'gnome_libsecret' };
+const safeStorage = {
+  isEncryptionAvailable: () => keyring.available,
+  getSelectedStorageBackend: () => keyring.backend,
+  encryptString: text => Buffer.from(`sealed:${text}`),
+  decryptString: buffer => buffer.toString().replace(/^sealed:/, '')
+};
+const electron = require.resolve('electron');
+require.cache[electron] = { id: electron, filename: electron, loaded: true, exports: { safeStorage } };
+const SecretVault = require('../src/services/SecretVault');
+
+function vaultFile(t, linuxWithoutKeyring = false) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hintify-vault-'));
+  Object.assign(keyring, { available: true, backend: linuxWithoutKeyring ? 'basic_text' : 'gnome_libsecret' });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'secrets.json');
+}
+
+test('secrets are sealed with the keychain and read back', (t) => {
+  const file = vaultFile(t);
+  const vault = new SecretVault(file);
+  vault.set('gemini_api_key', 'AIza-secret');
+  assert.strictEqual(vault.status().backend, 'safeStorage');
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('AIza-secret'));
+
+  const reopened = new SecretVault(file);
+  assert.strictEqual(reopened.get('gemini_api_key'), 'AIza-secret');
+  assert.strictEqual(reopened.get('missing'), null);
+  reopened.delete('gemini_api_key');
+  assert.deepStrictEqual(new SecretVault(file).status().keys, []);
+});
+
+test('without a keyring the vault is locked until the passphrase is given', (t) => {
+  const file = vaultFile(t, true);
+  const vault = new SecretVault(file);
+  assert.deepStrictEqual(vault.status(), { backend: 'passphrase', locked: true, initialized: false, keys: [] });
+  assert.throws(() => vault.set('gemini_api_key', 'x'), /^Error: \[Vault\] The secret vault is locked$/);
+
+  // The first unlock chooses the passphrase
+  assert.strictEqual(vault.unlock('correct horse'), true);
+  vault.set('gemini_api_key', 'AIza-secret');
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('AIza-secret'));
+
+  const reopened = new SecretVault(file);
+  assert.strictEqual(reopened.isLocked(), true);
+  assert.strictEqual(reopened.get('gemini_api_key'), null);
+  assert.strictEqual(reopened.unlock('wrong'), false);
+  assert.strictEqual(reopened.unlock('correct horse'), true);
+  assert.strictEqual(reopened.get('gemini_api_key'), 'AIza-secret');
+  assert.strictEqual(new SecretVault(file, { passphrase: 'correct horse' }).get('gemini_api_key'), 'AIza-secret');
+});
+
+test('a vault keeps the backend it was created with', (t) => {
+  const file = vaultFile(t);
+  new SecretVault(file).set('gemini_api_key', 'AIza-secret');
+  keyring.backend = 'basic_text';
+  assert.strictEqual(new SecretVault(file).get('gemini_api_key'), 'AIza-secret');
+});
+
+test('a damaged vault file is set aside and a new vault started', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const file = vaultFile(t);
+  fs.writeFileSync(file, '{"entries": ');
+  const vault = new SecretVault(file);
+  assert.deepStrictEqual(vault.status().keys, []);
+  assert.match(vault.recovered.error, /not valid JSON/);
+  assert.strictEqual(fs.readFileSync(vault.recovered.backup, 'utf8'), '{"entries": ');
+  assert.throws(() => SecretVault.parse('{"backend": "plain", "entries": {}}'), /damaged/);
+});
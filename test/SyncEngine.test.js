@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LocalHistoryStore = require('../src/services/LocalHistoryStore');
+const SyncEngine = require('../src/services/SyncEngine');
+
+// AuthService stand-in with a Neon database that keeps questions in a Map
+function fakeAuth(user = { id: 'user-1' }) {
+  const remote = new Map();
+  const auth = {
+    user,
+    remote,
+    inserts: 0,
+    getCurrentUser: () => auth.user,
+    getCurrentSession: () => ({ id: 'remote-session' }),
+    async saveQuestionAnswer({ metadata, imageData }) {
+      const questionId = `remote-${++auth.inserts}`;
+      remote.set(questionId, { id: questionId, answer_id: `answer-${auth.inserts}`, metadata, imageData });
+      return { questionId, answerId: `answer-${auth.inserts}` };
+    },
+    dbService: {
+      async findQuestionByLocalId(_userId, localId) {
+        return [...remote.values()].find(question => question.metadata.local_id === localId) || null;
+      },
+      async updateQuestionMetadata(questionId, _userId, metadata) {
+        const question = remote.get(questionId);
+        if (!question) return false;
+        question.metadata = { ...question.metadata, ...metadata };
+        return true;
+      },
+      startAppSession: async () => 'remote-old-session',
+      endAppSession: async () => {}
+    }
+  };
+  return auth;
+}
+
+function setup(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hintify-sync-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new LocalHistoryStore(dir);
+  const auth = fakeAuth();
+  return { store, auth, engine: new SyncEngine(store, auth, options) };
+}
+
+test('nothing is pushed while signed out or offline', async (t) => {
+  const { store, auth, engine } = setup(t, { isOnline: () => false });
+  store.addQuestion({ userId: 'user-1', questionText: 'Solve 2x + 3 = 11' });
+  await engine.sync();
+  assert.strictEqual(engine.status().state, 'offline');
+
+  auth.user = null;
+  await engine.sync();
+  assert.strictEqual(engine.status().state, 'local');
+  assert.strictEqual(auth.inserts, 0);
+});
+
+test('pending questions are pushed with their screenshot and local id', async (t) => {
+  const { store, auth, engine } = setup(t);
+  const question = store.addQuestion({ userId: 'user-1', questionText: 'What is shown?', imageData: 'iVBORw0KGgo=' });
+  const statuses = [];
+  engine.on('status', status => statuses.push(status.state));
+  await engine.sync();
+
+  const pushed = auth.remote.get('remote-1');
+  assert.strictEqual(pushed.imageData, 'iVBORw0KGgo=');
+  assert.strictEqual(pushed.metadata.local_id, question.id);
+  assert.strictEqual(store.get(question.id).sync.state, 'synced');
+  assert.deepStrictEqual(statuses, ['syncing', 'synced']);
+  assert.deepStrictEqual(engine.status().pending, 0);
+});
+
+test('a push whose reply was lost is not inserted twice', async (t) => {
+  const { store, auth, engine } = setup(t);
+  const question = store.addQuestion({ userId: 'user-1', questionText: 'Solve 2x + 3 = 11' });
+  await auth.saveQuestionAnswer({ metadata: { local_id: question.id } });
+  await engine.sync();
+  assert.strictEqual(auth.inserts, 1);
+  assert.strictEqual(store.get(question.id).sync.remote_question_id, 'remote-1');
+});
+
+test('later changes are merged into the remote metadata', async (t) => {
+  const { store, auth, engine } = setup(t);
+  const question = store.addQuestion({ userId: 'user-1', questionText: 'Solve 2x + 3 = 11', metadata: { subject: 'math' } });
+  await engine.sync();
+  auth.remote.get('remote-1').metadata.shared_from = 'web';
+  store.rateQuestion(question.id, 'like');
+  await engine.sync();
+  assert.deepStrictEqual(auth.remote.get('remote-1').metadata, { subject: 'math', local_id: question.id, rating: 'like', shared_from: 'web' });
+  assert.strictEqual(auth.inserts, 1);
+});
+
+test('guest questions are only claimed when the user agrees', async (t) => {
+  let agree = false;
+  const { store, auth, engine } = setup(t, { confirmClaim: async () => agree });
+  store.addQuestion({ questionText: 'Asked as a guest' });
+  await engine.sync();
+  assert.strictEqual(auth.inserts, 0);
+  assert.strictEqual(store.questionsFor(null).length, 1);
+
+  agree = true;
+  await engine.sync();
+  assert.strictEqual(auth.inserts, 1);
+  assert.strictEqual(store.questionsFor(null).length, 0);
+});
+
+test('questions of another account are never pushed', async (t) => {
+  const { store, auth, engine } = setup(t);
+  store.addQuestion({ userId: 'user-2', questionText: 'Asked on the other account' });
+  await engine.sync();
+  assert.strictEqual(auth.inserts, 0);
+  assert.strictEqual(store.questionsFor('user-2')[0].sync.state, 'pending');
+});
+
+test('a question deleted remotely is kept locally as a conflict', async (t) => {
+  const { store, auth, engine } = setup(t);
+  const question = store.addQuestion({ userId: 'user-1', questionText: 'Solve 2x + 3 = 11' });
+  await engine.sync();
+  auth.remote.clear();
+  store.rateQuestion(question.id, 'like');
+  await engine.sync();
+  assert.strictEqual(store.get(question.id).sync.state, 'conflict');
+  assert.deepStrictEqual(engine.status().conflicts, 1);
+});
+
+test('failing pushes are retried, then parked as conflicts', async (t) => {
+  const { store, auth, engine } = setup(t);
+  auth.saveQuestionAnswer = async () => { throw new Error('Neon is down'); };
+  const question = store.addQuestion({ userId: 'user-1', questionText: 'Solve 2x + 3 = 11' });
+  await engine.sync();
+  assert.deepStrictEqual([engine.status().state, engine.status().error], ['error', 'Neon is down']);
+  assert.strictEqual(store.get(question.id).sync.attempts, 1);
+
+  for (let i = 0; i < 4; i++) await engine.sync();
+  assert.strictEqual(store.get(question.id).sync.state, 'conflict');
+  assert.match(store.get(question.id).sync.error, /^Gave up after 5 attempts/);
+});
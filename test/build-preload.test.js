@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { build } = require('../scripts/build-preload');
+
+// Runs the bundle the way a sandboxed window does: `require` knows Electron only
+function loadBundle(file) {
+  const exposed = {};
+  const electron = {
+    contextBridge: { exposeInMainWorld: (key, value) => { exposed[key] = value; } },
+    ipcRenderer: { sendSync: () => [], invoke: async () => null, send() {}, on() {}, removeListener() {}, removeAllListeners() {} }
+  };
+  const sandboxRequire = (name) => {
+    if (name === 'electron') return electron;
+    throw new Error(`module not found: ${name}`);
+  };
+  const log = console.log;
+  console.log = () => {};
+  try {
+    new Function('require', 'process', fs.readFileSync(file, 'utf8'))(sandboxRequire, { platform: 'linux' });
+  } finally {
+    console.log = log;
+  }
+  return exposed;
+}
+
+test('the preload bundle runs with only Electron available', () => {
+  const file = build(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'preload-')), 'preload.bundle.js'));
+  const { hintify } = loadBundle(file);
+
+  assert.strictEqual(typeof hintify.api.configSet, 'function');
+  assert.strictEqual(hintify.lib.Languages.get('eng').name, 'English');
+  assert.strictEqual(hintify.lib.AnswerLeakGuard.create().redactText('So x = 42.', {}), `So x = ${hintify.lib.AnswerLeakGuard.REDACTED}.`);
+  assert.ok(hintify.lib.ConfigSchema.create().has('provider'));
+});
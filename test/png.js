@@ -0,0 +1,53 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+/**
+ * Minimal PNG reader for the test fixtures: 8-bit grayscale, not interlaced.
+ * @param {string} file
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+function readGray(file) {
+  const png = fs.readFileSync(file);
+  let offset = 8;
+  let header = null;
+  const chunks = [];
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const body = png.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') header = body;
+    else if (type === 'IDAT') chunks.push(body);
+    offset += length + 12;
+  }
+
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  if (header[8] !== 8 || header[9] !== 0 || header[12] !== 0) {
+    throw new Error(`${file}: only 8-bit grayscale PNGs are supported`);
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(chunks));
+  const data = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (width + 1)];
+    for (let x = 0; x < width; x++) {
+      const value = raw[y * (width + 1) + 1 + x];
+      const left = x ? data[y * width + x - 1] : 0;
+      const up = y ? data[(y - 1) * width + x] : 0;
+      const upLeft = x && y ? data[(y - 1) * width + x - 1] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = Math.floor((left + up) / 2);
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const [a, b, c] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+        predictor = a <= b && a <= c ? left : b <= c ? up : upLeft;
+      }
+      data[y * width + x] = (value + predictor) & 0xff;
+    }
+  }
+  return { data, width, height };
+}
+
+module.exports = { readGray };